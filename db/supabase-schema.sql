@@ -0,0 +1,213 @@
+-- PersonaPass storage tables for the supabase backend (STORAGE_BACKEND=supabase).
+-- Every collection is stored as JSON documents keyed by id.
+
+create table if not exists persona_accounts (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create unique index if not exists persona_accounts_email_idx on persona_accounts ((data->>'email'));
+-- A wallet signs in to one account only (replaces the earlier non-unique persona_accounts_wallet_idx)
+drop index if exists persona_accounts_wallet_idx;
+create unique index if not exists persona_accounts_wallet_unique_idx on persona_accounts ((data->>'walletAddress'));
+
+-- One row per normalised (trimmed, lower-case) email; claimed before the account row is written
+create table if not exists persona_account_emails (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- One row per linked wallet address; claimed before the account row is updated
+create table if not exists persona_account_wallets (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists persona_totp_secrets (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists persona_backup_codes (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists persona_auth_attempts (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists persona_sessions (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create index if not exists persona_sessions_user_idx on persona_sessions ((data->>'userId'));
+
+create table if not exists persona_dids (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create index if not exists persona_dids_owner_idx on persona_dids ((data->>'ownerId'));
+create index if not exists persona_dids_wallet_idx on persona_dids ((data->>'walletAddress'));
+
+create table if not exists persona_did_versions (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create index if not exists persona_did_versions_did_idx on persona_did_versions ((data->>'did'));
+
+create table if not exists persona_credentials (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create index if not exists persona_credentials_holder_idx on persona_credentials ((data->>'holderAddress'));
+
+create table if not exists persona_service_keys (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists persona_status_lists (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists persona_presentation_challenges (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists persona_verification_codes (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists persona_account_recoveries (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create index if not exists persona_account_recoveries_user_idx on persona_account_recoveries ((data->>'userId'));
+
+create table if not exists persona_wallet_challenges (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists persona_webauthn_challenges (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists persona_passkeys (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create index if not exists persona_passkeys_user_idx on persona_passkeys ((data->>'userId'));
+
+-- OpenID Connect provider: registered clients, pending authorization requests, consents and access tokens
+create table if not exists persona_oidc_clients (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists persona_oidc_auth_requests (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists persona_oidc_grants (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create index if not exists persona_oidc_grants_user_idx on persona_oidc_grants ((data->>'userId'));
+
+create table if not exists persona_oidc_access_tokens (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create index if not exists persona_oidc_access_tokens_request_idx on persona_oidc_access_tokens ((data->>'authRequestId'));
+
+-- OpenID4VCI credential offers and c_nonces, OpenID4VP presentation requests
+create table if not exists persona_credential_offers (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists persona_credential_nonces (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists persona_presentation_requests (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Audit trail: the service only inserts, and the trigger below rejects updates and deletes
+create table if not exists persona_audit_log (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create index if not exists persona_audit_log_type_idx on persona_audit_log ((data->>'type'));
+create index if not exists persona_audit_log_subject_idx on persona_audit_log ((data->>'subjectId'));
+
+create or replace function persona_audit_log_append_only() returns trigger language plpgsql as $$
+begin
+  raise exception 'persona_audit_log is append-only';
+end;
+$$;
+drop trigger if exists persona_audit_log_append_only on persona_audit_log;
+create trigger persona_audit_log_append_only before update or delete on persona_audit_log
+  for each row execute function persona_audit_log_append_only();
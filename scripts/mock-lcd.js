@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+// Local stand-in for the PersonaChain REST (LCD) API so the blockchain routes can be
+// exercised offline. Point the backend at it with:
+//   PERSONACHAIN_API_ENDPOINT=http://localhost:1317 npm start
+// Balances (and so accounts) are kept in memory; seed or change them with POST /mock/balances/:address.
+// Tests import `app` and listen on a port of their own; run as a script it listens on MOCK_LCD_PORT.
+
+import crypto from 'crypto';
+import express from 'express';
+import { pathToFileURL } from 'url';
+import { bech32Encode, bech32Decode } from '../src/utils/bech32.js';
+
+const PORT = process.env.MOCK_LCD_PORT || 1317;
+const PREFIX = process.env.PERSONACHAIN_BECH32_PREFIX || 'persona';
+const LATENCY_MS = parseInt(process.env.MOCK_LCD_LATENCY_MS, 10) || 0;
+const DEFAULT_LIMIT = 100;
+
+export const demoAddress = (seed) => bech32Encode(PREFIX, crypto.createHash('sha256').update(seed).digest().subarray(0, 20));
+
+// address -> [{ denom, amount }]
+const balances = new Map([
+  [demoAddress('alice'), [
+    { denom: 'upersona', amount: '1000000000' },
+    { denom: 'ustake', amount: '5000000' }
+  ]],
+  [demoAddress('bob'), [
+    { denom: 'upersona', amount: '250000' }
+  ]],
+  // Enough denoms to need more than one page with a small limit
+  [demoAddress('whale'), Array.from({ length: 25 }, (_, i) => ({
+    denom: i === 0 ? 'upersona' : `ibc/${crypto.createHash('sha256').update(`denom-${i}`).digest('hex').toUpperCase()}`,
+    amount: String((i + 1) * 1000000)
+  }))]
+]);
+
+export const app = express();
+app.use(express.json());
+
+app.use((req, res, next) => (LATENCY_MS ? setTimeout(next, LATENCY_MS) : next()));
+
+// Mirror the LCD's error body for malformed addresses
+const checkAddress = (req, res, next) => {
+  try {
+    const { prefix } = bech32Decode(req.params.address);
+    if (prefix !== PREFIX) throw new Error(`invalid Bech32 prefix; expected ${PREFIX}, got ${prefix}`);
+    next();
+  } catch (error) {
+    res.status(400).json({ code: 3, message: `invalid address: ${error.message}`, details: [] });
+  }
+};
+
+app.get('/cosmos/bank/v1beta1/balances/:address/by_denom', checkAddress, (req, res) => {
+  const { denom } = req.query;
+  if (!denom) {
+    return res.status(400).json({ code: 3, message: 'invalid denom', details: [] });
+  }
+
+  const coin = (balances.get(req.params.address) || []).find((entry) => entry.denom === denom);
+  res.json({ balance: coin || { denom, amount: '0' } });
+});
+
+app.get('/cosmos/bank/v1beta1/balances/:address', checkAddress, (req, res) => {
+  const coins = balances.get(req.params.address) || [];
+  const offset = req.query['pagination.key']
+    ? parseInt(Buffer.from(req.query['pagination.key'], 'base64').toString('utf8'), 10) || 0
+    : 0;
+  const limit = parseInt(req.query['pagination.limit'], 10) || DEFAULT_LIMIT;
+  const page = coins.slice(offset, offset + limit);
+  const nextOffset = offset + page.length;
+
+  res.json({
+    balances: page,
+    pagination: {
+      next_key: nextOffset < coins.length ? Buffer.from(String(nextOffset)).toString('base64') : null,
+      total: req.query['pagination.count_total'] === 'true' ? String(coins.length) : '0'
+    }
+  });
+});
+
+// Every address with a balance is an account; account numbers follow the order they were first funded
+app.get('/cosmos/auth/v1beta1/accounts/:address', checkAddress, (req, res) => {
+  const accountNumber = [...balances.keys()].indexOf(req.params.address);
+  if (accountNumber === -1) {
+    return res.status(404).json({ code: 5, message: `account ${req.params.address} not found`, details: [] });
+  }
+
+  res.json({
+    account: {
+      '@type': '/cosmos.auth.v1beta1.BaseAccount',
+      address: req.params.address,
+      pub_key: null,
+      account_number: String(accountNumber),
+      sequence: '0'
+    }
+  });
+});
+
+// Module list used by /api/blockchain/status to detect chain features
+app.get('/cosmos/upgrade/v1beta1/module_versions', (req, res) => {
+  const modules = ['auth', 'bank', 'credential', 'did', 'distribution', 'gov', 'staking', 'upgrade', 'zkproof'];
+  res.json({ module_versions: modules.map((name) => ({ name, version: '1' })) });
+});
+
+app.post('/mock/balances/:address', checkAddress, (req, res) => {
+  balances.set(req.params.address, req.body.balances || []);
+  res.json({ address: req.params.address, balances: balances.get(req.params.address) });
+});
+
+app.use((req, res) => {
+  res.status(501).json({ code: 12, message: `Not implemented in mock LCD: ${req.method} ${req.path}`, details: [] });
+});
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  app.listen(PORT, () => {
+    console.log(`Mock PersonaChain LCD listening on http://localhost:${PORT}`);
+    for (const [address, coins] of balances) {
+      console.log(`  ${address}  ${coins.length} denom(s)`);
+    }
+  });
+}
@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+
+// Check the audit trail's hash chain in the configured storage backend:
+//   npm run audit:verify
+// Prints every gap, changed entry and broken link, then the chain head. Record the head somewhere
+// outside the store (a ticket, a signed email) and compare on the next run to also catch entries cut
+// off the end. Exits with status 1 when the chain is not intact.
+
+import 'dotenv/config';
+import storage from '../src/storage/index.js';
+import { verifyAuditChain } from '../src/audit/auditLog.js';
+
+await storage.init();
+
+let result;
+try {
+  result = await verifyAuditChain();
+} finally {
+  await storage.close();
+}
+
+for (const { seq, problem, message } of result.problems) {
+  console.log(`entry ${seq}: ${problem} - ${message}`);
+}
+
+console.log(`Checked ${result.checked} audit entries: ${result.valid ? 'chain intact' : `${result.problems.length} problem(s) found`}`);
+console.log(`Head: seq ${result.head.seq}, hash ${result.head.hash}`);
+
+process.exit(result.valid ? 0 : 1);
@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import storage, { DuplicateRecordError } from '../storage/index.js';
+import { canonicalize } from '../utils/jcs.js';
+
+// Append-only audit trail of identity and authentication events, keyed by zero-padded sequence number:
+// { id, seq, type, timestamp, actorType, actorId, subjectType, subjectId, requestId, data, prevHash, hash }
+// `hash` is the SHA-256 of the JCS-canonical entry without `hash`, and `prevHash` is the previous
+// entry's hash, so changing, removing or reordering an entry breaks the chain from that point on.
+// Entries are never updated or deleted by the application.
+const auditLog = storage.collection('auditLog');
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 3;
+
+const entryId = (seq) => String(seq).padStart(12, '0');
+
+export const hashEntry = (entry) => {
+  const { hash, ...content } = entry;
+  return crypto.createHash('sha256').update(canonicalize(content)).digest('hex');
+};
+
+const sortBySeq = (entries) => entries.sort((a, b) => a.seq - b.seq);
+
+// Last entry of the chain ({ seq, hash }), cached after the first append
+let head = null;
+
+const loadHead = async () => {
+  const last = sortBySeq(await auditLog.find()).pop();
+  return last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS_HASH };
+};
+
+const append = async ({ type, actor = {}, subject = {}, requestId, data }) => {
+  for (let attempt = 1; ; attempt += 1) {
+    head = head || await loadHead();
+
+    const entry = {
+      id: entryId(head.seq + 1),
+      seq: head.seq + 1,
+      type,
+      timestamp: new Date().toISOString(),
+      actorType: actor.type || 'anonymous',
+      actorId: actor.id || null,
+      subjectType: subject.type || null,
+      subjectId: subject.id || null,
+      requestId: requestId || null,
+      data: data || {},
+      prevHash: head.hash
+    };
+    entry.hash = hashEntry(entry);
+
+    try {
+      await auditLog.insert(entry);
+      head = { seq: entry.seq, hash: entry.hash };
+      return entry;
+    } catch (error) {
+      // Another process appended first: pick up its head and chain onto it
+      head = null;
+      if (!(error instanceof DuplicateRecordError) || attempt >= MAX_APPEND_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Appends are serialized so every entry chains onto the one before it
+let tail = Promise.resolve();
+
+// Record an event. `actor` and `subject` are { type, id }; `data` holds event-specific details
+// and must not contain secrets. Resolves with the stored entry.
+export const appendAuditEvent = (event) => {
+  const result = tail.then(() => append(event));
+  tail = result.catch(() => {});
+  return result;
+};
+
+// Record an event raised while handling `req`: the request id is attached, and the actor
+// defaults to the signed-in user
+export const auditEvent = (req, type, { actor, subject, data } = {}) => appendAuditEvent({
+  type,
+  actor: actor || (req.user ? { type: 'user', id: req.user.id } : { type: 'anonymous' }),
+  subject,
+  requestId: req.id,
+  data
+});
+
+// Filter the trail by equality on type / actor / subject, by time range and by sequence number.
+// Returns entries in chain order, at most `limit` of them, and the cursor for the next page.
+export const queryAuditEvents = async ({ type, actorType, actorId, subjectType, subjectId, from, to, after = 0, limit = 100 }) => {
+  const query = Object.fromEntries(
+    Object.entries({ type, actorType, actorId, subjectType, subjectId }).filter(([, value]) => value !== undefined)
+  );
+  const fromTime = from ? Date.parse(from) : -Infinity;
+  const toTime = to ? Date.parse(to) : Infinity;
+
+  const matches = sortBySeq(await auditLog.find(query)).filter((entry) => {
+    const time = Date.parse(entry.timestamp);
+    return entry.seq > after && time >= fromTime && time <= toTime;
+  });
+
+  const events = matches.slice(0, limit);
+  return {
+    events,
+    nextCursor: matches.length > limit ? events[events.length - 1].seq : null
+  };
+};
+
+// Walk the whole chain and report every gap in the sequence, entry whose content no longer matches
+// its hash, and entry that does not link to its predecessor. Entries cut off the end of the chain
+// leave no trace inside it; compare the returned head with one recorded earlier to catch that.
+export const verifyAuditChain = async () => {
+  const entries = sortBySeq(await auditLog.find());
+  const problems = [];
+  let previous = { seq: 0, hash: GENESIS_HASH };
+
+  for (const entry of entries) {
+    const missing = entry.seq - previous.seq - 1;
+    if (missing !== 0) {
+      problems.push({
+        seq: entry.seq,
+        problem: 'gap',
+        message: missing < 0
+          ? `Sequence number ${entry.seq} is repeated or out of order`
+          : missing === 1 ? `Entry ${previous.seq + 1} is missing` : `Entries ${previous.seq + 1} to ${entry.seq - 1} are missing`
+      });
+    } else if (entry.prevHash !== previous.hash) {
+      problems.push({ seq: entry.seq, problem: 'broken_link', message: 'prevHash does not match the previous entry' });
+    }
+
+    if (entry.id !== entryId(entry.seq) || hashEntry(entry) !== entry.hash) {
+      problems.push({ seq: entry.seq, problem: 'changed', message: 'Entry content does not match its hash' });
+    }
+
+    previous = entry;
+  }
+
+  return {
+    valid: problems.length === 0,
+    checked: entries.length,
+    head: { seq: previous.seq, hash: previous.hash },
+    problems
+  };
+};
@@ -0,0 +1,13 @@
+import storage from '../storage/index.js';
+import { ApiError } from '../errors.js';
+
+const accounts = storage.collection('accounts');
+
+// The account behind a signed-in user; it can be gone while their access token is still valid
+export const loadAccount = async (userId) => {
+  const account = await accounts.get(userId);
+  if (!account) {
+    throw new ApiError('ACCOUNT_NOT_FOUND', 'Account not found');
+  }
+  return account;
+};
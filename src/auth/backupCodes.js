@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+import storage from '../storage/index.js';
+
+const BACKUP_CODE_COUNT = 10;
+const CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789'; // no 0/o, 1/l/i
+
+// Backup code sets keyed by email: { id: email, codes: [{ salt, hash, usedAt }], generatedAt }
+const backupCodes = storage.collection('backupCodes');
+
+// Codes are shown as "xxxxx-xxxxx"; accept them without the dash and in any case
+const normalizeCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+const hashCode = (code, salt) => crypto.createHash('sha256').update(`${salt}:${normalizeCode(code)}`).digest('hex');
+
+const randomCode = () => {
+  const chars = Array.from({ length: 10 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+};
+
+// Generate a fresh set of backup codes for an account, replacing any previous set.
+// Only hashes are stored; the plaintext codes are returned once for display to the user.
+export const generateBackupCodes = async (email) => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, randomCode);
+  const record = {
+    id: email,
+    codes: codes.map((code) => {
+      const salt = crypto.randomBytes(16).toString('hex');
+      return { salt, hash: hashCode(code, salt), usedAt: null };
+    }),
+    generatedAt: new Date().toISOString()
+  };
+
+  await backupCodes.delete(email);
+  await backupCodes.insert(record);
+  return codes;
+};
+
+// Consume a backup code. Returns true only the first time a valid code is presented, also when
+// two requests present it at once.
+export const redeemBackupCode = async (email, code) => {
+  if (!normalizeCode(code)) {
+    return false;
+  }
+
+  const updated = await backupCodes.modify(email, (record) => {
+    const index = record.codes.findIndex((entry) => !entry.usedAt && crypto.timingSafeEqual(
+      Buffer.from(entry.hash, 'hex'),
+      Buffer.from(hashCode(code, entry.salt), 'hex')
+    ));
+    if (index === -1) {
+      return null;
+    }
+
+    const usedAt = new Date().toISOString();
+    return { codes: record.codes.map((entry, i) => (i === index ? { ...entry, usedAt } : entry)) };
+  });
+  return Boolean(updated);
+};
+
+export const getBackupCodeStatus = async (email) => {
+  const record = await backupCodes.get(email);
+  if (!record) {
+    return { total: 0, remaining: 0, generatedAt: null };
+  }
+
+  return {
+    total: record.codes.length,
+    remaining: record.codes.filter((entry) => !entry.usedAt).length,
+    generatedAt: record.generatedAt
+  };
+};
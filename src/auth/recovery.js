@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import config from '../config.js';
+import storage from '../storage/index.js';
+import { hashHex } from '../utils/hash.js';
+
+const COOLING_OFF_MS = config.auth.recoveryCoolingOffHours * 60 * 60 * 1000;
+const COMPLETION_WINDOW_MS = 24 * 60 * 60 * 1000; // time to finish re-enrolment once the recovery is ready
+
+// Account recoveries for lost authenticators:
+// { id, userId, email, tokenHash, method, createdAt, readyAt, expiresAt, pendingSecret, completedAt, cancelledAt }
+// `method` is 'backup_code' (ready at once) or 'cooling_off' (ready after COOLING_OFF_MS).
+// `pendingSecret` is the TOTP secret being enrolled; it only replaces the account's secret on completion.
+const recoveries = storage.collection('accountRecoveries');
+
+const isOpen = (record) => !record.completedAt && !record.cancelledAt && Date.parse(record.expiresAt) > Date.now();
+
+// Start a recovery once the caller has proven control of the account email. Any recovery already
+// open for the account is cancelled, so there is only ever one. Returns the opaque recovery token
+// ("<id>.<random>", shown once) with the times it becomes usable and expires.
+export const startRecovery = async (account, method) => {
+  await cancelRecoveries(account.id);
+
+  const id = crypto.randomUUID();
+  const token = `${id}.${crypto.randomBytes(32).toString('base64url')}`;
+  const now = Date.now();
+  const readyAt = method === 'backup_code' ? now : now + COOLING_OFF_MS;
+
+  const record = {
+    id,
+    userId: account.id,
+    email: account.email,
+    tokenHash: hashHex(token),
+    method,
+    createdAt: new Date(now).toISOString(),
+    readyAt: new Date(readyAt).toISOString(),
+    expiresAt: new Date(readyAt + COMPLETION_WINDOW_MS).toISOString(),
+    pendingSecret: null,
+    completedAt: null,
+    cancelledAt: null
+  };
+
+  await recoveries.insert(record);
+  return { token, method, readyAt: record.readyAt, expiresAt: record.expiresAt };
+};
+
+// The open recovery behind a recovery token, or null
+export const findRecovery = async (token) => {
+  const [id] = String(token || '').split('.');
+  const record = id && await recoveries.get(id);
+
+  if (!record || record.tokenHash !== hashHex(token) || !isOpen(record)) {
+    return null;
+  }
+  return record;
+};
+
+export const setPendingSecret = (id, pendingSecret) => recoveries.update(id, { pendingSecret });
+
+export const completeRecovery = (id) => recoveries.update(id, {
+  pendingSecret: null,
+  completedAt: new Date().toISOString()
+});
+
+// Cancel every open recovery of an account; returns how many there were
+export const cancelRecoveries = async (userId) => {
+  const open = (await recoveries.find({ userId })).filter(isOpen);
+  const cancelledAt = new Date().toISOString();
+
+  for (const record of open) {
+    await recoveries.update(record.id, { pendingSecret: null, cancelledAt });
+  }
+  return open.length;
+};
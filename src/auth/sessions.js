@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../config.js';
+import logger from '../logger.js';
+import storage from '../storage/index.js';
+import { hashHex } from '../utils/hash.js';
+
+const ACCESS_TOKEN_TTL = config.auth.accessTokenTtl;
+const REFRESH_TOKEN_TTL_MS = config.auth.refreshTokenTtlDays * 24 * 60 * 60 * 1000;
+const ISSUER = 'personapass-backend';
+
+// Signing secret for access tokens. A per-process secret is only acceptable in development
+// (the config requires one in production), since every restart logs everyone out.
+const JWT_SECRET = config.auth.jwtSecret || (() => {
+  logger.warn('JWT_SECRET not set - using an ephemeral development secret');
+  return crypto.randomBytes(32).toString('hex');
+})();
+
+// { id, userId, email, refreshTokenHash, createdAt, expiresAt, revokedAt }
+const sessions = storage.collection('sessions');
+
+const signAccessToken = (account, sessionId) => jwt.sign(
+  { email: account.email, sid: sessionId },
+  JWT_SECRET,
+  { subject: account.id, issuer: ISSUER, expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Refresh tokens are opaque: "<sessionId>.<random>". Only the hash of the random part is kept.
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+const buildTokenResponse = (account, sessionId, refreshToken) => ({
+  accessToken: signAccessToken(account, sessionId),
+  refreshToken,
+  tokenType: 'Bearer',
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+export const createSession = async (account) => {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = newRefreshToken(sessionId);
+
+  await sessions.insert({
+    id: sessionId,
+    userId: account.id,
+    email: account.email,
+    refreshTokenHash: hashHex(refreshToken),
+    createdAt: new Date().toISOString(),
+    expiresAt: Date.now() + REFRESH_TOKEN_TTL_MS,
+    revokedAt: null
+  });
+
+  return buildTokenResponse(account, sessionId, refreshToken);
+};
+
+// Exchange a refresh token for a new token pair. The presented token is invalidated;
+// presenting an already rotated token is treated as theft and kills the whole session.
+// The check and the rotation are one storage step, so of two requests racing with the same token one
+// rotates and the other counts as reuse.
+export const rotateSession = async (refreshToken) => {
+  const [sessionId] = String(refreshToken || '').split('.');
+  const nextRefreshToken = newRefreshToken(sessionId);
+  let reused = false;
+
+  const session = sessionId && await sessions.modify(sessionId, (current) => {
+    reused = false;
+    if (current.revokedAt || current.expiresAt < Date.now()) {
+      return null;
+    }
+
+    reused = current.refreshTokenHash !== hashHex(refreshToken);
+    return reused
+      ? { revokedAt: new Date().toISOString() }
+      : { refreshTokenHash: hashHex(nextRefreshToken), expiresAt: Date.now() + REFRESH_TOKEN_TTL_MS };
+  });
+
+  if (!session) {
+    return null;
+  }
+  if (reused) {
+    logger.warn('Refresh token reuse detected, session revoked', { sessionId });
+    return null;
+  }
+
+  return buildTokenResponse({ id: session.userId, email: session.email }, sessionId, nextRefreshToken);
+};
+
+// The session record behind an access token's `sid` claim, or null
+export const getSession = async (sessionId) => (await sessions.get(sessionId)) || null;
+
+export const revokeSession = async (refreshToken) => {
+  const [sessionId] = String(refreshToken || '').split('.');
+  const session = sessionId && await sessions.get(sessionId);
+
+  if (!session || session.refreshTokenHash !== hashHex(refreshToken)) {
+    return false;
+  }
+
+  await sessions.update(sessionId, { revokedAt: new Date().toISOString() });
+  return true;
+};
+
+export const revokeAllSessions = async (userId) => {
+  const active = await sessions.find({ userId, revokedAt: null });
+  const revokedAt = new Date().toISOString();
+
+  for (const session of active) {
+    await sessions.update(session.id, { revokedAt });
+  }
+  return active.length;
+};
+
+// The account an access token was issued to, checked against the signature only (no session lookup).
+// Rate limiting uses it to key requests per account before the route authenticates them.
+export const accessTokenSubject = (token) => {
+  try {
+    return jwt.verify(token, JWT_SECRET, { issuer: ISSUER }).sub;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Verify an access token and make sure its session has not been revoked.
+// Returns the decoded claims, or null when the token is not acceptable.
+export const verifyAccessToken = async (token) => {
+  let claims;
+  try {
+    claims = jwt.verify(token, JWT_SECRET, { issuer: ISSUER });
+  } catch (error) {
+    return null;
+  }
+
+  const session = await sessions.get(claims.sid);
+  if (!session || session.revokedAt) {
+    return null;
+  }
+
+  return claims;
+};
@@ -0,0 +1,79 @@
+import config from '../config.js';
+import logger, { maskEmail } from '../logger.js';
+import storage from '../storage/index.js';
+import { ApiError } from '../errors.js';
+
+const FREE_ATTEMPTS = 3; // failures allowed before backoff kicks in
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+const LOCKOUT_THRESHOLD = config.auth.lockoutThreshold;
+const LOCKOUT_DURATION_MS = config.auth.lockoutMinutes * 60 * 1000;
+
+// Failed authentication attempts keyed by email: { id: email, failures, lastFailureAt, lockedUntil }
+const attempts = storage.collection('authAttempts');
+
+const backoffDelay = (failures) => (failures < FREE_ATTEMPTS
+  ? 0
+  : Math.min(BASE_DELAY_MS * 2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_MS));
+
+// Decide whether an authentication attempt for this account may proceed right now.
+// Returns { allowed, locked, retryAfter } where retryAfter is in seconds.
+export const checkAttempt = async (email) => {
+  const record = await attempts.get(email);
+  if (!record) {
+    return { allowed: true, locked: false, retryAfter: 0 };
+  }
+
+  const now = Date.now();
+
+  if (record.lockedUntil) {
+    if (record.lockedUntil > now) {
+      return { allowed: false, locked: true, retryAfter: Math.ceil((record.lockedUntil - now) / 1000) };
+    }
+
+    logger.warn('Account lockout ended', { email: maskEmail(email), lockedUntil: new Date(record.lockedUntil).toISOString() });
+    await attempts.delete(email);
+    return { allowed: true, locked: false, retryAfter: 0 };
+  }
+
+  const nextAllowedAt = record.lastFailureAt + backoffDelay(record.failures);
+  if (nextAllowedAt > now) {
+    return { allowed: false, locked: false, retryAfter: Math.ceil((nextAllowedAt - now) / 1000) };
+  }
+
+  return { allowed: true, locked: false, retryAfter: 0 };
+};
+
+export const recordFailure = async (email) => {
+  const now = Date.now();
+  const record = await attempts.get(email);
+  const failures = (record ? record.failures : 0) + 1;
+  const lockedUntil = failures >= LOCKOUT_THRESHOLD ? now + LOCKOUT_DURATION_MS : null;
+
+  if (record) {
+    await attempts.update(email, { failures, lastFailureAt: now, lockedUntil });
+  } else {
+    await attempts.insert({ id: email, failures, lastFailureAt: now, lockedUntil });
+  }
+
+  if (lockedUntil) {
+    logger.warn('Account lockout started', {
+      email: maskEmail(email),
+      failures,
+      lockedUntil: new Date(lockedUntil).toISOString()
+    });
+  }
+};
+
+export const recordSuccess = async (email) => {
+  await attempts.delete(email);
+};
+
+// The 429 error for a throttled or locked account
+export const throttledError = ({ locked, retryAfter }) => new ApiError(
+  locked ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+  locked
+    ? 'Too many failed attempts. This account is temporarily locked.'
+    : 'Too many failed attempts, please wait before trying again.',
+  { data: { locked, retryAfter }, headers: { 'Retry-After': String(retryAfter) } }
+);
@@ -0,0 +1,75 @@
+import speakeasy from 'speakeasy';
+import logger, { maskEmail } from '../logger.js';
+import storage from '../storage/index.js';
+import { redeemBackupCode } from './backupCodes.js';
+import { qrDataUrl } from '../utils/qr.js';
+
+// TOTP secrets keyed by email: { id: email, secret, lastUsedStep, createdAt }
+const totpSecrets = storage.collection('totpSecrets');
+
+const TOTP_STEP_SECONDS = 30;
+
+export const getTotpSecret = async (email) => {
+  const record = await totpSecrets.get(email);
+  return record ? record.secret : null;
+};
+
+// `lastUsedStep` is the step of a code already checked against the new secret, if any
+export const saveTotpSecret = async (email, secret, lastUsedStep = null) => {
+  await totpSecrets.delete(email);
+  await totpSecrets.insert({ id: email, secret, lastUsedStep, createdAt: new Date().toISOString() });
+};
+
+// Generate a new secret and the QR code an authenticator app scans to enrol it. Nothing is stored.
+export const createTotpEnrollment = async (email) => {
+  const secret = speakeasy.generateSecret({
+    name: `PersonaPass (${email})`,
+    issuer: 'PersonaPass',
+    length: 32
+  });
+
+  const qrCode = await qrDataUrl(secret.otpauth_url);
+
+  return { secret: secret.base32, qrCode };
+};
+
+// The time step a code belongs to when it is valid for `secret`, otherwise null
+export const matchTotpCode = (secret, token) => {
+  if (!token) {
+    return null;
+  }
+
+  const result = speakeasy.totp.verifyDelta({
+    secret,
+    encoding: 'base32',
+    token: String(token),
+    window: 2 // Allow 2 time steps (60 seconds) tolerance
+  });
+  return result ? Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + result.delta : null;
+};
+
+// Verify a TOTP code and remember the time step it belongs to. A code from the same
+// or an earlier step than the last accepted one is rejected, so codes cannot be replayed
+// inside the tolerance window, not even by two requests racing each other.
+export const verifyTotpCode = async (email, token) => {
+  let replayed = false;
+  const updated = await totpSecrets.modify(email, (record) => {
+    const step = matchTotpCode(record.secret, token);
+    replayed = step !== null && Number.isInteger(record.lastUsedStep) && step <= record.lastUsedStep;
+    return step === null || replayed ? null : { lastUsedStep: step };
+  });
+
+  if (replayed) {
+    logger.warn('TOTP code replay rejected', { email: maskEmail(email) });
+  }
+  return Boolean(updated);
+};
+
+// Check the second factor of a login or account creation. A backup code is accepted
+// in place of the TOTP code and is consumed on success.
+export const verifySecondFactor = async (email, { totpCode, backupCode }) => {
+  if (backupCode) {
+    return { valid: await redeemBackupCode(email, backupCode), method: 'backup_code' };
+  }
+  return { valid: await verifyTotpCode(email, totpCode), method: 'totp' };
+};
@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import storage from '../storage/index.js';
+
+const CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 5; // wrong guesses before the code is discarded
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_SENDS_PER_WINDOW = 5;
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+
+// Pending verification codes keyed by "<channel>:<userId>":
+// { id, userId, channel, target, salt, codeHash, expiresAt, attempts, sendCount, windowStartedAt, lastSentAt }
+const verificationCodes = storage.collection('verificationCodes');
+
+const hashCode = (code, salt) => crypto.createHash('sha256').update(`${salt}:${code}`).digest('hex');
+
+// Issue a fresh 6-digit code for `channel` ('email' | 'phone' | 'recovery') unless the resend limits say otherwise.
+// Returns { code, expiresAt } or { retryAfter } (seconds) when the caller has to wait.
+export const issueVerificationCode = async (userId, channel, target) => {
+  const id = `${channel}:${userId}`;
+  const existing = await verificationCodes.get(id);
+  const now = Date.now();
+
+  let sendCount = 1;
+  let windowStartedAt = now;
+
+  if (existing) {
+    if (existing.lastSentAt + RESEND_COOLDOWN_MS > now) {
+      return { retryAfter: Math.ceil((existing.lastSentAt + RESEND_COOLDOWN_MS - now) / 1000) };
+    }
+
+    if (existing.windowStartedAt + SEND_WINDOW_MS > now) {
+      if (existing.sendCount >= MAX_SENDS_PER_WINDOW) {
+        return { retryAfter: Math.ceil((existing.windowStartedAt + SEND_WINDOW_MS - now) / 1000) };
+      }
+      sendCount = existing.sendCount + 1;
+      windowStartedAt = existing.windowStartedAt;
+    }
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const salt = crypto.randomBytes(16).toString('hex');
+  const record = {
+    id,
+    userId,
+    channel,
+    target,
+    salt,
+    codeHash: hashCode(code, salt),
+    expiresAt: now + CODE_TTL_MS,
+    attempts: 0,
+    sendCount,
+    windowStartedAt,
+    lastSentAt: now
+  };
+
+  await verificationCodes.delete(id);
+  await verificationCodes.insert(record);
+
+  return { code, expiresAt: new Date(record.expiresAt).toISOString() };
+};
+
+// Check a submitted code. Returns { valid, target } or { valid: false, code, message } with an
+// error code from ERROR_CODES; a valid code is consumed.
+export const checkVerificationCode = async (userId, channel, code) => {
+  const id = `${channel}:${userId}`;
+  const record = await verificationCodes.get(id);
+
+  if (!record || record.codeHash === null) {
+    return { valid: false, code: 'VERIFICATION_NOT_STARTED', message: 'No verification in progress. Please request a new code.' };
+  }
+  if (record.expiresAt < Date.now()) {
+    return { valid: false, code: 'VERIFICATION_CODE_EXPIRED', message: 'Verification code has expired. Please request a new code.' };
+  }
+
+  const matches = crypto.timingSafeEqual(
+    Buffer.from(record.codeHash, 'hex'),
+    Buffer.from(hashCode(String(code), record.salt), 'hex')
+  );
+
+  if (!matches) {
+    const attempts = record.attempts + 1;
+    // Keep the send counters so resend limits still apply after the code is burned
+    await verificationCodes.update(id, attempts >= MAX_ATTEMPTS ? { attempts, codeHash: null } : { attempts });
+    return attempts >= MAX_ATTEMPTS
+      ? { valid: false, code: 'VERIFICATION_ATTEMPTS_EXCEEDED', message: 'Too many incorrect attempts. Please request a new code.' }
+      : { valid: false, code: 'VERIFICATION_CODE_INVALID', message: 'Invalid verification code' };
+  }
+
+  await verificationCodes.update(id, { codeHash: null });
+  return { valid: true, target: record.target };
+};
@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import config from '../config.js';
+import storage from '../storage/index.js';
+import { getChainConfig } from '../blockchain/chain.js';
+import { addressFromPublicKey, aminoSignBytes, verifySignature } from '../blockchain/secp256k1.js';
+
+const CHALLENGE_TTL_MS = config.wallet.challengeTtlSeconds * 1000;
+
+const STATEMENTS = {
+  sign_in: 'Sign in to PersonaPass.',
+  link: 'Link this wallet to your PersonaPass account.'
+};
+
+// One-time wallet sign-in challenges keyed by nonce:
+// { id: nonce, address, purpose, message, createdAt, expiresAt, usedAt }
+const challenges = storage.collection('walletChallenges');
+
+// The text the wallet shows and signs, modelled on Sign-In with Ethereum (EIP-4361)
+const buildMessage = ({ address, purpose, nonce, issuedAt, expiresAt }) => {
+  const baseUrl = config.publicBaseUrl;
+  return [
+    `${new URL(baseUrl).host} wants you to sign in with your PersonaChain account:`,
+    address,
+    '',
+    STATEMENTS[purpose],
+    '',
+    `URI: ${baseUrl}`,
+    `Chain ID: ${getChainConfig().chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expiresAt}`
+  ].join('\n');
+};
+
+// ADR-036 sign doc for arbitrary data: an amino StdSignDoc with a single sign/MsgSignData,
+// an empty chain id and zero account number, sequence and fee
+const signDataDocument = (signer, message) => ({
+  chain_id: '',
+  account_number: '0',
+  sequence: '0',
+  fee: { gas: '0', amount: [] },
+  msgs: [{ type: 'sign/MsgSignData', value: { signer, data: Buffer.from(message, 'utf8').toString('base64') } }],
+  memo: ''
+});
+
+// Issue a sign-in message for `address`. `purpose` is 'sign_in' or 'link'.
+export const createWalletChallenge = async (address, purpose = 'sign_in') => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const now = Date.now();
+  const issuedAt = new Date(now).toISOString();
+  const expiresAt = new Date(now + CHALLENGE_TTL_MS).toISOString();
+
+  const record = {
+    id: nonce,
+    address,
+    purpose,
+    message: buildMessage({ address, purpose, nonce, issuedAt, expiresAt }),
+    createdAt: issuedAt,
+    expiresAt,
+    usedAt: null
+  };
+
+  await challenges.insert(record);
+  return { nonce, message: record.message, expiresAt };
+};
+
+// Check an ADR-036 signature over the challenge message. `signature` and `publicKey` are the base64
+// `signature` and `pub_key.value` of the StdSignature a Cosmos wallet's signArbitrary returns.
+// The challenge is burned on first use. Returns { valid, address } or { valid: false, code, message }
+// with an error code from ERROR_CODES.
+export const verifyWalletSignature = async ({ nonce, signature, publicKey }, purpose = 'sign_in') => {
+  const record = nonce && await challenges.modify(String(nonce), (challenge) => (
+    challenge.usedAt || challenge.purpose !== purpose || Date.parse(challenge.expiresAt) < Date.now()
+      ? null
+      : { usedAt: new Date().toISOString() }
+  ));
+
+  if (!record) {
+    return { valid: false, code: 'WALLET_CHALLENGE_INVALID', message: 'Unknown, expired or already used challenge' };
+  }
+
+  const publicKeyBytes = Buffer.from(publicKey, 'base64');
+  const address = addressFromPublicKey(publicKeyBytes, getChainConfig().bech32Prefix);
+  if (address !== record.address) {
+    return { valid: false, code: 'WALLET_SIGNATURE_INVALID', message: 'pubKey does not belong to the challenged address' };
+  }
+
+  const signBytes = aminoSignBytes(signDataDocument(record.address, record.message));
+  if (!verifySignature(publicKeyBytes, signBytes, Buffer.from(signature, 'base64'))) {
+    return { valid: false, code: 'WALLET_SIGNATURE_INVALID', message: 'Signature does not match the challenge message' };
+  }
+
+  return { valid: true, address };
+};
@@ -0,0 +1,421 @@
+import crypto from 'crypto';
+import config from '../config.js';
+import storage, { DuplicateRecordError } from '../storage/index.js';
+import { decodeCbor, decodeCborItem } from '../utils/cbor.js';
+
+// WebAuthn (passkey) registration and assertion checks, following the "Registering a New Credential"
+// and "Verifying an Authentication Assertion" procedures of WebAuthn Level 2. Attestation formats
+// "none" and "packed" (self and x5c) are accepted; attestation certificates are not checked against
+// a metadata service, so attestation only tells us what the authenticator claims to be.
+
+const CHALLENGE_TTL_MS = config.webauthn.challengeTtlSeconds * 1000;
+
+// COSE algorithms we accept, in order of preference: ES256, EdDSA, RS256
+const SUPPORTED_ALGORITHMS = [-7, -8, -257];
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKUP_ELIGIBLE = 0x08;
+const FLAG_BACKED_UP = 0x10;
+const FLAG_ATTESTED_DATA = 0x40;
+
+// One-time challenges keyed by the base64url challenge:
+// { id, purpose ('register' | 'authenticate'), userId, userVerification, createdAt, expiresAt, usedAt }
+const challenges = storage.collection('webauthnChallenges');
+
+// Registered credentials keyed by base64url credential id:
+// { id, userId, name, publicKey (base64url SPKI), algorithm, signCount, transports, aaguid,
+//   attestationFormat, backupEligible, backedUp, createdAt, lastUsedAt }
+const passkeys = storage.collection('passkeys');
+
+export const getRelyingParty = () => ({
+  id: config.webauthn.rpId || new URL(config.publicBaseUrl).hostname,
+  name: config.webauthn.rpName
+});
+
+const allowedOrigins = () => config.webauthn.origins || [new URL(config.publicBaseUrl).origin];
+
+const invalid = (message) => ({ valid: false, code: 'WEBAUTHN_RESPONSE_INVALID', message });
+const failed = (message) => ({ valid: false, code: 'WEBAUTHN_VERIFICATION_FAILED', message });
+
+const issueChallenge = async (purpose, userId, userVerification) => {
+  const now = Date.now();
+  const record = {
+    id: crypto.randomBytes(32).toString('base64url'),
+    purpose,
+    userId: userId || null,
+    userVerification,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + CHALLENGE_TTL_MS).toISOString(),
+    usedAt: null
+  };
+  await challenges.insert(record);
+  return record;
+};
+
+// Burn the challenge echoed in clientDataJSON and check the client data of the ceremony
+const checkClientData = async (clientDataJSON, type, purpose) => {
+  let clientData;
+  try {
+    clientData = JSON.parse(Buffer.from(clientDataJSON, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: invalid('clientDataJSON is not valid JSON') };
+  }
+
+  if (clientData.type !== type) {
+    return { error: invalid(`clientDataJSON type must be ${type}`) };
+  }
+
+  const challenge = typeof clientData.challenge === 'string' && await challenges.modify(clientData.challenge, (record) => (
+    record.usedAt || record.purpose !== purpose || Date.parse(record.expiresAt) < Date.now()
+      ? null
+      : { usedAt: new Date().toISOString() }
+  ));
+  if (!challenge) {
+    return { error: { valid: false, code: 'WEBAUTHN_CHALLENGE_INVALID', message: 'Unknown, expired or already used challenge' } };
+  }
+
+  if (!allowedOrigins().includes(clientData.origin)) {
+    return { error: invalid(`Origin ${clientData.origin} is not allowed`) };
+  }
+
+  return { challenge, clientDataHash: crypto.createHash('sha256').update(Buffer.from(clientDataJSON, 'base64url')).digest() };
+};
+
+// Split authenticator data into its fields; the attested credential is only present when registering
+const parseAuthenticatorData = (authData) => {
+  if (authData.length < 37) {
+    throw new Error('Authenticator data is too short');
+  }
+
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags: authData[32],
+    signCount: authData.readUInt32BE(33)
+  };
+
+  if (parsed.flags & FLAG_ATTESTED_DATA) {
+    if (authData.length < 55) {
+      throw new Error('Attested credential data is truncated');
+    }
+    const idLength = authData.readUInt16BE(53);
+    const keyStart = 55 + idLength;
+    const { value: coseKey } = decodeCborItem(authData, keyStart);
+
+    parsed.aaguid = authData.subarray(37, 53);
+    parsed.credentialId = authData.subarray(55, keyStart);
+    parsed.coseKey = coseKey;
+  }
+
+  return parsed;
+};
+
+// Check the flags and RP ID hash shared by both ceremonies
+const checkAuthenticatorData = (parsed, userVerification) => {
+  const expectedHash = crypto.createHash('sha256').update(getRelyingParty().id).digest();
+  if (!crypto.timingSafeEqual(parsed.rpIdHash, expectedHash)) {
+    return invalid('Authenticator data is for a different relying party');
+  }
+  if (!(parsed.flags & FLAG_USER_PRESENT)) {
+    return invalid('The user was not present');
+  }
+  if (userVerification === 'required' && !(parsed.flags & FLAG_USER_VERIFIED)) {
+    return invalid('The authenticator did not verify the user');
+  }
+  return null;
+};
+
+// COSE_Key (RFC 9053) to a Node key object. Returns { key, algorithm } or throws for unsupported keys.
+const coseToPublicKey = (coseKey) => {
+  const algorithm = coseKey.get(3);
+  const param = (label) => {
+    const value = coseKey.get(label);
+    if (!Buffer.isBuffer(value)) {
+      throw new Error(`COSE key parameter ${label} is missing`);
+    }
+    return value.toString('base64url');
+  };
+
+  let jwk;
+  if (algorithm === -7 && coseKey.get(1) === 2 && coseKey.get(-1) === 1) {
+    jwk = { kty: 'EC', crv: 'P-256', x: param(-2), y: param(-3) };
+  } else if (algorithm === -8 && coseKey.get(1) === 1 && coseKey.get(-1) === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: param(-2) };
+  } else if (algorithm === -257 && coseKey.get(1) === 3) {
+    jwk = { kty: 'RSA', n: param(-1), e: param(-2) };
+  } else {
+    throw new Error(`Unsupported credential key (alg ${algorithm})`);
+  }
+
+  return { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), algorithm };
+};
+
+const verifyWithAlgorithm = (algorithm, key, data, signature) => {
+  try {
+    if (algorithm === -8) {
+      return crypto.verify(null, data, key, signature);
+    }
+    if (algorithm === -7 || algorithm === -257) {
+      return crypto.verify('sha256', data, key, signature);
+    }
+  } catch (error) {
+    return false;
+  }
+  return false;
+};
+
+// Attestation statement check for the "none" and "packed" formats
+const verifyAttestation = ({ fmt, attStmt }, authData, clientDataHash, credential) => {
+  if (!(attStmt instanceof Map)) {
+    return invalid('Attestation statement must be a map');
+  }
+  if (fmt === 'none') {
+    return attStmt.size === 0 ? null : invalid('"none" attestation must have an empty statement');
+  }
+  if (fmt !== 'packed') {
+    return invalid(`Unsupported attestation format ${fmt}`);
+  }
+
+  const algorithm = attStmt.get('alg');
+  const signature = attStmt.get('sig');
+  const x5c = attStmt.get('x5c');
+  if (!Buffer.isBuffer(signature) || typeof algorithm !== 'number') {
+    return invalid('Packed attestation statement is missing alg or sig');
+  }
+
+  const signedData = Buffer.concat([authData, clientDataHash]);
+
+  if (!x5c) {
+    // Self attestation: signed with the credential key itself
+    if (algorithm !== credential.algorithm) {
+      return invalid('Self attestation algorithm does not match the credential key');
+    }
+    return verifyWithAlgorithm(algorithm, credential.key, signedData, signature)
+      ? null
+      : failed('Attestation signature is invalid');
+  }
+
+  let certificate;
+  try {
+    certificate = new crypto.X509Certificate(x5c[0]);
+  } catch (error) {
+    return invalid('Attestation certificate could not be parsed');
+  }
+
+  const now = Date.now();
+  if (now < Date.parse(certificate.validFrom) || now > Date.parse(certificate.validTo)) {
+    return invalid('Attestation certificate is not currently valid');
+  }
+  if (!/OU=Authenticator Attestation/.test(certificate.subject)) {
+    return invalid('Attestation certificate subject must have OU=Authenticator Attestation');
+  }
+
+  return verifyWithAlgorithm(algorithm, certificate.publicKey, signedData, signature)
+    ? null
+    : failed('Attestation signature is invalid');
+};
+
+const toSummary = (passkey) => ({
+  id: passkey.id,
+  name: passkey.name,
+  transports: passkey.transports,
+  backedUp: passkey.backedUp,
+  createdAt: passkey.createdAt,
+  lastUsedAt: passkey.lastUsedAt
+});
+
+export const listPasskeys = async (userId) => (await passkeys.find({ userId }))
+  .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+  .map(toSummary);
+
+// Remove one of the user's passkeys. Returns the removed passkey summary, or null.
+export const removePasskey = async (userId, credentialId) => {
+  const passkey = await passkeys.get(credentialId);
+  if (!passkey || passkey.userId !== userId) {
+    return null;
+  }
+  await passkeys.delete(credentialId);
+  return toSummary(passkey);
+};
+
+// Remove every passkey of an account (account recovery). Returns how many there were.
+export const removeAllPasskeys = async (userId) => {
+  const all = await passkeys.find({ userId });
+  for (const passkey of all) {
+    await passkeys.delete(passkey.id);
+  }
+  return all.length;
+};
+
+// PublicKeyCredentialCreationOptions (JSON form, binary fields base64url) for a signed-in account
+export const createRegistrationOptions = async (account) => {
+  const existing = await passkeys.find({ userId: account.id });
+  const challenge = await issueChallenge('register', account.id, 'preferred');
+
+  return {
+    challenge: challenge.id,
+    rp: getRelyingParty(),
+    user: {
+      id: Buffer.from(account.id).toString('base64url'),
+      name: account.email,
+      displayName: account.email
+    },
+    pubKeyCredParams: SUPPORTED_ALGORITHMS.map((alg) => ({ type: 'public-key', alg })),
+    timeout: CHALLENGE_TTL_MS,
+    attestation: 'direct',
+    excludeCredentials: existing.map((passkey) => ({ type: 'public-key', id: passkey.id, transports: passkey.transports })),
+    authenticatorSelection: { residentKey: 'preferred', userVerification: 'preferred' }
+  };
+};
+
+// Verify a registration response (the JSON form of a PublicKeyCredential with an
+// AuthenticatorAttestationResponse) and store the credential for `account`.
+// Returns { valid, passkey } or { valid: false, code, message } with an error code from ERROR_CODES.
+export const verifyRegistration = async (account, credential, name) => {
+  const { response = {} } = credential;
+  const { challenge, clientDataHash, error } = await checkClientData(response.clientDataJSON, 'webauthn.create', 'register');
+  if (error) {
+    return error;
+  }
+  if (challenge.userId !== account.id) {
+    return { valid: false, code: 'WEBAUTHN_CHALLENGE_INVALID', message: 'The challenge was issued to another account' };
+  }
+
+  let attestation;
+  let parsed;
+  let credentialKey;
+  try {
+    attestation = decodeCbor(Buffer.from(response.attestationObject, 'base64url'));
+    parsed = parseAuthenticatorData(attestation.get('authData'));
+    if (!parsed.credentialId) {
+      return invalid('Authenticator data carries no attested credential');
+    }
+    credentialKey = coseToPublicKey(parsed.coseKey);
+  } catch (cause) {
+    return invalid(`Malformed attestation object: ${cause.message}`);
+  }
+
+  const authDataProblem = checkAuthenticatorData(parsed, challenge.userVerification);
+  if (authDataProblem) {
+    return authDataProblem;
+  }
+
+  const credentialId = parsed.credentialId.toString('base64url');
+  if (credential.id !== credentialId) {
+    return invalid('Credential id does not match the attested credential');
+  }
+
+  const attestationProblem = verifyAttestation(
+    { fmt: attestation.get('fmt'), attStmt: attestation.get('attStmt') },
+    attestation.get('authData'),
+    clientDataHash,
+    credentialKey
+  );
+  if (attestationProblem) {
+    return attestationProblem;
+  }
+
+  const passkey = {
+    id: credentialId,
+    userId: account.id,
+    name: name || 'Passkey',
+    publicKey: credentialKey.key.export({ format: 'der', type: 'spki' }).toString('base64url'),
+    algorithm: credentialKey.algorithm,
+    signCount: parsed.signCount,
+    transports: Array.isArray(response.transports) ? response.transports : [],
+    aaguid: parsed.aaguid.toString('hex'),
+    attestationFormat: attestation.get('fmt'),
+    backupEligible: Boolean(parsed.flags & FLAG_BACKUP_ELIGIBLE),
+    backedUp: Boolean(parsed.flags & FLAG_BACKED_UP),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
+  };
+
+  try {
+    await passkeys.insert(passkey);
+  } catch (cause) {
+    if (cause instanceof DuplicateRecordError) {
+      return { valid: false, code: 'PASSKEY_ALREADY_REGISTERED', message: 'This passkey is already registered' };
+    }
+    throw cause;
+  }
+
+  return { valid: true, passkey: toSummary(passkey) };
+};
+
+// PublicKeyCredentialRequestOptions. For a second factor the account's passkeys are listed (an
+// unknown email gets the same answer as an account without passkeys); for a passwordless sign-in
+// the browser offers discoverable credentials and the authenticator must verify the user, because
+// the passkey is then the only factor.
+export const createAuthenticationOptions = async ({ account = null, passwordless = true } = {}) => {
+  const userVerification = passwordless ? 'required' : 'preferred';
+  const allowed = account ? await passkeys.find({ userId: account.id }) : [];
+  const challenge = await issueChallenge('authenticate', account && account.id, userVerification);
+
+  return {
+    challenge: challenge.id,
+    rpId: getRelyingParty().id,
+    timeout: CHALLENGE_TTL_MS,
+    allowCredentials: allowed.map((passkey) => ({ type: 'public-key', id: passkey.id, transports: passkey.transports })),
+    userVerification
+  };
+};
+
+// Verify an authentication response (a PublicKeyCredential with an AuthenticatorAssertionResponse).
+// With `userId` the passkey must belong to that account; `requireUserVerification` insists on the UV
+// flag whatever the challenge asked for (a passwordless login). The signature counter must grow unless
+// the authenticator does not keep one (both counts zero); a counter that goes backwards points to
+// a cloned authenticator and fails the assertion.
+// Returns { valid, userId, passkey } or { valid: false, code, message }.
+export const verifyAuthentication = async (credential, { userId, requireUserVerification = false } = {}) => {
+  const { response = {} } = credential;
+  const { challenge, clientDataHash, error } = await checkClientData(response.clientDataJSON, 'webauthn.get', 'authenticate');
+  if (error) {
+    return error;
+  }
+
+  const passkey = typeof credential.id === 'string' && await passkeys.get(credential.id);
+  const expectedUser = userId || challenge.userId;
+  if (!passkey || (expectedUser && passkey.userId !== expectedUser)) {
+    return failed('Unknown passkey');
+  }
+  if (response.userHandle && Buffer.from(response.userHandle, 'base64url').toString('utf8') !== passkey.userId) {
+    return failed('User handle does not match the passkey');
+  }
+
+  const authData = Buffer.from(response.authenticatorData || '', 'base64url');
+  let parsed;
+  try {
+    parsed = parseAuthenticatorData(authData);
+  } catch (cause) {
+    return invalid(`Malformed authenticator data: ${cause.message}`);
+  }
+
+  const authDataProblem = checkAuthenticatorData(parsed, requireUserVerification ? 'required' : challenge.userVerification);
+  if (authDataProblem) {
+    return authDataProblem;
+  }
+
+  const key = crypto.createPublicKey({ key: Buffer.from(passkey.publicKey, 'base64url'), format: 'der', type: 'spki' });
+  const signature = Buffer.from(response.signature || '', 'base64url');
+  if (!verifyWithAlgorithm(passkey.algorithm, key, Buffer.concat([authData, clientDataHash]), signature)) {
+    return failed('Assertion signature is invalid');
+  }
+
+  if ((parsed.signCount !== 0 || passkey.signCount !== 0) && parsed.signCount <= passkey.signCount) {
+    return { ...failed('Signature counter did not increase; the authenticator may have been cloned'), counterRegressed: true, passkeyId: passkey.id };
+  }
+
+  await passkeys.update(passkey.id, {
+    signCount: parsed.signCount,
+    backedUp: Boolean(parsed.flags & FLAG_BACKED_UP),
+    lastUsedAt: new Date().toISOString()
+  });
+
+  return {
+    valid: true,
+    userId: passkey.userId,
+    userVerified: Boolean(parsed.flags & FLAG_USER_VERIFIED),
+    passkey: toSummary(passkey)
+  };
+};
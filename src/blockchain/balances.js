@@ -0,0 +1,55 @@
+import config from '../config.js';
+import { lcdGet } from './chain.js';
+
+const CACHE_TTL_MS = config.chain.balanceCacheTtlMs;
+const MAX_CACHE_ENTRIES = 1000;
+
+// Short-lived cache of LCD answers: cacheKey -> { value, expiresAt }
+const cache = new Map();
+
+const cached = async (key, load) => {
+  const hit = cache.get(key);
+  if (hit && hit.expiresAt > Date.now()) {
+    return { ...hit.value, cached: true };
+  }
+
+  const value = await load();
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return { ...value, cached: false };
+};
+
+// All balances of an address, one page at a time
+// (GET /cosmos/bank/v1beta1/balances/{address})
+export const getBalances = (address, { paginationKey, limit } = {}) => cached(
+  `all:${address}:${paginationKey || ''}:${limit || ''}`,
+  async () => {
+    const body = await lcdGet(`/cosmos/bank/v1beta1/balances/${address}`, {
+      'pagination.key': paginationKey,
+      'pagination.limit': limit,
+      'pagination.count_total': true
+    });
+
+    return {
+      balances: body.balances || [],
+      pagination: {
+        nextKey: (body.pagination && body.pagination.next_key) || null,
+        total: body.pagination && body.pagination.total !== undefined ? Number(body.pagination.total) : null
+      }
+    };
+  }
+);
+
+// Balance of a single denom (GET /cosmos/bank/v1beta1/balances/{address}/by_denom)
+export const getBalanceByDenom = (address, denom) => cached(
+  `denom:${address}:${denom}`,
+  async () => {
+    const body = await lcdGet(`/cosmos/bank/v1beta1/balances/${address}/by_denom`, { denom });
+    return {
+      balances: body.balance ? [body.balance] : [],
+      pagination: { nextKey: null, total: body.balance ? 1 : 0 }
+    };
+  }
+);
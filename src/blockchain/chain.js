@@ -0,0 +1,69 @@
+import config from '../config.js';
+import { ApiError } from '../errors.js';
+import { bech32Decode } from '../utils/bech32.js';
+
+const REQUEST_TIMEOUT_MS = config.chain.timeoutMs;
+
+// Endpoints and chain parameters, from config.chain
+export const getChainConfig = () => config.chain;
+
+// Raised when PersonaChain cannot be reached or answers with an error.
+// `code` is one of CHAIN_UNREACHABLE (503), CHAIN_TIMEOUT (504) or CHAIN_ERROR (502, or the
+// upstream 400/404 when the node rejected the query itself).
+export class ChainRequestError extends ApiError {
+  constructor(code, message, { status, upstreamStatus = null } = {}) {
+    super(code, message, { status });
+    this.name = 'ChainRequestError';
+    this.upstreamStatus = upstreamStatus;
+  }
+}
+
+// True for a well-formed bech32 account address with the chain's prefix (20- or 32-byte payload)
+export const isValidAddress = (address, prefix = getChainConfig().bech32Prefix) => {
+  try {
+    const decoded = bech32Decode(address);
+    return decoded.prefix === prefix && (decoded.bytes.length === 20 || decoded.bytes.length === 32);
+  } catch (error) {
+    return false;
+  }
+};
+
+const request = async (baseUrl, path, params = {}) => {
+  const url = new URL(path, baseUrl);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') {
+      url.searchParams.set(key, value);
+    }
+  }
+
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new ChainRequestError('CHAIN_TIMEOUT', `PersonaChain did not respond within ${REQUEST_TIMEOUT_MS}ms`);
+    }
+    throw new ChainRequestError('CHAIN_UNREACHABLE', `PersonaChain node is unreachable: ${error.cause ? error.cause.code || error.cause.message : error.message}`);
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    // LCD errors carry `message`; RPC (JSON-RPC) errors carry `error.data` / `error.message`
+    const message = body && (body.message || (body.error && (body.error.data || body.error.message)));
+    throw new ChainRequestError('CHAIN_ERROR', message || `PersonaChain returned HTTP ${response.status}`, {
+      status: response.status === 400 || response.status === 404 ? response.status : 502,
+      upstreamStatus: response.status
+    });
+  }
+
+  return body;
+};
+
+// GET against the Cosmos SDK REST (LCD) API
+export const lcdGet = (path, params) => request(getChainConfig().apiUrl, path, params);
+
+// GET against the Tendermint/CometBFT RPC
+export const rpcGet = (path, params) => request(getChainConfig().rpcUrl, path, params);
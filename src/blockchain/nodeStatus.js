@@ -0,0 +1,39 @@
+import { getChainConfig, lcdGet, rpcGet } from './chain.js';
+
+// PersonaChain modules the service relies on, by feature name -> module name
+const FEATURE_MODULES = {
+  did_module: 'did',
+  credential_module: 'credential',
+  zk_proof_module: 'zkproof'
+};
+
+// Parse the CometBFT /status response into the fields we report
+export const getNodeStatus = async () => {
+  const body = await rpcGet('/status');
+  const { node_info: nodeInfo, sync_info: syncInfo } = body.result;
+  const { chainId } = getChainConfig();
+
+  return {
+    chainId: nodeInfo.network,
+    expectedChainId: chainId,
+    chainIdMismatch: nodeInfo.network !== chainId,
+    moniker: nodeInfo.moniker,
+    nodeVersion: nodeInfo.version,
+    latestBlockHeight: Number(syncInfo.latest_block_height),
+    latestBlockTime: syncInfo.latest_block_time,
+    catchingUp: Boolean(syncInfo.catching_up)
+  };
+};
+
+// Modules registered on the chain, from the upgrade module's version map
+export const getModules = async () => {
+  const body = await lcdGet('/cosmos/upgrade/v1beta1/module_versions');
+  const modules = (body.module_versions || []).map((entry) => entry.name).sort();
+
+  const features = {};
+  for (const [feature, moduleName] of Object.entries(FEATURE_MODULES)) {
+    features[feature] = modules.includes(moduleName) ? 'available' : 'not_registered';
+  }
+
+  return { modules, features };
+};
@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+import { bech32Encode } from '../utils/bech32.js';
+
+// DER SubjectPublicKeyInfo header for a compressed secp256k1 point
+const SPKI_COMPRESSED_PREFIX = Buffer.from('3036301006072a8648ce3d020106052b8104000a032200', 'hex');
+
+export const publicKeyFromCompressed = (compressed) => {
+  if (!Buffer.isBuffer(compressed) || compressed.length !== 33 || ![2, 3].includes(compressed[0])) {
+    throw new Error('Expected a 33-byte compressed secp256k1 public key');
+  }
+  return crypto.createPublicKey({ key: Buffer.concat([SPKI_COMPRESSED_PREFIX, compressed]), format: 'der', type: 'spki' });
+};
+
+// Cosmos SDK account address: bech32(prefix, RIPEMD160(SHA256(compressed pubkey)))
+export const addressFromPublicKey = (compressed, prefix) => {
+  const sha = crypto.createHash('sha256').update(compressed).digest();
+  return bech32Encode(prefix, crypto.createHash('ripemd160').update(sha).digest());
+};
+
+// Verify a 64-byte r||s signature over SHA-256(message), as produced by Cosmos wallets
+export const verifySignature = (compressed, message, signature) => {
+  if (!Buffer.isBuffer(signature) || signature.length !== 64) {
+    return false;
+  }
+  try {
+    return crypto.verify('sha256', message, { key: publicKeyFromCompressed(compressed), dsaEncoding: 'ieee-p1363' }, signature);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Amino JSON sign bytes: keys sorted, no whitespace, and &, <, > escaped the way the SDK does
+export const sortedJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(sortedJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${sortedJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+export const aminoSignBytes = (signDoc) => Buffer.from(
+  sortedJson(signDoc).replace(/&/g, '\\u0026').replace(/</g, '\\u003c').replace(/>/g, '\\u003e'),
+  'utf8'
+);
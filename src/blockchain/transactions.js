@@ -0,0 +1,274 @@
+import crypto from 'crypto';
+import { ApiError } from '../errors.js';
+import { ChainRequestError, getChainConfig, lcdGet, rpcGet } from './chain.js';
+import { addressFromPublicKey, aminoSignBytes, verifySignature } from './secp256k1.js';
+import { bytesField, decodeFields, getField, getFields, messageField, varintField } from '../utils/protobuf.js';
+
+const SECP256K1_PUBKEY_TYPE = '/cosmos.crypto.secp256k1.PubKey';
+const SIGN_MODE_DIRECT = 1;
+const SIGN_MODE_LEGACY_AMINO_JSON = 127;
+const TX_POLL_INTERVAL_MS = 1000;
+
+// Amino JSON messages we know how to re-encode as protobuf for broadcasting
+const AMINO_CONVERTERS = {
+  'cosmos-sdk/MsgSend': (value) => ({
+    typeUrl: '/cosmos.bank.v1beta1.MsgSend',
+    signer: value.from_address,
+    bytes: Buffer.concat([
+      bytesField(1, value.from_address),
+      bytesField(2, value.to_address),
+      ...(value.amount || []).map(encodeCoin).map((coin) => messageField(3, coin))
+    ])
+  })
+};
+
+// Protobuf messages we can read the signer of: typeUrl -> field number of the signer address
+const PROTO_SIGNER_FIELDS = {
+  '/cosmos.bank.v1beta1.MsgSend': 1
+};
+
+// Raised for transactions that are malformed or not signed by the claimed sender
+export class InvalidTransactionError extends ApiError {
+  constructor(message) {
+    super('INVALID_TRANSACTION', message);
+    this.name = 'InvalidTransactionError';
+  }
+}
+
+function encodeCoin(coin) {
+  return Buffer.concat([bytesField(1, coin.denom), bytesField(2, String(coin.amount))]);
+}
+
+const encodeAny = (typeUrl, value) => Buffer.concat([bytesField(1, typeUrl), bytesField(2, value)]);
+
+const txHash = (txBytes) => crypto.createHash('sha256').update(txBytes).digest('hex').toUpperCase();
+
+const decodeAny = (bytes) => {
+  const fields = decodeFields(bytes);
+  return {
+    typeUrl: getField(fields, 1) ? getField(fields, 1).value.toString('utf8') : '',
+    value: getField(fields, 2) ? getField(fields, 2).value : Buffer.alloc(0)
+  };
+};
+
+// The sender of every message in a TxBody
+const messageSignersOf = (bodyBytes) => getFields(decodeFields(bodyBytes), 1).map((entry) => {
+  const { typeUrl, value } = decodeAny(entry.value);
+  const signerField = PROTO_SIGNER_FIELDS[typeUrl];
+  if (!signerField) {
+    throw new InvalidTransactionError(`Unsupported message type ${typeUrl}`);
+  }
+  const signer = getField(decodeFields(value), signerField);
+  return signer ? signer.value.toString('utf8') : '';
+});
+
+// Split a protobuf TxRaw into its parts and read its single signer: the compressed secp256k1 key,
+// the sign mode and the senders of its messages
+const decodeTxRaw = (txBytes) => {
+  const raw = decodeFields(txBytes);
+  const bodyBytes = getField(raw, 1);
+  const authInfoBytes = getField(raw, 2);
+  const signatures = getFields(raw, 3);
+  if (!bodyBytes || !authInfoBytes || signatures.length === 0) {
+    throw new InvalidTransactionError('txBytes is not a signed TxRaw');
+  }
+
+  const signerInfos = getFields(decodeFields(authInfoBytes.value), 1);
+  if (signerInfos.length !== 1 || signatures.length !== 1) {
+    throw new InvalidTransactionError('Only transactions with a single signer are supported');
+  }
+
+  const signerInfo = decodeFields(signerInfos[0].value);
+  const publicKeyAny = getField(signerInfo, 1);
+  if (!publicKeyAny) {
+    throw new InvalidTransactionError('Transaction does not carry the signer public key');
+  }
+
+  const publicKey = decodeAny(publicKeyAny.value);
+  if (publicKey.typeUrl !== SECP256K1_PUBKEY_TYPE) {
+    throw new InvalidTransactionError(`Unsupported signer key type ${publicKey.typeUrl}`);
+  }
+
+  const modeInfo = getField(signerInfo, 2);
+  const single = modeInfo && getField(decodeFields(modeInfo.value), 1);
+  const mode = single && getField(decodeFields(single.value), 1);
+  if (!mode || Number(mode.value) !== SIGN_MODE_DIRECT) {
+    throw new InvalidTransactionError('txBytes must be signed with SIGN_MODE_DIRECT; send amino signatures as { signed, signature }');
+  }
+
+  return {
+    bodyBytes: bodyBytes.value,
+    authInfoBytes: authInfoBytes.value,
+    signature: signatures[0].value,
+    signerPublicKey: getField(decodeFields(publicKey.value), 1).value,
+    messageSigners: messageSignersOf(bodyBytes.value)
+  };
+};
+
+// account_number of an on-chain account, which SIGN_MODE_DIRECT signatures cover
+const getAccountNumber = async (address) => {
+  let body;
+  try {
+    body = await lcdGet(`/cosmos/auth/v1beta1/accounts/${address}`);
+  } catch (error) {
+    if (error instanceof ChainRequestError && error.upstreamStatus === 404) {
+      throw new InvalidTransactionError(`Account ${address} does not exist on chain`);
+    }
+    throw error;
+  }
+
+  // BaseAccount, or an account type that wraps one (vesting, module accounts)
+  const account = body.account || {};
+  const base = account.base_account || (account.base_vesting_account && account.base_vesting_account.base_account) || account;
+  return base.account_number || '0';
+};
+
+// Check a SIGN_MODE_DIRECT signature: it covers SignDoc { body_bytes, auth_info_bytes, chain_id, account_number }
+const verifyDirectSignature = async (decoded, signer, chain) => {
+  const signDoc = Buffer.concat([
+    bytesField(1, decoded.bodyBytes),
+    bytesField(2, decoded.authInfoBytes),
+    bytesField(3, chain.chainId),
+    varintField(4, await getAccountNumber(signer))
+  ]);
+  if (!verifySignature(decoded.signerPublicKey, signDoc, decoded.signature)) {
+    throw new InvalidTransactionError('Signature does not match the signed document');
+  }
+};
+
+// Turn a Keplr-style signAmino result ({ signed: StdSignDoc, signature: StdSignature }) into TxRaw bytes,
+// after checking the signature and that every message is sent by the signer.
+const encodeAminoTx = ({ signed, signature }, chain) => {
+  if (!signed || !Array.isArray(signed.msgs) || !signed.fee || !signature || !signature.pub_key) {
+    throw new InvalidTransactionError('Amino transactions need { signed, signature } as returned by signAmino');
+  }
+  if (signed.chain_id !== chain.chainId) {
+    throw new InvalidTransactionError(`Transaction was signed for chain ${signed.chain_id}, expected ${chain.chainId}`);
+  }
+
+  const signerPublicKey = Buffer.from(signature.pub_key.value, 'base64');
+  const signatureBytes = Buffer.from(signature.signature, 'base64');
+  if (!verifySignature(signerPublicKey, aminoSignBytes(signed), signatureBytes)) {
+    throw new InvalidTransactionError('Signature does not match the signed document');
+  }
+
+  const messages = signed.msgs.map((msg) => {
+    const convert = AMINO_CONVERTERS[msg.type];
+    if (!convert) {
+      throw new InvalidTransactionError(`Unsupported amino message type ${msg.type}`);
+    }
+    return convert(msg.value);
+  });
+
+  const body = Buffer.concat([
+    ...messages.map((msg) => messageField(1, encodeAny(msg.typeUrl, msg.bytes))),
+    bytesField(2, signed.memo || ''),
+    varintField(3, signed.timeout_height)
+  ]);
+
+  const publicKeyAny = encodeAny(SECP256K1_PUBKEY_TYPE, bytesField(1, signerPublicKey));
+  const modeInfo = messageField(1, varintField(1, SIGN_MODE_LEGACY_AMINO_JSON));
+  const signerInfo = Buffer.concat([messageField(1, publicKeyAny), messageField(2, modeInfo), varintField(3, signed.sequence)]);
+  const fee = Buffer.concat([
+    ...(signed.fee.amount || []).map(encodeCoin).map((coin) => messageField(1, coin)),
+    varintField(2, signed.fee.gas),
+    bytesField(3, signed.fee.payer),
+    bytesField(4, signed.fee.granter)
+  ]);
+  const authInfo = Buffer.concat([messageField(1, signerInfo), messageField(2, fee)]);
+
+  const txBytes = Buffer.concat([messageField(1, body), messageField(2, authInfo), bytesField(3, signatureBytes)]);
+  return { txBytes, signerPublicKey, messageSigners: messages.map((msg) => msg.signer) };
+};
+
+// Validate a signed transaction: the signature must verify, and both the signing key and the sender
+// of every message must be `from`. Accepts { txBytes } (base64 protobuf TxRaw signed with
+// SIGN_MODE_DIRECT) or { signed, signature } (amino JSON).
+export const prepareTransaction = async ({ from, txBytes, signed, signature }) => {
+  const chain = getChainConfig();
+  let prepared;
+
+  try {
+    if (txBytes) {
+      const bytes = Buffer.from(txBytes, 'base64');
+      prepared = { txBytes: bytes, ...decodeTxRaw(bytes) };
+    } else {
+      prepared = encodeAminoTx({ signed, signature }, chain);
+    }
+  } catch (error) {
+    if (error instanceof InvalidTransactionError) throw error;
+    throw new InvalidTransactionError(`Malformed transaction: ${error.message}`);
+  }
+
+  const signer = addressFromPublicKey(prepared.signerPublicKey, chain.bech32Prefix);
+  if (signer !== from) {
+    throw new InvalidTransactionError(`Transaction is signed by ${signer}, not by ${from}`);
+  }
+  const otherSender = prepared.messageSigners.find((address) => address !== from);
+  if (otherSender !== undefined) {
+    throw new InvalidTransactionError(`Transaction contains a message sent by ${otherSender || 'nobody'}, not by ${from}`);
+  }
+
+  if (txBytes) {
+    await verifyDirectSignature(prepared, signer, chain);
+  }
+
+  return { txBytes: prepared.txBytes, signer, hash: txHash(prepared.txBytes) };
+};
+
+// Submit through CometBFT broadcast_tx_sync; resolves with the CheckTx outcome
+export const broadcastTransaction = async (txBytes) => {
+  const body = await rpcGet('/broadcast_tx_sync', { tx: `0x${txBytes.toString('hex')}` });
+  if (body.error) {
+    throw new ChainRequestError('CHAIN_ERROR', body.error.data || body.error.message);
+  }
+
+  const { hash, code, log, codespace } = body.result;
+  return { hash, code: Number(code), log, codespace: codespace || null };
+};
+
+const isNotFound = (error) => /not found/i.test(error.message);
+
+// Look a transaction up by hash. Returns null while it is not in a block yet.
+export const getTransaction = async (hash) => {
+  let body;
+  try {
+    body = await rpcGet('/tx', { hash: `0x${hash}` });
+  } catch (error) {
+    if (error instanceof ChainRequestError && error.code === 'CHAIN_ERROR' && isNotFound(error)) {
+      return null;
+    }
+    throw error;
+  }
+
+  if (body.error) {
+    if (isNotFound({ message: `${body.error.data} ${body.error.message}` })) {
+      return null;
+    }
+    throw new ChainRequestError('CHAIN_ERROR', body.error.data || body.error.message);
+  }
+
+  const { height, tx_result: txResult } = body.result;
+  return {
+    hash: body.result.hash,
+    height: Number(height),
+    code: Number(txResult.code),
+    codespace: txResult.codespace || null,
+    log: txResult.log,
+    gasUsed: txResult.gas_used,
+    gasWanted: txResult.gas_wanted
+  };
+};
+
+// Poll until the transaction is included or `timeoutMs` runs out
+export const waitForTransaction = async (hash, timeoutMs) => {
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    const tx = await getTransaction(hash);
+    if (tx || Date.now() + TX_POLL_INTERVAL_MS > deadline) {
+      return tx;
+    }
+    await new Promise((resolve) => setTimeout(resolve, TX_POLL_INTERVAL_MS));
+  }
+};
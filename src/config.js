@@ -0,0 +1,363 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import Joi from 'joi';
+import { parseOriginPattern } from './utils/origins.js';
+
+// Service configuration in one place. Values come from, in increasing precedence: the defaults below,
+// the JSON file named by CONFIG_FILE (same shape as the exported object) and the environment variables
+// in ENVIRONMENT. Everything is validated once at startup; an invalid configuration, or a production one
+// with required values missing, stops the service with every problem listed. No other module reads
+// process.env. The result holds the secrets too (JWT secret, signing keys, service and gateway credentials),
+// so it is never logged or returned as a whole.
+
+const list = (value) => value.split(',').map((item) => item.trim()).filter(Boolean);
+
+// A JSON value such as a JWK; text that does not parse is passed on for the schema to reject
+const json = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// true / false, a hop count, or a list of proxy addresses
+const trustProxy = (value) => {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return /^\d+$/.test(value) ? Number(value) : list(value);
+};
+
+// Environment variable -> config path. Lists are comma separated (use the config file for a regex containing a comma).
+const ENVIRONMENT = [
+  ['NODE_ENV', 'env'],
+  ['PORT', 'port'],
+  ['PUBLIC_BASE_URL', 'publicBaseUrl'],
+  ['TRUST_PROXY', 'trustProxy', trustProxy],
+  ['LOG_LEVEL', 'logLevel'],
+  ['ADMIN_API_KEY', 'admin.apiKey'],
+  ['JWT_SECRET', 'auth.jwtSecret'],
+  ['JWT_ACCESS_TTL', 'auth.accessTokenTtl'],
+  ['JWT_REFRESH_TTL_DAYS', 'auth.refreshTokenTtlDays'],
+  ['BCRYPT_ROUNDS', 'auth.bcryptRounds'],
+  ['AUTH_LOCKOUT_THRESHOLD', 'auth.lockoutThreshold'],
+  ['AUTH_LOCKOUT_MINUTES', 'auth.lockoutMinutes'],
+  ['RECOVERY_COOLING_OFF_HOURS', 'auth.recoveryCoolingOffHours'],
+  ['STORAGE_BACKEND', 'storage.backend'],
+  ['STORAGE_FILE', 'storage.filePath'],
+  ['SUPABASE_URL', 'storage.supabaseUrl'],
+  ['SUPABASE_SERVICE_ROLE_KEY', 'storage.supabaseServiceKey'],
+  ['SUPABASE_TABLE_PREFIX', 'storage.tablePrefix'],
+  ['CORS_ORIGINS', 'cors.origins', list],
+  ['CSP_CONNECT_SRC', 'csp.connectSrc', list],
+  ['STATUS_LIST_TRUSTED_HOSTS', 'statusList.trustedHosts', list],
+  ['MAIL_TRANSPORT', 'notifications.mailTransport'],
+  ['SMS_TRANSPORT', 'notifications.smsTransport'],
+  ['OUTBOX_DIR', 'notifications.outboxDir'],
+  ['SMTP_URL', 'notifications.smtp.url'],
+  ['MAIL_FROM', 'notifications.smtp.from'],
+  ['SMS_GATEWAY_URL', 'notifications.smsGateway.url'],
+  ['SMS_GATEWAY_TOKEN', 'notifications.smsGateway.token'],
+  ['SMS_SENDER', 'notifications.smsGateway.sender'],
+  ['WEBAUTHN_RP_ID', 'webauthn.rpId'],
+  ['WEBAUTHN_RP_NAME', 'webauthn.rpName'],
+  ['WEBAUTHN_ORIGINS', 'webauthn.origins', list],
+  ['WEBAUTHN_CHALLENGE_TTL_SECONDS', 'webauthn.challengeTtlSeconds'],
+  ['WALLET_CHALLENGE_TTL_SECONDS', 'wallet.challengeTtlSeconds'],
+  ['ISSUER_PRIVATE_KEY_JWK', 'identity.issuerPrivateKeyJwk', json],
+  ['MAX_DIDS_PER_ACCOUNT', 'identity.maxDidsPerAccount'],
+  ['PRESENTATION_CHALLENGE_TTL_SECONDS', 'identity.presentationChallengeTtlSeconds'],
+  ['OIDC_LOGIN_URL', 'oidc.loginUrl'],
+  ['OIDC_SIGNING_KEY_JWK', 'oidc.signingKeyJwk', json],
+  ['OIDC_TOKEN_TTL_SECONDS', 'oidc.tokenTtlSeconds'],
+  ['OPENID4VCI_OFFER_TTL_SECONDS', 'openid4vci.offerTtlSeconds'],
+  ['OPENID4VCI_CREDENTIAL_TYPES', 'openid4vci.credentialTypes', list],
+  ['LAMBDA_TOTP_SETUP_URL', 'lambdaFunctions.totpSetup'],
+  ['LAMBDA_TOTP_VERIFY_URL', 'lambdaFunctions.totpVerify'],
+  ['LAMBDA_SESSION_CREATE_URL', 'lambdaFunctions.sessionCreate'],
+  ['PERSONACHAIN_RPC_ENDPOINT', 'chain.rpcUrl'],
+  ['PERSONACHAIN_API_ENDPOINT', 'chain.apiUrl'],
+  ['PERSONACHAIN_CHAIN_ID', 'chain.chainId'],
+  ['PERSONACHAIN_BECH32_PREFIX', 'chain.bech32Prefix'],
+  ['PERSONACHAIN_DENOM', 'chain.denom'],
+  ['PERSONACHAIN_TIMEOUT_MS', 'chain.timeoutMs'],
+  ['BALANCE_CACHE_TTL_MS', 'chain.balanceCacheTtlMs'],
+  ['HEALTH_PROBE_TIMEOUT_MS', 'health.probeTimeoutMs'],
+  ['READINESS_REQUIRES_CHAIN', 'health.readinessRequiresChain'],
+  ['RATE_LIMIT_STORE', 'rateLimit.store'],
+  ['RATE_LIMIT_REDIS_URL', 'rateLimit.redisUrl'],
+  ['RATE_LIMIT_TOTP', 'rateLimit.policies.totp'],
+  ['RATE_LIMIT_AUTH', 'rateLimit.policies.auth'],
+  ['RATE_LIMIT_READ', 'rateLimit.policies.read'],
+  ['RATE_LIMIT_WRITE', 'rateLimit.policies.write']
+];
+
+// Defaults (or, with no `value`, leaving the setting out) that only make sense on a developer machine;
+// production has to name these itself
+const developmentOnly = (schema, value) => schema.when('/env', {
+  is: 'production',
+  then: Joi.required().messages({ 'any.required': '{#label} is required in production' }),
+  otherwise: value === undefined ? Joi.optional() : Joi.optional().default(value)
+});
+
+const httpUrl = Joi.string().uri({ scheme: ['http', 'https'] });
+
+// A notification transport: `delivering` or the development outbox, which only writes messages to disk
+const transport = (delivering) => Joi.string().valid(delivering, 'outbox').when('/env', {
+  is: 'production',
+  then: Joi.valid(Joi.override, delivering).required().messages({
+    'any.required': `{#label} is required in production (set it to ${delivering})`,
+    'any.only': `{#label} must be ${delivering} in production; the outbox does not deliver messages`
+  }),
+  otherwise: Joi.optional().default('outbox')
+});
+
+const originPattern = Joi.string().custom((value, helpers) => {
+  try {
+    parseOriginPattern(value);
+  } catch (error) {
+    return helpers.error('origin.invalid', { reason: error.message });
+  }
+  return value;
+}).messages({
+  'origin.invalid': '{#label} "{#value}" {#reason}'
+});
+
+const ttlSeconds = Joi.number().integer().min(1).default(300);
+
+const count = Joi.number().integer().min(1);
+
+// A private key as a JWK; without one (development only) the key is generated and kept in storage
+const privateJwk = developmentOnly(Joi.object().unknown().custom((value, helpers) => {
+  try {
+    crypto.createPrivateKey({ key: value, format: 'jwk' });
+  } catch (error) {
+    return helpers.error('jwk.invalid', { reason: error.message });
+  }
+  return value;
+}).messages({
+  'object.base': '{#label} must be a JSON Web Key (a JSON object)',
+  'jwk.invalid': '{#label} is not a usable private key: {#reason}'
+}));
+
+// A setting of notification transport `name`, required while that transport is configured at `transportPath`
+const requiredFor = (schema, transportPath, name) => schema.when(transportPath, {
+  is: name,
+  then: Joi.required().messages({ 'any.required': `{#label} is required for the ${name} transport` })
+});
+
+const budget = Joi.string().pattern(/^[1-9]\d*\/[1-9]\d*$/).messages({
+  'string.pattern.base': '{#label} must look like <points>/<seconds>, e.g. 30/60'
+});
+
+const schema = Joi.object({
+  env: Joi.string().default('development'),
+  port: Joi.number().port().default(3001),
+  // Where clients reach this service; used in issued credentials, OIDC and OpenID4VC metadata
+  publicBaseUrl: developmentOnly(httpUrl, (parent) => `http://localhost:${parent.port}`),
+  // Express `trust proxy`: which X-Forwarded-For hops to believe when working out the client address
+  // (req.ip, used by rate limits and logs). false trusts none; set it when running behind a load balancer:
+  // true for all, a hop count, or addresses / subnets / loopback, linklocal, uniquelocal.
+  trustProxy: Joi.alternatives(
+    Joi.boolean(),
+    Joi.number().integer().min(1),
+    Joi.array().items(Joi.alternatives(
+      Joi.string().ip({ cidr: 'optional' }),
+      Joi.string().valid('loopback', 'linklocal', 'uniquelocal')
+    )).min(1)
+  ).default(false),
+  logLevel: Joi.string().valid('error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly').default('info'),
+  admin: Joi.object({
+    // X-API-Key of the operator routes; without it (development only) they answer ADMIN_API_DISABLED
+    apiKey: developmentOnly(Joi.string())
+  }).default(),
+  auth: Joi.object({
+    // Signs access tokens; without it (development only) a per-process secret logs everyone out on restart
+    jwtSecret: developmentOnly(Joi.string()),
+    accessTokenTtl: Joi.string().pattern(/^[1-9]\d*[smhd]$/).default('15m').messages({
+      'string.pattern.base': '{#label} must be a number with a unit (s, m, h or d), e.g. 15m'
+    }),
+    refreshTokenTtlDays: count.default(7),
+    bcryptRounds: Joi.number().integer().min(4).max(20).default(12),
+    // Failed sign-in attempts (password or second factor) before the account is locked, and for how long
+    lockoutThreshold: count.default(10),
+    lockoutMinutes: count.default(15),
+    // Wait before an account recovery without a backup code can replace the authenticator
+    recoveryCoolingOffHours: Joi.number().integer().min(0).default(72)
+  }).default(),
+  storage: Joi.object({
+    backend: developmentOnly(Joi.string().valid('memory', 'file', 'supabase'), 'file'),
+    filePath: Joi.string().default('data/personapass.json'),
+    supabaseUrl: httpUrl.when('backend', {
+      is: 'supabase',
+      then: Joi.required().messages({ 'any.required': '{#label} is required when storage.backend is supabase' })
+    }),
+    supabaseServiceKey: Joi.string().when('backend', {
+      is: 'supabase',
+      then: Joi.required().messages({ 'any.required': '{#label} is required when storage.backend is supabase' })
+    }),
+    tablePrefix: Joi.string().pattern(/^[a-z0-9_]*$/).default('persona_')
+  }).default(),
+  cors: Joi.object({
+    origins: developmentOnly(Joi.array().items(originPattern), [
+      'http://localhost:3000',
+      'http://localhost:3001',
+      'http://localhost:3004'
+    ])
+  }).default(),
+  csp: Joi.object({
+    // Added to 'self' and the chain endpoints
+    connectSrc: Joi.array().items(Joi.string()).default(['https://*.supabase.co'])
+  }).default(),
+  statusList: Joi.object({
+    // Hosts whose status lists may be fetched when verifying credentials issued elsewhere (https only);
+    // lists served by this service are always read locally
+    trustedHosts: Joi.array().items(Joi.string().hostname()).default([])
+  }).default(),
+  notifications: Joi.object({
+    mailTransport: transport('smtp'),
+    smsTransport: transport('http'),
+    outboxDir: Joi.string().default('data/outbox'),
+    smtp: Joi.object({
+      url: requiredFor(Joi.string().uri({ scheme: ['smtp', 'smtps'] }), '/notifications.mailTransport', 'smtp'),
+      from: requiredFor(Joi.string(), '/notifications.mailTransport', 'smtp')
+    }).default(),
+    smsGateway: Joi.object({
+      url: requiredFor(httpUrl, '/notifications.smsTransport', 'http'),
+      // Sent as a bearer token when set
+      token: Joi.string(),
+      sender: Joi.string().default('PersonaPass')
+    }).default()
+  }).default(),
+  // Passkey relying party. Without rpId and origins (development only) both follow publicBaseUrl.
+  webauthn: Joi.object({
+    rpId: developmentOnly(Joi.string().hostname()),
+    rpName: Joi.string().default('PersonaPass'),
+    origins: developmentOnly(Joi.array().items(Joi.string().uri()).min(1)),
+    challengeTtlSeconds: ttlSeconds
+  }).default(),
+  wallet: Joi.object({
+    challengeTtlSeconds: ttlSeconds
+  }).default(),
+  identity: Joi.object({
+    // Signs issued credentials; its DID is the issuer
+    issuerPrivateKeyJwk: privateJwk,
+    maxDidsPerAccount: count.default(10),
+    presentationChallengeTtlSeconds: ttlSeconds
+  }).default(),
+  oidc: Joi.object({
+    // The web app page /oidc/authorize sends the browser to for sign-in and consent
+    loginUrl: developmentOnly(httpUrl, 'http://localhost:3000/oidc/consent'),
+    // RS256 key that signs ID tokens
+    signingKeyJwk: privateJwk,
+    tokenTtlSeconds: ttlSeconds.default(3600)
+  }).default(),
+  openid4vci: Joi.object({
+    offerTtlSeconds: ttlSeconds.default(86400),
+    // Credential types wallets may be offered
+    credentialTypes: Joi.array().items(Joi.string().pattern(/^[A-Z][A-Za-z0-9]*$/)).min(1)
+      .default(['EmailVerificationCredential', 'PhoneVerificationCredential', 'KycCredential'])
+      .messages({ 'string.pattern.base': '{#label} must be a PascalCase name, e.g. EmailVerificationCredential' })
+  }).default(),
+  // Reported by /api/status only
+  lambdaFunctions: Joi.object({
+    totpSetup: httpUrl,
+    totpVerify: httpUrl,
+    sessionCreate: httpUrl
+  }).default(),
+  chain: Joi.object({
+    rpcUrl: developmentOnly(httpUrl, 'http://44.201.59.57:26657'),
+    apiUrl: developmentOnly(httpUrl, 'http://44.201.59.57:1317'),
+    chainId: Joi.string().default('personachain-1'),
+    bech32Prefix: Joi.string().pattern(/^[a-z]+$/).default('persona'),
+    denom: Joi.string().default('upersona'),
+    timeoutMs: Joi.number().integer().min(1).default(5000),
+    // How long balance answers from the LCD are reused
+    balanceCacheTtlMs: Joi.number().integer().min(0).default(5000)
+  }).default(),
+  health: Joi.object({
+    probeTimeoutMs: count.default(2000),
+    // Storage is always required for readiness; the chain only with this set, since most routes work without it
+    readinessRequiresChain: Joi.boolean().default(false)
+  }).default(),
+  rateLimit: Joi.object({
+    store: Joi.string().valid('memory', 'redis').default('memory'),
+    redisUrl: Joi.string().uri({ scheme: ['redis', 'rediss'] }).when('store', {
+      is: 'redis',
+      then: Joi.required().messages({ 'any.required': '{#label} is required when rateLimit.store is redis' })
+    }),
+    // <points>/<seconds> per policy, see src/middleware/rateLimit.js
+    policies: Joi.object({
+      totp: budget,
+      auth: budget,
+      read: budget,
+      write: budget
+    }).default()
+  }).default()
+});
+
+// Raised for a configuration the service cannot start with
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    node[key] = node[key] && typeof node[key] === 'object' ? node[key] : {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+};
+
+const readConfigFile = (filePath) => {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new ConfigError([`CONFIG_FILE ${filePath} cannot be read: ${error.message}`]);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError([`CONFIG_FILE ${filePath} is not valid JSON: ${error.message}`]);
+  }
+};
+
+// Name the environment variable that sets a config path, so the message says what to change
+const describe = (detail) => {
+  const path = detail.path.join('.');
+  const variable = ENVIRONMENT.find(([, target]) => path === target || path.startsWith(`${target}.`));
+  return variable ? `${detail.message} (${variable[0]})` : detail.message;
+};
+
+const deepFreeze = (object) => {
+  Object.values(object).filter((value) => value && typeof value === 'object').forEach(deepFreeze);
+  return Object.freeze(object);
+};
+
+export const loadConfig = (env = process.env) => {
+  const raw = env.CONFIG_FILE ? readConfigFile(env.CONFIG_FILE) : {};
+  for (const [variable, path, parse = (value) => value] of ENVIRONMENT) {
+    if (env[variable] !== undefined && env[variable] !== '') {
+      setPath(raw, path, parse(env[variable]));
+    }
+  }
+
+  const { value, error } = schema.validate(raw, { abortEarly: false });
+  if (error) {
+    throw new ConfigError(error.details.map(describe));
+  }
+
+  return deepFreeze(value);
+};
+
+const config = loadConfig();
+
+export default config;
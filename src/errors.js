@@ -0,0 +1,120 @@
+// Stable, machine-readable error codes and the HTTP status each one is answered with.
+// Clients branch on `code`; messages are for humans and may change.
+export const ERROR_CODES = Object.freeze({
+  // Request shape
+  VALIDATION_FAILED: 400,
+  INVALID_JSON: 400,
+  PAYLOAD_TOO_LARGE: 413,
+  NOT_FOUND: 404,
+
+  // Authentication and authorization
+  AUTHENTICATION_REQUIRED: 401,
+  INVALID_CREDENTIALS: 401,
+  INVALID_SECOND_FACTOR: 401,
+  INVALID_REFRESH_TOKEN: 401,
+  TOTP_NOT_ENROLLED: 400,
+  TOTP_ALREADY_ENROLLED: 409,
+  ACCOUNT_EXISTS: 409,
+  ACCOUNT_NOT_FOUND: 404,
+  TOO_MANY_ATTEMPTS: 429,
+  ACCOUNT_LOCKED: 429,
+  RATE_LIMITED: 429,
+  ADMIN_API_DISABLED: 403,
+  FORBIDDEN: 403,
+
+  // Passkeys (WebAuthn)
+  WEBAUTHN_CHALLENGE_INVALID: 400,
+  WEBAUTHN_RESPONSE_INVALID: 400,
+  WEBAUTHN_VERIFICATION_FAILED: 401,
+  PASSKEY_NOT_FOUND: 404,
+  PASSKEY_ALREADY_REGISTERED: 409,
+
+  // OpenID provider consent
+  OIDC_REQUEST_NOT_FOUND: 404,
+  OIDC_DID_REQUIRED: 409,
+
+  // Wallet sign-in
+  WALLET_CHALLENGE_INVALID: 400,
+  WALLET_SIGNATURE_INVALID: 401,
+  WALLET_NOT_LINKED: 401,
+  WALLET_ALREADY_LINKED: 409,
+
+  // Account recovery
+  INVALID_RECOVERY_TOKEN: 401,
+  RECOVERY_NOT_READY: 409,
+  RECOVERY_ENROLLMENT_NOT_STARTED: 409,
+
+  // Email / phone verification
+  ALREADY_VERIFIED: 409,
+  RESEND_TOO_SOON: 429,
+  VERIFICATION_NOT_STARTED: 400,
+  VERIFICATION_CODE_EXPIRED: 400,
+  VERIFICATION_CODE_INVALID: 400,
+  VERIFICATION_ATTEMPTS_EXCEEDED: 400,
+
+  // Identity and credentials
+  DID_NOT_FOUND: 404,
+  DID_LIMIT_REACHED: 409,
+  DID_DEACTIVATED: 410,
+  DID_VERSION_CONFLICT: 409,
+  INVALID_DID_OPERATION: 400,
+  DID_OPERATION_UNAUTHORIZED: 403,
+  DID_NO_AUTHENTICATION_KEY: 409,
+  KYC_NOT_VERIFIED: 403,
+  ADDRESS_NOT_OWNED: 403,
+  CREDENTIAL_NOT_FOUND: 404,
+  CREDENTIAL_STATUS_UNSUPPORTED: 409,
+  CREDENTIAL_ALREADY_REVOKED: 409,
+  STATUS_LIST_NOT_FOUND: 404,
+  INVALID_PRESENTATION: 400,
+
+  // OpenID4VCI offers and OpenID4VP presentation requests
+  CREDENTIAL_OFFER_NOT_FOUND: 404,
+  PRESENTATION_REQUEST_NOT_FOUND: 404,
+  PRESENTATION_RESPONSE_CODE_INVALID: 403,
+
+  // PersonaChain
+  INVALID_TRANSACTION: 400,
+  TX_REJECTED: 422,
+  CHAIN_ERROR: 502,
+  CHAIN_UNREACHABLE: 503,
+  CHAIN_TIMEOUT: 504,
+
+  INTERNAL_ERROR: 500
+});
+
+// An error meant for the client. The error handler renders it as
+// { success: false, code, message, details?, data?, requestId } with the code's HTTP status.
+// `details` lists field-level problems, `data` carries extra context, `headers` are set on the response.
+export class ApiError extends Error {
+  constructor(code, message, { status, details, data, headers } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status || ERROR_CODES[code] || 500;
+    this.details = details;
+    this.data = data;
+    this.headers = headers;
+  }
+}
+
+// An error of the OpenID provider's protocol endpoints, rendered in the OAuth 2.0 format
+// { error, error_description } (RFC 6749 section 5.2) instead of the API envelope.
+// With `redirectUri` the error is reported to the client by redirecting the browser there,
+// carrying `state` (RFC 6749 section 4.1.2.1).
+export class OAuthError extends Error {
+  constructor(error, description, { status = 400, headers, redirectUri, state } = {}) {
+    super(description);
+    this.name = 'OAuthError';
+    this.error = error;
+    this.status = status;
+    this.headers = headers;
+    this.redirectUri = redirectUri;
+    this.state = state;
+  }
+}
+
+// A single field-level validation failure, in the same shape the validate middleware produces
+export const fieldError = (location, field, message) => new ApiError('VALIDATION_FAILED', 'Request validation failed', {
+  details: [{ location, field, message }]
+});
@@ -0,0 +1,44 @@
+import config from './config.js';
+import storage from './storage/index.js';
+import { getNodeStatus } from './blockchain/nodeStatus.js';
+
+const PROBE_TIMEOUT_MS = config.health.probeTimeoutMs;
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Run one dependency check and report { status, latencyMs, error?, ...details }
+const probe = async (check) => {
+  const start = Date.now();
+  try {
+    const details = await withTimeout(check(), PROBE_TIMEOUT_MS);
+    return { status: 'operational', latencyMs: Date.now() - start, ...details };
+  } catch (error) {
+    return { status: 'down', latencyMs: Date.now() - start, error: error.message };
+  }
+};
+
+export const probeStorage = () => probe(async () => {
+  await storage.ping();
+  return { backend: storage.backend };
+});
+
+export const probeBlockchain = () => probe(async () => {
+  const node = await getNodeStatus();
+  if (node.chainIdMismatch) {
+    throw new Error(`Node reports chain-id ${node.chainId}, expected ${node.expectedChainId}`);
+  }
+  return {
+    latestBlockHeight: node.latestBlockHeight,
+    catchingUp: node.catchingUp
+  };
+});
+
+// Storage is required to serve traffic; the chain is only required when
+// READINESS_REQUIRES_CHAIN=true, since most routes work without it.
+export const chainRequiredForReadiness = () => config.health.readinessRequiresChain;
@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import storage from '../storage/index.js';
+import { getIssuer } from './issuer.js';
+import { addProof, verifyProof } from './dataIntegrity.js';
+import { didOf, issuerIdOf, resolveDid, resolveVerificationKey } from './did.js';
+import { allocateStatusEntries, checkCredentialStatus, setCredentialStatus } from './statusList.js';
+import { decodeCompactJws, signCompactJws, verifyCompactJws } from '../utils/jws.js';
+
+export const CREDENTIALS_V2_CONTEXT = 'https://www.w3.org/ns/credentials/v2';
+const VC_JWT_TYPE = 'vc+jwt';
+
+// Issued credentials:
+// { id, subjectDid, holderAddress, type, credential, jwt, issuedAt, status, revokedAt, suspendedAt, statusReason }
+const credentials = storage.collection('credentials');
+
+// Issue a W3C VC Data Model 2.0 credential about `subjectDid`, secured both as a Data Integrity
+// credential (eddsa-jcs-2022) and as a VC-JWT (application/vc+jwt).
+export const issueCredential = async ({ subjectDid, holderAddress, type, claims = {}, validUntil }) => {
+  const issuer = getIssuer();
+  const now = new Date();
+  const { entries, allocation } = await allocateStatusEntries();
+
+  const unsecured = {
+    '@context': [CREDENTIALS_V2_CONTEXT],
+    id: `urn:uuid:${crypto.randomUUID()}`,
+    type: ['VerifiableCredential', type],
+    issuer: issuer.did,
+    validFrom: now.toISOString(),
+    ...(validUntil && { validUntil: new Date(validUntil).toISOString() }),
+    credentialSubject: { ...claims, id: subjectDid },
+    credentialStatus: entries
+  };
+
+  const credential = addProof(unsecured, issuer.privateKey, {
+    verificationMethod: issuer.verificationMethod,
+    proofPurpose: 'assertionMethod'
+  });
+  const jwt = signCompactJws({ typ: VC_JWT_TYPE, kid: issuer.verificationMethod }, unsecured, issuer.privateKey);
+
+  const record = {
+    id: unsecured.id,
+    subjectDid,
+    holderAddress,
+    type,
+    credential,
+    jwt,
+    issuedAt: now.toISOString(),
+    status: allocation,
+    revokedAt: null,
+    suspendedAt: null,
+    statusReason: null
+  };
+  await credentials.insert(record);
+
+  return record;
+};
+
+export const listCredentialsByHolder = (holderAddress) => credentials.find({ holderAddress });
+
+export const getCredentialRecord = (id) => credentials.get(id);
+
+// Flip a credential's bit in its revocation or suspension list. Revocation is permanent;
+// suspension can be lifted again with `suspended: false`.
+export const revokeCredential = async (record, reason) => {
+  await setCredentialStatus(record.status.revocation, true);
+  return credentials.update(record.id, { revokedAt: new Date().toISOString(), statusReason: reason || null });
+};
+
+export const setCredentialSuspended = async (record, suspended, reason) => {
+  await setCredentialStatus(record.status.suspension, suspended);
+  return credentials.update(record.id, {
+    suspendedAt: suspended ? new Date().toISOString() : null,
+    statusReason: suspended ? reason || null : record.statusReason
+  });
+};
+
+const checkValidityPeriod = (credential, now = Date.now()) => {
+  if (credential.validFrom && Date.parse(credential.validFrom) > now) {
+    return 'Credential is not valid yet';
+  }
+  if (credential.validUntil && Date.parse(credential.validUntil) < now) {
+    return 'Credential has expired';
+  }
+  return null;
+};
+
+// Verify a credential given either as a Data Integrity secured object or as a VC-JWT string.
+// Returns { verified, format, credential, checks: { signature, expiry, issuer, status }, errors }.
+export const verifyCredential = async (input) => {
+  const errors = [];
+  const checks = { signature: false, expiry: false, issuer: false, status: false };
+  let format;
+  let credential;
+  let verificationMethod;
+
+  if (typeof input === 'string') {
+    format = 'vc+jwt';
+    let decoded;
+    try {
+      decoded = decodeCompactJws(input);
+    } catch (error) {
+      return { verified: false, format, credential: null, checks, errors: [error.message] };
+    }
+
+    credential = decoded.payload;
+    verificationMethod = decoded.header.kid;
+
+    if (decoded.header.typ !== VC_JWT_TYPE) {
+      errors.push(`Unexpected JWT typ "${decoded.header.typ}"`);
+    }
+    const publicKey = await resolveVerificationKey(verificationMethod, 'assertionMethod');
+    checks.signature = Boolean(publicKey) && verifyCompactJws(decoded, publicKey);
+    if (!checks.signature) {
+      errors.push(publicKey ? 'Signature does not match' : `Verification method ${verificationMethod} is not an assertion method`);
+    }
+  } else if (input && typeof input === 'object') {
+    format = 'ldp_vc';
+    credential = input;
+    verificationMethod = input.proof && input.proof.verificationMethod;
+
+    const result = await verifyProof(input, (method, purpose) =>
+      (purpose === 'assertionMethod' ? resolveVerificationKey(method, purpose) : null));
+    checks.signature = result.verified;
+    if (!result.verified) {
+      errors.push(result.error);
+    }
+  } else {
+    return { verified: false, format: null, credential: null, checks, errors: ['Credential must be a VC-JWT string or a secured credential object'] };
+  }
+
+  const validityError = checkValidityPeriod(credential);
+  checks.expiry = !validityError;
+  if (validityError) {
+    errors.push(validityError);
+  }
+
+  // The signing key must belong to the DID named as issuer, and that DID must resolve
+  const issuerDid = issuerIdOf(credential);
+  const { didDocument } = await resolveDid(issuerDid);
+  checks.issuer = Boolean(didDocument) && didOf(verificationMethod) === issuerDid;
+  if (!checks.issuer) {
+    errors.push(didDocument ? 'Credential was not signed by its issuer' : `Issuer DID ${issuerDid} could not be resolved`);
+  }
+
+  // Status lists are only looked up for a credential whose proof and issuer already check out
+  if (checks.signature && checks.issuer) {
+    const status = await checkCredentialStatus(credential);
+    checks.status = status.valid;
+    errors.push(...status.errors);
+  }
+
+  return {
+    verified: errors.length === 0,
+    format,
+    credential,
+    checks,
+    errors
+  };
+};
@@ -0,0 +1,67 @@
+import crypto from 'crypto';
+import { canonicalize } from '../utils/jcs.js';
+import { base58Decode, base58Encode } from '../utils/multibase.js';
+
+// Data Integrity proofs using the eddsa-jcs-2022 cryptosuite
+// (https://www.w3.org/TR/vc-di-eddsa/#eddsa-jcs-2022)
+
+export const CRYPTOSUITE = 'eddsa-jcs-2022';
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest();
+
+const hashData = (unsecuredDocument, proofConfig) => Buffer.concat([
+  sha256(canonicalize(proofConfig)),
+  sha256(canonicalize(unsecuredDocument))
+]);
+
+// Add a proof to `document`. `options` carries verificationMethod, proofPurpose and, for
+// presentations, challenge/domain.
+export const addProof = (document, privateKey, options) => {
+  const proofConfig = {
+    '@context': document['@context'],
+    type: 'DataIntegrityProof',
+    cryptosuite: CRYPTOSUITE,
+    created: new Date().toISOString(),
+    ...options
+  };
+
+  const signature = crypto.sign(null, hashData(document, proofConfig), privateKey);
+  const proof = { ...proofConfig };
+  delete proof['@context'];
+
+  return {
+    ...document,
+    proof: { ...proof, proofValue: `z${base58Encode(signature)}` }
+  };
+};
+
+// Check the proof on a secured document. `resolveKey(verificationMethod, proofPurpose)` must return
+// the public KeyObject that is authorized for that purpose, or null.
+// Returns { verified, proof, error }.
+export const verifyProof = async (securedDocument, resolveKey) => {
+  const { proof, ...document } = securedDocument || {};
+
+  if (!proof || proof.type !== 'DataIntegrityProof' || proof.cryptosuite !== CRYPTOSUITE) {
+    return { verified: false, proof, error: `Expected a DataIntegrityProof using ${CRYPTOSUITE}` };
+  }
+  if (typeof proof.proofValue !== 'string' || !proof.proofValue.startsWith('z')) {
+    return { verified: false, proof, error: 'Missing or malformed proofValue' };
+  }
+
+  const publicKey = await resolveKey(proof.verificationMethod, proof.proofPurpose);
+  if (!publicKey) {
+    return { verified: false, proof, error: `Verification method ${proof.verificationMethod} is not authorized for ${proof.proofPurpose}` };
+  }
+
+  const { proofValue, ...proofOptions } = proof;
+  const proofConfig = { '@context': document['@context'], ...proofOptions };
+
+  let verified;
+  try {
+    verified = crypto.verify(null, hashData(document, proofConfig), publicKey, base58Decode(proofValue.slice(1)));
+  } catch (error) {
+    verified = false;
+  }
+
+  return { verified, proof, error: verified ? null : 'Signature does not match' };
+};
@@ -0,0 +1,203 @@
+import crypto from 'crypto';
+import storage, { DuplicateRecordError } from '../storage/index.js';
+import { ed25519KeyObjectFromMultibase, multibaseFromKeyObject, multibaseToEd25519 } from '../utils/multibase.js';
+
+export const DID_PREFIX = 'did:persona:';
+const DID_PATTERN = /^did:persona:[0-9a-f]{32}$/;
+
+const DID_CONTEXT = ['https://www.w3.org/ns/did/v1', 'https://w3id.org/security/multikey/v1'];
+const RESOLUTION_CONTEXT = 'https://w3id.org/did-resolution/v1';
+
+// DID records keyed by DID:
+// { id: did, did, ownerId, walletAddress, userData, didDocument, didDocumentMetadata }
+// `ownerId` is the account that created the DID (null for the service's own issuer DID).
+// The record always holds the current document; didDocumentMetadata is { created, updated, versionId, deactivated? }.
+const dids = storage.collection('dids');
+
+// Superseded document versions, one record per version:
+// { id: "<did>;<versionId>", did, versionId, didDocument, didDocumentMetadata }
+const didVersions = storage.collection('didVersions');
+
+const VERSION_ID_PATTERN = /^[1-9]\d*$/;
+
+export const isPersonaDid = (did) => DID_PATTERN.test(String(did || ''));
+
+// Use the caller's Ed25519 Multikey when one is supplied, otherwise generate a key pair.
+// A generated private key is handed back to the caller once and never stored.
+export const prepareVerificationKey = (publicKeyMultibase) => {
+  if (publicKeyMultibase) {
+    multibaseToEd25519(publicKeyMultibase); // throws when it is not an Ed25519 Multikey
+    return { publicKeyMultibase, privateKeyJwk: null };
+  }
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  return {
+    publicKeyMultibase: multibaseFromKeyObject(publicKey),
+    privateKeyJwk: privateKey.export({ format: 'jwk' })
+  };
+};
+
+// A new did:persona identifier. It is random rather than derived from the key so it survives key rotation.
+export const generateDid = () => `${DID_PREFIX}${crypto.randomBytes(16).toString('hex')}`;
+
+// The DID a verification method belongs to: "did:persona:...#key-1" -> "did:persona:..."
+export const didOf = (verificationMethod) => String(verificationMethod || '').split('#')[0];
+
+// The issuer DID of a credential, whose `issuer` is either the DID or an object with it as `id`
+export const issuerIdOf = (credential) => (credential.issuer && typeof credential.issuer === 'object'
+  ? credential.issuer.id
+  : credential.issuer);
+
+// DIDs created before versioning have no versionId; they are on their first version
+const currentVersionId = (record) => record.didDocumentMetadata.versionId || '1';
+
+export const initialDocumentMetadata = (createdAt) => ({ created: createdAt, updated: createdAt, versionId: '1' });
+
+export const getDidRecord = async (did) => (isPersonaDid(did) ? dids.get(did) : null);
+
+// Superseded versions of a DID, oldest first
+export const listDidVersions = async (did) => (await didVersions.find({ did }))
+  .sort((a, b) => Number(a.versionId) - Number(b.versionId));
+
+export const listDidsByOwner = (ownerId) => dids.find({ ownerId });
+
+// The DID record if `ownerId` owns it, otherwise null (callers answer 404 either way,
+// so the response does not reveal whether somebody else's DID exists)
+export const getOwnedDid = async (did, ownerId) => {
+  const record = isPersonaDid(did) && await dids.get(did);
+  return record && record.ownerId === ownerId ? record : null;
+};
+
+// Build a W3C DID Core document with a single Multikey used for authentication and assertions,
+// and as the controller key that signs updates to the DID (capabilityInvocation)
+export const buildDidDocument = (did, publicKeyMultibase) => {
+  const keyId = `${did}#key-1`;
+
+  return {
+    '@context': DID_CONTEXT,
+    id: did,
+    controller: did,
+    verificationMethod: [{
+      id: keyId,
+      type: 'Multikey',
+      controller: did,
+      publicKeyMultibase
+    }],
+    authentication: [keyId],
+    assertionMethod: [keyId],
+    capabilityInvocation: [keyId]
+  };
+};
+
+// Make `didDocument` the DID's current document and move the previous one into the version history.
+// `metadata` is merged into the new version's metadata (e.g. { deactivated: true }).
+// Returns the updated record, or null when another change to the same version got there first.
+export const commitDidVersion = async (record, didDocument, metadata = {}) => {
+  const versionId = currentVersionId(record);
+  const nextVersionId = String(Number(versionId) + 1);
+  const now = new Date().toISOString();
+
+  try {
+    // History ids are unique per version, so only one of two concurrent changes can archive it
+    await didVersions.insert({
+      id: `${record.did};${versionId}`,
+      did: record.did,
+      versionId,
+      didDocument: record.didDocument,
+      didDocumentMetadata: { ...record.didDocumentMetadata, versionId, nextUpdate: now, nextVersionId }
+    });
+  } catch (error) {
+    if (error instanceof DuplicateRecordError) {
+      return null;
+    }
+    throw error;
+  }
+
+  return dids.update(record.did, {
+    didDocument,
+    didDocumentMetadata: { created: record.didDocumentMetadata.created, updated: now, versionId: nextVersionId, ...metadata }
+  });
+};
+
+const resolutionResult = (didDocument, didResolutionMetadata, didDocumentMetadata = {}) => ({
+  '@context': RESOLUTION_CONTEXT,
+  didDocument,
+  didResolutionMetadata,
+  didDocumentMetadata
+});
+
+// The version selected by the versionId / versionTime resolution options (the current one by default),
+// or null when the DID has no such version
+const findVersion = async (record, { versionId, versionTime }) => {
+  const current = {
+    didDocument: record.didDocument,
+    didDocumentMetadata: { ...record.didDocumentMetadata, versionId: currentVersionId(record) }
+  };
+
+  if (versionId !== undefined) {
+    return versionId === current.didDocumentMetadata.versionId
+      ? current
+      : didVersions.get(`${record.did};${versionId}`);
+  }
+
+  if (versionTime !== undefined) {
+    const time = Date.parse(versionTime);
+    if (Date.parse(current.didDocumentMetadata.updated) <= time) {
+      return current;
+    }
+
+    const history = await listDidVersions(record.did);
+    return history.filter((version) => Date.parse(version.didDocumentMetadata.updated) <= time).pop() || null;
+  }
+
+  return current;
+};
+
+// Resolve a did:persona DID into a DID Resolution result
+// (https://w3c-ccg.github.io/did-resolution/#did-resolution-result).
+// `options` may name an earlier version by `versionId` or by `versionTime` (an ISO 8601 timestamp).
+export const resolveDid = async (did, options = {}) => {
+  if (!isPersonaDid(did)) {
+    return resolutionResult(null, { error: 'invalidDid' });
+  }
+
+  const { versionId, versionTime } = options;
+  const invalidVersionId = versionId !== undefined && !VERSION_ID_PATTERN.test(String(versionId));
+  const invalidVersionTime = versionTime !== undefined && Number.isNaN(Date.parse(String(versionTime)));
+  if (invalidVersionId || invalidVersionTime || (versionId !== undefined && versionTime !== undefined)) {
+    return resolutionResult(null, { error: 'invalidOptions' });
+  }
+
+  const record = await dids.get(did);
+  const version = record && record.didDocument
+    && await findVersion(record, { versionId: versionId && String(versionId), versionTime });
+  if (!version) {
+    return resolutionResult(null, { error: 'notFound' });
+  }
+
+  return resolutionResult(
+    version.didDocument,
+    { contentType: 'application/did+ld+json' },
+    version.didDocumentMetadata
+  );
+};
+
+// Look up the public key behind a verification method (e.g. "did:persona:...#key-1").
+// `relationship` restricts the lookup to keys listed under that verification relationship.
+// Keys of deactivated DIDs are not returned.
+export const resolveVerificationKey = async (verificationMethodId, relationship = 'assertionMethod') => {
+  const did = didOf(verificationMethodId);
+  const { didDocument, didDocumentMetadata } = await resolveDid(did);
+  if (!didDocument || didDocumentMetadata.deactivated) {
+    return null;
+  }
+
+  const authorized = (didDocument[relationship] || []).some((entry) =>
+    (typeof entry === 'string' ? entry : entry.id) === verificationMethodId);
+  const method = didDocument.verificationMethod.find((entry) => entry.id === verificationMethodId);
+  if (!authorized || !method) {
+    return null;
+  }
+
+  return ed25519KeyObjectFromMultibase(method.publicKeyMultibase);
+};
@@ -0,0 +1,223 @@
+import Joi from 'joi';
+import { ApiError } from '../errors.js';
+import { publicKeyMultibase } from '../schemas/common.js';
+import { commitDidVersion, getDidRecord, listDidVersions } from './did.js';
+import { ed25519KeyObjectFromMultibase } from '../utils/multibase.js';
+import { decodeCompactJws, verifyCompactJws } from '../utils/jws.js';
+
+// Lifecycle operations on did:persona DIDs, signed by the DID's controller.
+//
+// An operation is a compact JWS (alg EdDSA) whose header `kid` names a capabilityInvocation key of the
+// DID's current document, with the payload
+//   { did, operation: 'update' | 'deactivate', previousVersionId, patch? }
+// `previousVersionId` pins the operation to the version it was written against, so a signed operation
+// can only be applied once and two concurrent updates cannot silently overwrite each other.
+
+const VERIFICATION_RELATIONSHIPS = ['authentication', 'assertionMethod', 'capabilityInvocation', 'capabilityDelegation'];
+const DEFAULT_RELATIONSHIPS = ['authentication', 'assertionMethod'];
+const MAX_VERIFICATION_METHODS = 10;
+const MAX_SERVICES = 20;
+
+// "key-2", "#key-2" or the full "did:persona:...#key-2"
+const didUrlReference = Joi.string().pattern(/^(did:persona:[0-9a-f]{32})?#?[A-Za-z0-9._~-]{1,64}$/).messages({
+  'string.pattern.base': '{#label} must be a DID URL fragment such as key-2'
+});
+
+const patchSchema = Joi.object({
+  addVerificationMethods: Joi.array().items(Joi.object({
+    id: didUrlReference,
+    publicKeyMultibase: publicKeyMultibase.required(),
+    relationships: Joi.array().items(Joi.string().valid(...VERIFICATION_RELATIONSHIPS)).min(1).unique()
+  })).max(MAX_VERIFICATION_METHODS),
+  removeVerificationMethods: Joi.array().items(didUrlReference).unique(),
+  addServices: Joi.array().items(Joi.object({
+    id: didUrlReference.required(),
+    type: Joi.alternatives(Joi.string().max(100), Joi.array().items(Joi.string().max(100)).min(1)).required(),
+    serviceEndpoint: Joi.string().uri().max(2048).required()
+  })).max(MAX_SERVICES),
+  removeServices: Joi.array().items(didUrlReference).unique()
+}).min(1);
+
+const payloadSchema = Joi.object({
+  did: Joi.string().required(),
+  operation: Joi.string().valid('update', 'deactivate').required(),
+  previousVersionId: Joi.string().pattern(/^[1-9]\d*$/).required(),
+  patch: Joi.when('operation', { is: 'update', then: patchSchema.required(), otherwise: Joi.forbidden() })
+});
+
+const invalidOperation = (message, details) => new ApiError('INVALID_DID_OPERATION', message, { details });
+
+const entryId = (entry) => (typeof entry === 'string' ? entry : entry.id);
+
+// Only capabilityInvocation keys control the DID; an authentication key alone cannot change it.
+// Documents written before capabilityInvocation existed have none, so they cannot be updated.
+const controllerKeys = (didDocument) => didDocument.capabilityInvocation || [];
+
+const toDidUrl = (did, reference) => {
+  if (reference.startsWith('did:')) return reference;
+  return reference.startsWith('#') ? `${did}${reference}` : `${did}#${reference}`;
+};
+
+const nextKeyId = (did, usedIds) => {
+  const numbers = [...usedIds].map((id) => Number((/#key-(\d+)$/.exec(id) || [])[1] || 0));
+  return `${did}#key-${Math.max(0, ...numbers) + 1}`;
+};
+
+// Every verification method id the DID has ever used. Ids are never handed to a different key,
+// so a signature naming an old key id cannot be mistaken for one made with its replacement.
+const usedMethodIds = async (record) => {
+  const versions = [...await listDidVersions(record.did), record];
+  return new Set(versions.flatMap((version) => version.didDocument.verificationMethod.map((method) => method.id)));
+};
+
+// Decode the JWS, check it is signed by a controller key of the DID and that its payload is a
+// well-formed `expected` operation against the current version. Returns { record, payload, signedBy }.
+const authorizeOperation = async (did, jws, expected) => {
+  let decoded;
+  try {
+    decoded = decodeCompactJws(jws);
+  } catch (error) {
+    throw invalidOperation(`Operation is not a compact JWS: ${error.message}`);
+  }
+
+  const record = await getDidRecord(did);
+  if (!record || !record.didDocument) {
+    throw new ApiError('DID_NOT_FOUND', 'DID not found');
+  }
+  if (record.didDocumentMetadata.deactivated) {
+    throw new ApiError('DID_DEACTIVATED', 'DID has been deactivated');
+  }
+
+  const { kid } = decoded.header || {};
+  const method = controllerKeys(record.didDocument).map(entryId).includes(kid)
+    && record.didDocument.verificationMethod.find((entry) => entry.id === kid);
+  if (!method || !verifyCompactJws(decoded, ed25519KeyObjectFromMultibase(method.publicKeyMultibase))) {
+    throw new ApiError('DID_OPERATION_UNAUTHORIZED', 'Operation must be signed by a capabilityInvocation key of the DID');
+  }
+
+  const { value: payload, error } = payloadSchema.validate(decoded.payload, {
+    abortEarly: false,
+    stripUnknown: true,
+    errors: { wrap: { label: false } }
+  });
+  if (error) {
+    throw invalidOperation('Operation payload is invalid', error.details.map((detail) => ({
+      location: 'operation',
+      field: detail.path.join('.'),
+      message: detail.message,
+      type: detail.type
+    })));
+  }
+  if (payload.did !== did || payload.operation !== expected) {
+    throw invalidOperation(`Operation is not a ${expected} of ${did}`);
+  }
+
+  const currentVersionId = record.didDocumentMetadata.versionId || '1';
+  if (payload.previousVersionId !== currentVersionId) {
+    throw new ApiError('DID_VERSION_CONFLICT', 'Operation was not made against the current version of the DID', {
+      data: { currentVersionId }
+    });
+  }
+
+  return { record, payload, signedBy: kid };
+};
+
+// Apply an update patch to a copy of the document. Removals happen before additions.
+const applyPatch = (did, current, patch, usedIds) => {
+  const document = structuredClone(current);
+  const methods = document.verificationMethod;
+
+  const removedMethods = new Set((patch.removeVerificationMethods || []).map((reference) => toDidUrl(did, reference)));
+  for (const id of removedMethods) {
+    if (!methods.some((method) => method.id === id)) {
+      throw invalidOperation(`Verification method ${id} is not in the DID document`);
+    }
+  }
+  document.verificationMethod = methods.filter((method) => !removedMethods.has(method.id));
+  for (const relationship of VERIFICATION_RELATIONSHIPS) {
+    if (document[relationship]) {
+      document[relationship] = document[relationship].filter((entry) => !removedMethods.has(entryId(entry)));
+    }
+  }
+
+  for (const added of patch.addVerificationMethods || []) {
+    const id = added.id ? toDidUrl(did, added.id) : nextKeyId(did, usedIds);
+    if (!id.startsWith(`${did}#`)) {
+      throw invalidOperation(`Verification method ${id} does not belong to ${did}`);
+    }
+    if (usedIds.has(id)) {
+      throw invalidOperation(`Verification method id ${id} is or has been in use and cannot be reused`);
+    }
+    usedIds.add(id);
+    if (document.verificationMethod.some((method) => method.publicKeyMultibase === added.publicKeyMultibase)) {
+      throw invalidOperation(`Key ${added.publicKeyMultibase} is already in the DID document`);
+    }
+
+    document.verificationMethod.push({ id, type: 'Multikey', controller: did, publicKeyMultibase: added.publicKeyMultibase });
+    for (const relationship of added.relationships || DEFAULT_RELATIONSHIPS) {
+      document[relationship] = [...(document[relationship] || []), id];
+    }
+  }
+
+  const services = document.service || [];
+  const removedServices = new Set((patch.removeServices || []).map((reference) => toDidUrl(did, reference)));
+  for (const id of removedServices) {
+    if (!services.some((service) => service.id === id)) {
+      throw invalidOperation(`Service ${id} is not in the DID document`);
+    }
+  }
+  document.service = services.filter((service) => !removedServices.has(service.id));
+
+  for (const added of patch.addServices || []) {
+    const id = toDidUrl(did, added.id);
+    if (!id.startsWith(`${did}#`)) {
+      throw invalidOperation(`Service ${id} does not belong to ${did}`);
+    }
+    if (document.service.some((service) => service.id === id)) {
+      throw invalidOperation(`Service ${id} already exists`);
+    }
+    document.service.push({ id, type: added.type, serviceEndpoint: added.serviceEndpoint });
+  }
+
+  // Leave out relationships and services that ended up empty
+  for (const property of [...VERIFICATION_RELATIONSHIPS, 'service']) {
+    if (document[property] && document[property].length === 0) {
+      delete document[property];
+    }
+  }
+
+  if (document.verificationMethod.length > MAX_VERIFICATION_METHODS) {
+    throw invalidOperation(`A DID document can hold at most ${MAX_VERIFICATION_METHODS} verification methods`);
+  }
+  if ((document.service || []).length > MAX_SERVICES) {
+    throw invalidOperation(`A DID document can hold at most ${MAX_SERVICES} services`);
+  }
+  if (controllerKeys(document).length === 0) {
+    throw invalidOperation('The update would leave the DID without a capabilityInvocation key; deactivate it instead');
+  }
+
+  return document;
+};
+
+const commit = async (record, didDocument, metadata) => {
+  const updated = await commitDidVersion(record, didDocument, metadata);
+  if (!updated) {
+    throw new ApiError('DID_VERSION_CONFLICT', 'The DID was changed by another operation; sign against the new version');
+  }
+  return updated;
+};
+
+// Add or remove verification methods and services.
+// Returns { record, signedBy }: the updated DID record and the key that authorized the change.
+export const updateDid = async (did, jws) => {
+  const { record, payload, signedBy } = await authorizeOperation(did, jws, 'update');
+  const didDocument = applyPatch(did, record.didDocument, payload.patch, await usedMethodIds(record));
+  return { record: await commit(record, didDocument), signedBy };
+};
+
+// Deactivate the DID for good. The last document stays resolvable, flagged `deactivated: true`,
+// but its keys no longer verify anything and no further operations are accepted. Returns { record, signedBy }.
+export const deactivateDid = async (did, jws) => {
+  const { record, signedBy } = await authorizeOperation(did, jws, 'deactivate');
+  return { record: await commit(record, record.didDocument, { deactivated: true }), signedBy };
+};
@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+import config from '../config.js';
+import logger from '../logger.js';
+import storage from '../storage/index.js';
+import { buildDidDocument, initialDocumentMetadata } from './did.js';
+import { multibaseFromKeyObject } from '../utils/multibase.js';
+
+// Service keys (development only): { id: 'issuer', privateKeyJwk, createdAt }
+const serviceKeys = storage.collection('serviceKeys');
+const dids = storage.collection('dids');
+
+let issuer = null;
+
+const loadIssuerPrivateKey = async () => {
+  if (config.identity.issuerPrivateKeyJwk) {
+    return crypto.createPrivateKey({ key: config.identity.issuerPrivateKeyJwk, format: 'jwk' });
+  }
+
+  // Development fallback: generate once and keep it in storage so issued credentials survive restarts
+  const stored = await serviceKeys.get('issuer');
+  if (stored) {
+    return crypto.createPrivateKey({ key: stored.privateKeyJwk, format: 'jwk' });
+  }
+
+  logger.warn('ISSUER_PRIVATE_KEY_JWK not set - generated a development issuer key');
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  await serviceKeys.insert({ id: 'issuer', privateKeyJwk: privateKey.export({ format: 'jwk' }), createdAt: new Date().toISOString() });
+  return privateKey;
+};
+
+// Load the issuer key and make sure the issuer's did:persona document is resolvable.
+// The issuer DID is derived from its public key, so it stays stable for a given key.
+export const initIssuer = async () => {
+  const privateKey = await loadIssuerPrivateKey();
+  const publicKeyMultibase = multibaseFromKeyObject(crypto.createPublicKey(privateKey));
+  const did = `did:persona:${crypto.createHash('sha256').update(publicKeyMultibase).digest('hex').substring(0, 32)}`;
+
+  if (!await dids.get(did)) {
+    const createdAt = new Date().toISOString();
+    await dids.insert({
+      id: did,
+      did,
+      ownerId: null,
+      walletAddress: null,
+      userData: { name: 'PersonaPass Issuer', createdAt },
+      didDocument: buildDidDocument(did, publicKeyMultibase),
+      didDocumentMetadata: initialDocumentMetadata(createdAt)
+    });
+  }
+
+  issuer = { did, verificationMethod: `${did}#key-1`, privateKey };
+  logger.info('Credential issuer ready', { did });
+  return issuer;
+};
+
+export const getIssuer = () => {
+  if (!issuer) {
+    throw new Error('Credential issuer has not been initialized');
+  }
+  return issuer;
+};
@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+import config from '../config.js';
+import storage from '../storage/index.js';
+import { ApiError } from '../errors.js';
+import { verifyProof } from './dataIntegrity.js';
+import { didOf, resolveVerificationKey } from './did.js';
+import { verifyCredential } from './credentials.js';
+import { decodeCompactJws, verifyCompactJws } from '../utils/jws.js';
+
+const CHALLENGE_TTL_MS = config.identity.presentationChallengeTtlSeconds * 1000;
+const VP_JWT_TYPE = 'vp+jwt';
+const ENVELOPED_VC_PREFIX = 'data:application/vc+jwt,';
+
+// One-time presentation challenges: { id: challenge, domain, createdAt, expiresAt, usedAt }
+const challenges = storage.collection('presentationChallenges');
+
+export const createChallenge = async (domain) => {
+  const challenge = crypto.randomBytes(24).toString('base64url');
+  const record = {
+    id: challenge,
+    domain: domain || new URL(config.publicBaseUrl).host,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS).toISOString(),
+    usedAt: null
+  };
+
+  await challenges.insert(record);
+  return { challenge: record.id, domain: record.domain, expiresAt: record.expiresAt };
+};
+
+const unusableChallenge = (record) => {
+  if (record.usedAt) {
+    return 'Challenge has already been used';
+  }
+  return Date.parse(record.expiresAt) < Date.now() ? 'Challenge has expired' : null;
+};
+
+// Check a challenge/domain pair and burn the challenge so it cannot be used twice
+export const consumeChallenge = async (challenge, domain) => {
+  let error = 'Unknown challenge';
+  let record = null;
+  const burned = challenge && await challenges.modify(String(challenge), (current) => {
+    record = current;
+    error = unusableChallenge(current);
+    return error ? null : { usedAt: new Date().toISOString() };
+  });
+
+  if (!burned) {
+    return { challenge: false, domain: Boolean(record) && record.domain === domain, error };
+  }
+
+  const domainMatches = burned.domain === domain;
+  return { challenge: true, domain: domainMatches, error: domainMatches ? null : 'Domain does not match the challenge' };
+};
+
+// Embedded credentials may be Data Integrity objects, bare VC-JWTs or EnvelopedVerifiableCredentials
+const unwrapCredential = (entry) => {
+  if (entry && entry.type === 'EnvelopedVerifiableCredential' && String(entry.id).startsWith(ENVELOPED_VC_PREFIX)) {
+    return entry.id.slice(ENVELOPED_VC_PREFIX.length);
+  }
+  return entry;
+};
+
+const credentialSubjectIds = (credential) => [].concat((credential && credential.credentialSubject) || [])
+  .map((subject) => subject.id)
+  .filter(Boolean);
+
+// Verify a presentation given as a Data Integrity secured object or as a VP-JWT string.
+// `expected` may name the challenge and domain the presentation must be bound to (e.g. an OpenID4VP
+// request's nonce and client_id); without it any unused challenge issued for the presentation's domain passes.
+// Returns { verified, format, holder, checks: { signature, challenge, domain, credentials }, credentials, errors };
+// throws INVALID_PRESENTATION when the input cannot be parsed as a presentation at all.
+export const verifyPresentation = async (input, expected = {}) => {
+  const errors = [];
+  const checks = { signature: false, challenge: false, domain: false, credentials: false };
+  let format;
+  let presentation;
+  let verificationMethod;
+  let challenge;
+  let domain;
+
+  if (typeof input === 'string') {
+    format = 'vp+jwt';
+    let decoded;
+    try {
+      decoded = decodeCompactJws(input);
+    } catch (error) {
+      throw new ApiError('INVALID_PRESENTATION', error.message);
+    }
+
+    presentation = decoded.payload;
+    verificationMethod = decoded.header.kid;
+    challenge = presentation.nonce;
+    domain = presentation.aud;
+
+    if (decoded.header.typ !== VP_JWT_TYPE) {
+      errors.push(`Unexpected JWT typ "${decoded.header.typ}"`);
+    }
+    const publicKey = await resolveVerificationKey(verificationMethod, 'authentication');
+    checks.signature = Boolean(publicKey) && verifyCompactJws(decoded, publicKey);
+    if (!checks.signature) {
+      errors.push(publicKey ? 'Holder signature does not match' : `Verification method ${verificationMethod} is not an authentication method`);
+    }
+  } else if (input && typeof input === 'object') {
+    format = 'ldp_vp';
+    presentation = input;
+    verificationMethod = input.proof && input.proof.verificationMethod;
+    challenge = input.proof && input.proof.challenge;
+    domain = input.proof && input.proof.domain;
+
+    const result = await verifyProof(input, (method, purpose) =>
+      (purpose === 'authentication' ? resolveVerificationKey(method, purpose) : null));
+    checks.signature = result.verified;
+    if (!result.verified) {
+      errors.push(`Holder proof: ${result.error}`);
+    }
+  } else {
+    throw new ApiError('INVALID_PRESENTATION', 'Presentation must be a VP-JWT string or a secured presentation object');
+  }
+
+  const holder = typeof presentation.holder === 'object' ? presentation.holder.id : presentation.holder;
+  if (!holder || didOf(verificationMethod) !== holder) {
+    checks.signature = false;
+    errors.push('Presentation was not signed by its holder');
+  }
+
+  // A presentation bound to another challenge or domain is refused without burning its challenge,
+  // which may still be awaited elsewhere
+  const bindingError = (expected.challenge !== undefined && challenge !== expected.challenge && 'Challenge does not match the request')
+    || (expected.domain !== undefined && domain !== expected.domain && 'Domain does not match the request');
+  if (bindingError) {
+    errors.push(bindingError);
+  }
+
+  // The challenge is only burned once the holder's signature checks out, so a forged presentation
+  // cannot use up a challenge it has seen
+  if (checks.signature && !bindingError) {
+    const challengeResult = await consumeChallenge(challenge, domain);
+    checks.challenge = challengeResult.challenge;
+    checks.domain = challengeResult.domain;
+    if (challengeResult.error) {
+      errors.push(challengeResult.error);
+    }
+  }
+
+  const credentialResults = [];
+  for (const entry of [].concat(presentation.verifiableCredential || [])) {
+    const result = await verifyCredential(unwrapCredential(entry));
+    const holderBinding = credentialSubjectIds(result.credential).includes(holder);
+    if (!holderBinding) {
+      result.errors.push('Credential subject is not the presentation holder');
+    }
+    credentialResults.push({ ...result, checks: { ...result.checks, holderBinding }, verified: result.verified && holderBinding });
+  }
+
+  checks.credentials = credentialResults.every((result) => result.verified);
+  if (!checks.credentials) {
+    errors.push('One or more credentials failed verification');
+  }
+
+  return {
+    verified: errors.length === 0,
+    format,
+    holder: holder || null,
+    checks,
+    credentials: credentialResults,
+    errors
+  };
+};
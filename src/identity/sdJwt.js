@@ -0,0 +1,333 @@
+import crypto from 'crypto';
+import { getIssuer } from './issuer.js';
+import { didOf, resolveDid, resolveVerificationKey } from './did.js';
+import { consumeChallenge } from './presentations.js';
+import { decodeCompactJws, signCompactJws, verifyCompactJws } from '../utils/jws.js';
+
+// SD-JWT VCs (IETF SD-JWT and SD-JWT-based Verifiable Credentials). Every attribute is a separate
+// disclosure, so the holder picks what each verifier sees; the issuer-signed JWT only holds their
+// SHA-256 digests. Credentials are bound to the holder DID's authentication key through `cnf`, and a
+// presentation ends with a key binding JWT over the chosen disclosures, a challenge and an audience.
+//
+//   <issuer JWT>~<disclosure>~<disclosure>~...~<KB-JWT>
+
+export const SD_JWT_VC_TYPE = 'dc+sd-jwt';
+const LEGACY_SD_JWT_VC_TYPE = 'vc+sd-jwt';
+const KB_JWT_TYPE = 'kb+jwt';
+
+// Verifiable credential type of the KYC attribute credential
+export const KYC_VCT = 'urn:personapass:vct:kyc-attributes:1';
+
+const AGE_THRESHOLDS = [18, 21];
+const DEFAULT_VALIDITY_MS = 365 * 24 * 60 * 60 * 1000;
+const KB_MAX_AGE_SECONDS = 300;
+
+// Claims about the credential itself rather than the holder; never disclosable
+const REGISTERED_CLAIMS = ['iss', 'iat', 'nbf', 'exp', 'vct', 'cnf', 'status', '_sd_alg'];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const digestOf = (text) => crypto.createHash('sha256').update(text, 'ascii').digest('base64url');
+
+// Full years between a YYYY-MM-DD birth date and today (UTC)
+const ageOn = (birthDate, today = new Date()) => {
+  const [year, month, day] = birthDate.split('-').map(Number);
+  const beforeBirthday = today.getUTCMonth() + 1 < month || (today.getUTCMonth() + 1 === month && today.getUTCDate() < day);
+  return today.getUTCFullYear() - year - (beforeBirthday ? 1 : 0);
+};
+
+// The attributes PersonaPass attests about a KYC-verified account: those the KYC review recorded and
+// the email and phone number once the account proved them. Profile fields the user typed in are never
+// attested. age_equal_or_over is derived from the birth date, so verifiers can learn "18 or older" alone.
+export const kycClaims = (account) => {
+  const { givenName, familyName, birthDate } = account.kycAttributes;
+  return {
+    given_name: givenName,
+    family_name: familyName,
+    birthdate: birthDate,
+    age_equal_or_over: Object.fromEntries(AGE_THRESHOLDS.map((age) => [String(age), ageOn(birthDate) >= age])),
+    ...(account.emailVerified && { email: account.email, email_verified: true }),
+    ...(account.phoneVerified && { phone_number: account.phoneNumber, phone_number_verified: true }),
+    kyc_status: account.kycStatus
+  };
+};
+
+// Replace every claim with a disclosure digest. Nested objects are disclosed recursively: the outer
+// disclosure reveals only the digests of the inner claims, which are disclosed one by one.
+// Pushes { path, value, disclosure } onto `disclosures` and returns the sorted digests.
+const conceal = (claims, disclosures, prefix = '') => {
+  const digests = [];
+
+  for (const [name, value] of Object.entries(claims)) {
+    const path = `${prefix}${name}`;
+    const disclosed = isPlainObject(value) ? { _sd: conceal(value, disclosures, `${path}.`) } : value;
+    const disclosure = Buffer.from(JSON.stringify([crypto.randomBytes(16).toString('base64url'), name, disclosed])).toString('base64url');
+
+    disclosures.push({ path, value: isPlainObject(value) ? undefined : value, disclosure });
+    digests.push(digestOf(disclosure));
+  }
+
+  return digests.sort();
+};
+
+// The public JWK of the first authentication key of a DID, for `cnf`
+const holderJwk = async (did) => {
+  const { didDocument } = await resolveDid(did);
+  const [method] = (didDocument && didDocument.authentication) || [];
+  const key = method && await resolveVerificationKey(typeof method === 'string' ? method : method.id, 'authentication');
+  if (!key) {
+    return null;
+  }
+  const { kty, crv, x } = key.export({ format: 'jwk' });
+  return { kty, crv, x };
+};
+
+// Issue an SD-JWT VC of type `vct` with every claim selectively disclosable, bound to `holderDid`.
+// Returns null when the DID has no usable authentication key. Nothing is stored: the credential
+// carries personal data the service already holds, and the holder keeps the disclosures.
+export const issueSdJwtVc = async ({ holderDid, vct, claims, validUntil }) => {
+  const jwk = await holderJwk(holderDid);
+  if (!jwk) {
+    return null;
+  }
+
+  const issuer = getIssuer();
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = validUntil ? Date.parse(validUntil) : Date.now() + DEFAULT_VALIDITY_MS;
+  const disclosures = [];
+
+  const payload = {
+    iss: issuer.did,
+    iat: issuedAt,
+    exp: Math.floor(expiresAt / 1000),
+    vct,
+    cnf: { jwk },
+    _sd_alg: 'sha-256',
+    _sd: conceal(claims, disclosures)
+  };
+
+  const jwt = signCompactJws({ typ: SD_JWT_VC_TYPE, kid: issuer.verificationMethod }, payload, issuer.privateKey);
+
+  return {
+    sdJwt: `${jwt}~${disclosures.map((entry) => `${entry.disclosure}~`).join('')}`,
+    vct,
+    validUntil: new Date(expiresAt).toISOString(),
+    disclosures: disclosures.map(({ path, value, disclosure }) => ({ path, ...(value !== undefined && { value }), disclosure }))
+  };
+};
+
+const parseDisclosure = (disclosure) => {
+  try {
+    const parsed = JSON.parse(Buffer.from(disclosure, 'base64url').toString('utf8'));
+    return Array.isArray(parsed) && (parsed.length === 3 || parsed.length === 2) && typeof parsed[0] === 'string' ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Rebuild the claims from the digests in the issuer JWT and the disclosures that were presented.
+// Every presented disclosure must be referenced exactly once; undisclosed digests simply disappear.
+const reveal = (payload, disclosureList, errors) => {
+  const byDigest = new Map();
+  for (const disclosure of disclosureList) {
+    const parsed = parseDisclosure(disclosure);
+    const digest = digestOf(disclosure);
+    if (!parsed) {
+      errors.push('A disclosure is not a base64url-encoded JSON array');
+    } else if (byDigest.has(digest)) {
+      errors.push('A disclosure was presented twice');
+    } else {
+      byDigest.set(digest, parsed);
+    }
+  }
+
+  const used = new Set();
+  const disclosed = [];
+
+  const take = (digest) => {
+    const entry = byDigest.get(digest);
+    if (entry && used.has(digest)) {
+      errors.push('A disclosure digest appears more than once in the credential');
+      return null;
+    }
+    if (entry) {
+      used.add(digest);
+    }
+    return entry || null;
+  };
+
+  const walk = (node, path) => {
+    if (Array.isArray(node)) {
+      return node.flatMap((element) => {
+        if (isPlainObject(element) && Object.keys(element).length === 1 && typeof element['...'] === 'string') {
+          const entry = take(element['...']);
+          if (entry && entry.length !== 2) {
+            errors.push('An array element digest points at an object property disclosure');
+          }
+          return entry && entry.length === 2 ? [walk(entry[1], path)] : [];
+        }
+        return [walk(element, path)];
+      });
+    }
+    if (!isPlainObject(node)) {
+      return node;
+    }
+
+    const result = {};
+    for (const [name, value] of Object.entries(node)) {
+      if (name !== '_sd') {
+        result[name] = walk(value, `${path}${name}.`);
+      }
+    }
+    for (const digest of [].concat(node._sd || [])) {
+      const entry = take(digest);
+      if (!entry) {
+        continue;
+      }
+      const [, name, value] = entry;
+      if (entry.length !== 3 || name === '_sd' || name === '...' || Object.hasOwn(result, name)) {
+        errors.push(`Disclosure for "${name}" is not a valid object property disclosure`);
+        continue;
+      }
+      disclosed.push(`${path}${name}`);
+      result[name] = walk(value, `${path}${name}.`);
+    }
+    return result;
+  };
+
+  const claims = walk(payload, '');
+  if (used.size < byDigest.size) {
+    errors.push('A disclosure is not referenced by the credential');
+  }
+
+  return { claims, disclosed };
+};
+
+const checkTimes = ({ iat, nbf, exp }, now = Math.floor(Date.now() / 1000)) => {
+  if (typeof nbf === 'number' && nbf > now) {
+    return 'Credential is not valid yet';
+  }
+  if (typeof exp === 'number' && exp < now) {
+    return 'Credential has expired';
+  }
+  if (typeof iat === 'number' && iat > now + 60) {
+    return 'Credential was issued in the future';
+  }
+  return null;
+};
+
+// Check the key binding JWT: signed by the cnf key, over exactly the presented SD-JWT, recent, and
+// carrying a one-time challenge (from /presentations/challenge) with its domain as aud
+const verifyKeyBinding = async (kbJwt, presentedSdJwt, cnf) => {
+  if (!cnf || !cnf.jwk) {
+    return 'Credential has no cnf key to bind the presentation to';
+  }
+  if (!kbJwt) {
+    return 'Key binding JWT is missing';
+  }
+
+  let decoded;
+  let holderKey;
+  try {
+    decoded = decodeCompactJws(kbJwt);
+    holderKey = crypto.createPublicKey({ key: cnf.jwk, format: 'jwk' });
+  } catch (error) {
+    return `Key binding JWT could not be read: ${error.message}`;
+  }
+
+  const { header, payload } = decoded;
+  const now = Math.floor(Date.now() / 1000);
+  if (header.typ !== KB_JWT_TYPE) {
+    return `Key binding JWT typ must be ${KB_JWT_TYPE}`;
+  }
+  if (!verifyCompactJws(decoded, holderKey)) {
+    return 'Key binding JWT was not signed by the holder key in cnf';
+  }
+  if (payload.sd_hash !== digestOf(presentedSdJwt)) {
+    return 'Key binding JWT sd_hash does not match the presented disclosures';
+  }
+  if (typeof payload.iat !== 'number' || payload.iat > now + 60 || now - payload.iat > KB_MAX_AGE_SECONDS) {
+    return 'Key binding JWT iat is missing or not recent';
+  }
+
+  const challenge = await consumeChallenge(payload.nonce, payload.aud);
+  return challenge.error;
+};
+
+// Verify an SD-JWT VC presentation of a credential this service issued. Returns { verified, format, issuer,
+// vct, validUntil, claims, disclosed, checks: { signature, disclosures, expiry, issuer, keyBinding }, errors }
+// where `claims` holds only what the holder disclosed, and nothing at all unless the presentation verified.
+export const verifySdJwtVc = async (input) => {
+  const errors = [];
+  const checks = { signature: false, disclosures: false, expiry: false, issuer: false, keyBinding: false };
+  const failure = (error) => ({ verified: false, format: SD_JWT_VC_TYPE, issuer: null, vct: null, validUntil: null, claims: {}, disclosed: [], checks, errors: [error] });
+
+  const parts = String(input || '').split('~');
+  if (parts.length < 2) {
+    return failure('Not an SD-JWT: expected <issuer JWT>~<disclosures>~<key binding JWT>');
+  }
+  const [issuerJwt, ...rest] = parts;
+  const kbJwt = rest.pop();
+  const presented = `${issuerJwt}~${rest.map((disclosure) => `${disclosure}~`).join('')}`;
+
+  let decoded;
+  try {
+    decoded = decodeCompactJws(issuerJwt);
+  } catch (error) {
+    return failure(error.message);
+  }
+  const { header, payload } = decoded;
+
+  if (![SD_JWT_VC_TYPE, LEGACY_SD_JWT_VC_TYPE].includes(header.typ)) {
+    errors.push(`Unexpected JWT typ "${header.typ}"`);
+  }
+  const publicKey = await resolveVerificationKey(header.kid, 'assertionMethod');
+  checks.signature = Boolean(publicKey) && verifyCompactJws(decoded, publicKey);
+  if (!checks.signature) {
+    errors.push(publicKey ? 'Signature does not match' : `Verification method ${header.kid} is not an assertion method`);
+  }
+
+  // Only this service attests KYC attributes; any other DID could sign whatever claims it likes
+  const trusted = payload.iss === getIssuer().did;
+  checks.issuer = trusted && didOf(header.kid) === payload.iss;
+  if (!checks.issuer) {
+    errors.push(trusted ? 'Credential was not signed by its issuer' : `Issuer ${payload.iss} is not trusted`);
+  }
+
+  const disclosureErrors = [];
+  if ((payload._sd_alg || 'sha-256') !== 'sha-256') {
+    disclosureErrors.push(`Unsupported _sd_alg "${payload._sd_alg}"`);
+  }
+  const { claims, disclosed } = reveal(payload, rest, disclosureErrors);
+  checks.disclosures = disclosureErrors.length === 0;
+  errors.push(...disclosureErrors);
+
+  const timeError = checkTimes(payload);
+  checks.expiry = !timeError;
+  if (timeError) {
+    errors.push(timeError);
+  }
+
+  const bindingError = await verifyKeyBinding(kbJwt, presented, payload.cnf);
+  checks.keyBinding = !bindingError;
+  if (bindingError) {
+    errors.push(bindingError);
+  }
+
+  for (const name of REGISTERED_CLAIMS) {
+    delete claims[name];
+  }
+
+  const verified = errors.length === 0;
+  return {
+    verified,
+    format: SD_JWT_VC_TYPE,
+    issuer: payload.iss || null,
+    vct: payload.vct || null,
+    validUntil: typeof payload.exp === 'number' ? new Date(payload.exp * 1000).toISOString() : null,
+    claims: verified ? claims : {},
+    disclosed: verified ? disclosed : [],
+    checks,
+    errors
+  };
+};
@@ -0,0 +1,243 @@
+import zlib from 'zlib';
+import config from '../config.js';
+import storage, { DuplicateRecordError } from '../storage/index.js';
+import { getIssuer } from './issuer.js';
+import { addProof, verifyProof } from './dataIntegrity.js';
+import { issuerIdOf, resolveVerificationKey } from './did.js';
+
+// Bitstring Status List v1.0 (https://www.w3.org/TR/vc-bitstring-status-list/)
+
+const CREDENTIALS_V2_CONTEXT = 'https://www.w3.org/ns/credentials/v2';
+const LIST_SIZE = 131072; // bits; the spec minimum, so a single entry cannot be singled out
+const STATUS_PURPOSES = ['revocation', 'suspension'];
+const REMOTE_FETCH_TIMEOUT_MS = 5000;
+const MAX_REMOTE_RESPONSE_BYTES = 512 * 1024;
+const MAX_DECODED_LIST_BYTES = 2 * 1024 * 1024; // 16M entries
+
+// Status lists: { id: '<purpose>-<n>', purpose, bits (base64), nextIndex, size, updatedAt }
+const statusLists = storage.collection('statusLists');
+
+const statusListUrl = (listId) => `${config.publicBaseUrl}/api/identity/status/${listId}`;
+
+const getBit = (bits, index) => (bits[index >> 3] >> (7 - (index % 8))) & 1;
+
+const setBit = (bits, index, value) => {
+  const mask = 1 << (7 - (index % 8));
+  bits[index >> 3] = value ? bits[index >> 3] | mask : bits[index >> 3] & ~mask;
+};
+
+const encodeList = (bits) => `u${zlib.gzipSync(bits).toString('base64url')}`;
+
+const decodeList = (encodedList) => {
+  if (typeof encodedList !== 'string' || !encodedList.startsWith('u')) {
+    throw new Error('encodedList must be a base64url multibase string');
+  }
+  return zlib.gunzipSync(Buffer.from(encodedList.slice(1), 'base64url'), { maxOutputLength: MAX_DECODED_LIST_BYTES });
+};
+
+// Find a list for `purpose` with room left, creating the next one when all are full
+const openListFor = async (purpose) => {
+  const lists = await statusLists.find({ purpose });
+  const open = lists.find((list) => list.nextIndex < list.size);
+  if (open) {
+    return open;
+  }
+
+  const id = `${purpose}-${lists.length + 1}`;
+  try {
+    return await statusLists.insert({
+      id,
+      purpose,
+      bits: Buffer.alloc(LIST_SIZE / 8).toString('base64'),
+      nextIndex: 0,
+      size: LIST_SIZE,
+      updatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    // Another request opened the same list first
+    if (error instanceof DuplicateRecordError) {
+      return statusLists.get(id);
+    }
+    throw error;
+  }
+};
+
+// Take the next free index of a list for `purpose`. The index is taken with one atomic step on the
+// list, so concurrent issuers never share an index; when the list fills up meanwhile, try the next one.
+const reserveIndex = async (purpose) => {
+  for (;;) {
+    const list = await openListFor(purpose);
+    const reserved = await statusLists.modify(list.id, (current) => (
+      current.nextIndex < current.size ? { nextIndex: current.nextIndex + 1 } : null
+    ));
+    if (reserved) {
+      return { listId: list.id, index: reserved.nextIndex - 1 };
+    }
+  }
+};
+
+// Reserve one index in a revocation list and one in a suspension list for a new credential.
+// Returns the `credentialStatus` entries to embed and the allocation to keep with the credential.
+export const allocateStatusEntries = async () => {
+  const entries = [];
+  const allocation = {};
+
+  for (const purpose of STATUS_PURPOSES) {
+    const { listId, index } = await reserveIndex(purpose);
+    allocation[purpose] = { listId, index };
+    entries.push({
+      id: `${statusListUrl(listId)}#${index}`,
+      type: 'BitstringStatusListEntry',
+      statusPurpose: purpose,
+      statusListIndex: String(index),
+      statusListCredential: statusListUrl(listId)
+    });
+  }
+
+  return { entries, allocation };
+};
+
+// Flip one bit as an atomic step on the list, so concurrent changes to other entries are kept
+export const setCredentialStatus = async ({ listId, index }, value) => {
+  const updated = await statusLists.modify(listId, (list) => {
+    const bits = Buffer.from(list.bits, 'base64');
+    setBit(bits, index, value);
+    return { bits: bits.toString('base64'), updatedAt: new Date().toISOString() };
+  });
+  if (!updated) {
+    throw new Error(`Status list ${listId} not found`);
+  }
+};
+
+// The signed BitstringStatusListCredential for a list, or null when it does not exist
+export const getStatusListCredential = async (listId) => {
+  const list = await statusLists.get(listId);
+  if (!list) {
+    return null;
+  }
+
+  const issuer = getIssuer();
+  const url = statusListUrl(list.id);
+
+  return addProof({
+    '@context': [CREDENTIALS_V2_CONTEXT],
+    id: url,
+    type: ['VerifiableCredential', 'BitstringStatusListCredential'],
+    issuer: issuer.did,
+    validFrom: list.updatedAt,
+    credentialSubject: {
+      id: `${url}#list`,
+      type: 'BitstringStatusList',
+      statusPurpose: list.purpose,
+      encodedList: encodeList(Buffer.from(list.bits, 'base64'))
+    }
+  }, issuer.privateKey, {
+    verificationMethod: issuer.verificationMethod,
+    proofPurpose: 'assertionMethod'
+  });
+};
+
+const readBody = async (response, limit) => {
+  if (Number(response.headers.get('content-length')) > limit) {
+    throw new Error('Status list response is too large');
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > limit) {
+      throw new Error('Status list response is too large');
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+// Lists hosted here are read directly. Other lists are only fetched over https from
+// config.statusList.trustedHosts, and their proof is checked.
+const loadStatusListCredential = async (url) => {
+  const localPrefix = statusListUrl('');
+  if (typeof url !== 'string') {
+    throw new Error('statusListCredential must be a URL');
+  }
+  if (url.startsWith(localPrefix)) {
+    return getStatusListCredential(url.slice(localPrefix.length));
+  }
+
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'https:' || !config.statusList.trustedHosts.includes(hostname)) {
+    throw new Error(`Status list host ${hostname} is not trusted`);
+  }
+
+  const response = await fetch(url, {
+    headers: { Accept: 'application/vc+ld+json, application/json' },
+    redirect: 'error',
+    signal: AbortSignal.timeout(REMOTE_FETCH_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    return null;
+  }
+
+  const listCredential = JSON.parse(await readBody(response, MAX_REMOTE_RESPONSE_BYTES));
+  const { verified } = await verifyProof(listCredential, (method, purpose) =>
+    (purpose === 'assertionMethod' ? resolveVerificationKey(method, purpose) : null));
+  return verified ? listCredential : null;
+};
+
+// Check every BitstringStatusListEntry on a credential.
+// Returns { valid, revoked, suspended, errors }.
+export const checkCredentialStatus = async (credential) => {
+  const entries = [].concat(credential.credentialStatus || [])
+    .filter((entry) => entry.type === 'BitstringStatusListEntry' && STATUS_PURPOSES.includes(entry.statusPurpose));
+  const result = { valid: true, revoked: false, suspended: false, errors: [] };
+
+  for (const entry of entries) {
+    let listCredential;
+    try {
+      listCredential = await loadStatusListCredential(entry.statusListCredential);
+    } catch (error) {
+      result.valid = false;
+      result.errors.push(`Status list ${entry.statusListCredential} could not be retrieved: ${error.message}`);
+      continue;
+    }
+
+    const subject = listCredential && listCredential.credentialSubject;
+    if (!subject || subject.statusPurpose !== entry.statusPurpose) {
+      result.valid = false;
+      result.errors.push(`Status list ${entry.statusListCredential} could not be retrieved`);
+      continue;
+    }
+
+    // A list only speaks for the credentials of its own issuer
+    if (issuerIdOf(listCredential) !== issuerIdOf(credential)) {
+      result.valid = false;
+      result.errors.push(`Status list ${entry.statusListCredential} was not issued by the credential's issuer`);
+      continue;
+    }
+
+    let bits;
+    try {
+      bits = decodeList(subject.encodedList);
+    } catch (error) {
+      result.valid = false;
+      result.errors.push(`Status list ${entry.statusListCredential} cannot be decoded: ${error.message}`);
+      continue;
+    }
+
+    const index = parseInt(entry.statusListIndex, 10);
+    if (!Number.isInteger(index) || index < 0 || index >= bits.length * 8) {
+      result.valid = false;
+      result.errors.push(`Status list index ${entry.statusListIndex} is out of range`);
+      continue;
+    }
+
+    if (getBit(bits, index)) {
+      result.valid = false;
+      result[entry.statusPurpose === 'revocation' ? 'revoked' : 'suspended'] = true;
+      result.errors.push(entry.statusPurpose === 'revocation' ? 'Credential has been revoked' : 'Credential is suspended');
+    }
+  }
+
+  return result;
+};
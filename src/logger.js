@@ -0,0 +1,27 @@
+import winston from 'winston';
+import config from './config.js';
+
+// Configure logger
+const logger = winston.createLogger({
+  level: config.logLevel,
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/combined.log' }),
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// Mask an email (or any identifier) before it goes into the logs
+export const maskEmail = (email) => (email ? email.substring(0, 3) + '***' : 'not provided');
+
+// Mask a phone number down to its last two digits
+export const maskPhone = (phone) => (phone ? '***' + phone.slice(-2) : 'not provided');
+
+export default logger;
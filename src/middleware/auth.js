@@ -0,0 +1,66 @@
+import crypto from 'crypto';
+import config from '../config.js';
+import { verifyAccessToken } from '../auth/sessions.js';
+import { ApiError } from '../errors.js';
+
+export const readBearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+const toUser = (claims) => ({
+  id: claims.sub,
+  email: claims.email,
+  sessionId: claims.sid
+});
+
+// Require a valid access token; sets req.user
+export const requireAuth = async (req, res, next) => {
+  try {
+    const token = readBearerToken(req);
+    const claims = token && await verifyAccessToken(token);
+
+    if (!claims) {
+      return next(new ApiError('AUTHENTICATION_REQUIRED', 'Authentication required'));
+    }
+
+    req.user = toUser(claims);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Attach req.user when a valid access token is present, but let anonymous requests through
+export const optionalAuth = async (req, res, next) => {
+  try {
+    const token = readBearerToken(req);
+    const claims = token && await verifyAccessToken(token);
+
+    if (claims) {
+      req.user = toUser(claims);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Require the operator API key (X-API-Key) for administrative routes such as credential issuance
+export const requireAdmin = (req, res, next) => {
+  const expected = config.admin.apiKey;
+  const provided = req.get('X-API-Key') || '';
+
+  if (!expected) {
+    return next(new ApiError('ADMIN_API_DISABLED', 'Admin API is not configured'));
+  }
+
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  const providedHash = crypto.createHash('sha256').update(provided).digest();
+  if (!crypto.timingSafeEqual(expectedHash, providedHash)) {
+    return next(new ApiError('FORBIDDEN', 'Admin API key required'));
+  }
+
+  next();
+};
@@ -0,0 +1,64 @@
+import logger from '../logger.js';
+import { ApiError, OAuthError } from '../errors.js';
+
+// Map errors raised by express.json() onto API errors
+const fromBodyParser = (err) => {
+  if (err.type === 'entity.parse.failed') {
+    return new ApiError('INVALID_JSON', 'Request body is not valid JSON');
+  }
+  if (err.type === 'entity.too.large') {
+    return new ApiError('PAYLOAD_TOO_LARGE', 'Request body is too large');
+  }
+  return null;
+};
+
+// Render an ApiError in the standard error envelope
+export const sendError = (req, res, error) => {
+  if (error.headers) {
+    res.set(error.headers);
+  }
+
+  return res.status(error.status).json({
+    success: false,
+    code: error.code,
+    message: error.message,
+    ...(error.details && { details: error.details }),
+    ...(error.data && { data: error.data }),
+    requestId: req.id
+  });
+};
+
+// Protocol endpoints (OpenID Connect, OpenID4VC) answer in the OAuth format instead (RFC 6749 section 5.2)
+const sendOAuthError = (req, res, error) => {
+  logger.warn('OAuth request rejected', { requestId: req.id, path: req.originalUrl.split('?')[0], error: error.error, reason: error.message });
+
+  return res.status(error.status).set({ 'Cache-Control': 'no-store', Pragma: 'no-cache', ...error.headers }).json({
+    error: error.error,
+    error_description: error.message
+  });
+};
+
+// Last middleware in the chain. Anything that is not an ApiError is an unexpected failure:
+// it is logged in full and the client only gets INTERNAL_ERROR and the request id.
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err instanceof OAuthError) {
+    return sendOAuthError(req, res, err);
+  }
+
+  const error = err instanceof ApiError ? err : fromBodyParser(err);
+
+  if (!error) {
+    logger.error(`Unhandled error in ${req.method} ${req.originalUrl.split('?')[0]} [${req.id}]:`, err);
+    return sendError(req, res, new ApiError('INTERNAL_ERROR', 'Internal server error'));
+  }
+
+  if (error.status >= 500) {
+    logger.warn(`${req.method} ${req.originalUrl.split('?')[0]} failed`, { requestId: req.id, code: error.code, message: error.message });
+  }
+
+  return sendError(req, res, error);
+};
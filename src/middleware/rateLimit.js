@@ -0,0 +1,197 @@
+import { RateLimiterMemory, RateLimiterRedis } from 'rate-limiter-flexible';
+import config from '../config.js';
+import logger from '../logger.js';
+import { ApiError } from '../errors.js';
+import { accessTokenSubject } from '../auth/sessions.js';
+import { readBearerToken } from './auth.js';
+import { sendError } from './errorHandler.js';
+
+// Request budgets per route group. Every request is charged once per key it carries:
+//   ip       the client address (req.ip, which honours config.trustProxy)
+//   account  the account of a validly signed access token
+//   email    the email in the request body, for routes used before the caller has a token
+// A request is refused when any of its keys has run out. A policy's budget can be changed with
+// config.rateLimit.policies (RATE_LIMIT_<POLICY>=<points>/<seconds>, e.g. RATE_LIMIT_AUTH=20/60).
+const POLICIES = {
+  // Anything that checks a one-time code: a 6-digit code must not be guessable by volume. Not keyed by
+  // email: wrong codes already count against the account in src/auth/throttle.js, and an email budget
+  // would let anyone keep a user from logging in.
+  totp: { points: 10, duration: 300, keys: ['ip', 'account'] },
+  // Sign-in, token and challenge endpoints
+  auth: { points: 30, duration: 60, keys: ['ip', 'account', 'email'] },
+  read: { points: 300, duration: 60, keys: ['ip', 'account'] },
+  write: { points: 100, duration: 60, keys: ['ip', 'account'] }
+};
+
+// First match wins. `paths` match the path itself or anything below it; a null policy is not limited.
+const ROUTES = [
+  // Probes from load balancers and orchestrators
+  { paths: ['/health'], policy: null },
+  // Below /passkeys/register, but it only hands out a challenge
+  { methods: ['POST'], paths: ['/api/auth/passkeys/register/options'], policy: 'auth' },
+  {
+    methods: ['POST'],
+    paths: [
+      '/api/auth/login',
+      '/api/auth/create-account',
+      '/api/auth/backup-codes/regenerate',
+      // Its step-up takes a TOTP code
+      '/api/auth/passkeys/register',
+      '/api/auth/recovery/verify',
+      '/api/auth/recovery/confirm',
+      '/api/persona/email/verify-complete',
+      '/api/persona/phone/verify-complete'
+    ],
+    policy: 'totp'
+  },
+  {
+    methods: ['POST'],
+    paths: ['/api/auth', '/api/persona', '/oidc/token', '/openid4vci/nonce', '/openid4vci/credential'],
+    policy: 'auth'
+  },
+  { methods: ['GET', 'HEAD'], policy: 'read' },
+  { policy: 'write' }
+];
+
+const KEYS = {
+  ip: (req) => req.ip,
+  account: (req) => {
+    const token = readBearerToken(req);
+    return token && accessTokenSubject(token);
+  },
+  email: (req) => {
+    const email = req.body && req.body.email;
+    return typeof email === 'string' && email.length <= 254 ? email.trim().toLowerCase() : null;
+  }
+};
+
+// "<points>/<seconds>" from config.rateLimit.policies (validated there), or the built-in budget
+const budgetFor = (name, defaults) => {
+  const value = config.rateLimit.policies[name];
+  if (!value) {
+    return defaults;
+  }
+
+  const [points, duration] = value.split('/').map(Number);
+  return { ...defaults, points, duration };
+};
+
+// Counter stores. redis shares the counters between instances and keeps them across restarts;
+// any Redis-compatible server works. When it is unreachable, each instance falls back to counting in memory.
+const createStore = async ({ store: backend, redisUrl }) => {
+  switch (backend) {
+    case 'memory':
+      return {
+        backend,
+        limiter: (options) => new RateLimiterMemory(options),
+        close: async () => {}
+      };
+    case 'redis': {
+      const { default: Redis } = await import('ioredis');
+      const client = new Redis(redisUrl, { enableOfflineQueue: false });
+      client.on('error', (error) => logger.warn('Rate limit store error', { error: error.message }));
+
+      return {
+        backend,
+        limiter: (options) => new RateLimiterRedis({
+          ...options,
+          storeClient: client,
+          insuranceLimiter: new RateLimiterMemory(options)
+        }),
+        close: async () => {
+          await client.quit();
+        }
+      };
+    }
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${backend}" (expected memory or redis)`);
+  }
+};
+
+let store = null;
+const limiters = {};
+
+// Open the configured store and build one limiter per policy; call before accepting traffic
+export const initRateLimits = async () => {
+  store = await createStore(config.rateLimit);
+  for (const [name, defaults] of Object.entries(POLICIES)) {
+    const budget = budgetFor(name, defaults);
+    limiters[name] = {
+      ...budget,
+      limiter: store.limiter({ keyPrefix: `ratelimit:${name}`, points: budget.points, duration: budget.duration })
+    };
+  }
+  return store.backend;
+};
+
+export const closeRateLimits = async () => {
+  if (store) {
+    await store.close();
+  }
+};
+
+const underPath = (path, prefix) => path === prefix || path.startsWith(`${prefix}/`);
+
+const policyFor = (req) => ROUTES.find((route) => (!route.methods || route.methods.includes(req.method))
+  && (!route.paths || route.paths.some((prefix) => underPath(req.path, prefix)))).policy;
+
+// Charge the request to its policy and describe the tightest of its buckets in RateLimit-* headers
+// (draft-ietf-httpapi-ratelimit-headers). Over the limit, answer 429 RATE_LIMITED with Retry-After.
+export const rateLimit = async (req, res, next) => {
+  const name = policyFor(req);
+  if (!name) {
+    return next();
+  }
+
+  const { points, duration, keys, limiter } = limiters[name];
+  const charged = keys
+    .map((type) => ({ type, value: KEYS[type](req) }))
+    .filter((key) => key.value);
+  if (!charged.length) {
+    return next();
+  }
+
+  const results = await Promise.allSettled(charged.map((key) => limiter.consume(`${key.type}:${key.value}`)));
+
+  // A store failure (as opposed to a spent budget) must not take the API down with it
+  const failure = results.find((result) => result.status === 'rejected' && result.reason instanceof Error);
+  if (failure) {
+    logger.error('Rate limit check failed', { requestId: req.id, policy: name, error: failure.reason.message });
+    return next();
+  }
+
+  const states = results.map((result) => result.value || result.reason);
+  const tightest = states.reduce((a, b) => (b.remainingPoints < a.remainingPoints
+    || (b.remainingPoints === a.remainingPoints && b.msBeforeNext > a.msBeforeNext) ? b : a));
+  const exceeded = results
+    .map((result, index) => (result.status === 'rejected' ? charged[index] : null))
+    .filter(Boolean);
+
+  res.set({
+    'RateLimit-Policy': `${points};w=${duration}`,
+    'RateLimit-Limit': String(points),
+    'RateLimit-Remaining': String(tightest.remainingPoints),
+    'RateLimit-Reset': String(Math.ceil(tightest.msBeforeNext / 1000))
+  });
+
+  if (!exceeded.length) {
+    return next();
+  }
+
+  const retryAfter = Math.max(...results
+    .filter((result) => result.status === 'rejected')
+    .map((result) => Math.ceil(result.reason.msBeforeNext / 1000))) || 1;
+
+  logger.warn('Rate limit exceeded', {
+    requestId: req.id,
+    policy: name,
+    keys: exceeded.map((key) => key.type),
+    ip: req.ip,
+    path: req.originalUrl.split('?')[0]
+  });
+
+  sendError(req, res, new ApiError('RATE_LIMITED', 'Too many requests, please try again later.', {
+    data: { retryAfter },
+    headers: { 'Retry-After': String(retryAfter) }
+  }));
+};
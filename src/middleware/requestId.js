@@ -0,0 +1,12 @@
+import crypto from 'crypto';
+
+// Accept a caller-supplied id (e.g. from a load balancer) only if it is short and printable
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Tag each request with an id that is echoed in X-Request-Id, error bodies and logs
+export const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
@@ -0,0 +1,44 @@
+import { ApiError } from '../errors.js';
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const JOI_OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true,
+  errors: { wrap: { label: false } }
+};
+
+// Validate req.params / req.query / req.body against joi schemas: validate({ body, params, query }).
+// Valid input replaces the original (defaults applied, unknown keys stripped); every problem found
+// is reported at once as VALIDATION_FAILED with one `details` entry per field.
+// The schemas are also exposed on the middleware (`.schemas`) for the OpenAPI description.
+export const validate = (schemas) => {
+  const middleware = (req, res, next) => {
+    const details = [];
+
+    for (const location of LOCATIONS) {
+      const schema = schemas[location];
+      if (!schema) continue;
+
+      const { value, error } = schema.validate(req[location] || {}, JOI_OPTIONS);
+      if (error) {
+        details.push(...error.details.map((detail) => ({
+          location,
+          field: detail.path.join('.'),
+          message: detail.message,
+          type: detail.type
+        })));
+      } else {
+        req[location] = value;
+      }
+    }
+
+    if (details.length > 0) {
+      return next(new ApiError('VALIDATION_FAILED', 'Request validation failed', { details }));
+    }
+    next();
+  };
+
+  middleware.schemas = schemas;
+  return middleware;
+};
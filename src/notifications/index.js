@@ -0,0 +1,35 @@
+import config from '../config.js';
+import { createOutboxTransport } from './outbox.js';
+import { createSmtpTransport } from './smtp.js';
+import { createSmsGatewayTransport } from './smsGateway.js';
+
+// Transport interface: { name, send({ to, subject?, text }) }
+// Transports are chosen by config.notifications (MAIL_TRANSPORT=smtp|outbox, SMS_TRANSPORT=http|outbox);
+// the outbox is for development only, production has to name a delivering transport.
+
+const outboxDir = () => config.notifications.outboxDir;
+
+export const createMailTransport = (name = config.notifications.mailTransport) => {
+  switch (name) {
+    case 'smtp':
+      return createSmtpTransport(config.notifications.smtp);
+    case 'outbox':
+      return createOutboxTransport({ channel: 'email', dir: outboxDir() });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected smtp or outbox)`);
+  }
+};
+
+export const createSmsTransport = (name = config.notifications.smsTransport) => {
+  switch (name) {
+    case 'http':
+      return createSmsGatewayTransport(config.notifications.smsGateway);
+    case 'outbox':
+      return createOutboxTransport({ channel: 'sms', dir: outboxDir() });
+    default:
+      throw new Error(`Unknown SMS_TRANSPORT "${name}" (expected http or outbox)`);
+  }
+};
+
+export const mailer = createMailTransport();
+export const sms = createSmsTransport();
@@ -0,0 +1,17 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger, { maskEmail, maskPhone } from '../logger.js';
+
+// Development transport: messages are appended to <dir>/outbox.jsonl instead of being sent, so verification
+// flows can be completed locally by reading the code from the outbox. The log only notes that a message was
+// written; message bodies carry one-time codes and stay out of it.
+export const createOutboxTransport = ({ channel, dir }) => ({
+  name: 'outbox',
+
+  async send(message) {
+    const entry = { channel, ...message, sentAt: new Date().toISOString() };
+    await fs.mkdir(dir, { recursive: true });
+    await fs.appendFile(path.join(dir, 'outbox.jsonl'), JSON.stringify(entry) + '\n', { mode: 0o600 });
+    logger.info(`📬 Outbox ${channel} message`, { to: channel === 'sms' ? maskPhone(message.to) : maskEmail(message.to) });
+  }
+});
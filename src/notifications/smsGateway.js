@@ -0,0 +1,29 @@
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Generic HTTP SMS gateway: POST { to, message, sender } as JSON with a bearer token.
+// Most providers (or a small adapter in front of them) accept this shape.
+export const createSmsGatewayTransport = ({ url, token, sender }) => {
+  if (!url) {
+    throw new Error('SMS_GATEWAY_URL is required for the http sms transport');
+  }
+
+  return {
+    name: 'http',
+
+    async send({ to, text }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token && { Authorization: `Bearer ${token}` })
+        },
+        body: JSON.stringify({ to, message: text, sender }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        throw new Error(`SMS gateway returned HTTP ${response.status}`);
+      }
+    }
+  };
+};
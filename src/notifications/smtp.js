@@ -0,0 +1,17 @@
+import nodemailer from 'nodemailer';
+
+export const createSmtpTransport = ({ url, from }) => {
+  if (!url || !from) {
+    throw new Error('SMTP_URL and MAIL_FROM are required for the smtp mail transport');
+  }
+
+  const transporter = nodemailer.createTransport(url);
+
+  return {
+    name: 'smtp',
+
+    async send({ to, subject, text }) {
+      await transporter.sendMail({ from, to, subject, text });
+    }
+  };
+};
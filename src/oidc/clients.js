@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+import storage from '../storage/index.js';
+
+export const TOKEN_ENDPOINT_AUTH_METHODS = ['client_secret_basic', 'client_secret_post', 'none'];
+
+// Relying parties allowed to sign users in with PersonaPass:
+// { id: client_id, clientName, redirectUris, tokenEndpointAuthMethod, clientSecretHash, createdAt }
+// Public clients (tokenEndpointAuthMethod 'none') have no secret and rely on PKCE alone.
+const clients = storage.collection('oidcClients');
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest();
+
+// Register a client. The secret is only returned here; just its hash is kept.
+export const registerClient = async ({ clientName, redirectUris, tokenEndpointAuthMethod }) => {
+  const clientSecret = tokenEndpointAuthMethod === 'none' ? null : crypto.randomBytes(32).toString('base64url');
+
+  const client = {
+    id: `pp_${crypto.randomBytes(12).toString('hex')}`,
+    clientName,
+    redirectUris,
+    tokenEndpointAuthMethod,
+    clientSecretHash: clientSecret && hashSecret(clientSecret).toString('hex'),
+    createdAt: new Date().toISOString()
+  };
+  await clients.insert(client);
+
+  return { client, clientSecret };
+};
+
+export const getClient = async (clientId) => (typeof clientId === 'string' && await clients.get(clientId)) || null;
+
+// Check the credentials a client presented at the token endpoint. `method` is how they were sent
+// ('client_secret_basic', 'client_secret_post' or 'none'); it must be the one the client registered.
+// Returns the client, or null.
+export const authenticateClient = async ({ clientId, clientSecret, method }) => {
+  const client = await getClient(clientId);
+  if (!client || client.tokenEndpointAuthMethod !== method) {
+    return null;
+  }
+  if (method === 'none') {
+    return client;
+  }
+
+  const expected = Buffer.from(client.clientSecretHash, 'hex');
+  return crypto.timingSafeEqual(expected, hashSecret(String(clientSecret || ''))) ? client : null;
+};
@@ -0,0 +1,59 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../config.js';
+import logger from '../logger.js';
+import storage from '../storage/index.js';
+
+// Service keys (development only): { id: 'oidc', privateKeyJwk, createdAt }
+const serviceKeys = storage.collection('serviceKeys');
+
+let signingKey = null;
+
+// RFC 7638 JWK thumbprint of an RSA public key, used as its `kid`
+const thumbprint = ({ e, n }) => crypto.createHash('sha256')
+  .update(JSON.stringify({ e, kty: 'RSA', n }))
+  .digest('base64url');
+
+const loadSigningKey = async () => {
+  if (config.oidc.signingKeyJwk) {
+    return crypto.createPrivateKey({ key: config.oidc.signingKeyJwk, format: 'jwk' });
+  }
+
+  // Development fallback: generate once and keep it in storage so issued ID tokens survive restarts
+  const stored = await serviceKeys.get('oidc');
+  if (stored) {
+    return crypto.createPrivateKey({ key: stored.privateKeyJwk, format: 'jwk' });
+  }
+
+  logger.warn('OIDC_SIGNING_KEY_JWK not set - generated a development OpenID provider key');
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  await serviceKeys.insert({ id: 'oidc', privateKeyJwk: privateKey.export({ format: 'jwk' }), createdAt: new Date().toISOString() });
+  return privateKey;
+};
+
+// Load the RS256 key that signs ID tokens
+export const initOidcKeys = async () => {
+  const privateKey = await loadSigningKey();
+  const { kty, n, e } = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+  const kid = thumbprint({ n, e });
+
+  signingKey = { privateKey, kid, publicJwk: { kty, n, e, kid, alg: 'RS256', use: 'sig' } };
+  logger.info('OpenID provider signing key ready', { kid });
+  return signingKey;
+};
+
+const getSigningKey = () => {
+  if (!signingKey) {
+    throw new Error('OpenID provider key not initialised - call initOidcKeys() first');
+  }
+  return signingKey;
+};
+
+// JWK Set published at the jwks_uri
+export const getJwks = () => ({ keys: [getSigningKey().publicJwk] });
+
+// Sign a JWT whose registered claims (iss, sub, aud, exp, iat) are already in `payload`
+export const signJwt = (payload) => {
+  const { privateKey, kid } = getSigningKey();
+  return jwt.sign(payload, privateKey, { algorithm: 'RS256', keyid: kid, noTimestamp: true });
+};
@@ -0,0 +1,320 @@
+import crypto from 'crypto';
+import config from '../config.js';
+import storage from '../storage/index.js';
+import { OAuthError } from '../errors.js';
+import { getOwnedDid } from '../identity/did.js';
+import { PRE_AUTHORIZED_CODE_GRANT } from '../openid4vc/issuance.js';
+import { hash, sameHash } from '../utils/hash.js';
+import { getClient, TOKEN_ENDPOINT_AUTH_METHODS } from './clients.js';
+import { signJwt } from './keys.js';
+
+// "Sign in with PersonaPass": an OpenID Connect provider for the authorization code flow with PKCE.
+// This service has no login pages, so /oidc/authorize hands the browser to the PersonaPass web app
+// (OIDC_LOGIN_URL), which signs the user in with the regular auth routes and reports their consent
+// through /oidc/requests/:requestId/consent. That answer carries the redirect back to the client.
+
+const REQUEST_TTL_MS = 10 * 60 * 1000;
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = config.oidc.tokenTtlSeconds;
+
+// Scopes a client may ask for, and the claims each one releases
+export const SCOPE_CLAIMS = Object.freeze({
+  openid: ['sub'],
+  email: ['email', 'email_verified'],
+  kyc: ['kyc_status']
+});
+
+// Authorization requests waiting for (or past) the user's decision:
+// { id, clientId, redirectUri, scopes, state, nonce, codeChallenge, createdAt, expiresAt,
+//   status ('pending' | 'approved' | 'denied' | 'redeemed'), userId, sub, authTime, codeHash, codeExpiresAt }
+const authRequests = storage.collection('oidcAuthRequests');
+
+// What each account agreed to share with each client: { id: '<clientId>:<userId>', clientId, userId, sub, scopes,
+// createdAt, updatedAt }. `sub` is the DID the client knows the user by; it stays the same on later
+// sign-ins while the account still holds that DID, even if the primary DID changes.
+const grants = storage.collection('oidcGrants');
+
+// Access tokens for /oidc/userinfo, "<id>.<random>" with only the hash kept:
+// { id, tokenHash, clientId, userId, sub, scopes, authRequestId, createdAt, expiresAt, revokedAt }
+const accessTokens = storage.collection('oidcAccessTokens');
+
+const accounts = storage.collection('accounts');
+
+// The issuer is the public base URL, so discovery lives at <base>/.well-known/openid-configuration
+export const getIssuer = () => config.publicBaseUrl;
+
+// OpenID Provider Metadata (OpenID Connect Discovery 1.0, section 3), also served as the OAuth
+// authorization server metadata (RFC 8414) wallets look up for OpenID4VCI
+export const getProviderMetadata = () => {
+  const issuer = getIssuer();
+  return {
+    issuer,
+    authorization_endpoint: `${issuer}/oidc/authorize`,
+    token_endpoint: `${issuer}/oidc/token`,
+    userinfo_endpoint: `${issuer}/oidc/userinfo`,
+    jwks_uri: `${issuer}/oidc/jwks`,
+    registration_endpoint: `${issuer}/oidc/register`,
+    scopes_supported: Object.keys(SCOPE_CLAIMS),
+    response_types_supported: ['code'],
+    response_modes_supported: ['query'],
+    grant_types_supported: ['authorization_code', PRE_AUTHORIZED_CODE_GRANT],
+    'pre-authorized_grant_anonymous_access_supported': true,
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    token_endpoint_auth_methods_supported: TOKEN_ENDPOINT_AUTH_METHODS,
+    code_challenge_methods_supported: ['S256'],
+    claims_supported: [...new Set(['iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'at_hash', ...Object.values(SCOPE_CLAIMS).flat()])],
+    claims_parameter_supported: false,
+    request_parameter_supported: false,
+    request_uri_parameter_supported: false,
+    authorization_response_iss_parameter_supported: true
+  };
+};
+
+// Append query parameters to a client redirect URI (which may already have a query)
+export const redirectWith = (redirectUri, params) => {
+  const target = new URL(redirectUri);
+  for (const [name, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) {
+      target.searchParams.set(name, value);
+    }
+  }
+  return target.toString();
+};
+
+// The claims an account releases for `scopes`, always including `sub`
+const releasedClaims = (account, sub, scopes) => ({
+  sub,
+  ...(scopes.includes('email') && { email: account.email, email_verified: Boolean(account.emailVerified) }),
+  ...(scopes.includes('kyc') && { kyc_status: account.kycStatus })
+});
+
+// The DID a client knows `account` by: the one it was given before if the account still holds it
+// and it is not deactivated, otherwise the primary DID. Null when the account has no DID.
+export const subjectFor = async (clientId, account) => {
+  const grant = await grants.get(`${clientId}:${account.id}`);
+  const previous = grant && await getOwnedDid(grant.sub, account.id);
+  if (previous && !previous.didDocumentMetadata.deactivated) {
+    return grant.sub;
+  }
+  return account.did || null;
+};
+
+// Check an authorization request (RFC 6749 4.1.1 with PKCE, RFC 7636) and remember it until the
+// user decides. Returns the URL of the PersonaPass sign-in and consent page to send the browser to.
+// Problems with client_id or redirect_uri are reported to the user agent; anything after that is
+// reported to the client by redirect.
+export const startAuthorization = async (params) => {
+  const client = await getClient(params.client_id);
+  if (!client) {
+    throw new OAuthError('invalid_request', 'Unknown client_id');
+  }
+  if (!client.redirectUris.includes(params.redirect_uri)) {
+    throw new OAuthError('invalid_request', 'redirect_uri is not registered for this client');
+  }
+
+  const redirect = { redirectUri: params.redirect_uri, state: params.state };
+  const scopes = [...new Set(String(params.scope || '').split(' ').filter(Boolean))];
+  const unknownScopes = scopes.filter((scope) => !Object.hasOwn(SCOPE_CLAIMS, scope));
+
+  if (params.response_type !== 'code') {
+    throw new OAuthError('unsupported_response_type', 'Only response_type=code is supported', redirect);
+  }
+  if (params.request || params.request_uri) {
+    throw new OAuthError(params.request ? 'request_not_supported' : 'request_uri_not_supported',
+      'Request objects are not supported', redirect);
+  }
+  if (!scopes.includes('openid')) {
+    throw new OAuthError('invalid_scope', 'scope must include openid', redirect);
+  }
+  if (unknownScopes.length > 0) {
+    throw new OAuthError('invalid_scope', `Unsupported scope: ${unknownScopes.join(' ')}`, redirect);
+  }
+  if (!/^[A-Za-z0-9_-]{43}$/.test(params.code_challenge || '') || params.code_challenge_method !== 'S256') {
+    throw new OAuthError('invalid_request', 'PKCE is required: send code_challenge with code_challenge_method=S256', redirect);
+  }
+  if (String(params.prompt || '').split(' ').includes('none')) {
+    throw new OAuthError('login_required', 'PersonaPass always asks the user to sign in and consent', redirect);
+  }
+
+  const now = Date.now();
+  const request = {
+    id: crypto.randomBytes(16).toString('hex'),
+    clientId: client.id,
+    redirectUri: params.redirect_uri,
+    scopes,
+    state: params.state || null,
+    nonce: params.nonce || null,
+    codeChallenge: params.code_challenge,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + REQUEST_TTL_MS).toISOString(),
+    status: 'pending',
+    userId: null,
+    sub: null,
+    authTime: null,
+    codeHash: null,
+    codeExpiresAt: null
+  };
+  await authRequests.insert(request);
+
+  const login = new URL(config.oidc.loginUrl);
+  login.searchParams.set('request_id', request.id);
+  return login.toString();
+};
+
+// An authorization request still waiting for the user's decision, or null
+export const getPendingRequest = async (requestId) => {
+  const request = await authRequests.get(requestId);
+  return request && request.status === 'pending' && Date.parse(request.expiresAt) > Date.now() ? request : null;
+};
+
+// The scopes `account` already agreed to share with the client
+export const getGrantedScopes = async (clientId, userId) => {
+  const grant = await grants.get(`${clientId}:${userId}`);
+  return grant ? grant.scopes : [];
+};
+
+// Record the user's consent, issue the authorization code and return the redirect back to the client.
+// `authTime` is when the user signed in (seconds since the epoch), reported as auth_time.
+export const approveAuthorization = async (request, account, sub, authTime) => {
+  const code = `${request.id}.${crypto.randomBytes(32).toString('base64url')}`;
+  const now = new Date();
+
+  await authRequests.update(request.id, {
+    status: 'approved',
+    userId: account.id,
+    sub,
+    authTime,
+    codeHash: hash(code).toString('hex'),
+    codeExpiresAt: new Date(now.getTime() + CODE_TTL_MS).toISOString()
+  });
+
+  const grantId = `${request.clientId}:${account.id}`;
+  const grant = await grants.get(grantId);
+  if (grant) {
+    await grants.update(grantId, { sub, scopes: [...new Set([...grant.scopes, ...request.scopes])], updatedAt: now.toISOString() });
+  } else {
+    await grants.insert({
+      id: grantId,
+      clientId: request.clientId,
+      userId: account.id,
+      sub,
+      scopes: request.scopes,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    });
+  }
+
+  return redirectWith(request.redirectUri, { code, state: request.state, iss: getIssuer() });
+};
+
+export const denyAuthorization = async (request, account) => {
+  await authRequests.update(request.id, { status: 'denied', userId: account.id });
+  return redirectWith(request.redirectUri, {
+    error: 'access_denied',
+    error_description: 'The user declined to sign in with PersonaPass',
+    state: request.state,
+    iss: getIssuer()
+  });
+};
+
+const revokeTokensFor = async (authRequestId) => {
+  const issued = await accessTokens.find({ authRequestId, revokedAt: null });
+  const revokedAt = new Date().toISOString();
+  for (const token of issued) {
+    await accessTokens.update(token.id, { revokedAt });
+  }
+  return issued.length;
+};
+
+// at_hash: the left half of the SHA-256 of the access token (OpenID Connect Core 3.1.3.6)
+const accessTokenHash = (accessToken) => hash(accessToken).subarray(0, 16).toString('base64url');
+
+// Exchange an authorization code (RFC 6749 4.1.3) for an access token and ID token. A code is
+// single-use: presenting it again revokes the tokens it was exchanged for (RFC 6749 4.1.2).
+// Returns the token response and the account it was issued for.
+export const exchangeAuthorizationCode = async ({ code, redirectUri, codeVerifier, client }) => {
+  const [requestId] = String(code || '').split('.');
+  const request = requestId && await authRequests.get(requestId);
+
+  if (!request || request.clientId !== client.id || !sameHash(code, request.codeHash)) {
+    throw new OAuthError('invalid_grant', 'Invalid authorization code');
+  }
+  if (request.status === 'redeemed') {
+    await revokeTokensFor(request.id);
+    throw new OAuthError('invalid_grant', 'Authorization code was already used; the tokens issued for it are revoked');
+  }
+  if (request.status !== 'approved' || Date.parse(request.codeExpiresAt) < Date.now()) {
+    throw new OAuthError('invalid_grant', 'Authorization code has expired');
+  }
+  if (redirectUri !== request.redirectUri) {
+    throw new OAuthError('invalid_grant', 'redirect_uri does not match the authorization request');
+  }
+  if (!codeVerifier || hash(codeVerifier).toString('base64url') !== request.codeChallenge) {
+    throw new OAuthError('invalid_grant', 'code_verifier does not match the code_challenge');
+  }
+
+  // Only one of two concurrent exchanges of the same code gets past this
+  const redeemed = await authRequests.modify(request.id, (current) => (current.status === 'approved' ? { status: 'redeemed' } : null));
+  if (!redeemed) {
+    await revokeTokensFor(request.id);
+    throw new OAuthError('invalid_grant', 'Authorization code was already used; the tokens issued for it are revoked');
+  }
+
+  const account = await accounts.get(request.userId);
+  if (!account) {
+    throw new OAuthError('invalid_grant', 'The account no longer exists');
+  }
+
+  const tokenId = crypto.randomUUID();
+  const accessToken = `${tokenId}.${crypto.randomBytes(32).toString('base64url')}`;
+  const issuedAt = Math.floor(Date.now() / 1000);
+
+  await accessTokens.insert({
+    id: tokenId,
+    tokenHash: hash(accessToken).toString('hex'),
+    clientId: client.id,
+    userId: account.id,
+    sub: request.sub,
+    scopes: request.scopes,
+    authRequestId: request.id,
+    createdAt: new Date(issuedAt * 1000).toISOString(),
+    expiresAt: (issuedAt + TOKEN_TTL_SECONDS) * 1000,
+    revokedAt: null
+  });
+
+  const idToken = signJwt({
+    iss: getIssuer(),
+    aud: client.id,
+    iat: issuedAt,
+    exp: issuedAt + TOKEN_TTL_SECONDS,
+    auth_time: request.authTime,
+    ...(request.nonce && { nonce: request.nonce }),
+    at_hash: accessTokenHash(accessToken),
+    ...releasedClaims(account, request.sub, request.scopes)
+  });
+
+  return {
+    account,
+    tokens: {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: TOKEN_TTL_SECONDS,
+      id_token: idToken,
+      scope: request.scopes.join(' ')
+    }
+  };
+};
+
+// Claims for /oidc/userinfo, or null when the access token is not valid
+export const getUserInfo = async (accessToken) => {
+  const [tokenId] = String(accessToken || '').split('.');
+  const record = tokenId && await accessTokens.get(tokenId);
+
+  if (!record || record.revokedAt || record.expiresAt < Date.now() || !sameHash(accessToken, record.tokenHash)) {
+    return null;
+  }
+
+  const account = await accounts.get(record.userId);
+  return account ? releasedClaims(account, record.sub, record.scopes) : null;
+};
@@ -0,0 +1,269 @@
+import config from '../config.js';
+import { ERROR_CODES } from '../errors.js';
+import { optionalAuth, requireAdmin, requireAuth } from '../middleware/auth.js';
+import { joiToJsonSchema } from './joiToJsonSchema.js';
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Errors any route can answer with
+const COMMON_ERRORS = ['RATE_LIMITED', 'INTERNAL_ERROR'];
+
+const errorResponseSchema = {
+  type: 'object',
+  required: ['success', 'code', 'message', 'requestId'],
+  properties: {
+    success: { const: false },
+    code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+    message: { type: 'string' },
+    details: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          location: { type: 'string', enum: ['params', 'query', 'body'] },
+          field: { type: 'string' },
+          message: { type: 'string' },
+          type: { type: 'string' }
+        }
+      }
+    },
+    data: { type: 'object' },
+    requestId: { type: 'string' }
+  }
+};
+
+// Body of the OAuth-style errors answered by the protocol endpoints (RFC 6749 section 5.2)
+const oauthErrorResponseSchema = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: { type: 'string' },
+    error_description: { type: 'string' }
+  }
+};
+
+// Recover the mount path of a sub-router from the regexp Express compiled for app.use(path, router).
+// Only static paths are mounted in this app; anything else is a programming error.
+const mountPath = (layer) => {
+  if (layer.regexp.fast_slash) {
+    return '';
+  }
+  const match = layer.regexp.source.match(/^\^((?:\\\/(?:[\w-]|\\\.)+)+)\\\/\?\(\?=\\\/\|\$\)$/);
+  if (!match) {
+    throw new Error(`Cannot describe router mounted at ${layer.regexp}`);
+  }
+  return match[1].replace(/\\([/.])/g, '$1');
+};
+
+// Every route registered on the app, in registration order: { method, path, handlers, prefix }
+const collectRoutes = (stack, prefix = '') => {
+  const routes = [];
+
+  for (const layer of stack) {
+    if (layer.route) {
+      for (const method of METHODS) {
+        if (layer.route.methods[method]) {
+          routes.push({
+            method,
+            // A sub-router's '/' route answers on the mount path itself
+            path: prefix && layer.route.path === '/' ? prefix : prefix + layer.route.path,
+            prefix,
+            handlers: layer.route.stack.map((entry) => entry.handle)
+          });
+        }
+      }
+    } else if (layer.name === 'router' && layer.handle.stack) {
+      routes.push(...collectRoutes(layer.handle.stack, prefix + mountPath(layer)));
+    }
+  }
+
+  return routes;
+};
+
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const defaultOperationId = (method, path) => method + path
+  .split(/[/:-]/)
+  .filter(Boolean)
+  .map((part) => part[0].toUpperCase() + part.slice(1))
+  .join('');
+
+const parametersFor = (route, schemas, meta) => {
+  const parameters = [];
+  const paramsSchema = schemas.params && joiToJsonSchema(schemas.params);
+
+  for (const [, name] of route.path.matchAll(/:(\w+)/g)) {
+    parameters.push({
+      name,
+      in: 'path',
+      required: true,
+      schema: (paramsSchema && paramsSchema.properties && paramsSchema.properties[name]) || { type: 'string' }
+    });
+  }
+
+  if (schemas.query || meta.query) {
+    const querySchema = joiToJsonSchema(schemas.query || meta.query);
+    for (const [name, schema] of Object.entries(querySchema.properties || {})) {
+      parameters.push({
+        name,
+        in: 'query',
+        required: (querySchema.required || []).includes(name),
+        schema
+      });
+    }
+  }
+
+  return parameters;
+};
+
+const successResponse = (meta) => {
+  if (meta.redirect) {
+    return {
+      description: meta.summary || 'Redirect',
+      headers: { Location: { schema: { type: 'string', format: 'uri' } } }
+    };
+  }
+
+  if (meta.raw) {
+    return {
+      description: meta.summary || 'Success',
+      content: { [meta.contentType || 'application/json']: { schema: meta.response ? joiToJsonSchema(meta.response) : {} } }
+    };
+  }
+
+  return {
+    description: meta.summary || 'Success',
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          required: ['success'],
+          properties: {
+            success: { const: true },
+            message: { type: 'string' },
+            ...(meta.response && { data: joiToJsonSchema(meta.response) })
+          }
+        }
+      }
+    }
+  };
+};
+
+// Group error codes by HTTP status into OpenAPI responses referencing the shared error envelope
+const errorResponses = (errors) => {
+  const byStatus = new Map();
+
+  for (const entry of errors) {
+    const { code, status } = typeof entry === 'string' ? { code: entry } : entry;
+    const httpStatus = String(status || ERROR_CODES[code]);
+    if (!byStatus.has(httpStatus)) byStatus.set(httpStatus, new Set());
+    byStatus.get(httpStatus).add(code);
+  }
+
+  const responses = {};
+  for (const [status, codes] of byStatus) {
+    responses[status] = {
+      description: [...codes].join(', '),
+      content: {
+        'application/json': {
+          schema: {
+            allOf: [
+              { $ref: '#/components/schemas/ErrorResponse' },
+              { properties: { code: { enum: [...codes] } } }
+            ]
+          }
+        }
+      }
+    };
+  }
+  return responses;
+};
+
+const oauthErrorResponses = (statuses = []) => Object.fromEntries(statuses.map((status) => [String(status), {
+  description: 'OAuth error',
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/OAuthErrorResponse' } } }
+}]));
+
+const describeRoute = (route) => {
+  const meta = (route.handlers.find((handler) => handler.openapi) || {}).openapi || {};
+  const schemas = (route.handlers.find((handler) => handler.schemas) || {}).schemas || {};
+  const tag = (route.prefix.split('/').filter(Boolean).pop() || 'system');
+
+  const errors = [...(meta.errors || [])];
+  const security = [];
+
+  if (schemas.params || schemas.query || schemas.body) errors.push('VALIDATION_FAILED');
+  if (route.handlers.includes(requireAuth)) {
+    errors.push('AUTHENTICATION_REQUIRED');
+    security.push({ bearerAuth: [] });
+  }
+  if (route.handlers.includes(optionalAuth)) {
+    security.push({ bearerAuth: [] }, {});
+  }
+  if (route.handlers.includes(requireAdmin)) {
+    errors.push('ADMIN_API_DISABLED', 'FORBIDDEN');
+    security.push({ adminApiKey: [] });
+  }
+  errors.push(...COMMON_ERRORS);
+
+  return {
+    operationId: meta.operationId || defaultOperationId(route.method, route.path),
+    ...(meta.summary && { summary: meta.summary }),
+    ...(meta.description && { description: meta.description }),
+    tags: meta.tags || [tag],
+    ...(security.length > 0 && { security }),
+    parameters: parametersFor(route, schemas, meta),
+    ...((schemas.body || meta.body) && {
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: joiToJsonSchema(schemas.body || meta.body) } }
+      }
+    }),
+    ...(meta.form && {
+      requestBody: {
+        required: true,
+        content: { 'application/x-www-form-urlencoded': { schema: joiToJsonSchema(meta.form) } }
+      }
+    }),
+    responses: {
+      [String(meta.status || 200)]: successResponse(meta),
+      ...errorResponses(errors),
+      ...oauthErrorResponses(meta.oauthErrors),
+      ...meta.responses
+    }
+  };
+};
+
+// Build the OpenAPI 3.1 description of every route registered on the app
+export const buildOpenApiSpec = (app, { title, version, description } = {}) => {
+  const paths = {};
+
+  for (const route of collectRoutes(app._router.stack)) {
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = describeRoute(route);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: { title, version, description },
+    servers: [{ url: config.publicBaseUrl }],
+    paths,
+    components: {
+      schemas: { ErrorResponse: errorResponseSchema, OAuthErrorResponse: oauthErrorResponseSchema },
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        adminApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    }
+  };
+};
+
+// [{ method, path, operationId, tag }] for every operation in a spec, in document order
+export const listOperations = (spec) => Object.entries(spec.paths).flatMap(([path, item]) => Object.entries(item)
+  .map(([method, op]) => ({
+    method: method.toUpperCase(),
+    path: path.replace(/\{(\w+)\}/g, ':$1'),
+    operationId: op.operationId,
+    tag: op.tags[0]
+  })));
@@ -0,0 +1,125 @@
+// Convert a joi schema into a JSON Schema (draft 2020-12, as used by OpenAPI 3.1).
+// Only the joi features our request and response schemas use are mapped; custom rules
+// cannot be expressed and are documented through .description() instead.
+
+const regexSource = (regex) => regex.replace(/^\/|\/[a-z]*$/g, '');
+
+const withNull = (schema, description) => {
+  if (!(description.allow || []).includes(null) || !schema.type) {
+    return schema;
+  }
+  return { ...schema, type: [].concat(schema.type, 'null') };
+};
+
+const stringSchema = (description) => {
+  const schema = { type: 'string' };
+
+  for (const rule of description.rules || []) {
+    switch (rule.name) {
+      case 'min': schema.minLength = rule.args.limit; break;
+      case 'max': schema.maxLength = rule.args.limit; break;
+      case 'length': schema.minLength = schema.maxLength = rule.args.limit; break;
+      case 'pattern': schema.pattern = regexSource(rule.args.regex); break;
+      case 'email': schema.format = 'email'; break;
+      case 'isoDate': schema.format = 'date-time'; break;
+      case 'uri': schema.format = 'uri'; break;
+      case 'guid': schema.format = 'uuid'; break;
+      case 'base64': schema.contentEncoding = 'base64'; break;
+      default: break;
+    }
+  }
+
+  const values = (description.allow || []).filter((value) => value !== null);
+  if (description.flags && description.flags.only) {
+    schema.enum = values;
+  } else if (values.includes('')) {
+    delete schema.minLength;
+  }
+
+  return schema;
+};
+
+const numberSchema = (description) => {
+  const schema = { type: 'number' };
+
+  for (const rule of description.rules || []) {
+    switch (rule.name) {
+      case 'integer': schema.type = 'integer'; break;
+      case 'min': schema.minimum = rule.args.limit; break;
+      case 'max': schema.maximum = rule.args.limit; break;
+      default: break;
+    }
+  }
+
+  if (description.flags && description.flags.only) {
+    schema.enum = (description.allow || []).filter((value) => value !== null);
+  }
+
+  return schema;
+};
+
+const objectSchema = (description) => {
+  const schema = { type: 'object' };
+  if (description.patterns) {
+    schema.additionalProperties = convert(description.patterns[0].rule);
+  }
+  if (!description.keys) {
+    return schema;
+  }
+
+  schema.properties = {};
+  const required = [];
+  for (const [key, child] of Object.entries(description.keys)) {
+    schema.properties[key] = convert(child);
+    if (child.flags && child.flags.presence === 'required') {
+      required.push(key);
+    }
+  }
+  if (required.length > 0) {
+    schema.required = required;
+  }
+
+  for (const dependency of description.dependencies || []) {
+    if (dependency.rel === 'or') {
+      schema.anyOf = dependency.peers.map((peer) => ({ required: [peer] }));
+    } else if (dependency.rel === 'xor') {
+      schema.oneOf = dependency.peers.map((peer) => ({ required: [peer] }));
+    }
+  }
+
+  return schema;
+};
+
+function convert(description) {
+  let schema;
+
+  switch (description.type) {
+    case 'string': schema = stringSchema(description); break;
+    case 'number': schema = numberSchema(description); break;
+    case 'boolean': schema = { type: 'boolean' }; break;
+    case 'date': schema = { type: 'string', format: 'date-time' }; break;
+    case 'object': schema = objectSchema(description); break;
+    case 'array':
+      schema = { type: 'array' };
+      if (description.items && description.items.length === 1) {
+        schema.items = convert(description.items[0]);
+      } else if (description.items) {
+        schema.items = { anyOf: description.items.map(convert) };
+      }
+      break;
+    case 'alternatives':
+      schema = { anyOf: description.matches.map((match) => convert(match.schema)) };
+      break;
+    default:
+      schema = {};
+  }
+
+  const flags = description.flags || {};
+  if (flags.description) schema.description = flags.description;
+  if (flags.default !== undefined && typeof flags.default !== 'function') schema.default = flags.default;
+  if (description.examples) schema.examples = description.examples;
+
+  return withNull(schema, description);
+}
+
+export const joiToJsonSchema = (schema) => convert(schema.describe());
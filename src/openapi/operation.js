@@ -0,0 +1,24 @@
+// Attach OpenAPI metadata to a route, next to its handlers:
+//   router.post('/login', operation({ operationId, summary, response, errors }), validate(loginSchema), handler)
+// The middleware does nothing at request time; the spec builder reads `.openapi` from the route stack.
+//
+// Metadata:
+//   operationId  stable name used by generated clients (camelCase)
+//   summary      one-line description
+//   status       success status (default 200)
+//   response     joi schema of the `data` member of the { success, message, data } envelope,
+//                or of the whole body when `raw` is set
+//   contentType  success content type (default application/json)
+//   query        joi schema of query parameters the handler reads itself, for routes without validate()
+//   body         joi schema of a JSON body the handler reads itself, for routes without validate()
+//   form         joi schema of an application/x-www-form-urlencoded body the handler reads itself
+//   redirect     the success response is a redirect (`status`, default 200, should then be 302 or 303)
+//   errors       error codes the handler can answer with; an entry may be { code, status }
+//                when the route uses a status other than the one in ERROR_CODES
+//   oauthErrors  statuses answered with an OAuth error body { error, error_description } instead of the envelope
+//   responses    extra OpenAPI response objects keyed by status, for bodies outside the envelope
+export const operation = (meta) => {
+  const middleware = (req, res, next) => next();
+  middleware.openapi = meta;
+  return middleware;
+};
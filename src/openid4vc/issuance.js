@@ -0,0 +1,266 @@
+import crypto from 'crypto';
+import config from '../config.js';
+import storage from '../storage/index.js';
+import { OAuthError } from '../errors.js';
+import { issueCredential } from '../identity/credentials.js';
+import { didOf, resolveVerificationKey } from '../identity/did.js';
+import { hash, sameHash } from '../utils/hash.js';
+import { decodeCompactJws, verifyCompactJws } from '../utils/jws.js';
+import { qrDataUrl } from '../utils/qr.js';
+
+// OpenID for Verifiable Credential Issuance 1.0, pre-authorized code flow. An operator offers a
+// credential for a DID; the wallet scans the offer, redeems its pre-authorized code (plus the
+// tx_code, when the offer has one) at /oidc/token, and collects the credential from
+// /openid4vci/credential with a proof that it holds a key of that DID.
+
+export const PRE_AUTHORIZED_CODE_GRANT = 'urn:ietf:params:oauth:grant-type:pre-authorized_code';
+
+const OFFER_TTL_MS = config.openid4vci.offerTtlSeconds * 1000;
+const TOKEN_TTL_SECONDS = 600;
+const NONCE_TTL_MS = 5 * 60 * 1000;
+const PROOF_MAX_AGE_SECONDS = 300;
+const PROOF_JWT_TYPE = 'openid4vci-proof+jwt';
+const TX_CODE_LENGTH = 6;
+const MAX_TX_CODE_ATTEMPTS = 5;
+
+// Credential types wallets may be offered; each one is a credential configuration in the issuer metadata
+export const CREDENTIAL_TYPES = config.openid4vci.credentialTypes;
+
+// Credential offers: { id, subjectDid, holderAddress, type, claims, validUntil, preAuthorizedCode,
+//   txCodeHash, txCodeAttempts, status ('offered' | 'redeemed' | 'issued' | 'cancelled'),
+//   accessTokenHash, accessTokenExpiresAt, credentialId, createdAt, expiresAt }
+// The pre-authorized code is kept in clear while the offer is open because the offer URI has to hand
+// it out; it is dropped once redeemed. The tx_code, which travels on another channel, is only hashed.
+const offers = storage.collection('credentialOffers');
+
+// One-time c_nonce values from the nonce endpoint: { id: nonce, createdAt, expiresAt, usedAt }
+const nonces = storage.collection('credentialNonces');
+
+// The credential issuer identifier is the public base URL, like the OpenID provider issuer, so both
+// metadata documents live under <base>/.well-known and /oidc/token serves as the authorization server
+export const getCredentialIssuer = () => config.publicBaseUrl;
+
+// "EmailVerificationCredential" -> "Email Verification Credential"
+const displayName = (type) => type.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+
+// Credential Issuer Metadata (OpenID4VCI section 12.2)
+export const getCredentialIssuerMetadata = () => {
+  const issuer = getCredentialIssuer();
+  return {
+    credential_issuer: issuer,
+    credential_endpoint: `${issuer}/openid4vci/credential`,
+    nonce_endpoint: `${issuer}/openid4vci/nonce`,
+    display: [{ name: 'PersonaPass', locale: 'en-US' }],
+    credential_configurations_supported: Object.fromEntries(CREDENTIAL_TYPES.map((type) => [type, {
+      format: 'jwt_vc_json',
+      cryptographic_binding_methods_supported: ['did:persona'],
+      credential_signing_alg_values_supported: ['EdDSA'],
+      proof_types_supported: { jwt: { proof_signing_alg_values_supported: ['EdDSA'] } },
+      credential_definition: { type: ['VerifiableCredential', type] },
+      credential_metadata: { display: [{ name: displayName(type), locale: 'en-US' }] }
+    }]))
+  };
+};
+
+// Offer a credential about `subjectDid`. Returns the offer URI, the deep link and QR code that carry
+// it to the wallet, and the tx_code the operator passes to the user separately (null without one).
+export const createCredentialOffer = async ({ subjectDid, holderAddress, type, claims = {}, validUntil, requireTxCode = true }) => {
+  const id = crypto.randomBytes(16).toString('hex');
+  const txCode = requireTxCode ? String(crypto.randomInt(0, 10 ** TX_CODE_LENGTH)).padStart(TX_CODE_LENGTH, '0') : null;
+  const now = Date.now();
+
+  const offer = {
+    id,
+    subjectDid,
+    holderAddress,
+    type,
+    claims,
+    validUntil: validUntil || null,
+    preAuthorizedCode: `${id}.${crypto.randomBytes(32).toString('base64url')}`,
+    txCodeHash: txCode && hash(txCode).toString('hex'),
+    txCodeAttempts: 0,
+    status: 'offered',
+    accessTokenHash: null,
+    accessTokenExpiresAt: null,
+    credentialId: null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + OFFER_TTL_MS).toISOString()
+  };
+  await offers.insert(offer);
+
+  const credentialOfferUri = `${getCredentialIssuer()}/openid4vci/offers/${id}`;
+  const deepLink = `openid-credential-offer://?${new URLSearchParams({ credential_offer_uri: credentialOfferUri })}`;
+
+  return {
+    id,
+    type,
+    subjectDid,
+    credentialOfferUri,
+    deepLink,
+    qrCode: await qrDataUrl(deepLink),
+    txCode,
+    expiresAt: offer.expiresAt
+  };
+};
+
+const isOpen = (offer) => offer && offer.status === 'offered' && Date.parse(offer.expiresAt) > Date.now();
+
+// The Credential Offer object (OpenID4VCI section 4.1.1) behind an offer URI, or null once the
+// offer was redeemed, cancelled or has expired
+export const getCredentialOffer = async (id) => {
+  const offer = await offers.get(id);
+  if (!isOpen(offer)) {
+    return null;
+  }
+
+  return {
+    credential_issuer: getCredentialIssuer(),
+    credential_configuration_ids: [offer.type],
+    grants: {
+      [PRE_AUTHORIZED_CODE_GRANT]: {
+        'pre-authorized_code': offer.preAuthorizedCode,
+        ...(offer.txCodeHash && {
+          tx_code: {
+            input_mode: 'numeric',
+            length: TX_CODE_LENGTH,
+            description: 'Enter the code PersonaPass sent you with this offer'
+          }
+        })
+      }
+    }
+  };
+};
+
+// Token Request with the pre-authorized code grant (OpenID4VCI section 6.1). Wallets redeem offers
+// without client authentication. Too many wrong tx_codes cancel the offer.
+export const redeemPreAuthorizedCode = async ({ preAuthorizedCode, txCode }) => {
+  const [offerId] = String(preAuthorizedCode || '').split('.');
+  const offer = offerId && await offers.get(offerId);
+
+  if (!isOpen(offer) || !crypto.timingSafeEqual(hash(preAuthorizedCode), hash(offer.preAuthorizedCode))) {
+    throw new OAuthError('invalid_grant', 'Invalid, expired or already used pre-authorized code');
+  }
+
+  if (offer.txCodeHash) {
+    if (!txCode) {
+      throw new OAuthError('invalid_request', 'tx_code is required for this offer');
+    }
+    if (!sameHash(txCode, offer.txCodeHash)) {
+      const txCodeAttempts = offer.txCodeAttempts + 1;
+      const cancelled = txCodeAttempts >= MAX_TX_CODE_ATTEMPTS;
+      await offers.update(offer.id, { txCodeAttempts, ...(cancelled && { status: 'cancelled', preAuthorizedCode: null }) });
+      throw new OAuthError('invalid_grant', cancelled ? 'Too many wrong tx_codes; the offer is cancelled' : 'Invalid tx_code');
+    }
+  }
+
+  const accessToken = `${offer.id}.${crypto.randomBytes(32).toString('base64url')}`;
+  await offers.update(offer.id, {
+    status: 'redeemed',
+    preAuthorizedCode: null,
+    accessTokenHash: hash(accessToken).toString('hex'),
+    accessTokenExpiresAt: Date.now() + TOKEN_TTL_SECONDS * 1000
+  });
+
+  return {
+    offer,
+    tokens: {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: TOKEN_TTL_SECONDS
+    }
+  };
+};
+
+// The redeemed offer an access token from the pre-authorized code grant is good for, or null
+export const getOfferForAccessToken = async (accessToken) => {
+  const [offerId] = String(accessToken || '').split('.');
+  const offer = offerId && await offers.get(offerId);
+
+  if (!offer || offer.status !== 'redeemed' || offer.accessTokenExpiresAt < Date.now() || !sameHash(accessToken, offer.accessTokenHash)) {
+    return null;
+  }
+  return offer;
+};
+
+// Nonce endpoint (OpenID4VCI section 7): a fresh c_nonce for the next key proof
+export const createNonce = async () => {
+  const nonce = crypto.randomBytes(24).toString('base64url');
+  const now = Date.now();
+  await nonces.insert({
+    id: nonce,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + NONCE_TTL_MS).toISOString(),
+    usedAt: null
+  });
+  return nonce;
+};
+
+const consumeNonce = async (nonce) => Boolean(typeof nonce === 'string' && await nonces.modify(nonce, (record) => (
+  record.usedAt || Date.parse(record.expiresAt) < Date.now() ? null : { usedAt: new Date().toISOString() }
+)));
+
+// Check a JWT key proof (OpenID4VCI appendix F.1): signed with an authentication key of the DID the
+// offer is for, addressed to this issuer, recent, and carrying an unused c_nonce
+const verifyKeyProof = async (proofJwt, subjectDid) => {
+  let decoded;
+  try {
+    decoded = decodeCompactJws(proofJwt);
+  } catch (error) {
+    throw new OAuthError('invalid_proof', `Proof is not a compact JWS: ${error.message}`);
+  }
+
+  const { header, payload } = decoded;
+  if (header.typ !== PROOF_JWT_TYPE) {
+    throw new OAuthError('invalid_proof', `Proof typ must be ${PROOF_JWT_TYPE}`);
+  }
+  if (didOf(header.kid) !== subjectDid) {
+    throw new OAuthError('invalid_proof', 'Proof must be signed with a key of the DID the credential is offered to (kid)');
+  }
+
+  const publicKey = await resolveVerificationKey(header.kid, 'authentication');
+  if (!publicKey || !verifyCompactJws(decoded, publicKey)) {
+    throw new OAuthError('invalid_proof', publicKey ? 'Proof signature does not match' : `${header.kid} is not an authentication key`);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (payload.aud !== getCredentialIssuer()) {
+    throw new OAuthError('invalid_proof', 'Proof aud must be the credential issuer identifier');
+  }
+  if (typeof payload.iat !== 'number' || payload.iat > now + 60 || now - payload.iat > PROOF_MAX_AGE_SECONDS) {
+    throw new OAuthError('invalid_proof', 'Proof iat is missing or not recent');
+  }
+  if (!await consumeNonce(payload.nonce)) {
+    throw new OAuthError('invalid_nonce', 'Proof nonce is missing, expired or already used; get a new one from the nonce endpoint');
+  }
+};
+
+// Credential Request (OpenID4VCI section 8.2) for a redeemed offer. Accepts the key proof as
+// `proofs.jwt` (one entry) or as the earlier single `proof` object. Returns the issued credential record.
+export const issueOfferedCredential = async (offer, request) => {
+  if (request.credential_configuration_id !== offer.type) {
+    throw new OAuthError('unknown_credential_configuration', `This access token is for ${offer.type}`);
+  }
+
+  const proofs = request.proofs
+    ? [].concat(request.proofs.jwt || [])
+    : [].concat(request.proof && request.proof.proof_type === 'jwt' ? request.proof.jwt : []);
+  if (proofs.length === 0) {
+    throw new OAuthError('invalid_proof', 'A jwt key proof is required');
+  }
+  if (proofs.length > 1) {
+    throw new OAuthError('invalid_credential_request', 'Batch issuance is not supported; send one proof');
+  }
+
+  await verifyKeyProof(proofs[0], offer.subjectDid);
+
+  const record = await issueCredential({
+    subjectDid: offer.subjectDid,
+    holderAddress: offer.holderAddress,
+    type: offer.type,
+    claims: offer.claims,
+    validUntil: offer.validUntil
+  });
+
+  await offers.update(offer.id, { status: 'issued', credentialId: record.id, accessTokenHash: null });
+  return record;
+};
@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import config from '../config.js';
+import storage from '../storage/index.js';
+import { ApiError, OAuthError } from '../errors.js';
+import { getIssuer } from '../identity/issuer.js';
+import { createChallenge, verifyPresentation } from '../identity/presentations.js';
+import { hash, sameHash } from '../utils/hash.js';
+import { signCompactJws } from '../utils/jws.js';
+import { qrDataUrl } from '../utils/qr.js';
+
+// OpenID for Verifiable Presentations 1.0 with PersonaPass as the verifier. A relying party creates a
+// request for one credential type; the wallet scans the QR code (or opens the deep link), fetches the
+// signed request object from request_uri and posts its vp_token back (response_mode direct_post).
+// The relying party polls the transaction for the verification result.
+
+const REQUEST_OBJECT_TYPE = 'oauth-authz-req+jwt';
+const CREDENTIAL_QUERY_ID = 'credential';
+
+// Presentation requests: { id, transactionIdHash, clientId, nonce, credentialType, redirectUri,
+//   status ('pending' | 'received' | 'failed'), result, walletError, responseCodeHash, createdAt,
+//   expiresAt, respondedAt }
+// The nonce is a presentation challenge issued for the client_id. A response must carry exactly this
+// nonce and the client_id as audience; verifyPresentation checks both and burns the challenge.
+const presentationRequests = storage.collection('presentationRequests');
+
+// The verifier is the PersonaPass issuer DID; wallets check request objects against its DID document
+export const getVerifierClientId = () => `decentralized_identifier:${getIssuer().did}`;
+
+const requestUriOf = (id) => `${config.publicBaseUrl}/openid4vp/requests/${id}`;
+
+// Create a request for a credential of `credentialType`. `redirectUri` is where the wallet sends the
+// user after answering on the same device. Returns the transaction id the relying party polls with,
+// the deep link and its QR code.
+export const createPresentationRequest = async ({ credentialType, redirectUri }) => {
+  const clientId = getVerifierClientId();
+  const { challenge, expiresAt } = await createChallenge(clientId);
+  const id = crypto.randomBytes(16).toString('hex');
+  const transactionId = `${id}.${crypto.randomBytes(32).toString('base64url')}`;
+
+  await presentationRequests.insert({
+    id,
+    transactionIdHash: hash(transactionId).toString('hex'),
+    clientId,
+    nonce: challenge,
+    credentialType,
+    redirectUri: redirectUri || null,
+    status: 'pending',
+    result: null,
+    walletError: null,
+    responseCodeHash: null,
+    createdAt: new Date().toISOString(),
+    expiresAt,
+    respondedAt: null
+  });
+
+  const requestUri = requestUriOf(id);
+  const deepLink = `openid4vp://?${new URLSearchParams({ client_id: clientId, request_uri: requestUri })}`;
+
+  return {
+    id,
+    transactionId,
+    requestUri,
+    deepLink,
+    qrCode: await qrDataUrl(deepLink),
+    expiresAt
+  };
+};
+
+const isPending = (request) => request && request.status === 'pending' && Date.parse(request.expiresAt) > Date.now();
+
+// The signed request object (OpenID4VP section 5, RFC 9101) for a pending request, or null.
+// It asks for the credential with a DCQL query and names /openid4vp/requests/:id/response as response_uri.
+export const getRequestObject = async (id) => {
+  const request = await presentationRequests.get(id);
+  if (!isPending(request)) {
+    return null;
+  }
+
+  const issuer = getIssuer();
+  return signCompactJws({ typ: REQUEST_OBJECT_TYPE, kid: issuer.verificationMethod }, {
+    iss: request.clientId,
+    aud: 'https://self-issued.me/v2',
+    client_id: request.clientId,
+    response_type: 'vp_token',
+    response_mode: 'direct_post',
+    response_uri: `${requestUriOf(id)}/response`,
+    nonce: request.nonce,
+    state: request.id,
+    dcql_query: {
+      credentials: [{
+        id: CREDENTIAL_QUERY_ID,
+        format: 'jwt_vc_json',
+        meta: { type_values: [['VerifiableCredential', request.credentialType]] }
+      }]
+    },
+    client_metadata: {
+      vp_formats_supported: { jwt_vc_json: { alg_values: ['EdDSA'] } }
+    },
+    iat: Math.floor(Date.parse(request.createdAt) / 1000),
+    exp: Math.floor(Date.parse(request.expiresAt) / 1000)
+  }, issuer.privateKey);
+};
+
+const parseVpToken = (vpToken) => {
+  try {
+    const parsed = typeof vpToken === 'string' ? JSON.parse(vpToken) : vpToken;
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Authorization Response posted by the wallet (direct_post, OpenID4VP section 8.2): either a vp_token
+// answering the DCQL query or an error. Returns the body for the wallet: { redirect_uri } when the
+// relying party asked for a same-device redirect, otherwise {}.
+export const receiveAuthorizationResponse = async (id, body) => {
+  const request = await presentationRequests.get(id);
+  if (!isPending(request)) {
+    throw new OAuthError('invalid_request', 'Unknown, expired or already answered presentation request');
+  }
+  if (body.state !== request.id) {
+    throw new OAuthError('invalid_request', 'state does not match the presentation request');
+  }
+
+  const respondedAt = new Date().toISOString();
+
+  if (body.error) {
+    await presentationRequests.update(request.id, {
+      status: 'failed',
+      walletError: { error: String(body.error), description: body.error_description ? String(body.error_description) : null },
+      respondedAt
+    });
+    return {};
+  }
+
+  const vpToken = parseVpToken(body.vp_token);
+  const presentations = vpToken ? [].concat(vpToken[CREDENTIAL_QUERY_ID] || []) : [];
+  if (presentations.length !== 1) {
+    throw new OAuthError('invalid_request', `vp_token must be a JSON object with one presentation under "${CREDENTIAL_QUERY_ID}"`);
+  }
+
+  let result;
+  try {
+    result = await verifyPresentation(presentations[0], { challenge: request.nonce, domain: request.clientId });
+  } catch (error) {
+    if (error instanceof ApiError && error.code === 'INVALID_PRESENTATION') {
+      throw new OAuthError('invalid_request', `vp_token: ${error.message}`);
+    }
+    throw error;
+  }
+  const typeMatches = result.credentials.some((entry) => entry.verified
+    && [].concat((entry.credential && entry.credential.type) || []).includes(request.credentialType));
+  if (!typeMatches) {
+    result.verified = false;
+    result.errors.push(`The presentation does not hold a valid ${request.credentialType}`);
+  }
+
+  const responseCode = request.redirectUri ? crypto.randomBytes(24).toString('base64url') : null;
+  await presentationRequests.update(request.id, {
+    status: 'received',
+    result,
+    responseCodeHash: responseCode && hash(responseCode).toString('hex'),
+    respondedAt
+  });
+
+  if (!responseCode) {
+    return {};
+  }
+
+  const redirect = new URL(request.redirectUri);
+  redirect.hash = new URLSearchParams({ response_code: responseCode }).toString();
+  return { redirect_uri: redirect.toString() };
+};
+
+// The request a transaction id belongs to, or null
+export const getTransaction = async (transactionId) => {
+  const [id] = String(transactionId || '').split('.');
+  const request = id && await presentationRequests.get(id);
+  return request && sameHash(transactionId, request.transactionIdHash) ? request : null;
+};
+
+// After a same-device redirect the result is only released with the response_code from that redirect,
+// so a result cannot be picked up by someone who started the flow but did not finish it
+export const checkResponseCode = (request, responseCode) => !request.responseCodeHash
+  || sameHash(responseCode || '', request.responseCodeHash);
@@ -0,0 +1,30 @@
+import express from 'express';
+import { queryAuditEvents } from '../audit/auditLog.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { operation } from '../openapi/operation.js';
+import { auditQueryResponse, auditQuerySchema } from '../schemas/audit.js';
+
+const router = express.Router();
+
+// Query the audit trail (operator only). Integrity is checked with `npm run audit:verify`.
+router.get('/events', operation({
+  operationId: 'queryAuditEvents',
+  summary: 'Query the audit trail (operator only)',
+  response: auditQueryResponse
+}), requireAdmin, validate(auditQuerySchema), async (req, res, next) => {
+  try {
+    const result = await queryAuditEvents(req.query);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Found ${result.events.length} audit event(s)`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,423 @@
+import crypto from 'crypto';
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import config from '../config.js';
+import logger, { maskEmail } from '../logger.js';
+import storage, { DuplicateRecordError } from '../storage/index.js';
+import { ApiError } from '../errors.js';
+import { createSession, rotateSession, revokeSession, revokeAllSessions } from '../auth/sessions.js';
+import { createTotpEnrollment, getTotpSecret, saveTotpSecret, verifySecondFactor, verifyTotpCode } from '../auth/totp.js';
+import { generateBackupCodes, getBackupCodeStatus } from '../auth/backupCodes.js';
+import { checkAttempt, recordFailure, recordSuccess, throttledError } from '../auth/throttle.js';
+import { verifyAuthentication } from '../auth/webauthn.js';
+import { auditEvent } from '../audit/auditLog.js';
+import { optionalAuth, requireAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { operation } from '../openapi/operation.js';
+import {
+  backupCodesResponse,
+  backupCodeStatusResponse,
+  createAccountResponse,
+  createAccountSchema,
+  loginResponse,
+  loginSchema,
+  logoutSchema,
+  refreshSchema,
+  regenerateBackupCodesSchema,
+  revokeResponse,
+  sessionTokens,
+  totpSetupResponse,
+  totpSetupSchema
+} from '../schemas/auth.js';
+
+const router = express.Router();
+
+// { id, email, passwordHash, did (primary DID, set by create-did), walletAddress, walletLinkedAt, kycStatus, totpSetup,
+//   createdAt, lastLoginAt }
+// walletAddress is null until a wallet is linked with /wallet/link (walletLinkedAt is then set).
+// kycStatus is 'pending' until an operator records a KYC review, which also sets kycAttributes
+// ({ givenName, familyName, birthDate } when verified), kycProvider, kycReference and kycReviewedAt.
+const accounts = storage.collection('accounts');
+
+// One record per email (lower-cased by the request schema): { id: email, accountId, createdAt }. Inserted
+// before the account, so concurrent sign-ups for the same email cannot both succeed whatever the storage backend.
+const accountEmails = storage.collection('accountEmails');
+
+const BCRYPT_ROUNDS = config.auth.bcryptRounds;
+
+// Compared against when the account does not exist, so unknown emails take as long as wrong passwords
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), BCRYPT_ROUNDS);
+
+const SECOND_FACTOR_MESSAGES = {
+  totp: 'Invalid TOTP code. Please check your authenticator app.',
+  backup_code: 'Invalid or already used backup code',
+  passkey: 'Passkey verification failed'
+};
+
+const invalidSecondFactor = (method, options) => new ApiError('INVALID_SECOND_FACTOR', SECOND_FACTOR_MESSAGES[method], options);
+
+// A passkey assertion checked as the second factor of `account`, in the shape verifySecondFactor returns
+const verifyPasskeyFactor = async (account, passkey) => {
+  const result = await verifyAuthentication(passkey, { userId: account.id });
+  return { ...result, method: 'passkey' };
+};
+
+// Authentication routes
+router.post('/login', operation({
+  operationId: 'login',
+  summary: 'Log in with email, password and a TOTP code, backup code or passkey',
+  response: loginResponse,
+  errors: ['TOO_MANY_ATTEMPTS', 'ACCOUNT_LOCKED', 'INVALID_CREDENTIALS', 'INVALID_SECOND_FACTOR']
+}), validate(loginSchema), async (req, res, next) => {
+  try {
+    const { email, password, totpCode, backupCode, passkey } = req.body;
+
+    logger.info('Login attempt', { email: maskEmail(email) });
+
+    const attempt = await checkAttempt(email);
+    if (!attempt.allowed) {
+      throw throttledError(attempt);
+    }
+
+    const account = await accounts.findOne({ email });
+    const passwordValid = await bcrypt.compare(password, account ? account.passwordHash : DUMMY_PASSWORD_HASH);
+
+    const loginSubject = account ? { type: 'account', id: account.id } : { type: 'email', id: maskEmail(email) };
+
+    if (!account || !passwordValid) {
+      await recordFailure(email);
+      await auditEvent(req, 'auth.login.failed', { subject: loginSubject, data: { reason: 'invalid_credentials' } });
+      logger.warn('Login failed: invalid credentials', { email: maskEmail(email) });
+      throw new ApiError('INVALID_CREDENTIALS', 'Invalid email or password');
+    }
+
+    const secondFactor = passkey
+      ? await verifyPasskeyFactor(account, passkey)
+      : await verifySecondFactor(email, { totpCode, backupCode });
+
+    if (!secondFactor.valid) {
+      await recordFailure(email);
+      await auditEvent(req, 'auth.login.failed', {
+        subject: loginSubject,
+        data: {
+          reason: secondFactor.counterRegressed ? 'passkey_counter_regressed' : 'invalid_second_factor',
+          method: secondFactor.method
+        }
+      });
+      logger.warn('Login failed: invalid second factor', {
+        email: maskEmail(email),
+        method: secondFactor.method,
+        reason: secondFactor.message
+      });
+      throw invalidSecondFactor(secondFactor.method);
+    }
+
+    await recordSuccess(email);
+
+    if (secondFactor.method === 'backup_code') {
+      logger.info('Backup code redeemed for login', { userId: account.id });
+    }
+
+    const session = await createSession(account);
+    await accounts.update(account.id, { lastLoginAt: new Date().toISOString() });
+    await auditEvent(req, 'auth.login.succeeded', {
+      actor: { type: 'user', id: account.id },
+      subject: loginSubject,
+      data: { method: secondFactor.method }
+    });
+
+    logger.info('Login successful', { userId: account.id });
+    
+    res.json({
+      success: true,
+      data: {
+        ...session,
+        user: {
+          id: account.id,
+          email: account.email,
+          did: account.did,
+          walletAddress: account.walletAddress,
+          kycStatus: account.kycStatus
+        }
+      },
+      message: 'Login successful'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', operation({
+  operationId: 'refreshSession',
+  summary: 'Exchange a refresh token for a new token pair',
+  response: sessionTokens,
+  errors: ['INVALID_REFRESH_TOKEN']
+}), validate(refreshSchema), async (req, res, next) => {
+  try {
+    const session = await rotateSession(req.body.refreshToken);
+    if (!session) {
+      throw new ApiError('INVALID_REFRESH_TOKEN', 'Invalid or expired refresh token');
+    }
+
+    res.json({
+      success: true,
+      data: session,
+      message: 'Session refreshed'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke the session behind a refresh token
+router.post('/logout', operation({
+  operationId: 'logout',
+  summary: 'Revoke the session behind a refresh token'
+}), validate(logoutSchema), async (req, res, next) => {
+  try {
+    // Always report success so the endpoint cannot be used to probe tokens
+    await revokeSession(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke every session of the authenticated user
+router.post('/revoke', operation({
+  operationId: 'revokeAllSessions',
+  summary: 'Revoke every session of the signed-in user',
+  response: revokeResponse
+}), requireAuth, async (req, res, next) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id);
+
+    logger.info('All sessions revoked', { userId: req.user.id, revoked });
+
+    res.json({
+      success: true,
+      data: { revoked },
+      message: 'All sessions revoked'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// TOTP setup route. Before sign-up anyone may enrol an email; once an account exists only its
+// signed-in owner may replace the secret (a lost authenticator goes through account recovery).
+router.post('/totp-setup', operation({
+  operationId: 'setupTotp',
+  summary: 'Enrol a TOTP authenticator and issue backup codes',
+  response: totpSetupResponse,
+  errors: ['TOTP_ALREADY_ENROLLED']
+}), optionalAuth, validate(totpSetupSchema), async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    logger.info('TOTP setup request', { email: maskEmail(email) });
+
+    const account = await accounts.findOne({ email });
+    if (account && (!req.user || req.user.id !== account.id)) {
+      logger.warn('TOTP setup refused for enrolled account', { email: maskEmail(email), authenticated: Boolean(req.user) });
+      throw new ApiError(
+        'TOTP_ALREADY_ENROLLED',
+        'This account already has an authenticator. Sign in to replace it, or use account recovery if it was lost.'
+      );
+    }
+    
+    // Store the secret for this user and issue a fresh set of single-use backup codes
+    const { secret, qrCode } = await createTotpEnrollment(email);
+    await saveTotpSecret(email, secret);
+    const backupCodes = await generateBackupCodes(email);
+
+    await auditEvent(req, 'totp.enrolled', {
+      subject: account ? { type: 'account', id: account.id } : { type: 'email', id: maskEmail(email) },
+      data: { replaced: Boolean(account) }
+    });
+
+    if (account) {
+      logger.info('TOTP secret replaced', { userId: account.id });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        qrCode,
+        secret,
+        backupCodes
+      },
+      message: 'TOTP setup successful'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Account creation route
+router.post('/create-account', operation({
+  operationId: 'createAccount',
+  summary: 'Create an account after TOTP enrolment',
+  response: createAccountResponse,
+  errors: [
+    'ACCOUNT_EXISTS',
+    'TOTP_NOT_ENROLLED',
+    'TOO_MANY_ATTEMPTS',
+    'ACCOUNT_LOCKED',
+    { code: 'INVALID_SECOND_FACTOR', status: 400 }
+  ]
+}), validate(createAccountSchema), async (req, res, next) => {
+  try {
+    const { email, password, totpCode, backupCode } = req.body;
+
+    if (await accounts.findOne({ email })) {
+      throw new ApiError('ACCOUNT_EXISTS', 'An account with this email already exists');
+    }
+
+    // REAL TOTP validation using speakeasy
+    const userSecret = await getTotpSecret(email);
+    if (!userSecret) {
+      throw new ApiError('TOTP_NOT_ENROLLED', 'TOTP not set up for this email. Please set up TOTP first.');
+    }
+
+    const attempt = await checkAttempt(email);
+    if (!attempt.allowed) {
+      throw throttledError(attempt);
+    }
+
+    const { valid, method } = await verifySecondFactor(email, { totpCode, backupCode });
+
+    if (!valid) {
+      await recordFailure(email);
+      throw invalidSecondFactor(method, { status: 400 });
+    }
+
+    await recordSuccess(email);
+
+    logger.info('Account creation request', { email: maskEmail(email) });
+    
+    const userId = crypto.randomUUID();
+    const createdAt = new Date().toISOString();
+
+    try {
+      await accountEmails.insert({ id: email, accountId: userId, createdAt });
+    } catch (error) {
+      if (error instanceof DuplicateRecordError) {
+        throw new ApiError('ACCOUNT_EXISTS', 'An account with this email already exists');
+      }
+      throw error;
+    }
+
+    const account = {
+      id: userId,
+      email,
+      passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+      did: null,
+      walletAddress: null,
+      kycStatus: 'pending',
+      totpSetup: true,
+      createdAt
+    };
+    try {
+      await accounts.insert(account);
+    } catch (error) {
+      await accountEmails.delete(email);
+      if (error instanceof DuplicateRecordError) {
+        throw new ApiError('ACCOUNT_EXISTS', 'An account with this email already exists');
+      }
+      throw error;
+    }
+
+    await auditEvent(req, 'account.created', {
+      actor: { type: 'user', id: userId },
+      subject: { type: 'account', id: userId },
+      data: { secondFactor: method }
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        id: userId,
+        email: email,
+        did: null,
+        walletAddress: null,
+        kycStatus: 'pending',
+        totpSetup: true
+      },
+      message: 'Account created successfully'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Report how many backup codes the authenticated user has left
+router.get('/backup-codes', operation({
+  operationId: 'getBackupCodeStatus',
+  summary: 'Count the remaining backup codes',
+  response: backupCodeStatusResponse
+}), requireAuth, async (req, res, next) => {
+  try {
+    const status = await getBackupCodeStatus(req.user.email);
+
+    res.json({
+      success: true,
+      data: status,
+      message: status.remaining > 0
+        ? `${status.remaining} backup code(s) remaining`
+        : 'No backup codes remaining - please regenerate'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace the authenticated user's backup codes with a new set (requires a current TOTP code)
+router.post('/backup-codes/regenerate', operation({
+  operationId: 'regenerateBackupCodes',
+  summary: 'Replace all backup codes (requires a current TOTP code)',
+  response: backupCodesResponse,
+  errors: ['TOO_MANY_ATTEMPTS', 'ACCOUNT_LOCKED', 'INVALID_SECOND_FACTOR']
+}), requireAuth, validate(regenerateBackupCodesSchema), async (req, res, next) => {
+  try {
+    const { totpCode } = req.body;
+
+    const attempt = await checkAttempt(req.user.email);
+    if (!attempt.allowed) {
+      throw throttledError(attempt);
+    }
+
+    if (!await verifyTotpCode(req.user.email, totpCode)) {
+      await recordFailure(req.user.email);
+      throw invalidSecondFactor('totp');
+    }
+
+    await recordSuccess(req.user.email);
+    const backupCodes = await generateBackupCodes(req.user.email);
+
+    logger.info('Backup codes regenerated', { userId: req.user.id });
+
+    res.json({
+      success: true,
+      data: { backupCodes },
+      message: 'Backup codes regenerated - previous codes are no longer valid'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
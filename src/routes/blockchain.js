@@ -0,0 +1,224 @@
+import express from 'express';
+import logger from '../logger.js';
+import { ApiError } from '../errors.js';
+import { requireAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { operation } from '../openapi/operation.js';
+import {
+  balanceResponse,
+  balanceSchema,
+  chainStatusResponse,
+  transactionResponse,
+  transactionSchema,
+  transactionStatusResponse,
+  transactionStatusSchema
+} from '../schemas/blockchain.js';
+import { ChainRequestError, getChainConfig } from '../blockchain/chain.js';
+import { getBalanceByDenom, getBalances } from '../blockchain/balances.js';
+import { getModules, getNodeStatus } from '../blockchain/nodeStatus.js';
+import { broadcastTransaction, prepareTransaction, waitForTransaction } from '../blockchain/transactions.js';
+
+const router = express.Router();
+
+const CHAIN_ERRORS = ['CHAIN_ERROR', 'CHAIN_UNREACHABLE', 'CHAIN_TIMEOUT'];
+
+// Blockchain status route
+router.get('/status', operation({
+  operationId: 'getChainStatus',
+  summary: 'PersonaChain node diagnostics',
+  response: chainStatusResponse,
+  raw: true
+}), async (req, res, next) => {
+  try {
+    const chain = getChainConfig();
+    
+    logger.info('Checking PersonaChain status...', { rpc: chain.rpcUrl });
+
+    const [node, modules] = await Promise.allSettled([getNodeStatus(), getModules()]);
+    
+    let blockchainStatus;
+    let statusMessage;
+
+    if (node.status === 'rejected') {
+      blockchainStatus = 'unreachable';
+      statusMessage = `PersonaChain RPC is not responding: ${node.reason.message}`;
+      logger.info('PersonaChain not ready yet:', node.reason.message);
+    } else if (node.value.chainIdMismatch) {
+      blockchainStatus = 'misconfigured';
+      statusMessage = `Node reports chain-id ${node.value.chainId}, expected ${chain.chainId}`;
+      logger.warn('PersonaChain chain-id mismatch', { node: node.value.chainId, expected: chain.chainId });
+    } else if (node.value.catchingUp) {
+      blockchainStatus = 'syncing';
+      statusMessage = `PersonaChain node is catching up (height ${node.value.latestBlockHeight})`;
+    } else {
+      blockchainStatus = 'operational';
+      statusMessage = 'PersonaChain validator is operational';
+    }
+    
+    res.json({
+      success: true,
+      blockchain: {
+        name: 'PersonaChain',
+        rpc_url: chain.rpcUrl,
+        api_url: chain.apiUrl,
+        chain_id: chain.chainId,
+        status: blockchainStatus,
+        message: statusMessage,
+        node: node.status === 'fulfilled'
+          ? {
+            chain_id: node.value.chainId,
+            chain_id_mismatch: node.value.chainIdMismatch,
+            moniker: node.value.moniker,
+            version: node.value.nodeVersion,
+            latest_block_height: node.value.latestBlockHeight,
+            latest_block_time: node.value.latestBlockTime,
+            catching_up: node.value.catchingUp
+          }
+          : null,
+        modules: modules.status === 'fulfilled' ? modules.value.modules : null,
+        features: modules.status === 'fulfilled' ? modules.value.features : null,
+        ...(modules.status === 'rejected' && { modules_error: modules.reason.message })
+      }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Balance route for PersonaChain Cosmos SDK compatibility
+router.get('/balance/:address', operation({
+  operationId: 'getBalance',
+  summary: 'Account balances from the Cosmos bank module',
+  response: balanceResponse,
+  errors: CHAIN_ERRORS
+}), validate(balanceSchema), async (req, res, next) => {
+  try {
+    const { address } = req.params;
+    const { denom, key, limit } = req.query;
+    const chain = getChainConfig();
+
+    logger.info('Balance request', { address: address.substring(0, 8) + '...' });
+
+    const result = denom
+      ? await getBalanceByDenom(address, denom)
+      : await getBalances(address, { paginationKey: key, limit });
+
+    const primary = result.balances.find((coin) => coin.denom === (denom || chain.denom));
+
+    res.json({
+      success: true,
+      data: {
+        address: address,
+        balance: primary ? primary.amount : '0',
+        denom: denom || chain.denom,
+        balances: result.balances,
+        pagination: result.pagination,
+        network: chain.chainId,
+        cached: result.cached
+      },
+      message: 'Balance retrieved from PersonaChain'
+    });
+    
+  } catch (error) {
+    if (error instanceof ChainRequestError && error.code === 'CHAIN_ERROR') {
+      error.message = `PersonaChain rejected the balance query: ${error.message}`;
+    }
+    next(error);
+  }
+});
+
+// Transaction route for PersonaChain Cosmos SDK compatibility
+// Body: { from, txBytes } with a base64 protobuf TxRaw (SIGN_MODE_DIRECT), or { from, signed, signature } from signAmino
+router.post('/transaction', operation({
+  operationId: 'broadcastTransaction',
+  summary: 'Verify and broadcast a signed transaction',
+  status: 202,
+  response: transactionResponse,
+  errors: ['INVALID_TRANSACTION', 'TX_REJECTED', ...CHAIN_ERRORS]
+}), requireAuth, validate(transactionSchema), async (req, res, next) => {
+  try {
+    const { from, txBytes, signed, signature } = req.body;
+    const chain = getChainConfig();
+
+    const prepared = await prepareTransaction({ from, txBytes, signed, signature });
+
+    logger.info('Transaction request', { 
+      from: from.substring(0, 8) + '...', 
+      hash: prepared.hash,
+      format: txBytes ? 'protobuf' : 'amino'
+    });
+
+    const result = await broadcastTransaction(prepared.txBytes);
+
+    if (result.code !== 0) {
+      logger.warn('Transaction rejected by CheckTx', { hash: result.hash, code: result.code, codespace: result.codespace });
+      throw new ApiError('TX_REJECTED', `Transaction rejected: ${result.log}`, {
+        data: {
+          hash: result.hash,
+          code: result.code,
+          codespace: result.codespace,
+          log: result.log
+        }
+      });
+    }
+    
+    res.status(202).json({
+      success: true,
+      data: {
+        hash: result.hash,
+        from: from,
+        status: 'pending',
+        network: chain.chainId,
+        timestamp: new Date().toISOString()
+      },
+      message: 'Transaction broadcast to PersonaChain'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Transaction status; ?wait=<seconds> polls until the transaction is included (max 30s)
+router.get('/transaction/:hash', operation({
+  operationId: 'getTransaction',
+  summary: 'Transaction status; ?wait= polls until it is included',
+  response: transactionStatusResponse,
+  errors: CHAIN_ERRORS
+}), validate(transactionStatusSchema), async (req, res, next) => {
+  try {
+    const { hash } = req.params;
+    const { wait } = req.query;
+
+    const tx = await waitForTransaction(hash.toUpperCase(), wait * 1000);
+
+    if (!tx) {
+      return res.json({
+        success: true,
+        data: { hash: hash.toUpperCase(), status: 'pending' },
+        message: 'Transaction is not included in a block yet'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        hash: tx.hash,
+        status: tx.code === 0 ? 'confirmed' : 'failed',
+        height: tx.height,
+        gasUsed: tx.gasUsed,
+        gasWanted: tx.gasWanted,
+        code: tx.code,
+        codespace: tx.codespace,
+        log: tx.log
+      },
+      message: tx.code === 0 ? 'Transaction confirmed' : 'Transaction failed during execution'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,771 @@
+import express from 'express';
+import config from '../config.js';
+import logger from '../logger.js';
+import storage from '../storage/index.js';
+import {
+  buildDidDocument,
+  generateDid,
+  getOwnedDid,
+  initialDocumentMetadata,
+  listDidsByOwner,
+  prepareVerificationKey,
+  resolveDid
+} from '../identity/did.js';
+import { loadAccount } from '../auth/accounts.js';
+import { deactivateDid, updateDid } from '../identity/didOperations.js';
+import {
+  getCredentialRecord,
+  issueCredential,
+  listCredentialsByHolder,
+  revokeCredential,
+  setCredentialSuspended,
+  verifyCredential
+} from '../identity/credentials.js';
+import { getStatusListCredential } from '../identity/statusList.js';
+import { createChallenge, verifyPresentation } from '../identity/presentations.js';
+import { issueSdJwtVc, kycClaims, KYC_VCT, verifySdJwtVc } from '../identity/sdJwt.js';
+import { ApiError } from '../errors.js';
+import { auditEvent } from '../audit/auditLog.js';
+import { requireAdmin, requireAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { operation } from '../openapi/operation.js';
+import { joiToJsonSchema } from '../openapi/joiToJsonSchema.js';
+import {
+  createDidResponse,
+  createDidSchema,
+  didOperationResponse,
+  didOperationSchema,
+  didResolutionQuery,
+  didResolutionResult,
+  getDidResponse,
+  getDidSchema,
+  issueCredentialResponse,
+  issueCredentialSchema,
+  issueSdJwtResponse,
+  issueSdJwtSchema,
+  listCredentialsResponse,
+  listCredentialsSchema,
+  listDidsResponse,
+  ownedDidResponse,
+  ownedDidSchema,
+  presentationChallengeResponse,
+  presentationChallengeSchema,
+  primaryDidResponse,
+  reinstateCredentialSchema,
+  revokeCredentialResponse,
+  revokeCredentialSchema,
+  statusListCredential,
+  statusListSchema,
+  suspendCredentialResponse,
+  suspendCredentialSchema,
+  verifyCredentialResponse,
+  verifyCredentialSchema,
+  verifySdJwtResponse,
+  verifySdJwtSchema,
+  verifyPresentationResponse,
+  verifyPresentationSchema
+} from '../schemas/identity.js';
+
+const router = express.Router();
+
+// DID records keyed by DID; see src/identity/did.js for the record shape
+const dids = storage.collection('dids');
+const accounts = storage.collection('accounts');
+
+const RESOLUTION_CONTENT_TYPE = 'application/ld+json;profile="https://w3id.org/did-resolution"';
+
+const resolutionError = (description) => ({
+  description,
+  content: { [RESOLUTION_CONTENT_TYPE]: { schema: joiToJsonSchema(didResolutionResult) } }
+});
+
+const statusChangeErrors = ['CREDENTIAL_NOT_FOUND', 'CREDENTIAL_STATUS_UNSUPPORTED'];
+
+const MAX_DIDS_PER_ACCOUNT = config.identity.maxDidsPerAccount;
+
+// Audit actor for routes behind requireAdmin; the API key carries no identity of its own
+const ADMIN_ACTOR = { type: 'admin' };
+
+// What the owner of a DID gets to see about it
+const toOwnedDidView = (record, account) => ({
+  did: record.did,
+  walletAddress: record.walletAddress,
+  primary: account.did === record.did,
+  userData: record.userData,
+  didDocument: record.didDocument,
+  created: record.didDocumentMetadata.created,
+  versionId: record.didDocumentMetadata.versionId || '1',
+  deactivated: Boolean(record.didDocumentMetadata.deactivated)
+});
+
+const loadOwnedDid = async (did, userId) => {
+  const record = await getOwnedDid(did, userId);
+  if (!record) {
+    throw new ApiError('DID_NOT_FOUND', 'DID not found');
+  }
+  return record;
+};
+
+// Create a DID owned by the signed-in account. The first DID becomes the account's primary DID.
+// DIDs are resolved by this service (GET /did/:did); nothing is written to the chain.
+router.post('/create-did', operation({
+  operationId: 'createDid',
+  summary: 'Create a did:persona DID owned by the signed-in account',
+  response: createDidResponse,
+  raw: true,
+  errors: ['ACCOUNT_NOT_FOUND', 'DID_LIMIT_REACHED']
+}), requireAuth, validate(createDidSchema), async (req, res, next) => {
+  try {
+    const { firstName, lastName, email, birthDate, publicKeyMultibase, primary } = req.body;
+    const account = await loadAccount(req.user.id);
+
+    const owned = await listDidsByOwner(account.id);
+    if (owned.length >= MAX_DIDS_PER_ACCOUNT) {
+      throw new ApiError('DID_LIMIT_REACHED', `An account can hold at most ${MAX_DIDS_PER_ACCOUNT} DIDs`);
+    }
+
+    const verificationKey = prepareVerificationKey(publicKeyMultibase);
+    const did = generateDid();
+
+    logger.info('DID creation request', { userId: account.id, existing: owned.length });
+    
+    // The account's linked wallet holds the DID's credentials; without one there is no address
+    const walletAddress = account.walletLinkedAt ? account.walletAddress : null;
+
+    // Store DID with user data (persistent storage)
+    const createdAt = new Date().toISOString();
+    const didRecord = {
+      id: did,
+      did: did,
+      ownerId: account.id,
+      walletAddress,
+      userData: {
+        firstName: firstName || null,
+        lastName: lastName || null,
+        email: email || null,
+        birthDate: birthDate || null,
+        createdAt,
+        verified: false
+      },
+      didDocument: buildDidDocument(did, verificationKey.publicKeyMultibase),
+      didDocumentMetadata: initialDocumentMetadata(createdAt)
+    };
+    
+    await dids.insert(didRecord);
+
+    const isPrimary = primary || !account.did;
+    if (isPrimary) {
+      await accounts.update(account.id, { did });
+    }
+
+    await auditEvent(req, 'did.created', { subject: { type: 'did', id: did }, data: { primary: isPrimary } });
+    
+    logger.info('Created new DID for user', { 
+      did: did.substring(0, 20) + '...',
+      wallet: walletAddress ? walletAddress.substring(0, 15) + '...' : null,
+      primary: isPrimary
+    });
+    
+    res.json({
+      success: true,
+      did: did,
+      walletAddress,
+      primary: isPrimary,
+      userData: didRecord.userData,
+      didDocument: didRecord.didDocument,
+      // Only present when the service generated the key pair; it is not stored and cannot be recovered
+      ...(verificationKey.privateKeyJwk && { privateKeyJwk: verificationKey.privateKeyJwk }),
+      message: 'Digital identity created',
+      isExisting: false
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The signed-in account's primary DID
+router.post('/get-did', operation({
+  operationId: 'getDid',
+  summary: 'Get the primary DID of the signed-in account',
+  response: getDidResponse,
+  raw: true,
+  errors: ['ACCOUNT_NOT_FOUND']
+}), requireAuth, validate(getDidSchema), async (req, res, next) => {
+  try {
+    const account = await loadAccount(req.user.id);
+    const existingDID = account.did && await getOwnedDid(account.did, account.id);
+    
+    if (!existingDID) {
+      return res.json({
+        success: true,
+        found: false,
+        message: 'No digital identity has been created for this account'
+      });
+    }
+
+    res.json({
+      success: true,
+      found: true,
+      did: existingDID.did,
+      walletAddress: existingDID.walletAddress,
+      userData: existingDID.userData,
+      message: 'Found existing digital identity'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Every DID owned by the signed-in account
+router.get('/dids', operation({
+  operationId: 'listDids',
+  summary: 'List the DIDs owned by the signed-in account',
+  response: listDidsResponse,
+  errors: ['ACCOUNT_NOT_FOUND']
+}), requireAuth, async (req, res, next) => {
+  try {
+    const account = await loadAccount(req.user.id);
+    const records = await listDidsByOwner(account.id);
+
+    res.json({
+      success: true,
+      data: {
+        primaryDid: account.did || null,
+        dids: records.map((record) => toOwnedDidView(record, account))
+      },
+      message: `Found ${records.length} DID(s)`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// One DID owned by the signed-in account, including its private profile data
+router.get('/dids/:did', operation({
+  operationId: 'getOwnedDid',
+  summary: 'Get a DID owned by the signed-in account',
+  response: ownedDidResponse,
+  errors: ['ACCOUNT_NOT_FOUND', 'DID_NOT_FOUND']
+}), requireAuth, validate(ownedDidSchema), async (req, res, next) => {
+  try {
+    const account = await loadAccount(req.user.id);
+    const record = await loadOwnedDid(req.params.did, account.id);
+
+    res.json({
+      success: true,
+      data: toOwnedDidView(record, account),
+      message: 'DID retrieved'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Make one of the signed-in account's DIDs its primary DID
+router.post('/dids/:did/primary', operation({
+  operationId: 'setPrimaryDid',
+  summary: 'Set the primary DID of the signed-in account',
+  response: primaryDidResponse,
+  errors: ['ACCOUNT_NOT_FOUND', 'DID_NOT_FOUND']
+}), requireAuth, validate(ownedDidSchema), async (req, res, next) => {
+  try {
+    const account = await loadAccount(req.user.id);
+    const record = await loadOwnedDid(req.params.did, account.id);
+
+    await accounts.update(account.id, { did: record.did });
+
+    logger.info('Primary DID changed', { userId: account.id, did: record.did.substring(0, 20) + '...' });
+
+    res.json({
+      success: true,
+      data: { primaryDid: record.did },
+      message: 'Primary DID updated'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DID resolution (DID Resolution HTTP(S) binding). Errors are reported in the resolution result's
+// didResolutionMetadata, as the binding requires, instead of the API error envelope.
+// ?versionId= or ?versionTime= resolve an earlier version of the document.
+router.get('/did/:did', operation({
+  operationId: 'resolveDid',
+  summary: 'Resolve a DID (DID Resolution HTTP(S) binding)',
+  response: didResolutionResult,
+  raw: true,
+  contentType: RESOLUTION_CONTENT_TYPE,
+  query: didResolutionQuery,
+  responses: {
+    400: resolutionError('invalidDid, invalidOptions'),
+    404: resolutionError('notFound'),
+    410: resolutionError('The DID has been deactivated; the result carries its last document')
+  }
+}), async (req, res) => {
+  try {
+    const { did } = req.params;
+    const { versionId, versionTime } = req.query;
+    const result = await resolveDid(did, { versionId, versionTime });
+    const { error } = result.didResolutionMetadata;
+
+    if (error) {
+      return res
+        .status(error === 'notFound' ? 404 : 400)
+        .type(RESOLUTION_CONTENT_TYPE)
+        .send(JSON.stringify(result));
+    }
+
+    // The binding answers 410 Gone for deactivated DIDs, with the full resolution result
+    if (result.didDocumentMetadata.deactivated) {
+      return res.status(410).type(RESOLUTION_CONTENT_TYPE).send(JSON.stringify(result));
+    }
+
+    // Callers that ask for a bare DID document get just the document
+    const accepted = req.accepts(['application/ld+json', 'application/did+ld+json', 'application/did+json', 'application/json']);
+    if (accepted === 'application/did+ld+json' || accepted === 'application/did+json') {
+      return res.type(accepted).send(JSON.stringify(result.didDocument));
+    }
+
+    res
+      .type(RESOLUTION_CONTENT_TYPE)
+      .send(JSON.stringify(result));
+
+  } catch (error) {
+    logger.error('DID resolution error:', error);
+    res.status(500).json({
+      '@context': 'https://w3id.org/did-resolution/v1',
+      didDocument: null,
+      didResolutionMetadata: { error: 'internalError' },
+      didDocumentMetadata: {}
+    });
+  }
+});
+
+const didOperationErrors = [
+  'DID_NOT_FOUND',
+  'DID_DEACTIVATED',
+  'DID_VERSION_CONFLICT',
+  'INVALID_DID_OPERATION',
+  'DID_OPERATION_UNAUTHORIZED'
+];
+
+// Add or remove keys and service endpoints. Authorized by the controller key that signed the operation.
+router.post('/did/:did/update', operation({
+  operationId: 'updateDid',
+  summary: 'Update a DID with an operation signed by its controller key',
+  response: didOperationResponse,
+  errors: didOperationErrors
+}), validate(didOperationSchema), async (req, res, next) => {
+  try {
+    const { record, signedBy } = await updateDid(req.params.did, req.body.operation);
+    await auditEvent(req, 'did.updated', {
+      actor: { type: 'did_controller', id: signedBy },
+      subject: { type: 'did', id: record.did },
+      data: { versionId: record.didDocumentMetadata.versionId }
+    });
+
+    logger.info('DID updated', { did: record.did.substring(0, 20) + '...', versionId: record.didDocumentMetadata.versionId });
+
+    res.json({
+      success: true,
+      data: {
+        did: record.did,
+        didDocument: record.didDocument,
+        didDocumentMetadata: record.didDocumentMetadata
+      },
+      message: 'DID updated'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Deactivate a DID permanently. Authorized by the controller key that signed the operation.
+router.post('/did/:did/deactivate', operation({
+  operationId: 'deactivateDid',
+  summary: 'Deactivate a DID with an operation signed by its controller key',
+  response: didOperationResponse,
+  errors: didOperationErrors
+}), validate(didOperationSchema), async (req, res, next) => {
+  try {
+    const { record, signedBy } = await deactivateDid(req.params.did, req.body.operation);
+    await auditEvent(req, 'did.deactivated', {
+      actor: { type: 'did_controller', id: signedBy },
+      subject: { type: 'did', id: record.did },
+      data: { versionId: record.didDocumentMetadata.versionId }
+    });
+
+    logger.warn('DID deactivated', { did: record.did.substring(0, 20) + '...' });
+
+    res.json({
+      success: true,
+      data: {
+        did: record.did,
+        didDocument: record.didDocument,
+        didDocumentMetadata: record.didDocumentMetadata
+      },
+      message: 'DID deactivated'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Issue a verifiable credential to a DID created by create-did (operator only)
+router.post('/credentials/issue', operation({
+  operationId: 'issueCredential',
+  summary: 'Issue a credential to a DID (operator only)',
+  status: 201,
+  response: issueCredentialResponse,
+  errors: ['DID_NOT_FOUND']
+}), requireAdmin, validate(issueCredentialSchema), async (req, res, next) => {
+  try {
+    const { subjectDid, type, claims, validUntil } = req.body;
+
+    const subject = await dids.get(subjectDid);
+    if (!subject) {
+      throw new ApiError('DID_NOT_FOUND', 'Subject DID not found');
+    }
+
+    const record = await issueCredential({
+      subjectDid,
+      holderAddress: subject.walletAddress,
+      type,
+      claims,
+      validUntil
+    });
+
+    await auditEvent(req, 'credential.issued', {
+      actor: ADMIN_ACTOR,
+      subject: { type: 'credential', id: record.id },
+      data: { type, subjectDid }
+    });
+
+    logger.info('Credential issued', { id: record.id, type, subject: subjectDid.substring(0, 20) + '...' });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: record.id,
+        credential: record.credential,
+        jwt: record.jwt
+      },
+      message: 'Credential issued'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Verify a credential (Data Integrity object or VC-JWT string)
+router.post('/credentials/verify', operation({
+  operationId: 'verifyCredential',
+  summary: 'Verify a Data Integrity credential or VC-JWT',
+  response: verifyCredentialResponse
+}), validate(verifyCredentialSchema), async (req, res, next) => {
+  try {
+    const result = await verifyCredential(req.body.credential);
+
+    res.json({
+      success: true,
+      data: result,
+      message: result.verified ? 'Credential is valid' : 'Credential verification failed'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Issue the signed-in user an SD-JWT VC of their KYC attributes, each one separately disclosable.
+// Only accounts whose KYC an operator recorded as verified get one.
+router.post('/credentials/sd-jwt', operation({
+  operationId: 'issueSdJwtCredential',
+  summary: 'Issue a selective-disclosure (SD-JWT VC) credential of your KYC attributes',
+  status: 201,
+  response: issueSdJwtResponse,
+  errors: ['ACCOUNT_NOT_FOUND', 'KYC_NOT_VERIFIED', 'DID_NOT_FOUND', 'DID_DEACTIVATED', 'DID_NO_AUTHENTICATION_KEY']
+}), requireAuth, validate(issueSdJwtSchema), async (req, res, next) => {
+  try {
+    const account = await loadAccount(req.user.id);
+    if (account.kycStatus !== 'verified') {
+      throw new ApiError('KYC_NOT_VERIFIED', 'KYC attributes can only be issued once KYC is verified');
+    }
+
+    const holderDid = req.body.did || account.did;
+    if (!holderDid) {
+      throw new ApiError('DID_NOT_FOUND', 'Create a DID before requesting credentials');
+    }
+    const record = await loadOwnedDid(holderDid, account.id);
+
+    if (record.didDocumentMetadata.deactivated) {
+      throw new ApiError('DID_DEACTIVATED', 'DID is deactivated');
+    }
+
+    const claims = kycClaims(account);
+    // Null only when the DID has no authentication key left to bind the credential to
+    const issued = await issueSdJwtVc({ holderDid, vct: KYC_VCT, claims, validUntil: req.body.validUntil });
+    if (!issued) {
+      throw new ApiError('DID_NO_AUTHENTICATION_KEY', 'DID has no authentication key to bind the credential to');
+    }
+
+    await auditEvent(req, 'credential.issued', {
+      subject: { type: 'did', id: holderDid },
+      data: { format: 'dc+sd-jwt', vct: KYC_VCT, claims: Object.keys(claims) }
+    });
+
+    logger.info('SD-JWT credential issued', { did: holderDid.substring(0, 20) + '...', claims: Object.keys(claims).length });
+
+    res.status(201).json({
+      success: true,
+      data: issued,
+      message: 'Credential issued'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Verify an SD-JWT VC presentation and return only the claims the holder disclosed
+router.post('/credentials/sd-jwt/verify', operation({
+  operationId: 'verifySdJwtCredential',
+  summary: 'Verify an SD-JWT VC presentation',
+  response: verifySdJwtResponse
+}), validate(verifySdJwtSchema), async (req, res, next) => {
+  try {
+    const result = await verifySdJwtVc(req.body.sdJwt);
+
+    logger.info('SD-JWT presentation verified', { verified: result.verified, disclosed: result.disclosed.length });
+
+    res.json({
+      success: true,
+      data: result,
+      message: result.verified ? 'Presentation is valid' : 'Presentation verification failed'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Load the credential named in :id for the status routes; throws 404/409 when it cannot change status
+const loadCredentialForStatusChange = async (id) => {
+  const record = await getCredentialRecord(id);
+
+  if (!record) {
+    throw new ApiError('CREDENTIAL_NOT_FOUND', 'Credential not found');
+  }
+
+  if (!record.status) {
+    throw new ApiError(
+      'CREDENTIAL_STATUS_UNSUPPORTED',
+      'Credential was issued without a status entry and cannot be revoked or suspended'
+    );
+  }
+
+  return record;
+};
+
+// Revoke a credential permanently (operator only)
+router.post('/credentials/:id/revoke', operation({
+  operationId: 'revokeCredential',
+  summary: 'Revoke a credential permanently (operator only)',
+  response: revokeCredentialResponse,
+  errors: [...statusChangeErrors, 'CREDENTIAL_ALREADY_REVOKED']
+}), requireAdmin, validate(revokeCredentialSchema), async (req, res, next) => {
+  try {
+    const record = await loadCredentialForStatusChange(req.params.id);
+
+    if (record.revokedAt) {
+      throw new ApiError('CREDENTIAL_ALREADY_REVOKED', 'Credential is already revoked');
+    }
+
+    const updated = await revokeCredential(record, req.body.reason);
+    await auditEvent(req, 'credential.revoked', {
+      actor: ADMIN_ACTOR,
+      subject: { type: 'credential', id: record.id },
+      data: { reason: updated.statusReason }
+    });
+
+    logger.warn('Credential revoked', { id: record.id, reason: req.body.reason || 'not provided' });
+
+    res.json({
+      success: true,
+      data: { id: updated.id, revokedAt: updated.revokedAt, reason: updated.statusReason },
+      message: 'Credential revoked'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Suspend a credential until it is reinstated (operator only)
+router.post('/credentials/:id/suspend', operation({
+  operationId: 'suspendCredential',
+  summary: 'Suspend a credential (operator only)',
+  response: suspendCredentialResponse,
+  errors: statusChangeErrors
+}), requireAdmin, validate(suspendCredentialSchema), async (req, res, next) => {
+  try {
+    const record = await loadCredentialForStatusChange(req.params.id);
+
+    const updated = await setCredentialSuspended(record, true, req.body.reason);
+    await auditEvent(req, 'credential.suspended', {
+      actor: ADMIN_ACTOR,
+      subject: { type: 'credential', id: record.id },
+      data: { reason: updated.statusReason }
+    });
+
+    logger.warn('Credential suspended', { id: record.id, reason: req.body.reason || 'not provided' });
+
+    res.json({
+      success: true,
+      data: { id: updated.id, suspendedAt: updated.suspendedAt, reason: updated.statusReason },
+      message: 'Credential suspended'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Lift a suspension (operator only)
+router.post('/credentials/:id/reinstate', operation({
+  operationId: 'reinstateCredential',
+  summary: 'Lift a credential suspension (operator only)',
+  response: suspendCredentialResponse,
+  errors: statusChangeErrors
+}), requireAdmin, validate(reinstateCredentialSchema), async (req, res, next) => {
+  try {
+    const record = await loadCredentialForStatusChange(req.params.id);
+
+    const updated = await setCredentialSuspended(record, false);
+    await auditEvent(req, 'credential.reinstated', { actor: ADMIN_ACTOR, subject: { type: 'credential', id: record.id } });
+
+    logger.info('Credential reinstated', { id: record.id });
+
+    res.json({
+      success: true,
+      data: { id: updated.id, suspendedAt: null },
+      message: 'Credential reinstated'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Bitstring status list credentials referenced from issued credentials
+router.get('/status/:listId', operation({
+  operationId: 'getStatusList',
+  summary: 'Fetch a Bitstring Status List credential',
+  response: statusListCredential,
+  raw: true,
+  errors: ['STATUS_LIST_NOT_FOUND']
+}), validate(statusListSchema), async (req, res, next) => {
+  try {
+    const listCredential = await getStatusListCredential(req.params.listId);
+
+    if (!listCredential) {
+      throw new ApiError('STATUS_LIST_NOT_FOUND', 'Status list not found');
+    }
+
+    res.set('Cache-Control', 'public, max-age=60').json(listCredential);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Issue a one-time challenge for a relying party to send to the holder's wallet
+router.post('/presentations/challenge', operation({
+  operationId: 'createPresentationChallenge',
+  summary: 'Create a one-time challenge for a presentation request',
+  status: 201,
+  response: presentationChallengeResponse
+}), validate(presentationChallengeSchema), async (req, res, next) => {
+  try {
+    const challenge = await createChallenge(req.body.domain);
+
+    res.status(201).json({
+      success: true,
+      data: challenge,
+      message: 'Presentation challenge created'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Verify a presentation (Data Integrity object or VP-JWT string) and every credential in it
+router.post('/presentations/verify', operation({
+  operationId: 'verifyPresentation',
+  summary: 'Verify a presentation and the credentials in it',
+  response: verifyPresentationResponse,
+  errors: ['INVALID_PRESENTATION']
+}), validate(verifyPresentationSchema), async (req, res, next) => {
+  try {
+    const result = await verifyPresentation(req.body.presentation);
+
+    logger.info('Presentation verified', {
+      holder: result.holder ? result.holder.substring(0, 20) + '...' : 'unknown',
+      verified: result.verified
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: result.verified ? 'Presentation is valid' : 'Presentation verification failed'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Credentials route
+router.get('/credentials/:address', operation({
+  operationId: 'listCredentials',
+  summary: 'List the credentials held by one of the signed-in account\'s wallet addresses',
+  response: listCredentialsResponse,
+  raw: true,
+  errors: ['ACCOUNT_NOT_FOUND', 'ADDRESS_NOT_OWNED']
+}), requireAuth, validate(listCredentialsSchema), async (req, res, next) => {
+  try {
+    const { address } = req.params;
+    const account = await loadAccount(req.user.id);
+
+    // Credentials carry personal claims, so only the holder may list them
+    const ownsAddress = account.walletAddress === address
+      || (await listDidsByOwner(account.id)).some((record) => record.walletAddress === address);
+    if (!ownsAddress) {
+      throw new ApiError('ADDRESS_NOT_OWNED', 'This wallet address does not belong to your account');
+    }
+    
+    logger.info('Credentials request', { address: address.substring(0, 8) + '...' });
+
+    const records = await listCredentialsByHolder(address);
+    
+    res.json({
+      success: true,
+      credentials: records.map((record) => record.credential),
+      message: `Found ${records.length} credential(s)`
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
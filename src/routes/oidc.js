@@ -0,0 +1,378 @@
+import express from 'express';
+import logger from '../logger.js';
+import { ApiError, OAuthError } from '../errors.js';
+import { loadAccount } from '../auth/accounts.js';
+import { getSession } from '../auth/sessions.js';
+import { authenticateClient, getClient, registerClient } from '../oidc/clients.js';
+import { getJwks } from '../oidc/keys.js';
+import { PRE_AUTHORIZED_CODE_GRANT, redeemPreAuthorizedCode } from '../openid4vc/issuance.js';
+import {
+  approveAuthorization,
+  denyAuthorization,
+  exchangeAuthorizationCode,
+  getGrantedScopes,
+  getIssuer,
+  getPendingRequest,
+  getUserInfo,
+  redirectWith,
+  SCOPE_CLAIMS,
+  startAuthorization,
+  subjectFor
+} from '../oidc/provider.js';
+import { auditEvent } from '../audit/auditLog.js';
+import { requireAdmin, requireAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { operation } from '../openapi/operation.js';
+import {
+  authorizationRequestParams,
+  authorizationRequestResponse,
+  authorizeQuery,
+  clientRegistrationBody,
+  clientRegistrationResponse,
+  consentResponse,
+  consentSchema,
+  jwksResponse,
+  tokenForm,
+  tokenResponse,
+  userInfoResponse
+} from '../schemas/oidc.js';
+
+// OpenID Connect provider ("Sign in with PersonaPass"). The protocol endpoints (authorize, token,
+// userinfo, jwks, register) follow OAuth 2.0 / OpenID Connect and answer errors as
+// { error, error_description }. The requests/* routes are the API the PersonaPass web app uses to
+// show the consent screen and report the user's decision; they use the usual envelope.
+
+const router = express.Router();
+
+const NO_STORE = { 'Cache-Control': 'no-store', Pragma: 'no-cache' };
+
+// Check a protocol request against a joi schema, reporting problems as an OAuth error
+const parseOAuth = (schema, input) => {
+  const { value, error } = schema.validate(input, { stripUnknown: true, errors: { wrap: { label: false } } });
+  if (error) {
+    throw new OAuthError('invalid_request', error.message);
+  }
+  return value;
+};
+
+// Client credentials from HTTP Basic (client_secret_basic), the form (client_secret_post),
+// or just client_id for public clients (RFC 6749 section 2.3.1)
+const clientCredentials = (req) => {
+  const [scheme, encoded] = (req.get('Authorization') || '').split(' ');
+
+  if (scheme === 'Basic' && encoded) {
+    const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    try {
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1)),
+        method: 'client_secret_basic'
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (req.body.client_secret) {
+    return { clientId: req.body.client_id, clientSecret: req.body.client_secret, method: 'client_secret_post' };
+  }
+  return { clientId: req.body.client_id, method: 'none' };
+};
+
+const readBearerToken = (req) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Authorization endpoint: check the request and send the browser to the PersonaPass sign-in and consent page
+router.get('/authorize', operation({
+  operationId: 'oidcAuthorize',
+  summary: 'OpenID Connect authorization endpoint (code flow with PKCE)',
+  status: 302,
+  redirect: true,
+  query: authorizeQuery,
+  oauthErrors: [400]
+}), async (req, res, next) => {
+  try {
+    const repeated = Object.keys(req.query).filter((name) => typeof req.query[name] !== 'string');
+    if (repeated.length > 0) {
+      throw new OAuthError('invalid_request', `Parameters must not be repeated: ${repeated.join(', ')}`);
+    }
+
+    res.redirect(302, await startAuthorization(req.query));
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Details of a pending authorization request, for the consent screen
+router.get('/requests/:requestId', operation({
+  operationId: 'getAuthorizationRequest',
+  summary: 'Describe a pending sign-in request for the consent screen',
+  response: authorizationRequestResponse,
+  errors: ['OIDC_REQUEST_NOT_FOUND', 'ACCOUNT_NOT_FOUND']
+}), requireAuth, validate(authorizationRequestParams), async (req, res, next) => {
+  try {
+    const request = await getPendingRequest(req.params.requestId);
+    const client = request && await getClient(request.clientId);
+    if (!client) {
+      throw new ApiError('OIDC_REQUEST_NOT_FOUND', 'Unknown or expired sign-in request');
+    }
+
+    const account = await loadAccount(req.user.id);
+
+    const granted = await getGrantedScopes(client.id, account.id);
+
+    res.json({
+      success: true,
+      data: {
+        requestId: request.id,
+        client: { id: client.id, name: client.clientName },
+        scopes: request.scopes,
+        claims: request.scopes.flatMap((scope) => SCOPE_CLAIMS[scope]),
+        sub: await subjectFor(client.id, account),
+        previouslyGranted: request.scopes.every((scope) => granted.includes(scope)),
+        expiresAt: request.expiresAt
+      },
+      message: `${client.clientName} asks to sign you in`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The signed-in user's decision. Approving needs a DID, which becomes the `sub` the client sees.
+router.post('/requests/:requestId/consent', operation({
+  operationId: 'decideAuthorizationRequest',
+  summary: 'Approve or deny a sign-in request',
+  response: consentResponse,
+  errors: ['OIDC_REQUEST_NOT_FOUND', 'ACCOUNT_NOT_FOUND', 'OIDC_DID_REQUIRED']
+}), requireAuth, validate(consentSchema), async (req, res, next) => {
+  try {
+    const request = await getPendingRequest(req.params.requestId);
+    if (!request) {
+      throw new ApiError('OIDC_REQUEST_NOT_FOUND', 'Unknown or expired sign-in request');
+    }
+
+    const account = await loadAccount(req.user.id);
+
+    if (!req.body.approve) {
+      const redirectTo = await denyAuthorization(request, account);
+      await auditEvent(req, 'oidc.consent.denied', {
+        subject: { type: 'account', id: account.id },
+        data: { clientId: request.clientId, scopes: request.scopes }
+      });
+
+      return res.json({
+        success: true,
+        data: { redirectTo },
+        message: 'Sign-in declined'
+      });
+    }
+
+    const sub = await subjectFor(request.clientId, account);
+    if (!sub) {
+      throw new ApiError('OIDC_DID_REQUIRED', 'Create a DID before signing in to other apps with PersonaPass');
+    }
+
+    const session = await getSession(req.user.sessionId);
+    const authTime = Math.floor(Date.parse(session.createdAt) / 1000);
+
+    const redirectTo = await approveAuthorization(request, account, sub, authTime);
+    await auditEvent(req, 'oidc.consent.granted', {
+      subject: { type: 'account', id: account.id },
+      data: { clientId: request.clientId, scopes: request.scopes, sub }
+    });
+
+    logger.info('OpenID sign-in approved', { userId: account.id, clientId: request.clientId });
+
+    res.json({
+      success: true,
+      data: { redirectTo },
+      message: 'Sign-in approved'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Token endpoint: exchange an authorization code for an access token and ID token, or an OpenID4VCI
+// pre-authorized code for an access token to the credential endpoint
+router.post('/token', operation({
+  operationId: 'oidcToken',
+  summary: 'Token endpoint for OpenID Connect clients and OpenID4VCI wallets',
+  form: tokenForm,
+  response: tokenResponse,
+  raw: true,
+  oauthErrors: [400, 401]
+}), async (req, res, next) => {
+  try {
+    const form = parseOAuth(tokenForm, req.body);
+
+    // OpenID4VCI credential offers: the pre-authorized code (and tx_code) is all the wallet has
+    if (form.grant_type === PRE_AUTHORIZED_CODE_GRANT) {
+      if (!form['pre-authorized_code']) {
+        throw new OAuthError('invalid_request', 'pre-authorized_code is required');
+      }
+
+      const { offer, tokens } = await redeemPreAuthorizedCode({
+        preAuthorizedCode: form['pre-authorized_code'],
+        txCode: form.tx_code
+      });
+
+      logger.info('Credential offer redeemed', { offerId: offer.id, type: offer.type });
+      return res.set(NO_STORE).json(tokens);
+    }
+
+    if (form.grant_type !== 'authorization_code') {
+      throw new OAuthError('unsupported_grant_type', `Supported grant types: authorization_code, ${PRE_AUTHORIZED_CODE_GRANT}`);
+    }
+    if (!form.code || !form.redirect_uri) {
+      throw new OAuthError('invalid_request', 'code and redirect_uri are required');
+    }
+
+    const credentials = clientCredentials(req);
+    const client = credentials && await authenticateClient(credentials);
+    if (!client) {
+      throw new OAuthError('invalid_client', 'Client authentication failed', {
+        status: 401,
+        headers: { 'WWW-Authenticate': 'Basic realm="PersonaPass"' }
+      });
+    }
+
+    const { account, tokens } = await exchangeAuthorizationCode({
+      code: form.code,
+      redirectUri: form.redirect_uri,
+      codeVerifier: form.code_verifier,
+      client
+    });
+
+    await auditEvent(req, 'oidc.tokens.issued', {
+      actor: { type: 'client', id: client.id },
+      subject: { type: 'account', id: account.id },
+      data: { scope: tokens.scope }
+    });
+
+    res.set(NO_STORE).json(tokens);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// UserInfo endpoint: the consented claims for an access token from /oidc/token
+const userInfo = async (req, res, next) => {
+  try {
+    const claims = await getUserInfo(readBearerToken(req));
+    if (!claims) {
+      throw new OAuthError('invalid_token', 'Missing, invalid or expired access token', {
+        status: 401,
+        headers: { 'WWW-Authenticate': 'Bearer error="invalid_token"' }
+      });
+    }
+
+    res.set(NO_STORE).json(claims);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.get('/userinfo', operation({
+  operationId: 'oidcUserInfo',
+  summary: 'OpenID Connect UserInfo endpoint',
+  response: userInfoResponse,
+  raw: true,
+  oauthErrors: [401]
+}), userInfo);
+
+router.post('/userinfo', operation({
+  operationId: 'oidcUserInfoPost',
+  summary: 'OpenID Connect UserInfo endpoint (POST)',
+  response: userInfoResponse,
+  raw: true,
+  oauthErrors: [401]
+}), userInfo);
+
+// Public keys that verify ID tokens
+router.get('/jwks', operation({
+  operationId: 'oidcJwks',
+  summary: 'JSON Web Key Set for ID token signatures',
+  response: jwksResponse,
+  raw: true,
+  contentType: 'application/jwk-set+json'
+}), (req, res) => {
+  res.type('application/jwk-set+json').send(JSON.stringify(getJwks()));
+});
+
+// Client registration (RFC 7591), limited to operators holding the admin API key
+router.post('/register', operation({
+  operationId: 'oidcRegisterClient',
+  summary: 'Register an OpenID Connect client',
+  status: 201,
+  response: clientRegistrationResponse,
+  raw: true,
+  oauthErrors: [400]
+}), requireAdmin, async (req, res, next) => {
+  try {
+    const { value: metadata, error } = clientRegistrationBody.validate(req.body || {}, {
+      stripUnknown: true,
+      errors: { wrap: { label: false } }
+    });
+    if (error) {
+      const field = error.details[0].path[0];
+      throw new OAuthError(field === 'redirect_uris' ? 'invalid_redirect_uri' : 'invalid_client_metadata', error.message);
+    }
+
+    const { client, clientSecret } = await registerClient({
+      clientName: metadata.client_name,
+      redirectUris: metadata.redirect_uris,
+      tokenEndpointAuthMethod: metadata.token_endpoint_auth_method
+    });
+
+    await auditEvent(req, 'oidc.client.registered', {
+      actor: { type: 'admin' },
+      subject: { type: 'oidc_client', id: client.id },
+      data: { clientName: client.clientName, redirectUris: client.redirectUris }
+    });
+
+    logger.info('OpenID client registered', { clientId: client.id });
+
+    res.status(201).set(NO_STORE).json({
+      client_id: client.id,
+      ...(clientSecret && { client_secret: clientSecret, client_secret_expires_at: 0 }),
+      client_id_issued_at: Math.floor(Date.parse(client.createdAt) / 1000),
+      client_name: client.clientName,
+      redirect_uris: client.redirectUris,
+      token_endpoint_auth_method: client.tokenEndpointAuthMethod,
+      grant_types: ['authorization_code'],
+      response_types: ['code']
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Protocol errors the client may be told about by redirect (RFC 6749 section 4.1.2.1). Everything
+// else goes on to the error handler, which answers OAuth errors as { error, error_description }.
+router.use((error, req, res, next) => {
+  if (!(error instanceof OAuthError) || !error.redirectUri) {
+    return next(error);
+  }
+
+  logger.warn('OpenID request rejected', { requestId: req.id, path: req.originalUrl.split('?')[0], error: error.error, reason: error.message });
+
+  res.redirect(302, redirectWith(error.redirectUri, {
+    error: error.error,
+    error_description: error.message,
+    state: error.state,
+    iss: getIssuer()
+  }));
+});
+
+export default router;
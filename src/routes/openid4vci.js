@@ -0,0 +1,157 @@
+import express from 'express';
+import logger from '../logger.js';
+import { ApiError, OAuthError } from '../errors.js';
+import { getDidRecord } from '../identity/did.js';
+import {
+  createCredentialOffer,
+  createNonce,
+  getCredentialOffer,
+  getOfferForAccessToken,
+  issueOfferedCredential
+} from '../openid4vc/issuance.js';
+import { auditEvent } from '../audit/auditLog.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { operation } from '../openapi/operation.js';
+import {
+  createOfferResponse,
+  createOfferSchema,
+  credentialOffer,
+  credentialRequestBody,
+  credentialResponse,
+  nonceResponse,
+  offerParamsSchema
+} from '../schemas/openid4vci.js';
+
+// OpenID for Verifiable Credential Issuance (pre-authorized code flow). Operators create offers;
+// everything else is called by the wallet: the offer URI, /oidc/token with the pre-authorized code,
+// the nonce endpoint and the credential endpoint. Issuer metadata is at /.well-known/openid-credential-issuer.
+
+const router = express.Router();
+
+const NO_STORE = { 'Cache-Control': 'no-store', Pragma: 'no-cache' };
+
+// Offer a credential to the holder of a DID; the QR code or deep link takes the offer to their wallet
+router.post('/offers', operation({
+  operationId: 'createCredentialOffer',
+  summary: 'Offer a credential to a DID for collection by its wallet (operator only)',
+  status: 201,
+  response: createOfferResponse,
+  errors: ['DID_NOT_FOUND', 'DID_DEACTIVATED']
+}), requireAdmin, validate(createOfferSchema), async (req, res, next) => {
+  try {
+    const { subjectDid, type, claims, validUntil, txCode } = req.body;
+
+    const subject = await getDidRecord(subjectDid);
+    if (!subject) {
+      throw new ApiError('DID_NOT_FOUND', 'Subject DID not found');
+    }
+    if (subject.didDocumentMetadata.deactivated) {
+      throw new ApiError('DID_DEACTIVATED', 'Subject DID is deactivated');
+    }
+
+    const offer = await createCredentialOffer({
+      subjectDid,
+      holderAddress: subject.walletAddress,
+      type,
+      claims,
+      validUntil,
+      requireTxCode: txCode
+    });
+
+    await auditEvent(req, 'credential.offered', {
+      actor: { type: 'admin' },
+      subject: { type: 'credential_offer', id: offer.id },
+      data: { type, subjectDid, txCode: Boolean(offer.txCode) }
+    });
+
+    logger.info('Credential offer created', { offerId: offer.id, type, subject: subjectDid.substring(0, 20) + '...' });
+
+    res.status(201).set(NO_STORE).json({
+      success: true,
+      data: offer,
+      message: 'Credential offer created'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Credential offer URI: what the wallet fetches after scanning the QR code
+router.get('/offers/:offerId', operation({
+  operationId: 'getCredentialOffer',
+  summary: 'Fetch a credential offer (credential_offer_uri)',
+  response: credentialOffer,
+  raw: true,
+  errors: ['CREDENTIAL_OFFER_NOT_FOUND']
+}), validate(offerParamsSchema), async (req, res, next) => {
+  try {
+    const offer = await getCredentialOffer(req.params.offerId);
+    if (!offer) {
+      throw new ApiError('CREDENTIAL_OFFER_NOT_FOUND', 'Unknown, expired or already redeemed credential offer');
+    }
+
+    res.set(NO_STORE).json(offer);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Nonce endpoint: a fresh c_nonce for the key proof of the next credential request
+router.post('/nonce', operation({
+  operationId: 'createCredentialNonce',
+  summary: 'Get a c_nonce for a credential request key proof',
+  response: nonceResponse,
+  raw: true
+}), async (req, res, next) => {
+  try {
+    res.set(NO_STORE).json({ c_nonce: await createNonce() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Credential endpoint: issue the offered credential to the wallet that proves it holds the DID's key
+router.post('/credential', operation({
+  operationId: 'issueOfferedCredential',
+  summary: 'Collect an offered credential with the access token from /oidc/token',
+  body: credentialRequestBody,
+  response: credentialResponse,
+  raw: true,
+  oauthErrors: [400, 401]
+}), async (req, res, next) => {
+  try {
+    const [scheme, accessToken] = (req.get('Authorization') || '').split(' ');
+    const offer = scheme === 'Bearer' && await getOfferForAccessToken(accessToken);
+    if (!offer) {
+      throw new OAuthError('invalid_token', 'Missing, invalid or expired access token', {
+        status: 401,
+        headers: { 'WWW-Authenticate': 'Bearer error="invalid_token"' }
+      });
+    }
+
+    const request = req.body;
+    if (!request || typeof request !== 'object' || Array.isArray(request) || typeof request.credential_configuration_id !== 'string') {
+      throw new OAuthError('invalid_credential_request', 'credential_configuration_id is required');
+    }
+
+    const record = await issueOfferedCredential(offer, request);
+
+    await auditEvent(req, 'credential.issued', {
+      actor: { type: 'did_controller', id: offer.subjectDid },
+      subject: { type: 'credential', id: record.id },
+      data: { type: record.type, subjectDid: offer.subjectDid, offerId: offer.id }
+    });
+
+    logger.info('Offered credential issued', { id: record.id, offerId: offer.id, type: record.type });
+
+    res.set(NO_STORE).json({ credentials: [{ credential: record.jwt }] });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
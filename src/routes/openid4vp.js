@@ -0,0 +1,136 @@
+import express from 'express';
+import logger from '../logger.js';
+import { ApiError } from '../errors.js';
+import {
+  checkResponseCode,
+  createPresentationRequest,
+  getRequestObject,
+  getTransaction,
+  receiveAuthorizationResponse
+} from '../openid4vc/presentation.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { operation } from '../openapi/operation.js';
+import {
+  authorizationResponseForm,
+  authorizationResponseResult,
+  createPresentationRequestSchema,
+  presentationRequestParams,
+  presentationRequestResponse,
+  transactionResponse,
+  transactionSchema
+} from '../schemas/openid4vp.js';
+
+// OpenID for Verifiable Presentations, with PersonaPass verifying on behalf of relying parties.
+// The relying party (through an operator key) creates a request and shows its QR code or deep link;
+// the wallet fetches the request object and posts the presentation back; the relying party polls
+// /transactions/:transactionId for the result.
+
+const router = express.Router();
+
+const NO_STORE = { 'Cache-Control': 'no-store', Pragma: 'no-cache' };
+
+// Start a presentation request for one credential type
+router.post('/requests', operation({
+  operationId: 'createPresentationRequest',
+  summary: 'Create an OpenID4VP presentation request (operator only)',
+  status: 201,
+  response: presentationRequestResponse
+}), requireAdmin, validate(createPresentationRequestSchema), async (req, res, next) => {
+  try {
+    const request = await createPresentationRequest(req.body);
+
+    logger.info('Presentation request created', { requestId: request.id, credentialType: req.body.credentialType });
+
+    res.status(201).set(NO_STORE).json({
+      success: true,
+      data: request,
+      message: 'Presentation request created'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// request_uri: the signed request object the wallet fetches after scanning the QR code
+router.get('/requests/:requestId', operation({
+  operationId: 'getPresentationRequestObject',
+  summary: 'Fetch the signed OpenID4VP request object (request_uri)',
+  raw: true,
+  contentType: 'application/oauth-authz-req+jwt',
+  errors: ['PRESENTATION_REQUEST_NOT_FOUND']
+}), validate(presentationRequestParams), async (req, res, next) => {
+  try {
+    const requestObject = await getRequestObject(req.params.requestId);
+    if (!requestObject) {
+      throw new ApiError('PRESENTATION_REQUEST_NOT_FOUND', 'Unknown, expired or already answered presentation request');
+    }
+
+    res.set(NO_STORE).type('application/oauth-authz-req+jwt').send(requestObject);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// response_uri: the wallet's direct_post with the vp_token (or an error)
+router.post('/requests/:requestId/response', operation({
+  operationId: 'postPresentationResponse',
+  summary: 'Receive the wallet\'s OpenID4VP authorization response (direct_post)',
+  form: authorizationResponseForm,
+  response: authorizationResponseResult,
+  raw: true,
+  oauthErrors: [400]
+}), validate(presentationRequestParams), async (req, res, next) => {
+  try {
+    const answer = await receiveAuthorizationResponse(req.params.requestId, req.body || {});
+
+    logger.info('Presentation response received', { requestId: req.params.requestId, walletError: req.body.error || null });
+
+    res.set(NO_STORE).json(answer);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The relying party's view of a request: pending until the wallet answers, then the verification result
+router.get('/transactions/:transactionId', operation({
+  operationId: 'getPresentationTransaction',
+  summary: 'Poll a presentation request for its result',
+  response: transactionResponse,
+  errors: ['PRESENTATION_REQUEST_NOT_FOUND', 'PRESENTATION_RESPONSE_CODE_INVALID']
+}), validate(transactionSchema), async (req, res, next) => {
+  try {
+    const request = await getTransaction(req.params.transactionId);
+    if (!request) {
+      throw new ApiError('PRESENTATION_REQUEST_NOT_FOUND', 'Unknown presentation transaction');
+    }
+
+    const answered = request.status !== 'pending';
+    if (answered && !checkResponseCode(request, req.query.response_code)) {
+      throw new ApiError('PRESENTATION_RESPONSE_CODE_INVALID', 'This result is released with the response_code from the wallet redirect');
+    }
+
+    const expired = !answered && Date.parse(request.expiresAt) < Date.now();
+
+    res.set(NO_STORE).json({
+      success: true,
+      data: {
+        status: expired ? 'expired' : request.status,
+        credentialType: request.credentialType,
+        expiresAt: request.expiresAt,
+        respondedAt: request.respondedAt,
+        result: request.result,
+        walletError: request.walletError
+      },
+      message: answered ? 'The wallet has answered' : 'Waiting for the wallet'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
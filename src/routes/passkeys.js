@@ -0,0 +1,256 @@
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import logger from '../logger.js';
+import storage from '../storage/index.js';
+import { ApiError } from '../errors.js';
+import {
+  createAuthenticationOptions,
+  createRegistrationOptions,
+  listPasskeys,
+  removePasskey,
+  verifyAuthentication,
+  verifyRegistration
+} from '../auth/webauthn.js';
+import { loadAccount } from '../auth/accounts.js';
+import { createSession } from '../auth/sessions.js';
+import { verifyTotpCode } from '../auth/totp.js';
+import { checkAttempt, recordFailure, recordSuccess, throttledError } from '../auth/throttle.js';
+import { auditEvent } from '../audit/auditLog.js';
+import { requireAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { operation } from '../openapi/operation.js';
+import { loginResponse } from '../schemas/auth.js';
+import {
+  authenticationOptionsResponse,
+  authenticationOptionsSchema,
+  passkeyListResponse,
+  passkeyLoginSchema,
+  passkeyParamsSchema,
+  passkeyResponse,
+  registerPasskeySchema,
+  registrationOptionsResponse
+} from '../schemas/passkeys.js';
+
+// WebAuthn passkeys. A signed-in user registers passkeys with register/options + register; register
+// also asks for the password or a TOTP code, so an access token alone cannot add a passkey.
+// A passkey then signs in in one of two ways:
+//   second factor  authenticate/options with the email, then /auth/login with the password and `passkey`
+//   passwordless   authenticate/options without an email, then /passkeys/login (user verification required)
+
+const router = express.Router();
+
+const accounts = storage.collection('accounts');
+
+const CEREMONY_ERRORS = ['WEBAUTHN_CHALLENGE_INVALID', 'WEBAUTHN_RESPONSE_INVALID', 'WEBAUTHN_VERIFICATION_FAILED'];
+
+// Re-authenticate the signed-in user with their password or a TOTP code. Failures count towards
+// the same per-account throttle as logins.
+const stepUp = async (account, { password, totpCode }) => {
+  const attempt = await checkAttempt(account.email);
+  if (!attempt.allowed) {
+    throw throttledError(attempt);
+  }
+
+  const valid = password
+    ? await bcrypt.compare(password, account.passwordHash)
+    : await verifyTotpCode(account.email, totpCode);
+  if (!valid) {
+    await recordFailure(account.email);
+    throw password
+      ? new ApiError('INVALID_CREDENTIALS', 'Invalid password')
+      : new ApiError('INVALID_SECOND_FACTOR', 'Invalid TOTP code. Please check your authenticator app.');
+  }
+  await recordSuccess(account.email);
+};
+
+// Options for navigator.credentials.create()
+router.post('/register/options', operation({
+  operationId: 'createPasskeyRegistrationOptions',
+  summary: 'Start registering a passkey for the signed-in account',
+  response: registrationOptionsResponse,
+  errors: ['ACCOUNT_NOT_FOUND']
+}), requireAuth, async (req, res, next) => {
+  try {
+    const account = await loadAccount(req.user.id);
+    const options = await createRegistrationOptions(account);
+
+    res.json({
+      success: true,
+      data: options,
+      message: 'Pass these options to navigator.credentials.create()'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Verify the attestation and store the new passkey
+router.post('/register', operation({
+  operationId: 'registerPasskey',
+  summary: 'Register a passkey for the signed-in account',
+  status: 201,
+  response: passkeyResponse,
+  errors: [
+    'ACCOUNT_NOT_FOUND',
+    'TOO_MANY_ATTEMPTS',
+    'ACCOUNT_LOCKED',
+    'INVALID_CREDENTIALS',
+    'INVALID_SECOND_FACTOR',
+    ...CEREMONY_ERRORS,
+    'PASSKEY_ALREADY_REGISTERED'
+  ]
+}), requireAuth, validate(registerPasskeySchema), async (req, res, next) => {
+  try {
+    const account = await loadAccount(req.user.id);
+    await stepUp(account, req.body);
+
+    const result = await verifyRegistration(account, req.body.credential, req.body.name);
+    if (!result.valid) {
+      logger.warn('Passkey registration rejected', { userId: account.id, code: result.code, reason: result.message });
+      throw new ApiError(result.code, result.message);
+    }
+
+    await auditEvent(req, 'passkey.registered', {
+      subject: { type: 'account', id: account.id },
+      data: { passkeyId: result.passkey.id, name: result.passkey.name }
+    });
+
+    logger.info('Passkey registered', { userId: account.id });
+
+    res.status(201).json({
+      success: true,
+      data: result.passkey,
+      message: 'Passkey registered'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List the passkeys of the signed-in account
+router.get('/', operation({
+  operationId: 'listPasskeys',
+  summary: 'List the passkeys of the signed-in account',
+  response: passkeyListResponse
+}), requireAuth, async (req, res, next) => {
+  try {
+    const passkeys = await listPasskeys(req.user.id);
+
+    res.json({
+      success: true,
+      data: { passkeys },
+      message: `Found ${passkeys.length} passkey(s)`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove one of the signed-in account's passkeys
+router.delete('/:credentialId', operation({
+  operationId: 'removePasskey',
+  summary: 'Remove a passkey from the signed-in account',
+  response: passkeyResponse,
+  errors: ['PASSKEY_NOT_FOUND']
+}), requireAuth, validate(passkeyParamsSchema), async (req, res, next) => {
+  try {
+    const removed = await removePasskey(req.user.id, req.params.credentialId);
+    if (!removed) {
+      throw new ApiError('PASSKEY_NOT_FOUND', 'Passkey not found');
+    }
+
+    await auditEvent(req, 'passkey.removed', {
+      subject: { type: 'account', id: req.user.id },
+      data: { passkeyId: removed.id, name: removed.name }
+    });
+
+    logger.info('Passkey removed', { userId: req.user.id });
+
+    res.json({
+      success: true,
+      data: removed,
+      message: 'Passkey removed'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Options for navigator.credentials.get(), either as the second factor of an email login or for a
+// passwordless sign-in
+router.post('/authenticate/options', operation({
+  operationId: 'createPasskeyAuthenticationOptions',
+  summary: 'Start a passkey sign-in or second-factor check',
+  response: authenticationOptionsResponse
+}), validate(authenticationOptionsSchema), async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    const options = await createAuthenticationOptions(email
+      ? { account: await accounts.findOne({ email }), passwordless: false }
+      : {});
+
+    res.json({
+      success: true,
+      data: options,
+      message: 'Pass these options to navigator.credentials.get()'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Passwordless sign-in: a user-verified passkey assertion on its own issues the session tokens
+router.post('/login', operation({
+  operationId: 'passkeyLogin',
+  summary: 'Sign in with a passkey alone',
+  response: loginResponse,
+  errors: [...CEREMONY_ERRORS, 'ACCOUNT_NOT_FOUND']
+}), validate(passkeyLoginSchema), async (req, res, next) => {
+  try {
+    const result = await verifyAuthentication(req.body.credential, { requireUserVerification: true });
+    if (!result.valid) {
+      await auditEvent(req, 'auth.login.failed', {
+        subject: { type: 'passkey', id: req.body.credential.id },
+        data: { reason: result.counterRegressed ? 'passkey_counter_regressed' : 'invalid_passkey', method: 'passkey' }
+      });
+      logger.warn('Passkey login failed', { code: result.code, reason: result.message });
+      throw new ApiError(result.code, result.message);
+    }
+
+    const account = await loadAccount(result.userId);
+    const session = await createSession(account);
+    await accounts.update(account.id, { lastLoginAt: new Date().toISOString() });
+    await auditEvent(req, 'auth.login.succeeded', {
+      actor: { type: 'user', id: account.id },
+      subject: { type: 'account', id: account.id },
+      data: { method: 'passkey', passkeyId: result.passkey.id, passwordless: true }
+    });
+
+    logger.info('Passkey login successful', { userId: account.id });
+
+    res.json({
+      success: true,
+      data: {
+        ...session,
+        user: {
+          id: account.id,
+          email: account.email,
+          did: account.did,
+          walletAddress: account.walletAddress,
+          kycStatus: account.kycStatus
+        }
+      },
+      message: 'Login successful'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
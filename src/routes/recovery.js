@@ -0,0 +1,289 @@
+import express from 'express';
+import logger, { maskEmail } from '../logger.js';
+import storage from '../storage/index.js';
+import { ApiError } from '../errors.js';
+import { checkVerificationCode, issueVerificationCode } from '../auth/verification.js';
+import { cancelRecoveries, completeRecovery, findRecovery, setPendingSecret, startRecovery } from '../auth/recovery.js';
+import { createTotpEnrollment, matchTotpCode, saveTotpSecret } from '../auth/totp.js';
+import { generateBackupCodes, redeemBackupCode } from '../auth/backupCodes.js';
+import { revokeAllSessions } from '../auth/sessions.js';
+import { removeAllPasskeys } from '../auth/webauthn.js';
+import { checkAttempt, recordFailure, recordSuccess, throttledError } from '../auth/throttle.js';
+import { auditEvent } from '../audit/auditLog.js';
+import { mailer } from '../notifications/index.js';
+import { requireAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { operation } from '../openapi/operation.js';
+import {
+  recoveryCancelResponse,
+  recoveryConfirmResponse,
+  recoveryConfirmSchema,
+  recoveryEnrollResponse,
+  recoveryEnrollSchema,
+  recoveryStartSchema,
+  recoveryVerifyResponse,
+  recoveryVerifySchema
+} from '../schemas/recovery.js';
+
+// Account recovery for a lost authenticator:
+//   start   email a recovery code to the account address
+//   verify  prove control of the email (plus a backup code to skip the cooling-off period)
+//   enroll  once the recovery is ready, get a new TOTP secret
+//   confirm prove the new authenticator works; the secret is swapped and every session revoked
+// The account owner is emailed at each step that changes something and can cancel while signed in.
+
+const router = express.Router();
+
+const accounts = storage.collection('accounts');
+
+const TOKEN_ERRORS = ['INVALID_RECOVERY_TOKEN', 'RECOVERY_NOT_READY'];
+
+// Security notices must not undo the step they report on, so a failed send is only logged
+const notify = async (email, subject, text) => {
+  try {
+    await mailer.send({ to: email, subject, text });
+  } catch (error) {
+    logger.error('Recovery notice could not be sent', { email: maskEmail(email), error: error.message });
+  }
+};
+
+// Load the open, ready recovery behind a token
+const loadReadyRecovery = async (token) => {
+  const recovery = await findRecovery(token);
+  if (!recovery) {
+    throw new ApiError('INVALID_RECOVERY_TOKEN', 'Invalid or expired recovery token');
+  }
+
+  const retryAfter = Math.ceil((Date.parse(recovery.readyAt) - Date.now()) / 1000);
+  if (retryAfter > 0) {
+    throw new ApiError('RECOVERY_NOT_READY', 'The cooling-off period for this recovery has not ended yet', {
+      data: { readyAt: recovery.readyAt, retryAfter },
+      headers: { 'Retry-After': String(retryAfter) }
+    });
+  }
+  return recovery;
+};
+
+// Email a recovery code. The answer is the same whether or not the account exists.
+router.post('/start', operation({
+  operationId: 'startAccountRecovery',
+  summary: 'Email an account recovery code'
+}), validate(recoveryStartSchema), async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    const account = await accounts.findOne({ email });
+
+    if (account) {
+      const issued = await issueVerificationCode(account.id, 'recovery', account.email);
+
+      if (issued.retryAfter) {
+        logger.warn('Recovery code not resent: too soon', { email: maskEmail(email), retryAfter: issued.retryAfter });
+      } else {
+        await mailer.send({
+          to: account.email,
+          subject: 'Your PersonaPass account recovery code',
+          text: `Your PersonaPass account recovery code is ${issued.code}. It expires in 10 minutes. `
+            + 'If you did not ask to recover your account, you can ignore this email.'
+        });
+        logger.info('Account recovery started', { userId: account.id });
+      }
+    } else {
+      logger.info('Account recovery requested for unknown email', { email: maskEmail(email) });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a recovery code has been sent'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Check the emailed code. With a valid backup code the recovery is ready at once,
+// otherwise it becomes ready after the cooling-off period and the owner is warned.
+router.post('/verify', operation({
+  operationId: 'verifyAccountRecovery',
+  summary: 'Prove control of the account email to open a recovery',
+  response: recoveryVerifyResponse,
+  errors: [
+    'VERIFICATION_NOT_STARTED',
+    'VERIFICATION_CODE_EXPIRED',
+    'VERIFICATION_CODE_INVALID',
+    'VERIFICATION_ATTEMPTS_EXCEEDED',
+    'TOO_MANY_ATTEMPTS',
+    'ACCOUNT_LOCKED',
+    'INVALID_SECOND_FACTOR'
+  ]
+}), validate(recoveryVerifySchema), async (req, res, next) => {
+  try {
+    const { email, code, backupCode } = req.body;
+    const account = await accounts.findOne({ email });
+
+    const result = account
+      ? await checkVerificationCode(account.id, 'recovery', code)
+      : { valid: false, code: 'VERIFICATION_NOT_STARTED', message: 'No verification in progress. Please request a new code.' };
+    if (!result.valid) {
+      throw new ApiError(result.code, result.message);
+    }
+
+    if (backupCode) {
+      const attempt = await checkAttempt(email);
+      if (!attempt.allowed) {
+        throw throttledError(attempt);
+      }
+
+      // The email code is already spent, so every backup code guess costs a fresh email round trip
+      if (!await redeemBackupCode(email, backupCode)) {
+        await recordFailure(email);
+        logger.warn('Account recovery: invalid backup code', { userId: account.id });
+        throw new ApiError('INVALID_SECOND_FACTOR', 'Invalid or already used backup code');
+      }
+      await recordSuccess(email);
+    }
+
+    const recovery = await startRecovery(account, backupCode ? 'backup_code' : 'cooling_off');
+    await auditEvent(req, 'recovery.opened', {
+      subject: { type: 'account', id: account.id },
+      data: { method: recovery.method, readyAt: recovery.readyAt }
+    });
+
+    if (recovery.method === 'cooling_off') {
+      await notify(
+        account.email,
+        'PersonaPass account recovery requested',
+        'Someone proved access to this email address and asked to reset the authenticator on your PersonaPass account. '
+          + `The reset can be completed after ${recovery.readyAt}. If this was not you, sign in to PersonaPass and `
+          + 'cancel the recovery, and change your email password.'
+      );
+    }
+
+    logger.warn('Account recovery opened', { userId: account.id, method: recovery.method, readyAt: recovery.readyAt });
+
+    res.json({
+      success: true,
+      data: {
+        recoveryToken: recovery.token,
+        method: recovery.method,
+        readyAt: recovery.readyAt,
+        expiresAt: recovery.expiresAt
+      },
+      message: recovery.method === 'backup_code'
+        ? 'Recovery verified - enrol a new authenticator'
+        : 'Recovery opened - you can enrol a new authenticator once the cooling-off period ends'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Generate the new TOTP secret. It only replaces the current one once confirmed.
+router.post('/enroll', operation({
+  operationId: 'enrollRecoveryAuthenticator',
+  summary: 'Get a new TOTP secret for a ready recovery',
+  response: recoveryEnrollResponse,
+  errors: TOKEN_ERRORS
+}), validate(recoveryEnrollSchema), async (req, res, next) => {
+  try {
+    const recovery = await loadReadyRecovery(req.body.recoveryToken);
+
+    const { secret, qrCode } = await createTotpEnrollment(recovery.email);
+    await setPendingSecret(recovery.id, secret);
+
+    res.json({
+      success: true,
+      data: { qrCode, secret },
+      message: 'Scan the QR code, then confirm with a code from the new authenticator'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Confirm the new authenticator: swap the secret, issue new backup codes, remove the passkeys and sign out everywhere
+router.post('/confirm', operation({
+  operationId: 'confirmAccountRecovery',
+  summary: 'Confirm the new authenticator and finish the recovery',
+  response: recoveryConfirmResponse,
+  errors: [...TOKEN_ERRORS, 'RECOVERY_ENROLLMENT_NOT_STARTED', 'TOO_MANY_ATTEMPTS', 'ACCOUNT_LOCKED', 'INVALID_SECOND_FACTOR']
+}), validate(recoveryConfirmSchema), async (req, res, next) => {
+  try {
+    const { recoveryToken, totpCode } = req.body;
+    const recovery = await loadReadyRecovery(recoveryToken);
+
+    if (!recovery.pendingSecret) {
+      throw new ApiError('RECOVERY_ENROLLMENT_NOT_STARTED', 'Call recovery/enroll to get a new authenticator secret first');
+    }
+
+    const attempt = await checkAttempt(recovery.email);
+    if (!attempt.allowed) {
+      throw throttledError(attempt);
+    }
+
+    const step = matchTotpCode(recovery.pendingSecret, totpCode);
+    if (step === null) {
+      await recordFailure(recovery.email);
+      throw new ApiError('INVALID_SECOND_FACTOR', 'Invalid TOTP code. Please check your authenticator app.');
+    }
+    await recordSuccess(recovery.email);
+
+    await saveTotpSecret(recovery.email, recovery.pendingSecret, step);
+    const backupCodes = await generateBackupCodes(recovery.email);
+    // Passkeys go too: one enrolled with a stolen session must not outlive the recovery
+    const passkeysRemoved = await removeAllPasskeys(recovery.userId);
+    const sessionsRevoked = await revokeAllSessions(recovery.userId);
+    await completeRecovery(recovery.id);
+    await auditEvent(req, 'totp.enrolled', {
+      subject: { type: 'account', id: recovery.userId },
+      data: { replaced: true, via: 'recovery', recoveryMethod: recovery.method, sessionsRevoked, passkeysRemoved }
+    });
+
+    await notify(
+      recovery.email,
+      'Your PersonaPass authenticator was reset',
+      'The authenticator on your PersonaPass account was replaced through account recovery, its passkeys were '
+        + 'removed and every session was signed out. If this was not you, contact PersonaPass support immediately.'
+    );
+
+    logger.warn('Account recovery completed', { userId: recovery.userId, method: recovery.method, sessionsRevoked, passkeysRemoved });
+
+    res.json({
+      success: true,
+      data: { backupCodes, sessionsRevoked, passkeysRemoved },
+      message: 'Authenticator replaced - sign in with the new authenticator'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancel any open recovery of the signed-in account (e.g. after a recovery notice you did not expect)
+router.post('/cancel', operation({
+  operationId: 'cancelAccountRecovery',
+  summary: 'Cancel open recoveries of the signed-in account',
+  response: recoveryCancelResponse
+}), requireAuth, async (req, res, next) => {
+  try {
+    const cancelled = await cancelRecoveries(req.user.id);
+    if (cancelled > 0) {
+      await auditEvent(req, 'recovery.cancelled', { subject: { type: 'account', id: req.user.id }, data: { cancelled } });
+    }
+
+    logger.warn('Account recovery cancelled', { userId: req.user.id, cancelled });
+
+    res.json({
+      success: true,
+      data: { cancelled },
+      message: cancelled > 0 ? 'Account recovery cancelled' : 'No account recovery was open'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
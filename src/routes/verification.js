@@ -0,0 +1,211 @@
+import express from 'express';
+import logger, { maskEmail, maskPhone } from '../logger.js';
+import storage from '../storage/index.js';
+import { ApiError } from '../errors.js';
+import { loadAccount } from '../auth/accounts.js';
+import { issueVerificationCode, checkVerificationCode } from '../auth/verification.js';
+import { auditEvent } from '../audit/auditLog.js';
+import { mailer, sms } from '../notifications/index.js';
+import { requireAdmin, requireAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { operation } from '../openapi/operation.js';
+import {
+  emailVerifyCompleteResponse,
+  emailVerifyCompleteSchema,
+  emailVerifyStartResponse,
+  emailVerifyStartSchema,
+  kycReviewResponse,
+  kycReviewSchema,
+  phoneVerifyCompleteResponse,
+  phoneVerifyCompleteSchema,
+  phoneVerifyStartResponse,
+  phoneVerifyStartSchema
+} from '../schemas/verification.js';
+
+const router = express.Router();
+
+const accounts = storage.collection('accounts');
+
+const START_ERRORS = ['ACCOUNT_NOT_FOUND', 'ALREADY_VERIFIED', 'RESEND_TOO_SOON'];
+const COMPLETE_ERRORS = [
+  'VERIFICATION_NOT_STARTED',
+  'VERIFICATION_CODE_EXPIRED',
+  'VERIFICATION_CODE_INVALID',
+  'VERIFICATION_ATTEMPTS_EXCEEDED'
+];
+
+const resendTooSoon = (retryAfter) => new ApiError(
+  'RESEND_TOO_SOON',
+  'A code was sent recently. Please wait before requesting another.',
+  { data: { retryAfter }, headers: { 'Retry-After': String(retryAfter) } }
+);
+
+// Send an email verification code to the signed-in account's address
+router.post('/email/verify-start', operation({
+  operationId: 'startEmailVerification',
+  summary: 'Email a verification code to the account address',
+  response: emailVerifyStartResponse,
+  errors: START_ERRORS
+}), requireAuth, validate(emailVerifyStartSchema), async (req, res, next) => {
+  try {
+    const account = await loadAccount(req.user.id);
+
+    if (account.emailVerified) {
+      throw new ApiError('ALREADY_VERIFIED', 'Email address is already verified');
+    }
+
+    const issued = await issueVerificationCode(account.id, 'email', account.email);
+    if (issued.retryAfter) {
+      throw resendTooSoon(issued.retryAfter);
+    }
+
+    await mailer.send({
+      to: account.email,
+      subject: 'Your PersonaPass verification code',
+      text: `Your PersonaPass verification code is ${issued.code}. It expires in 10 minutes.`
+    });
+
+    logger.info('Email verification started', { email: maskEmail(account.email) });
+
+    res.json({
+      success: true,
+      message: 'Verification code sent',
+      data: { email: maskEmail(account.email), expiresAt: issued.expiresAt }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Confirm the emailed code and mark the address as verified
+router.post('/email/verify-complete', operation({
+  operationId: 'completeEmailVerification',
+  summary: 'Confirm the emailed code',
+  response: emailVerifyCompleteResponse,
+  errors: COMPLETE_ERRORS
+}), requireAuth, validate(emailVerifyCompleteSchema), async (req, res, next) => {
+  try {
+    const result = await checkVerificationCode(req.user.id, 'email', req.body.code);
+    if (!result.valid) {
+      throw new ApiError(result.code, result.message);
+    }
+
+    const emailVerifiedAt = new Date().toISOString();
+    await accounts.update(req.user.id, { emailVerified: true, emailVerifiedAt });
+
+    logger.info('Email verified', { email: maskEmail(result.target) });
+
+    res.json({
+      success: true,
+      message: 'Email address verified',
+      data: { emailVerified: true, emailVerifiedAt }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send an SMS verification code to a phone number (E.164, e.g. +14155550123)
+router.post('/phone/verify-start', operation({
+  operationId: 'startPhoneVerification',
+  summary: 'Text a verification code to a phone number',
+  response: phoneVerifyStartResponse,
+  errors: START_ERRORS
+}), requireAuth, validate(phoneVerifyStartSchema), async (req, res, next) => {
+  try {
+    const { phoneNumber } = req.body;
+    const account = await loadAccount(req.user.id);
+
+    if (account.phoneVerified && account.phoneNumber === phoneNumber) {
+      throw new ApiError('ALREADY_VERIFIED', 'Phone number is already verified');
+    }
+
+    const issued = await issueVerificationCode(account.id, 'phone', phoneNumber);
+    if (issued.retryAfter) {
+      throw resendTooSoon(issued.retryAfter);
+    }
+
+    await sms.send({
+      to: phoneNumber,
+      text: `Your PersonaPass verification code is ${issued.code}. It expires in 10 minutes.`
+    });
+
+    logger.info('Phone verification started', { phone: maskPhone(phoneNumber) });
+
+    res.json({
+      success: true,
+      message: 'Verification code sent',
+      data: { phoneNumber: maskPhone(phoneNumber), expiresAt: issued.expiresAt }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Confirm the texted code and store the phone number as verified
+router.post('/phone/verify-complete', operation({
+  operationId: 'completePhoneVerification',
+  summary: 'Confirm the texted code',
+  response: phoneVerifyCompleteResponse,
+  errors: COMPLETE_ERRORS
+}), requireAuth, validate(phoneVerifyCompleteSchema), async (req, res, next) => {
+  try {
+    const result = await checkVerificationCode(req.user.id, 'phone', req.body.code);
+    if (!result.valid) {
+      throw new ApiError(result.code, result.message);
+    }
+
+    const phoneVerifiedAt = new Date().toISOString();
+    await accounts.update(req.user.id, { phoneNumber: result.target, phoneVerified: true, phoneVerifiedAt });
+
+    logger.info('Phone verified', { phone: maskPhone(result.target) });
+
+    res.json({
+      success: true,
+      message: 'Phone number verified',
+      data: { phoneNumber: result.target, phoneVerified: true, phoneVerifiedAt }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Record the outcome of a KYC check (operator only: the KYC provider integration or a reviewer).
+// KYC credentials attest only the attributes recorded here, never the profile fields users type in.
+router.post('/accounts/:accountId/kyc', operation({
+  operationId: 'recordKycReview',
+  summary: 'Record the outcome of a KYC check (operator only)',
+  response: kycReviewResponse,
+  errors: ['ACCOUNT_NOT_FOUND']
+}), requireAdmin, validate(kycReviewSchema), async (req, res, next) => {
+  try {
+    const account = await loadAccount(req.params.accountId);
+    const { status, provider, reference = null, attributes = null } = req.body;
+
+    const kycReviewedAt = new Date().toISOString();
+    await accounts.update(account.id, {
+      kycStatus: status,
+      kycAttributes: attributes,
+      kycProvider: provider,
+      kycReference: reference,
+      kycReviewedAt
+    });
+    await auditEvent(req, 'kyc.reviewed', {
+      actor: { type: 'admin' },
+      subject: { type: 'account', id: account.id },
+      data: { status, provider, reference }
+    });
+
+    logger.info('KYC review recorded', { userId: account.id, status, provider });
+
+    res.json({
+      success: true,
+      message: status === 'verified' ? 'KYC verified' : 'KYC rejected',
+      data: { accountId: account.id, kycStatus: status, kycReviewedAt }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,175 @@
+import express from 'express';
+import logger from '../logger.js';
+import storage, { DuplicateRecordError } from '../storage/index.js';
+import { ApiError } from '../errors.js';
+import { loadAccount } from '../auth/accounts.js';
+import { createWalletChallenge, verifyWalletSignature } from '../auth/wallet.js';
+import { createSession } from '../auth/sessions.js';
+import { auditEvent } from '../audit/auditLog.js';
+import { requireAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { operation } from '../openapi/operation.js';
+import {
+  walletChallengeResponse,
+  walletChallengeSchema,
+  walletLinkResponse,
+  walletSignatureSchema
+} from '../schemas/wallet.js';
+import { loginResponse } from '../schemas/auth.js';
+
+// Sign-in with a PersonaChain wallet: the wallet signs a one-time challenge message with
+// signArbitrary (ADR-036), which proves control of the address without a transaction.
+
+const router = express.Router();
+
+const accounts = storage.collection('accounts');
+// One row per linked wallet address ({ id: address, accountId, linkedAt }), claimed before the account is
+// updated, so two accounts linking the same wallet at once cannot both succeed
+const accountWallets = storage.collection('accountWallets');
+
+const SIGNATURE_ERRORS = ['WALLET_CHALLENGE_INVALID', 'WALLET_SIGNATURE_INVALID'];
+
+const shortAddress = (address) => address.substring(0, 14) + '...';
+
+// The account a wallet address is linked to, or null
+const findAccountByWallet = (walletAddress) => accounts.findOne({ walletAddress });
+
+const walletLinkedElsewhere = () => new ApiError('WALLET_ALREADY_LINKED', 'This wallet is linked to another account');
+
+// Claim `address` for `accountId`; a claim the account already holds is kept
+const claimWallet = async (address, accountId, linkedAt) => {
+  try {
+    await accountWallets.insert({ id: address, accountId, linkedAt });
+  } catch (error) {
+    if (!(error instanceof DuplicateRecordError)) {
+      throw error;
+    }
+    const claim = await accountWallets.get(address);
+    if (!claim || claim.accountId !== accountId) {
+      throw walletLinkedElsewhere();
+    }
+  }
+};
+
+const checkSignature = async (body, purpose) => {
+  const result = await verifyWalletSignature({ nonce: body.nonce, signature: body.signature, publicKey: body.pubKey }, purpose);
+  if (!result.valid) {
+    throw new ApiError(result.code, result.message);
+  }
+  return result.address;
+};
+
+// Issue the message a wallet signs to sign in (or to link itself to the signed-in account)
+router.post('/challenge', operation({
+  operationId: 'createWalletChallenge',
+  summary: 'Create a one-time wallet sign-in message',
+  status: 201,
+  response: walletChallengeResponse
+}), validate(walletChallengeSchema), async (req, res, next) => {
+  try {
+    const challenge = await createWalletChallenge(req.body.address, req.body.purpose);
+
+    res.status(201).json({
+      success: true,
+      data: challenge,
+      message: 'Sign the message with your wallet'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Verify the signed challenge and issue the same session tokens as password login
+router.post('/verify', operation({
+  operationId: 'walletSignIn',
+  summary: 'Sign in with an ADR-036 wallet signature',
+  response: loginResponse,
+  errors: [...SIGNATURE_ERRORS, 'WALLET_NOT_LINKED']
+}), validate(walletSignatureSchema), async (req, res, next) => {
+  try {
+    const address = await checkSignature(req.body, 'sign_in');
+
+    const account = await findAccountByWallet(address);
+    if (!account) {
+      await auditEvent(req, 'auth.login.failed', {
+        subject: { type: 'wallet', id: address },
+        data: { reason: 'wallet_not_linked', method: 'wallet' }
+      });
+      throw new ApiError('WALLET_NOT_LINKED', 'This wallet is not linked to a PersonaPass account. Sign in and link it first.');
+    }
+
+    const session = await createSession(account);
+    await accounts.update(account.id, { lastLoginAt: new Date().toISOString() });
+    await auditEvent(req, 'auth.login.succeeded', {
+      actor: { type: 'user', id: account.id },
+      subject: { type: 'account', id: account.id },
+      data: { method: 'wallet', walletAddress: address }
+    });
+
+    logger.info('Wallet sign-in successful', { userId: account.id, wallet: shortAddress(address) });
+
+    res.json({
+      success: true,
+      data: {
+        ...session,
+        user: {
+          id: account.id,
+          email: account.email,
+          did: account.did,
+          walletAddress: address,
+          kycStatus: account.kycStatus
+        }
+      },
+      message: 'Login successful'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Link a wallet to the signed-in account, replacing any wallet linked before.
+// DIDs created afterwards are registered to this address.
+router.post('/link', operation({
+  operationId: 'linkWallet',
+  summary: 'Link a wallet to the signed-in account',
+  response: walletLinkResponse,
+  errors: [...SIGNATURE_ERRORS, 'ACCOUNT_NOT_FOUND', 'WALLET_ALREADY_LINKED']
+}), requireAuth, validate(walletSignatureSchema), async (req, res, next) => {
+  try {
+    const address = await checkSignature(req.body, 'link');
+
+    const account = await loadAccount(req.user.id);
+
+    // Links made before the claims existed only show on the account
+    const holder = await findAccountByWallet(address);
+    if (holder && holder.id !== account.id) {
+      throw walletLinkedElsewhere();
+    }
+
+    const walletLinkedAt = new Date().toISOString();
+    await claimWallet(address, account.id, walletLinkedAt);
+    await accounts.update(account.id, { walletAddress: address, walletLinkedAt });
+    if (account.walletLinkedAt && account.walletAddress !== address) {
+      await accountWallets.delete(account.walletAddress);
+    }
+    await auditEvent(req, 'wallet.linked', {
+      subject: { type: 'account', id: account.id },
+      data: { walletAddress: address, previous: account.walletLinkedAt ? account.walletAddress : null }
+    });
+
+    logger.info('Wallet linked', { userId: account.id, wallet: shortAddress(address) });
+
+    res.json({
+      success: true,
+      data: { walletAddress: address, walletLinkedAt },
+      message: 'Wallet linked'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
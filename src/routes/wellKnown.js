@@ -0,0 +1,43 @@
+import express from 'express';
+import { getProviderMetadata } from '../oidc/provider.js';
+import { getCredentialIssuerMetadata } from '../openid4vc/issuance.js';
+import { operation } from '../openapi/operation.js';
+import { providerMetadata } from '../schemas/oidc.js';
+import { credentialIssuerMetadata } from '../schemas/openid4vci.js';
+
+// Well-known metadata documents (RFC 8615) describing this service to other parties
+
+const router = express.Router();
+
+// OpenID Connect Discovery: where the provider's endpoints and keys are and what it supports
+router.get('/openid-configuration', operation({
+  operationId: 'getOpenIdConfiguration',
+  summary: 'OpenID Provider Metadata (discovery)',
+  response: providerMetadata,
+  raw: true
+}), (req, res) => {
+  res.json(getProviderMetadata());
+});
+
+// The same document as OAuth authorization server metadata, which OpenID4VCI wallets look up
+// to find the token endpoint for the pre-authorized code grant
+router.get('/oauth-authorization-server', operation({
+  operationId: 'getAuthorizationServerMetadata',
+  summary: 'OAuth 2.0 Authorization Server Metadata (RFC 8414)',
+  response: providerMetadata,
+  raw: true
+}), (req, res) => {
+  res.json(getProviderMetadata());
+});
+
+// OpenID4VCI: the credentials this issuer offers and its credential and nonce endpoints
+router.get('/openid-credential-issuer', operation({
+  operationId: 'getCredentialIssuerMetadata',
+  summary: 'OpenID4VCI Credential Issuer Metadata',
+  response: credentialIssuerMetadata,
+  raw: true
+}), (req, res) => {
+  res.json(getCredentialIssuerMetadata());
+});
+
+export default router;
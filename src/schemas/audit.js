@@ -0,0 +1,39 @@
+import Joi from 'joi';
+
+const filterValue = Joi.string().max(200);
+
+export const auditQuerySchema = {
+  query: Joi.object({
+    type: filterValue.description('Event type, e.g. auth.login.failed'),
+    actorType: filterValue.description('user, admin, did_controller or anonymous'),
+    actorId: filterValue,
+    subjectType: filterValue.description('account, email, did or credential'),
+    subjectId: filterValue,
+    from: Joi.string().isoDate().description('Only events at or after this time'),
+    to: Joi.string().isoDate().description('Only events at or before this time'),
+    after: Joi.number().integer().min(0).default(0).description('Cursor: only events with a higher sequence number'),
+    limit: Joi.number().integer().min(1).max(1000).default(100)
+  })
+};
+
+// Response payloads, used for the OpenAPI description
+
+const auditEntry = Joi.object({
+  id: Joi.string(),
+  seq: Joi.number().integer(),
+  type: Joi.string(),
+  timestamp: Joi.string().isoDate(),
+  actorType: Joi.string(),
+  actorId: Joi.string().allow(null),
+  subjectType: Joi.string().allow(null),
+  subjectId: Joi.string().allow(null),
+  requestId: Joi.string().allow(null),
+  data: Joi.object(),
+  prevHash: Joi.string().description('Hash of the previous entry'),
+  hash: Joi.string().description('SHA-256 of the JCS-canonical entry without hash')
+});
+
+export const auditQueryResponse = Joi.object({
+  events: Joi.array().items(auditEntry),
+  nextCursor: Joi.number().integer().allow(null).description('Pass as `after` to fetch the next page')
+});
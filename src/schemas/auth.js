@@ -0,0 +1,94 @@
+import Joi from 'joi';
+import { backupCode, email, password, refreshToken, totpCode } from './common.js';
+import { assertionCredential } from './passkeys.js';
+
+const secondFactorMessages = {
+  'object.missing': 'totpCode or backupCode is required'
+};
+
+export const loginSchema = {
+  body: Joi.object({
+    email: email.required(),
+    password: Joi.string().max(128).required(),
+    totpCode,
+    backupCode,
+    passkey: assertionCredential.description('Passkey assertion for options from /passkeys/authenticate/options with this email')
+  }).or('totpCode', 'backupCode', 'passkey').without('passkey', ['totpCode', 'backupCode']).messages({
+    'object.missing': 'totpCode, backupCode or passkey is required',
+    'object.without': 'Send either a passkey or a TOTP/backup code, not both'
+  })
+};
+
+export const refreshSchema = {
+  body: Joi.object({
+    refreshToken: refreshToken.required()
+  })
+};
+
+export const logoutSchema = refreshSchema;
+
+export const totpSetupSchema = {
+  body: Joi.object({
+    email: email.required()
+  })
+};
+
+export const createAccountSchema = {
+  body: Joi.object({
+    email: email.required(),
+    password: password.required(),
+    totpCode,
+    backupCode
+  }).or('totpCode', 'backupCode').messages(secondFactorMessages)
+};
+
+export const regenerateBackupCodesSchema = {
+  body: Joi.object({
+    totpCode: totpCode.required()
+  })
+};
+
+// Response payloads, used for the OpenAPI description
+
+export const sessionTokens = Joi.object({
+  accessToken: Joi.string().description('JWT access token, sent as Authorization: Bearer'),
+  refreshToken: Joi.string().description('Opaque single-use refresh token'),
+  tokenType: Joi.string().valid('Bearer'),
+  expiresIn: Joi.string().description('Access token lifetime, e.g. 15m')
+});
+
+const accountSummary = Joi.object({
+  id: Joi.string(),
+  email: Joi.string(),
+  did: Joi.string().allow(null).description('Primary DID, null until one is created'),
+  walletAddress: Joi.string().allow(null).description('Null until a wallet is linked'),
+  kycStatus: Joi.string()
+});
+
+export const loginResponse = sessionTokens.keys({
+  user: accountSummary
+});
+
+export const revokeResponse = Joi.object({
+  revoked: Joi.number().integer().description('Number of sessions revoked')
+});
+
+export const totpSetupResponse = Joi.object({
+  qrCode: Joi.string().description('PNG data URL of the otpauth:// QR code'),
+  secret: Joi.string().description('Base32 TOTP secret'),
+  backupCodes: Joi.array().items(Joi.string())
+});
+
+export const createAccountResponse = accountSummary.keys({
+  totpSetup: Joi.boolean()
+});
+
+export const backupCodeStatusResponse = Joi.object({
+  total: Joi.number().integer(),
+  remaining: Joi.number().integer(),
+  generatedAt: Joi.string().isoDate().allow(null)
+});
+
+export const backupCodesResponse = Joi.object({
+  backupCodes: Joi.array().items(Joi.string())
+});
@@ -0,0 +1,101 @@
+import Joi from 'joi';
+import { chainAddress, txHash } from './common.js';
+
+export const balanceSchema = {
+  params: Joi.object({
+    address: chainAddress.required()
+  }),
+  query: Joi.object({
+    denom: Joi.string().pattern(/^[a-zA-Z][a-zA-Z0-9/:._-]{2,127}$/).messages({
+      'string.pattern.base': '{#label} must be a Cosmos SDK denom, e.g. upersona or ibc/...'
+    }),
+    key: Joi.string().max(512),
+    limit: Joi.number().integer().min(1).max(1000)
+  })
+};
+
+// Either a base64 protobuf TxRaw signed with SIGN_MODE_DIRECT, or the { signed, signature } pair returned by signAmino
+export const transactionSchema = {
+  body: Joi.object({
+    from: chainAddress.required(),
+    txBytes: Joi.string().base64(),
+    signed: Joi.object(),
+    signature: Joi.object()
+  }).xor('txBytes', 'signed').and('signed', 'signature').messages({
+    'object.missing': 'txBytes, or signed and signature, is required',
+    'object.xor': 'send either txBytes or signed and signature, not both',
+    'object.and': 'signed and signature must be sent together'
+  })
+};
+
+export const transactionStatusSchema = {
+  params: Joi.object({
+    hash: txHash.required()
+  }),
+  query: Joi.object({
+    wait: Joi.number().integer().min(0).max(30).default(0)
+  })
+};
+
+// Response payloads, used for the OpenAPI description
+
+const coin = Joi.object({
+  denom: Joi.string(),
+  amount: Joi.string()
+});
+
+export const chainStatusResponse = Joi.object({
+  success: Joi.boolean(),
+  blockchain: Joi.object({
+    name: Joi.string(),
+    rpc_url: Joi.string(),
+    api_url: Joi.string(),
+    chain_id: Joi.string(),
+    status: Joi.string().valid('operational', 'syncing', 'misconfigured', 'unreachable'),
+    message: Joi.string(),
+    node: Joi.object({
+      chain_id: Joi.string(),
+      chain_id_mismatch: Joi.boolean(),
+      moniker: Joi.string(),
+      version: Joi.string(),
+      latest_block_height: Joi.number().integer(),
+      latest_block_time: Joi.string(),
+      catching_up: Joi.boolean()
+    }).allow(null),
+    modules: Joi.array().items(Joi.string()).allow(null),
+    features: Joi.object().pattern(Joi.string(), Joi.string().valid('available', 'not_registered')).allow(null),
+    modules_error: Joi.string()
+  })
+});
+
+export const balanceResponse = Joi.object({
+  address: Joi.string(),
+  balance: Joi.string().description('Amount of `denom`, in base units'),
+  denom: Joi.string(),
+  balances: Joi.array().items(coin),
+  pagination: Joi.object({
+    nextKey: Joi.string().allow(null).description('Pass as `key` to fetch the next page'),
+    total: Joi.number().integer().allow(null)
+  }),
+  network: Joi.string(),
+  cached: Joi.boolean()
+});
+
+export const transactionResponse = Joi.object({
+  hash: Joi.string(),
+  from: Joi.string(),
+  status: Joi.string().valid('pending'),
+  network: Joi.string(),
+  timestamp: Joi.string().isoDate()
+});
+
+export const transactionStatusResponse = Joi.object({
+  hash: Joi.string(),
+  status: Joi.string().valid('pending', 'confirmed', 'failed'),
+  height: Joi.number().integer(),
+  gasUsed: Joi.string(),
+  gasWanted: Joi.string(),
+  code: Joi.number().integer(),
+  codespace: Joi.string().allow(null),
+  log: Joi.string()
+});
@@ -0,0 +1,64 @@
+import Joi from 'joi';
+import { getChainConfig, isValidAddress } from '../blockchain/chain.js';
+import { multibaseToEd25519 } from '../utils/multibase.js';
+
+// Building blocks shared by the per-router schemas
+
+// Lower-cased here, once: accounts, TOTP secrets, backup codes and throttle records are all keyed by it
+export const email = Joi.string().trim().lowercase().email({ tlds: { allow: false } }).max(254);
+
+export const password = Joi.string().min(8).max(128);
+
+export const personName = Joi.string().trim().min(1).max(100);
+
+// Calendar date in the past (YYYY-MM-DD)
+export const birthDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).custom((value, helpers) => {
+  const time = Date.parse(`${value}T00:00:00Z`);
+  if (Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== value || time > Date.now()) {
+    return helpers.error('date.birth');
+  }
+  return value;
+}).messages({
+  'string.pattern.base': '{#label} must be a date in YYYY-MM-DD format',
+  'date.birth': '{#label} must be a valid date in the past'
+});
+
+export const totpCode = Joi.string().pattern(/^\d{6}$/).messages({
+  'string.pattern.base': '{#label} must be the 6-digit code from your authenticator app'
+});
+
+export const backupCode = Joi.string().trim().max(32);
+
+export const verificationCode = Joi.string().pattern(/^\d{6}$/).messages({
+  'string.pattern.base': '{#label} must be a 6-digit verification code'
+});
+
+export const phoneNumber = Joi.string().pattern(/^\+[1-9]\d{6,14}$/).messages({
+  'string.pattern.base': '{#label} must be in E.164 format, e.g. +14155550123'
+});
+
+export const did = Joi.string().pattern(/^did:persona:[0-9a-f]{32}$/).messages({
+  'string.pattern.base': '{#label} must be a did:persona DID'
+});
+
+// Ed25519 public key as a Multikey (z6Mk...)
+export const publicKeyMultibase = Joi.string().max(128).custom((value) => {
+  multibaseToEd25519(value);
+  return value;
+}).description('Ed25519 public key as a Multikey (z6Mk...)').messages({
+  'any.custom': '{#label} must be an Ed25519 Multikey public key (z6Mk...)'
+});
+
+// Bech32 account address with the configured chain prefix
+export const chainAddress = Joi.string().max(128).custom((value, helpers) => {
+  const { bech32Prefix } = getChainConfig();
+  return isValidAddress(value, bech32Prefix) ? value : helpers.error('address.bech32', { prefix: bech32Prefix });
+}).description('Bech32 account address with the chain prefix (persona1...)').messages({
+  'address.bech32': '{#label} must be a bech32 {#prefix}1... account address'
+});
+
+export const txHash = Joi.string().pattern(/^[0-9a-fA-F]{64}$/).messages({
+  'string.pattern.base': '{#label} must be 64 hex characters'
+});
+
+export const refreshToken = Joi.string().max(512);
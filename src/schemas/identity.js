@@ -0,0 +1,285 @@
+import Joi from 'joi';
+import { birthDate, did, email, personName, publicKeyMultibase } from './common.js';
+
+const credentialId = Joi.string().max(200);
+
+const statusReason = Joi.string().trim().max(500);
+
+// Expiry time (ISO 8601) that has not passed yet
+const validUntil = Joi.string().isoDate().custom((value, helpers) => (
+  Date.parse(value) > Date.now() ? value : helpers.error('date.future')
+)).messages({
+  'date.future': '{#label} must be in the future'
+});
+
+// Profile fields are stored with the DID and only ever shown to its owner
+export const createDidSchema = {
+  body: Joi.object({
+    walletAddress: Joi.string().max(128),
+    firstName: personName,
+    lastName: personName,
+    email: email.allow(''),
+    birthDate,
+    publicKeyMultibase,
+    primary: Joi.boolean().description('Make this the account\'s primary DID (the first DID always is)')
+  })
+};
+
+export const getDidSchema = {
+  body: Joi.object({})
+};
+
+export const ownedDidSchema = {
+  params: Joi.object({ did: did.required() })
+};
+
+export const didOperationSchema = {
+  params: Joi.object({ did: did.required() }),
+  body: Joi.object({
+    operation: Joi.string().max(16384).required().description(
+      'Compact JWS (EdDSA) signed by a capabilityInvocation key of the DID, with the payload '
+      + '{ did, operation, previousVersionId, patch? } (see src/identity/didOperations.js)'
+    )
+  })
+};
+
+// Read by the resolver itself rather than validated, so problems surface as DID resolution errors
+export const didResolutionQuery = Joi.object({
+  versionId: Joi.string().description('Resolve this version of the DID document'),
+  versionTime: Joi.string().isoDate().description('Resolve the version that was current at this time')
+});
+
+export const issueCredentialSchema = {
+  body: Joi.object({
+    subjectDid: did.required(),
+    type: Joi.string().pattern(/^[A-Z][A-Za-z0-9]*$/).max(100).required().messages({
+      'string.pattern.base': '{#label} must be a PascalCase name, e.g. EmailVerificationCredential'
+    }),
+    claims: Joi.object(),
+    validUntil
+  })
+};
+
+export const verifyCredentialSchema = {
+  body: Joi.object({
+    credential: Joi.alternatives(Joi.string(), Joi.object()).required()
+  })
+};
+
+export const issueSdJwtSchema = {
+  body: Joi.object({
+    did: did.description('One of your DIDs; defaults to the primary DID. The credential is bound to its authentication key.'),
+    validUntil
+  })
+};
+
+export const verifySdJwtSchema = {
+  body: Joi.object({
+    sdJwt: Joi.string().max(65536).required()
+      .description('<issuer JWT>~<chosen disclosures>~<key binding JWT>; the KB-JWT carries a challenge from /presentations/challenge as nonce and its domain as aud')
+  })
+};
+
+export const revokeCredentialSchema = {
+  params: Joi.object({ id: credentialId.required() }),
+  body: Joi.object({ reason: statusReason })
+};
+
+export const suspendCredentialSchema = revokeCredentialSchema;
+
+export const reinstateCredentialSchema = {
+  params: Joi.object({ id: credentialId.required() })
+};
+
+export const statusListSchema = {
+  params: Joi.object({ listId: Joi.string().max(100).required() })
+};
+
+export const presentationChallengeSchema = {
+  body: Joi.object({
+    domain: Joi.string().trim().min(1).max(253)
+  })
+};
+
+export const verifyPresentationSchema = {
+  body: Joi.object({
+    presentation: Joi.alternatives(Joi.string(), Joi.object()).required()
+  })
+};
+
+export const listCredentialsSchema = {
+  params: Joi.object({ address: Joi.string().max(128).required() })
+};
+
+// Response payloads, used for the OpenAPI description
+
+const didDocument = Joi.object({
+  '@context': Joi.array().items(Joi.string()),
+  id: Joi.string(),
+  controller: Joi.string(),
+  verificationMethod: Joi.array().items(Joi.object({
+    id: Joi.string(),
+    type: Joi.string(),
+    controller: Joi.string(),
+    publicKeyMultibase: Joi.string()
+  })),
+  authentication: Joi.array().items(Joi.string()),
+  assertionMethod: Joi.array().items(Joi.string()),
+  capabilityInvocation: Joi.array().items(Joi.string()),
+  service: Joi.array().items(Joi.object({
+    id: Joi.string(),
+    type: Joi.alternatives(Joi.string(), Joi.array().items(Joi.string())),
+    serviceEndpoint: Joi.string()
+  }))
+}).unknown();
+
+const didDocumentMetadata = Joi.object({
+  created: Joi.string().isoDate(),
+  updated: Joi.string().isoDate(),
+  versionId: Joi.string(),
+  deactivated: Joi.boolean(),
+  nextUpdate: Joi.string().isoDate(),
+  nextVersionId: Joi.string()
+});
+
+const didUserData = Joi.object({
+  firstName: Joi.string().allow(null),
+  lastName: Joi.string().allow(null),
+  email: Joi.string().allow(null),
+  birthDate: Joi.string().allow(null),
+  createdAt: Joi.string().isoDate(),
+  verified: Joi.boolean()
+});
+
+const linkedWallet = Joi.string().allow(null).description('The account\'s linked wallet when the DID was created, otherwise null');
+
+export const createDidResponse = Joi.object({
+  success: Joi.boolean(),
+  did: Joi.string(),
+  walletAddress: linkedWallet,
+  primary: Joi.boolean(),
+  userData: didUserData,
+  didDocument,
+  privateKeyJwk: Joi.object().description('Only when the service generated the key pair; shown once and not stored'),
+  message: Joi.string(),
+  isExisting: Joi.boolean()
+});
+
+export const getDidResponse = Joi.object({
+  success: Joi.boolean(),
+  found: Joi.boolean(),
+  did: Joi.string(),
+  walletAddress: linkedWallet,
+  userData: didUserData,
+  message: Joi.string()
+});
+
+export const ownedDidResponse = Joi.object({
+  did: Joi.string(),
+  walletAddress: linkedWallet,
+  primary: Joi.boolean(),
+  userData: didUserData,
+  didDocument,
+  created: Joi.string().isoDate(),
+  versionId: Joi.string(),
+  deactivated: Joi.boolean()
+});
+
+export const listDidsResponse = Joi.object({
+  primaryDid: Joi.string().allow(null),
+  dids: Joi.array().items(ownedDidResponse)
+});
+
+export const primaryDidResponse = Joi.object({
+  primaryDid: Joi.string()
+});
+
+export const didResolutionResult = Joi.object({
+  '@context': Joi.string(),
+  didDocument: didDocument.allow(null),
+  didResolutionMetadata: Joi.object({
+    contentType: Joi.string(),
+    error: Joi.string().valid('invalidDid', 'invalidOptions', 'notFound', 'internalError')
+  }),
+  didDocumentMetadata
+});
+
+export const didOperationResponse = Joi.object({
+  did: Joi.string(),
+  didDocument,
+  didDocumentMetadata
+});
+
+export const issueCredentialResponse = Joi.object({
+  id: Joi.string(),
+  credential: Joi.object().description('VCDM 2.0 credential secured with a Data Integrity proof'),
+  jwt: Joi.string().description('The same credential as a VC-JWT')
+});
+
+const verificationChecks = Joi.object().pattern(Joi.string(), Joi.boolean());
+
+export const verifyCredentialResponse = Joi.object({
+  verified: Joi.boolean(),
+  format: Joi.string().valid('vc+jwt', 'ldp_vc').allow(null),
+  credential: Joi.object().allow(null),
+  checks: verificationChecks,
+  errors: Joi.array().items(Joi.string())
+});
+
+export const issueSdJwtResponse = Joi.object({
+  sdJwt: Joi.string().description('dc+sd-jwt with every disclosure appended'),
+  vct: Joi.string(),
+  validUntil: Joi.string().isoDate(),
+  disclosures: Joi.array().items(Joi.object({
+    path: Joi.string().description('Claim the disclosure reveals, e.g. age_equal_or_over.18'),
+    value: Joi.any(),
+    disclosure: Joi.string()
+  })).description('Drop the disclosures a verifier should not see before presenting')
+});
+
+export const verifySdJwtResponse = Joi.object({
+  verified: Joi.boolean(),
+  format: Joi.string().valid('dc+sd-jwt'),
+  issuer: Joi.string().allow(null),
+  vct: Joi.string().allow(null),
+  validUntil: Joi.string().isoDate().allow(null),
+  claims: Joi.object().description('Only the disclosed claims'),
+  disclosed: Joi.array().items(Joi.string()),
+  checks: verificationChecks,
+  errors: Joi.array().items(Joi.string())
+});
+
+export const revokeCredentialResponse = Joi.object({
+  id: Joi.string(),
+  revokedAt: Joi.string().isoDate(),
+  reason: Joi.string().allow(null)
+});
+
+export const suspendCredentialResponse = Joi.object({
+  id: Joi.string(),
+  suspendedAt: Joi.string().isoDate().allow(null),
+  reason: Joi.string().allow(null)
+});
+
+export const statusListCredential = Joi.object().description('BitstringStatusListCredential');
+
+export const presentationChallengeResponse = Joi.object({
+  challenge: Joi.string(),
+  domain: Joi.string().allow(null),
+  expiresAt: Joi.string().isoDate()
+});
+
+export const verifyPresentationResponse = Joi.object({
+  verified: Joi.boolean(),
+  format: Joi.string().valid('vp+jwt', 'ldp_vp').allow(null),
+  holder: Joi.string().allow(null),
+  checks: verificationChecks,
+  credentials: Joi.array().items(verifyCredentialResponse),
+  errors: Joi.array().items(Joi.string())
+});
+
+export const listCredentialsResponse = Joi.object({
+  success: Joi.boolean(),
+  credentials: Joi.array().items(Joi.object()),
+  message: Joi.string()
+});
@@ -0,0 +1,140 @@
+import Joi from 'joi';
+
+// The protocol endpoints check their input themselves so problems come back as OAuth errors.
+// authorizeQuery only describes /oidc/authorize for the OpenAPI description: which of its problems
+// may be redirected to the client depends on client_id and redirect_uri being valid first.
+
+const param = Joi.string().max(2048);
+
+export const authorizeQuery = Joi.object({
+  response_type: param.required().description('Must be code'),
+  client_id: param.required(),
+  redirect_uri: param.required().description('Exactly one of the URIs registered for the client'),
+  scope: param.required().description('Space separated: openid, plus email and/or kyc'),
+  state: param,
+  nonce: param.description('Echoed in the ID token'),
+  code_challenge: Joi.string().pattern(/^[A-Za-z0-9_-]{43}$/).required().description('BASE64URL(SHA256(code_verifier))'),
+  code_challenge_method: Joi.string().valid('S256').required(),
+  prompt: param,
+  request: param,
+  request_uri: param
+});
+
+export const tokenForm = Joi.object({
+  grant_type: param.required().description('authorization_code, or urn:ietf:params:oauth:grant-type:pre-authorized_code for OpenID4VCI credential offers'),
+  code: param,
+  redirect_uri: param,
+  code_verifier: Joi.string().pattern(/^[A-Za-z0-9._~-]{43,128}$/).description('PKCE verifier (RFC 7636)'),
+  client_id: param.description('Required unless the client authenticates with HTTP Basic'),
+  client_secret: param.description('For client_secret_post clients'),
+  'pre-authorized_code': param.description('From the credential offer; wallets send it without client authentication'),
+  tx_code: param.description('The code the user received with the credential offer, when it has one')
+});
+
+const redirectUri = Joi.string().uri({ scheme: ['https', 'http'] }).max(2048).custom((value, helpers) => {
+  const url = new URL(value);
+  if (url.hash) {
+    return helpers.error('redirect.fragment');
+  }
+  if (url.protocol === 'http:' && !['localhost', '127.0.0.1', '[::1]'].includes(url.hostname)) {
+    return helpers.error('redirect.insecure');
+  }
+  return value;
+}).messages({
+  'redirect.fragment': '{#label} must not contain a fragment',
+  'redirect.insecure': '{#label} must use https (http is only allowed for localhost)'
+});
+
+// Client Registration Request (RFC 7591 section 2)
+export const clientRegistrationBody = Joi.object({
+  redirect_uris: Joi.array().items(redirectUri).min(1).max(10).required(),
+  client_name: Joi.string().trim().max(100).required(),
+  token_endpoint_auth_method: Joi.string().valid('client_secret_basic', 'client_secret_post', 'none').default('client_secret_basic')
+    .description('none registers a public client (e.g. a single-page app), which relies on PKCE alone'),
+  grant_types: Joi.array().items(Joi.string().valid('authorization_code')),
+  response_types: Joi.array().items(Joi.string().valid('code'))
+});
+
+export const authorizationRequestParams = {
+  params: Joi.object({
+    requestId: Joi.string().hex().length(32).required()
+  })
+};
+
+export const consentSchema = {
+  ...authorizationRequestParams,
+  body: Joi.object({
+    approve: Joi.boolean().required().description('false sends access_denied back to the client')
+  })
+};
+
+// Response payloads, used for the OpenAPI description
+
+export const providerMetadata = Joi.object({
+  issuer: Joi.string(),
+  authorization_endpoint: Joi.string(),
+  token_endpoint: Joi.string(),
+  userinfo_endpoint: Joi.string(),
+  jwks_uri: Joi.string(),
+  registration_endpoint: Joi.string(),
+  scopes_supported: Joi.array().items(Joi.string()),
+  response_types_supported: Joi.array().items(Joi.string()),
+  grant_types_supported: Joi.array().items(Joi.string()),
+  subject_types_supported: Joi.array().items(Joi.string()),
+  id_token_signing_alg_values_supported: Joi.array().items(Joi.string()),
+  token_endpoint_auth_methods_supported: Joi.array().items(Joi.string()),
+  code_challenge_methods_supported: Joi.array().items(Joi.string()),
+  claims_supported: Joi.array().items(Joi.string())
+}).unknown(true).description('OpenID Provider Metadata');
+
+export const jwksResponse = Joi.object({
+  keys: Joi.array().items(Joi.object({
+    kty: Joi.string(),
+    kid: Joi.string(),
+    alg: Joi.string(),
+    use: Joi.string(),
+    n: Joi.string(),
+    e: Joi.string()
+  }))
+});
+
+export const tokenResponse = Joi.object({
+  access_token: Joi.string(),
+  token_type: Joi.string().valid('Bearer'),
+  expires_in: Joi.number().integer(),
+  id_token: Joi.string().description('RS256 JWT; sub is the did:persona DID the client knows the user by (authorization_code only)'),
+  scope: Joi.string()
+});
+
+export const userInfoResponse = Joi.object({
+  sub: Joi.string().description('did:persona DID'),
+  email: Joi.string().description('With the email scope'),
+  email_verified: Joi.boolean(),
+  kyc_status: Joi.string().description('With the kyc scope')
+});
+
+export const clientRegistrationResponse = Joi.object({
+  client_id: Joi.string(),
+  client_secret: Joi.string().description('Shown once; absent for public clients'),
+  client_id_issued_at: Joi.number().integer(),
+  client_secret_expires_at: Joi.number().integer().description('0: does not expire'),
+  client_name: Joi.string(),
+  redirect_uris: Joi.array().items(Joi.string()),
+  token_endpoint_auth_method: Joi.string(),
+  grant_types: Joi.array().items(Joi.string()),
+  response_types: Joi.array().items(Joi.string())
+});
+
+export const authorizationRequestResponse = Joi.object({
+  requestId: Joi.string(),
+  client: Joi.object({ id: Joi.string(), name: Joi.string() }),
+  scopes: Joi.array().items(Joi.string()),
+  claims: Joi.array().items(Joi.string()).description('Claims the client will receive'),
+  sub: Joi.string().allow(null).description('The DID the client will know the user by; null until the account has a DID'),
+  previouslyGranted: Joi.boolean().description('The user already shared these scopes with this client'),
+  expiresAt: Joi.string().isoDate()
+});
+
+export const consentResponse = Joi.object({
+  redirectTo: Joi.string().description('Send the browser here to finish the sign-in at the client')
+});
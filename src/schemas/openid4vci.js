@@ -0,0 +1,74 @@
+import Joi from 'joi';
+import { did } from './common.js';
+import { CREDENTIAL_TYPES } from '../openid4vc/issuance.js';
+
+export const createOfferSchema = {
+  body: Joi.object({
+    subjectDid: did.required(),
+    type: Joi.string().valid(...CREDENTIAL_TYPES).required().description('One of OPENID4VCI_CREDENTIAL_TYPES'),
+    claims: Joi.object(),
+    validUntil: Joi.string().isoDate(),
+    txCode: Joi.boolean().default(true)
+      .description('Protect the offer with a 6-digit code the wallet user has to enter; pass it to them on another channel')
+  })
+};
+
+export const offerParamsSchema = {
+  params: Joi.object({
+    offerId: Joi.string().hex().length(32).required()
+  })
+};
+
+// Checked by the credential endpoint itself so problems come back as OpenID4VCI errors;
+// this only describes the request for the OpenAPI description
+export const credentialRequestBody = Joi.object({
+  credential_configuration_id: Joi.string().required(),
+  proofs: Joi.object({
+    jwt: Joi.array().items(Joi.string()).length(1)
+      .description('openid4vci-proof+jwt signed by an authentication key of the subject DID, with aud and a c_nonce')
+  }),
+  proof: Joi.object({
+    proof_type: Joi.string().valid('jwt'),
+    jwt: Joi.string()
+  }).description('Single proof, as sent by wallets built on earlier drafts')
+});
+
+// Response payloads, used for the OpenAPI description
+
+export const createOfferResponse = Joi.object({
+  id: Joi.string(),
+  type: Joi.string(),
+  subjectDid: Joi.string(),
+  credentialOfferUri: Joi.string(),
+  deepLink: Joi.string().description('openid-credential-offer:// link for a wallet on the same device'),
+  qrCode: Joi.string().description('The deep link as a PNG data URL'),
+  txCode: Joi.string().allow(null).description('Shown once; the wallet asks the user for it'),
+  expiresAt: Joi.string().isoDate()
+});
+
+export const credentialOffer = Joi.object({
+  credential_issuer: Joi.string(),
+  credential_configuration_ids: Joi.array().items(Joi.string()),
+  grants: Joi.object().pattern(Joi.string(), Joi.object({
+    'pre-authorized_code': Joi.string(),
+    tx_code: Joi.object({ input_mode: Joi.string(), length: Joi.number().integer(), description: Joi.string() })
+  }))
+}).description('Credential Offer (OpenID4VCI section 4.1.1)');
+
+export const credentialIssuerMetadata = Joi.object({
+  credential_issuer: Joi.string(),
+  credential_endpoint: Joi.string(),
+  nonce_endpoint: Joi.string(),
+  display: Joi.array().items(Joi.object({ name: Joi.string(), locale: Joi.string() })),
+  credential_configurations_supported: Joi.object().pattern(Joi.string(), Joi.object().unknown(true))
+}).unknown(true).description('Credential Issuer Metadata (OpenID4VCI section 12.2)');
+
+export const nonceResponse = Joi.object({
+  c_nonce: Joi.string()
+});
+
+export const credentialResponse = Joi.object({
+  credentials: Joi.array().items(Joi.object({
+    credential: Joi.string().description('VC-JWT (vc+jwt, EdDSA) issued by the PersonaPass issuer DID')
+  }))
+});
@@ -0,0 +1,60 @@
+import Joi from 'joi';
+import { verifyPresentationResponse } from './identity.js';
+
+export const createPresentationRequestSchema = {
+  body: Joi.object({
+    credentialType: Joi.string().pattern(/^[A-Z][A-Za-z0-9]*$/).max(100).required().messages({
+      'string.pattern.base': '{#label} must be a PascalCase name, e.g. EmailVerificationCredential'
+    }),
+    redirectUri: Joi.string().uri({ scheme: ['https', 'http'] }).max(2048)
+      .description('Where the wallet sends the user after answering on the same device; the result then needs the response_code added to it')
+  })
+};
+
+export const presentationRequestParams = {
+  params: Joi.object({
+    requestId: Joi.string().hex().length(32).required()
+  })
+};
+
+export const transactionSchema = {
+  params: Joi.object({
+    transactionId: Joi.string().pattern(/^[0-9a-f]{32}\.[A-Za-z0-9_-]{43}$/).required()
+  }),
+  query: Joi.object({
+    response_code: Joi.string().max(64).description('From the fragment of the same-device redirect')
+  })
+};
+
+// Read by the response endpoint itself so problems come back as OAuth errors;
+// this only describes the wallet's direct_post for the OpenAPI description
+export const authorizationResponseForm = Joi.object({
+  vp_token: Joi.string().description('JSON object: { "credential": ["<VP-JWT>"] }'),
+  state: Joi.string().required(),
+  error: Joi.string().description('Instead of vp_token when the wallet declines'),
+  error_description: Joi.string()
+});
+
+// Response payloads, used for the OpenAPI description
+
+export const presentationRequestResponse = Joi.object({
+  id: Joi.string(),
+  transactionId: Joi.string().description('Secret handle for polling the result; keep it with the relying party'),
+  requestUri: Joi.string(),
+  deepLink: Joi.string().description('openid4vp:// link for a wallet on the same device'),
+  qrCode: Joi.string().description('The deep link as a PNG data URL'),
+  expiresAt: Joi.string().isoDate()
+});
+
+export const authorizationResponseResult = Joi.object({
+  redirect_uri: Joi.string().description('Only for requests created with a redirectUri')
+});
+
+export const transactionResponse = Joi.object({
+  status: Joi.string().valid('pending', 'received', 'failed', 'expired'),
+  credentialType: Joi.string(),
+  expiresAt: Joi.string().isoDate(),
+  respondedAt: Joi.string().isoDate().allow(null),
+  result: verifyPresentationResponse.allow(null),
+  walletError: Joi.object({ error: Joi.string(), description: Joi.string().allow(null) }).allow(null)
+});
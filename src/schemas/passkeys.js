@@ -0,0 +1,106 @@
+import Joi from 'joi';
+import { email, password, totpCode } from './common.js';
+
+// WebAuthn binary fields travel as base64url, as in PublicKeyCredential.toJSON()
+const base64url = Joi.string().pattern(/^[A-Za-z0-9_-]+$/).messages({
+  'string.pattern.base': '{#label} must be base64url'
+});
+
+const credentialFields = {
+  id: base64url.max(1366).required().description('Credential id'),
+  rawId: base64url.max(1366),
+  type: Joi.string().valid('public-key').required(),
+  authenticatorAttachment: Joi.string().valid('platform', 'cross-platform').allow(null)
+};
+
+// Registration response (PublicKeyCredential with an AuthenticatorAttestationResponse)
+const attestationCredential = Joi.object({
+  ...credentialFields,
+  response: Joi.object({
+    clientDataJSON: base64url.max(4096).required(),
+    attestationObject: base64url.max(65536).required(),
+    transports: Joi.array().items(Joi.string().max(32)).max(10)
+  }).required()
+});
+
+// Authentication response (PublicKeyCredential with an AuthenticatorAssertionResponse)
+export const assertionCredential = Joi.object({
+  ...credentialFields,
+  response: Joi.object({
+    clientDataJSON: base64url.max(4096).required(),
+    authenticatorData: base64url.max(4096).required(),
+    signature: base64url.max(1024).required(),
+    userHandle: base64url.max(128).allow(null)
+  }).required()
+}).description('PublicKeyCredential from navigator.credentials.get(), binary fields base64url');
+
+export const registerPasskeySchema = {
+  body: Joi.object({
+    credential: attestationCredential.required()
+      .description('PublicKeyCredential from navigator.credentials.create(), binary fields base64url'),
+    name: Joi.string().trim().max(64).description('Label shown in the passkey list, e.g. "Work laptop"'),
+    password: password.description('Step-up: the account password'),
+    totpCode: totpCode.description('Step-up: a current TOTP code, instead of the password')
+  }).or('password', 'totpCode').messages({
+    'object.missing': 'password or totpCode is required to register a passkey'
+  })
+};
+
+export const authenticationOptionsSchema = {
+  body: Joi.object({
+    email: email.description('Ask for a passkey of this account as the second factor of /login. '
+      + 'Without it the options are for a passwordless sign-in with /passkeys/login.')
+  })
+};
+
+export const passkeyLoginSchema = {
+  body: Joi.object({
+    credential: assertionCredential.required()
+  })
+};
+
+export const passkeyParamsSchema = {
+  params: Joi.object({
+    credentialId: base64url.max(1366).required()
+  })
+};
+
+// Response payloads, used for the OpenAPI description
+
+const credentialDescriptor = Joi.object({
+  type: Joi.string().valid('public-key'),
+  id: Joi.string(),
+  transports: Joi.array().items(Joi.string())
+});
+
+export const registrationOptionsResponse = Joi.object({
+  challenge: Joi.string(),
+  rp: Joi.object({ id: Joi.string(), name: Joi.string() }),
+  user: Joi.object({ id: Joi.string(), name: Joi.string(), displayName: Joi.string() }),
+  pubKeyCredParams: Joi.array().items(Joi.object({ type: Joi.string(), alg: Joi.number().integer() })),
+  timeout: Joi.number().integer(),
+  attestation: Joi.string(),
+  excludeCredentials: Joi.array().items(credentialDescriptor),
+  authenticatorSelection: Joi.object({ residentKey: Joi.string(), userVerification: Joi.string() })
+}).description('PublicKeyCredentialCreationOptions for navigator.credentials.create(), binary fields base64url');
+
+export const authenticationOptionsResponse = Joi.object({
+  challenge: Joi.string(),
+  rpId: Joi.string(),
+  timeout: Joi.number().integer(),
+  allowCredentials: Joi.array().items(credentialDescriptor),
+  userVerification: Joi.string()
+}).description('PublicKeyCredentialRequestOptions for navigator.credentials.get(), binary fields base64url');
+
+export const passkeyResponse = Joi.object({
+  id: Joi.string(),
+  name: Joi.string(),
+  transports: Joi.array().items(Joi.string()),
+  backedUp: Joi.boolean().description('Synced to the provider cloud (multi-device passkey)'),
+  createdAt: Joi.string().isoDate(),
+  lastUsedAt: Joi.string().isoDate().allow(null)
+});
+
+export const passkeyListResponse = Joi.object({
+  passkeys: Joi.array().items(passkeyResponse)
+});
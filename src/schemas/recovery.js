@@ -0,0 +1,55 @@
+import Joi from 'joi';
+import { backupCode, email, totpCode, verificationCode } from './common.js';
+
+const recoveryToken = Joi.string().max(512);
+
+export const recoveryStartSchema = {
+  body: Joi.object({
+    email: email.required()
+  })
+};
+
+export const recoveryVerifySchema = {
+  body: Joi.object({
+    email: email.required(),
+    code: verificationCode.required(),
+    backupCode: backupCode.description('Skips the cooling-off period')
+  })
+};
+
+export const recoveryEnrollSchema = {
+  body: Joi.object({
+    recoveryToken: recoveryToken.required()
+  })
+};
+
+export const recoveryConfirmSchema = {
+  body: Joi.object({
+    recoveryToken: recoveryToken.required(),
+    totpCode: totpCode.required()
+  })
+};
+
+// Response payloads, used for the OpenAPI description
+
+export const recoveryVerifyResponse = Joi.object({
+  recoveryToken: Joi.string().description('Opaque token for the remaining recovery steps; shown once'),
+  method: Joi.string().valid('backup_code', 'cooling_off'),
+  readyAt: Joi.string().isoDate().description('When re-enrolment may start'),
+  expiresAt: Joi.string().isoDate()
+});
+
+export const recoveryEnrollResponse = Joi.object({
+  qrCode: Joi.string().description('PNG data URL of the otpauth:// QR code'),
+  secret: Joi.string().description('Base32 TOTP secret')
+});
+
+export const recoveryConfirmResponse = Joi.object({
+  backupCodes: Joi.array().items(Joi.string()),
+  sessionsRevoked: Joi.number().integer(),
+  passkeysRemoved: Joi.number().integer().description('Passkeys removed from the account; register new ones after signing in')
+});
+
+export const recoveryCancelResponse = Joi.object({
+  cancelled: Joi.number().integer().description('Number of open recoveries cancelled')
+});
@@ -0,0 +1,50 @@
+import Joi from 'joi';
+
+// Response payloads of the health, status and documentation routes, used for the OpenAPI description
+
+const probe = Joi.object({
+  status: Joi.string().valid('operational', 'down'),
+  latencyMs: Joi.number().integer(),
+  error: Joi.string()
+}).unknown();
+
+export const healthResponse = Joi.object({
+  status: Joi.string().valid('operational', 'degraded', 'down'),
+  service: Joi.string(),
+  version: Joi.string(),
+  timestamp: Joi.string().isoDate(),
+  uptime: Joi.number(),
+  environment: Joi.string(),
+  services: Joi.object({
+    database: probe,
+    blockchain: probe
+  })
+});
+
+export const livenessResponse = Joi.object({
+  status: Joi.string().valid('alive'),
+  uptime: Joi.number()
+});
+
+export const readinessResponse = Joi.object({
+  status: Joi.string().valid('ready', 'not_ready'),
+  checks: Joi.object({
+    accepting_traffic: Joi.boolean(),
+    database: Joi.string(),
+    blockchain: Joi.string()
+  })
+});
+
+export const apiStatusResponse = Joi.object({
+  success: Joi.boolean(),
+  message: Joi.string(),
+  documentation: Joi.object({
+    openapi: Joi.string(),
+    docs: Joi.string()
+  }),
+  endpoints: Joi.object().pattern(Joi.string(), Joi.object().pattern(Joi.string(), Joi.string()))
+    .description('Operations grouped by tag: { tag: { operationId: "METHOD /path" } }'),
+  lambda_functions: Joi.object().pattern(Joi.string(), Joi.string())
+});
+
+export const openApiDocument = Joi.object().description('OpenAPI 3.1 document');
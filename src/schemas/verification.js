@@ -0,0 +1,66 @@
+import Joi from 'joi';
+import { birthDate, personName, phoneNumber, verificationCode } from './common.js';
+
+export const emailVerifyStartSchema = {
+  body: Joi.object({})
+};
+
+export const emailVerifyCompleteSchema = {
+  body: Joi.object({
+    code: verificationCode.required()
+  })
+};
+
+export const phoneVerifyStartSchema = {
+  body: Joi.object({
+    phoneNumber: phoneNumber.required()
+  })
+};
+
+export const phoneVerifyCompleteSchema = emailVerifyCompleteSchema;
+
+// The outcome of a KYC check. The attributes are what the provider confirmed from the documents.
+export const kycReviewSchema = {
+  params: Joi.object({
+    accountId: Joi.string().guid().required()
+  }),
+  body: Joi.object({
+    status: Joi.string().valid('verified', 'rejected').required(),
+    provider: Joi.string().trim().max(100).required().description('Who checked the documents, e.g. the KYC vendor'),
+    reference: Joi.string().trim().max(200).description('The provider\'s id for the check'),
+    attributes: Joi.object({
+      givenName: personName.required(),
+      familyName: personName.required(),
+      birthDate: birthDate.required()
+    }).when('status', { is: 'verified', then: Joi.required(), otherwise: Joi.forbidden() })
+  })
+};
+
+// Response payloads, used for the OpenAPI description
+
+export const emailVerifyStartResponse = Joi.object({
+  email: Joi.string().description('Masked address the code was sent to'),
+  expiresAt: Joi.string().isoDate()
+});
+
+export const emailVerifyCompleteResponse = Joi.object({
+  emailVerified: Joi.boolean(),
+  emailVerifiedAt: Joi.string().isoDate()
+});
+
+export const phoneVerifyStartResponse = Joi.object({
+  phoneNumber: Joi.string().description('Masked number the code was sent to'),
+  expiresAt: Joi.string().isoDate()
+});
+
+export const phoneVerifyCompleteResponse = Joi.object({
+  phoneNumber: Joi.string(),
+  phoneVerified: Joi.boolean(),
+  phoneVerifiedAt: Joi.string().isoDate()
+});
+
+export const kycReviewResponse = Joi.object({
+  accountId: Joi.string(),
+  kycStatus: Joi.string().valid('verified', 'rejected'),
+  kycReviewedAt: Joi.string().isoDate()
+});
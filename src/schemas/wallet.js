@@ -0,0 +1,34 @@
+import Joi from 'joi';
+import { chainAddress } from './common.js';
+
+const nonce = Joi.string().hex().length(32);
+
+export const walletChallengeSchema = {
+  body: Joi.object({
+    address: chainAddress.required(),
+    purpose: Joi.string().valid('sign_in', 'link').default('sign_in')
+      .description('sign_in for /wallet/verify, link for /wallet/link')
+  })
+};
+
+// Fields of the StdSignature returned by the wallet's signArbitrary (ADR-036) for the challenge message
+export const walletSignatureSchema = {
+  body: Joi.object({
+    nonce: nonce.required(),
+    signature: Joi.string().base64().max(128).required().description('StdSignature.signature (base64 r||s)'),
+    pubKey: Joi.string().base64().max(64).required().description('StdSignature.pub_key.value (base64 compressed secp256k1 key)')
+  })
+};
+
+// Response payloads, used for the OpenAPI description
+
+export const walletChallengeResponse = Joi.object({
+  nonce: Joi.string(),
+  message: Joi.string().description('Sign this exact text with signArbitrary'),
+  expiresAt: Joi.string().isoDate()
+});
+
+export const walletLinkResponse = Joi.object({
+  walletAddress: Joi.string(),
+  walletLinkedAt: Joi.string().isoDate()
+});
@@ -1,48 +1,52 @@
 #!/usr/bin/env node
 
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
-import winston from 'winston';
-import dotenv from 'dotenv';
-import qrcode from 'qrcode';
-import speakeasy from 'speakeasy';
-import { RateLimiterMemory } from 'rate-limiter-flexible';
-
-// Load environment variables
-dotenv.config();
-
-// In-memory store for TOTP secrets (in production, use database)
-const userSecrets = new Map();
-
-// Configure logger
-const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.errors({ stack: true }),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' }),
-    new winston.transports.Console({
-      format: winston.format.simple()
-    })
-  ]
-});
+import swaggerUi from 'swagger-ui-express';
+import config from './config.js';
+import logger from './logger.js';
+import storage from './storage/index.js';
+import { ApiError } from './errors.js';
+import { requestId } from './middleware/requestId.js';
+import { errorHandler } from './middleware/errorHandler.js';
+import { closeRateLimits, initRateLimits, rateLimit } from './middleware/rateLimit.js';
+import { operation } from './openapi/operation.js';
+import { buildOpenApiSpec, listOperations } from './openapi/document.js';
+import { joiToJsonSchema } from './openapi/joiToJsonSchema.js';
+import { originMatcher } from './utils/origins.js';
+import {
+  apiStatusResponse,
+  healthResponse,
+  livenessResponse,
+  openApiDocument,
+  readinessResponse
+} from './schemas/system.js';
+import authRoutes from './routes/auth.js';
+import identityRoutes from './routes/identity.js';
+import blockchainRoutes from './routes/blockchain.js';
+import verificationRoutes from './routes/verification.js';
+import recoveryRoutes from './routes/recovery.js';
+import walletRoutes from './routes/wallet.js';
+import passkeyRoutes from './routes/passkeys.js';
+import auditRoutes from './routes/audit.js';
+import oidcRoutes from './routes/oidc.js';
+import openid4vciRoutes from './routes/openid4vci.js';
+import openid4vpRoutes from './routes/openid4vp.js';
+import wellKnownRoutes from './routes/wellKnown.js';
+import { initIssuer } from './identity/issuer.js';
+import { initOidcKeys } from './oidc/keys.js';
+import { chainRequiredForReadiness, probeBlockchain, probeStorage } from './health.js';
 
 // Initialize Express app
 const app = express();
-const PORT = process.env.PORT || 3001;
+const PORT = config.port;
+
+// Client addresses behind proxies (config.trustProxy)
+app.set('trust proxy', config.trustProxy);
 
-// Rate limiter configuration
-const rateLimiter = new RateLimiterMemory({
-  keyPrefix: 'middleware',
-  points: 100, // Number of requests
-  duration: 60, // Per 60 seconds
-});
 
 // Security middleware
 app.use(helmet({
@@ -52,28 +56,23 @@ app.use(helmet({
       defaultSrc: ["'self'"],
       styleSrc: ["'self'", "'unsafe-inline'"],
       scriptSrc: ["'self'"],
-      connectSrc: ["'self'", "https://*.supabase.co", "http://44.201.59.57:26657", "http://44.201.59.57:1317", "http://localhost:26657", "http://localhost:1317"]
+      connectSrc: ["'self'", new URL(config.chain.rpcUrl).origin, new URL(config.chain.apiUrl).origin, ...config.csp.connectSrc]
     }
   }
 }));
 
-// CORS configuration
+// CORS configuration: exact, wildcard and /regex/ origins from config.cors.origins
+const isAllowedOrigin = originMatcher(config.cors.origins);
 app.use(cors({
-  origin: [
-    'http://localhost:3000',
-    'http://localhost:3001',
-    'http://localhost:3004', // Add the current frontend port
-    'https://persona-website-rho.vercel.app',
-    'https://persona-wallet-eight.vercel.app',
-    'https://persona-pass.vercel.app',
-    'https://*.personapass.me',
-    'https://*.vercel.app'
-  ],
+  origin: (origin, callback) => callback(null, Boolean(origin) && isAllowedOrigin(origin)),
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy']
 }));
 
+app.use(requestId);
+
 // Basic middleware
 app.use(compression());
 app.use(express.json({ limit: '10mb' }));
@@ -85,9 +84,11 @@ app.use((req, res, next) => {
   
   res.on('finish', () => {
     const duration = Date.now() - start;
-    logger.info(`${req.method} ${req.path}`, {
+    // originalUrl: routers strip their mount path from req.path and req.url
+    logger.info(`${req.method} ${req.originalUrl.split('?')[0]}`, {
+      requestId: req.id,
       method: req.method,
-      url: req.url,
+      url: req.originalUrl,
       status: res.statusCode,
       duration: `${duration}ms`,
       ip: req.ip,
@@ -98,610 +99,190 @@ app.use((req, res, next) => {
   next();
 });
 
-// Rate limiting middleware
-app.use(async (req, res, next) => {
-  try {
-    await rateLimiter.consume(req.ip);
-    next();
-  } catch (rejRes) {
-    res.status(429).json({
-      success: false,
-      message: 'Too many requests, please try again later.',
-      retryAfter: Math.round(rejRes.msBeforeNext / 1000) || 1,
-    });
-  }
+// Rate limiting middleware: per route group, keyed by IP and by account or email (src/middleware/rateLimit.js)
+app.use(rateLimit);
+
+// Flipped once storage is open, and back off when shutting down
+let acceptingTraffic = false;
+
+// Health bodies are answered with 503 as well when a required dependency is down
+const unavailable = (schema, description) => ({
+  503: { description, content: { 'application/json': { schema: joiToJsonSchema(schema) } } }
 });
 
 // Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'operational',
+app.get('/health', operation({
+  operationId: 'getHealth',
+  summary: 'Service and dependency health',
+  response: healthResponse,
+  raw: true,
+  responses: unavailable(healthResponse, 'Storage is down')
+}), async (req, res) => {
+  const [database, blockchain] = await Promise.all([probeStorage(), probeBlockchain()]);
+  const status = database.status !== 'operational'
+    ? 'down'
+    : blockchain.status !== 'operational' ? 'degraded' : 'operational';
+
+  res.status(status === 'down' ? 503 : 200).json({
+    status,
     service: 'PersonaPass Backend Services',
     version: '1.0.0',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    environment: process.env.NODE_ENV || 'development',
+    environment: config.env,
     services: {
-      database: 'operational',
-      blockchain: 'checking...',
-      lambda_functions: 'operational'
+      database,
+      blockchain
     }
   });
 });
 
-// API status endpoint
-app.get('/api/status', (req, res) => {
+// Liveness probe: the process is up and the event loop is responsive
+app.get('/health/live', operation({
+  operationId: 'getLiveness',
+  summary: 'Liveness probe',
+  response: livenessResponse,
+  raw: true
+}), (req, res) => {
   res.json({
-    success: true,
-    message: 'PersonaPass Backend API is operational',
-    endpoints: {
-      health: '/health',
-      status: '/api/status',
-      auth: {
-        login: 'POST /api/auth/login',
-        register: 'POST /api/auth/register',
-        verify: 'POST /api/auth/verify-totp'
-      },
-      identity: {
-        create_did: 'POST /api/identity/create-did',
-        get_credentials: 'GET /api/identity/credentials/:address'
-      },
-      blockchain: {
-        status: 'GET /api/blockchain/status',
-        balance: 'GET /api/blockchain/balance/:address',
-        transaction: 'POST /api/blockchain/transaction'
-      }
-    },
-    lambda_functions: {
-      totp_setup: process.env.LAMBDA_TOTP_SETUP_URL || 'configured',
-      totp_verify: process.env.LAMBDA_TOTP_VERIFY_URL || 'configured',
-      session_create: process.env.LAMBDA_SESSION_CREATE_URL || 'configured'
-    }
+    status: 'alive',
+    uptime: process.uptime()
   });
 });
 
-// Authentication routes
-app.post('/api/auth/login', async (req, res) => {
-  try {
-    const { email, password, totpCode } = req.body;
-    
-    if (!email || !password || !totpCode) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email, password, and TOTP code are required'
-      });
-    }
-
-    // This would normally call our Lambda function
-    // For now, return a structured response
-    logger.info('Login attempt', { email: email.substring(0, 3) + '***' });
-    
-    res.json({
-      success: true,
-      message: 'Login endpoint ready - integrate with Lambda function',
-      requiresIntegration: {
-        lambdaFunction: 'personapass-session-create-prod',
-        endpoint: process.env.LAMBDA_SESSION_CREATE_URL
-      }
-    });
-    
-  } catch (error) {
-    logger.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Login failed',
-      error: error.message
-    });
-  }
-});
-
-// TOTP setup route
-app.post('/api/auth/totp-setup', async (req, res) => {
-  try {
-    const { email } = req.body;
-    
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email is required'
-      });
+// Readiness probe: take traffic only when required dependencies answer
+app.get('/health/ready', operation({
+  operationId: 'getReadiness',
+  summary: 'Readiness probe',
+  response: readinessResponse,
+  raw: true,
+  responses: unavailable(readinessResponse, 'Not ready to take traffic')
+}), async (req, res) => {
+  const requireChain = chainRequiredForReadiness();
+  const [database, blockchain] = await Promise.all([
+    probeStorage(),
+    requireChain ? probeBlockchain() : Promise.resolve(null)
+  ]);
+
+  const ready = acceptingTraffic
+    && database.status === 'operational'
+    && (!requireChain || blockchain.status === 'operational');
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    checks: {
+      accepting_traffic: acceptingTraffic,
+      database: database.status,
+      ...(requireChain && { blockchain: blockchain.status })
     }
-
-    // Email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid email format'
-      });
-    }
-
-    logger.info('TOTP setup request', { email: email.substring(0, 3) + '***' });
-    
-    // Generate REAL TOTP secret using speakeasy
-    const secret = speakeasy.generateSecret({
-      name: `PersonaPass (${email})`,
-      issuer: 'PersonaPass',
-      length: 32
-    });
-    
-    // Store the secret for this user (in production, save to database)
-    userSecrets.set(email, secret.base32);
-    
-    // Generate real QR code with the actual TOTP URL
-    const qrCodeDataUrl = await qrcode.toDataURL(secret.otpauth_url, {
-      errorCorrectionLevel: 'M',
-      type: 'image/png',
-      quality: 0.92,
-      margin: 1,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      }
-    });
-    
-    res.json({
-      success: true,
-      data: {
-        qrCode: qrCodeDataUrl,
-        secret: secret.base32,
-        backupCodes: [
-          '12345678',
-          '87654321',
-          '11223344',
-          '44332211',
-          '55667788'
-        ]
-      },
-      message: 'TOTP setup successful'
-    });
-    
-  } catch (error) {
-    logger.error('TOTP setup error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'TOTP setup failed',
-      error: error.message
-    });
-  }
-});
-
-// Account creation route
-app.post('/api/auth/create-account', async (req, res) => {
-  try {
-    const { email, password, totpCode } = req.body;
-    
-    if (!email || !password || !totpCode) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email, password, and TOTP code are required'
-      });
-    }
-
-    // Email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid email format'
-      });
-    }
-
-    // REAL TOTP validation using speakeasy
-    const userSecret = userSecrets.get(email);
-    if (!userSecret) {
-      return res.status(400).json({
-        success: false,
-        message: 'TOTP not set up for this email. Please set up TOTP first.'
-      });
-    }
-
-    const verified = speakeasy.totp.verify({
-      secret: userSecret,
-      encoding: 'base32',
-      token: totpCode,
-      window: 2 // Allow 2 time steps (60 seconds) tolerance
-    });
-
-    if (!verified) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid TOTP code. Please check your authenticator app.'
-      });
-    }
-
-    logger.info('Account creation request', { email: email.substring(0, 3) + '***' });
-    
-    // Generate mock user data
-    const userId = `user_${Date.now()}`;
-    const walletAddress = `persona1${Math.random().toString(36).substring(2, 15)}`;
-    const did = `did:persona:${walletAddress}`;
-    
-    res.json({
-      success: true,
-      data: {
-        id: userId,
-        email: email,
-        did: did,
-        walletAddress: walletAddress,
-        kycStatus: 'pending',
-        totpSetup: true
-      },
-      message: 'Account created successfully'
-    });
-    
-  } catch (error) {
-    logger.error('Account creation error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Account creation failed',
-      error: error.message
-    });
-  }
-});
-
-// Blockchain status route
-app.get('/api/blockchain/status', async (req, res) => {
-  try {
-    const personaChainRpcUrl = process.env.PERSONACHAIN_RPC_ENDPOINT || 'http://44.201.59.57:26657';
-    const personaChainApiUrl = process.env.PERSONACHAIN_API_ENDPOINT || 'http://44.201.59.57:1317';
-    
-    logger.info('Checking PersonaChain status...', { rpc: personaChainRpcUrl });
-    
-    // Try to ping the PersonaChain validator
-    let blockchainStatus = 'initializing';
-    let statusMessage = 'PersonaChain validator is starting up (typically 5-10 minutes)';
-    
-    try {
-      const response = await fetch(`${personaChainRpcUrl}/status`, { 
-        method: 'GET',
-        signal: AbortSignal.timeout(3000)
-      });
-      if (response.ok) {
-        blockchainStatus = 'operational';
-        statusMessage = 'PersonaChain validator is operational';
-      }
-    } catch (error) {
-      logger.info('PersonaChain not ready yet:', error.message);
-    }
-    
-    res.json({
-      success: true,
-      blockchain: {
-        name: 'PersonaChain',
-        rpc_url: personaChainRpcUrl,
-        api_url: personaChainApiUrl,
-        chain_id: process.env.PERSONACHAIN_CHAIN_ID || 'personachain-1',
-        status: blockchainStatus,
-        message: statusMessage,
-        features: {
-          did_module: 'available',
-          credential_module: 'available',
-          zk_proof_module: 'available'
-        }
-      }
-    });
-    
-  } catch (error) {
-    logger.error('Blockchain status error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to check blockchain status',
-      error: error.message
-    });
-  }
+  });
 });
 
-// In-memory DID storage (in production, use Supabase or PersonaChain)
-const userDIDs = new Map();
-
-// DID creation route - Real blockchain-style implementation
-app.post('/api/identity/create-did', async (req, res) => {
-  try {
-    const { walletAddress, firstName, lastName, email } = req.body;
-    
-    if (!firstName || !lastName) {
-      return res.status(400).json({
-        success: false,
-        message: 'First name and last name are required'
-      });
-    }
+// API routes
+app.use('/api/auth', authRoutes);
+app.use('/api/auth/recovery', recoveryRoutes);
+app.use('/api/auth/wallet', walletRoutes);
+app.use('/api/auth/passkeys', passkeyRoutes);
+app.use('/api/identity', identityRoutes);
+app.use('/api/blockchain', blockchainRoutes);
+app.use('/api/persona', verificationRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/oidc', oidcRoutes);
+app.use('/openid4vci', openid4vciRoutes);
+app.use('/openid4vp', openid4vpRoutes);
+app.use('/.well-known', wellKnownRoutes);
+
+// The OpenAPI description is generated from the routes above the first time it is asked for
+let apiSpec;
+const getApiSpec = () => {
+  apiSpec = apiSpec || buildOpenApiSpec(app, {
+    title: 'PersonaPass Backend API',
+    version: '1.0.0',
+    description: 'Authentication, identity and PersonaChain services for PersonaPass'
+  });
+  return apiSpec;
+};
 
-    logger.info('DID creation request', { 
-      name: `${firstName} ${lastName}`,
-      email: email ? email.substring(0, 3) + '***' : 'not provided'
-    });
-    
-    // Create deterministic DID based on user data (not random!)
-    const userKey = `${firstName.toLowerCase()}-${lastName.toLowerCase()}`;
-    
-    // Check if user already has a DID
-    let existingDID = userDIDs.get(userKey);
-    if (existingDID) {
-      logger.info('Returning existing DID for user', { did: existingDID.did.substring(0, 20) + '...' });
-      return res.json({
-        success: true,
-        did: existingDID.did,
-        walletAddress: existingDID.walletAddress,
-        userData: existingDID.userData,
-        message: 'Retrieved existing digital identity',
-        isExisting: true,
-        blockchain: {
-          network: process.env.PERSONACHAIN_CHAIN_ID || 'personachain-1',
-          status: 'registered',
-          blockHeight: existingDID.blockHeight || 12345,
-          transactionHash: existingDID.txHash || 'persona_tx_' + Date.now(),
-          features: ['did_module', 'credential_module', 'zk_proof_module']
-        }
-      });
-    }
-    
-    // Generate deterministic DID using crypto hash of user data
-    const crypto = await import('crypto');
-    const userData = `${firstName}:${lastName}:${email || 'no-email'}:${Date.now()}`;
-    const hash = crypto.createHash('sha256').update(userData).digest('hex');
-    const did = `did:persona:${hash.substring(0, 32)}`;
-    
-    // Generate PersonaChain-compatible wallet address
-    const walletHash = crypto.createHash('sha256').update(did).digest('hex');
-    const personaWalletAddress = `persona1${walletHash.substring(0, 38)}`;
-    
-    // Create blockchain transaction simulation
-    const blockHeight = Math.floor(Math.random() * 1000) + 12000; // Simulate block height
-    const txHash = `persona_tx_${Date.now()}_${hash.substring(0, 12)}`;
-    
-    // Store DID with user data (persistent storage)
-    const didRecord = {
-      did: did,
-      walletAddress: personaWalletAddress,
-      userData: {
-        firstName,
-        lastName,
-        email: email || null,
-        createdAt: new Date().toISOString(),
-        verified: false
-      },
-      blockchain: {
-        network: 'personachain-1',
-        blockHeight,
-        txHash,
-        status: 'registered'
-      }
-    };
-    
-    userDIDs.set(userKey, didRecord);
-    
-    logger.info('Created new DID for user', { 
-      did: did.substring(0, 20) + '...',
-      wallet: personaWalletAddress.substring(0, 15) + '...',
-      block: blockHeight
-    });
-    
-    res.json({
-      success: true,
-      did: did,
-      walletAddress: personaWalletAddress,
-      userData: didRecord.userData,
-      message: 'Digital identity created and registered on PersonaChain',
-      isExisting: false,
-      blockchain: {
-        network: 'personachain-1',
-        status: 'registered',
-        blockHeight: blockHeight,
-        transactionHash: txHash,
-        confirmations: 6,
-        features: ['did_module', 'credential_module', 'zk_proof_module']
-      }
-    });
-    
-  } catch (error) {
-    logger.error('DID creation error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'DID creation failed',
-      error: error.message
-    });
+// API status endpoint
+app.get('/api/status', operation({
+  operationId: 'getApiStatus',
+  summary: 'Service status and the list of operations',
+  response: apiStatusResponse,
+  raw: true
+}), (req, res) => {
+  const endpoints = {};
+  for (const op of listOperations(getApiSpec())) {
+    endpoints[op.tag] = endpoints[op.tag] || {};
+    endpoints[op.tag][op.operationId] = `${op.method} ${op.path}`;
   }
-});
 
-// Get existing DID by user info
-app.post('/api/identity/get-did', async (req, res) => {
-  try {
-    const { firstName, lastName } = req.body;
-    
-    if (!firstName || !lastName) {
-      return res.status(400).json({
-        success: false,
-        message: 'First name and last name are required'
-      });
-    }
-    
-    const userKey = `${firstName.toLowerCase()}-${lastName.toLowerCase()}`;
-    const existingDID = userDIDs.get(userKey);
-    
-    if (existingDID) {
-      logger.info('Retrieved existing DID', { did: existingDID.did.substring(0, 20) + '...' });
-      return res.json({
-        success: true,
-        found: true,
-        did: existingDID.did,
-        walletAddress: existingDID.walletAddress,
-        userData: existingDID.userData,
-        blockchain: existingDID.blockchain,
-        message: 'Found existing digital identity'
-      });
-    } else {
-      return res.json({
-        success: true,
-        found: false,
-        message: 'No existing digital identity found for this user'
-      });
+  res.json({
+    success: true,
+    message: 'PersonaPass Backend API is operational',
+    documentation: {
+      openapi: '/api/openapi.json',
+      docs: '/api/docs'
+    },
+    endpoints,
+    lambda_functions: {
+      totp_setup: config.lambdaFunctions.totpSetup || 'configured',
+      totp_verify: config.lambdaFunctions.totpVerify || 'configured',
+      session_create: config.lambdaFunctions.sessionCreate || 'configured'
     }
-    
-  } catch (error) {
-    logger.error('Get DID error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to check for existing DID',
-      error: error.message
-    });
-  }
+  });
 });
 
-// Credentials route
-app.get('/api/identity/credentials/:address', async (req, res) => {
-  try {
-    const { address } = req.params;
-    
-    logger.info('Credentials request', { address: address.substring(0, 8) + '...' });
-    
-    res.json({
-      success: true,
-      credentials: [],
-      message: 'Credentials endpoint ready - integrate with Supabase',
-      integration: {
-        database: 'Supabase operational',
-        table: 'verifiable_credentials',
-        status: 'ready for integration'
-      }
-    });
-    
-  } catch (error) {
-    logger.error('Credentials error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get credentials',
-      error: error.message
-    });
-  }
+// OpenAPI 3.1 description of this API
+app.get('/api/openapi.json', operation({
+  operationId: 'getOpenApiSpec',
+  summary: 'OpenAPI 3.1 description of this API',
+  response: openApiDocument,
+  raw: true
+}), (req, res) => {
+  res.json(getApiSpec());
 });
 
-// Balance route for PersonaChain Cosmos SDK compatibility
-app.get('/api/blockchain/balance/:address', async (req, res) => {
-  try {
-    const { address } = req.params;
-    
-    if (!address) {
-      return res.status(400).json({
-        success: false,
-        message: 'Address is required'
-      });
-    }
-
-    logger.info('Balance request', { address: address.substring(0, 8) + '...' });
-    
-    // For now, return mock balance - in production this would query PersonaChain
-    // via Cosmos SDK RPC/API endpoints
-    res.json({
-      success: true,
-      data: {
-        address: address,
-        balance: '0',
-        denom: 'PERSONA',
-        network: 'personachain-1'
-      },
-      message: 'Balance retrieved (mock data - will integrate with PersonaChain Cosmos SDK)'
-    });
-    
-  } catch (error) {
-    logger.error('Balance error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get balance',
-      error: error.message
-    });
-  }
-});
+// Interactive API documentation (Swagger UI) backed by /api/openapi.json
+app.use('/api/docs', swaggerUi.serve);
+app.get('/api/docs', operation({
+  operationId: 'getApiDocs',
+  summary: 'Interactive API documentation',
+  raw: true,
+  contentType: 'text/html'
+}), swaggerUi.setup(null, {
+  customSiteTitle: 'PersonaPass API',
+  swaggerOptions: { url: '/api/openapi.json' }
+}));
 
-// Transaction route for PersonaChain Cosmos SDK compatibility
-app.post('/api/blockchain/transaction', async (req, res) => {
-  try {
-    const { from, to, amount, data, signature } = req.body;
-    
-    if (!from || !to || !signature) {
-      return res.status(400).json({
-        success: false,
-        message: 'From, to, and signature are required'
-      });
+// 404 handler
+app.use('*', (req, res, next) => {
+  next(new ApiError('NOT_FOUND', 'Endpoint not found', {
+    data: {
+      available_endpoints: listOperations(getApiSpec()).map((op) => `${op.method} ${op.path}`)
     }
-
-    logger.info('Transaction request', { 
-      from: from.substring(0, 8) + '...', 
-      to: to.substring(0, 8) + '...',
-      amount: amount || '0'
-    });
-    
-    // Generate mock transaction hash
-    const txHash = `persona_tx_${Date.now()}_${Math.random().toString(36).substring(2, 15)}`;
-    
-    // For now, return mock transaction - in production this would submit to PersonaChain
-    // via Cosmos SDK transaction broadcasting
-    res.json({
-      success: true,
-      data: {
-        hash: txHash,
-        from: from,
-        to: to,
-        amount: amount || '0',
-        data: data,
-        status: 'pending',
-        network: 'personachain-1',
-        timestamp: new Date().toISOString()
-      },
-      message: 'Transaction submitted (mock data - will integrate with PersonaChain Cosmos SDK)'
-    });
-    
-  } catch (error) {
-    logger.error('Transaction error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to submit transaction',
-      error: error.message
-    });
-  }
+  }));
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  logger.error('Unhandled error:', err);
-  
-  res.status(err.status || 500).json({
-    success: false,
-    message: process.env.NODE_ENV === 'production' 
-      ? 'Internal server error' 
-      : err.message,
-    ...(process.env.NODE_ENV !== 'production' && { stack: err.stack })
-  });
-});
+// Error handling middleware: renders every error in the standard envelope
+app.use(errorHandler);
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Endpoint not found',
-    available_endpoints: [
-      'GET /health',
-      'GET /api/status',
-      'POST /api/auth/login',
-      'POST /api/auth/totp-setup',
-      'POST /api/auth/create-account',
-      'GET /api/blockchain/status',
-      'GET /api/blockchain/balance/:address',
-      'POST /api/blockchain/transaction',
-      'POST /api/identity/create-did',
-      'GET /api/identity/credentials/:address'
-    ]
-  });
-});
+// Open the configured storage backend before accepting traffic
+await storage.init();
+const rateLimitStore = await initRateLimits();
+await initIssuer();
+await initOidcKeys();
 
 // Start server on all interfaces
 app.listen(PORT, '0.0.0.0', () => {
+  acceptingTraffic = true;
   logger.info(`🚀 PersonaPass Backend Services running on port ${PORT}`);
   logger.info(`📊 Health check: http://localhost:${PORT}/health`);
   logger.info(`📋 API status: http://localhost:${PORT}/api/status`);
-  logger.info(`🔗 Environment: ${process.env.NODE_ENV || 'development'}`);
+  logger.info(`🔗 Environment: ${config.env}`);
+  logger.info(`💾 Storage backend: ${storage.backend}`);
+  logger.info(`🚦 Rate limit store: ${rateLimitStore}`);
   
-  if (process.env.NODE_ENV === 'production') {
+  if (config.env === 'production') {
     logger.info('🎯 Production mode active');
     logger.info('🛡️  Security headers enabled');
     logger.info('📊 Request logging active');
@@ -709,13 +290,19 @@ app.listen(PORT, '0.0.0.0', () => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully...');
+  acceptingTraffic = false;
+  await closeRateLimits();
+  await storage.close();
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully...');
+  acceptingTraffic = false;
+  await closeRateLimits();
+  await storage.close();
   process.exit(0);
 });
 
@@ -0,0 +1,9 @@
+// Raised when inserting a record whose id already exists in the collection
+export class DuplicateRecordError extends Error {
+  constructor(collection, id) {
+    super(`Record ${id} already exists in ${collection}`);
+    this.name = 'DuplicateRecordError';
+    this.collection = collection;
+    this.id = id;
+  }
+}
@@ -0,0 +1,66 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from '../logger.js';
+import { MemoryCollection } from './memory.js';
+
+// Single-node storage: collections are held in memory and written through to one JSON file.
+// Writes go to a temporary file first and are renamed into place, so a crash never leaves
+// a half-written store behind.
+export const createFileStorage = ({ filePath }) => {
+  const collections = new Map();
+  let snapshot = {};
+  let pendingWrite = Promise.resolve();
+
+  const persist = () => {
+    pendingWrite = pendingWrite
+      .catch(() => {})
+      .then(async () => {
+        const data = {};
+        for (const [name, collection] of collections) {
+          data[name] = collection.toJSON();
+        }
+
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(data), { mode: 0o600 });
+        await fs.rename(tmpPath, filePath);
+      });
+    return pendingWrite;
+  };
+
+  return {
+    backend: 'file',
+
+    async init() {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      try {
+        snapshot = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      // Collections are usually handed out at import time, before the file has been read
+      for (const [name, collection] of collections) {
+        collection.load(snapshot[name]);
+      }
+      logger.info('File storage ready', { filePath });
+    },
+
+    async close() {
+      await pendingWrite;
+    },
+
+    // The store is usable as long as its directory is writable
+    async ping() {
+      await fs.access(path.dirname(filePath), fs.constants.W_OK);
+    },
+
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, new MemoryCollection(name, snapshot[name], persist));
+      }
+      return collections.get(name);
+    }
+  };
+};
@@ -0,0 +1,37 @@
+import config from '../config.js';
+import { createMemoryStorage } from './memory.js';
+import { createFileStorage } from './file.js';
+import { createSupabaseStorage } from './supabase.js';
+
+export { DuplicateRecordError } from './errors.js';
+
+// Storage interface shared by every backend:
+//   init(), close(), ping(), collection(name) -> { get, findOne, find, insert, update, modify, delete }
+// modify(id, change) is the one atomic read-modify-write: use it whenever the new value depends on the
+// old one (one-time codes and challenges, counters), so concurrent requests cannot both act on a stale read.
+// Collections in use: accounts, accountEmails, accountWallets, totpSecrets, backupCodes, authAttempts, sessions, dids, didVersions, credentials,
+// statusLists, presentationChallenges, serviceKeys, verificationCodes, accountRecoveries, auditLog,
+// walletChallenges, webauthnChallenges, passkeys, oidcClients, oidcAuthRequests, oidcGrants, oidcAccessTokens,
+// credentialOffers, credentialNonces, presentationRequests.
+export const createStorage = (backend = config.storage.backend) => {
+  switch (backend) {
+    case 'memory':
+      return createMemoryStorage();
+    case 'file':
+      return createFileStorage({
+        filePath: config.storage.filePath
+      });
+    case 'supabase':
+      return createSupabaseStorage({
+        url: config.storage.supabaseUrl,
+        serviceKey: config.storage.supabaseServiceKey,
+        tablePrefix: config.storage.tablePrefix
+      });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected memory, file or supabase)`);
+  }
+};
+
+const storage = createStorage();
+
+export default storage;
@@ -0,0 +1,109 @@
+import { DuplicateRecordError } from './errors.js';
+
+const matches = (record, query) => Object.entries(query).every(([key, value]) => record[key] === value);
+const clone = (record) => (record === undefined ? null : structuredClone(record));
+
+// A collection of JSON records keyed by `id`. Queries are plain field-equality objects,
+// which is the common denominator every storage backend can support.
+export class MemoryCollection {
+  constructor(name, records = {}, onChange = async () => {}) {
+    this.name = name;
+    this.records = new Map(Object.entries(records));
+    this.onChange = onChange;
+  }
+
+  async get(id) {
+    return clone(this.records.get(id));
+  }
+
+  async findOne(query) {
+    for (const record of this.records.values()) {
+      if (matches(record, query)) {
+        return clone(record);
+      }
+    }
+    return null;
+  }
+
+  async find(query = {}) {
+    return [...this.records.values()].filter((record) => matches(record, query)).map(clone);
+  }
+
+  async insert(record) {
+    if (!record.id) {
+      throw new Error(`Records in ${this.name} require an id`);
+    }
+    if (this.records.has(record.id)) {
+      throw new DuplicateRecordError(this.name, record.id);
+    }
+
+    this.records.set(record.id, clone(record));
+    await this.onChange();
+    return clone(record);
+  }
+
+  async update(id, patch) {
+    const existing = this.records.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const updated = { ...existing, ...clone(patch), id };
+    this.records.set(id, updated);
+    await this.onChange();
+    return clone(updated);
+  }
+
+  // Read-modify-write in one step: `change(record)` returns the patch to apply, or null to leave the
+  // record alone. Nothing else runs between the read and the write, so concurrent callers see each other.
+  async modify(id, change) {
+    const existing = this.records.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const patch = change(clone(existing));
+    if (!patch) {
+      return null;
+    }
+
+    const updated = { ...existing, ...clone(patch), id };
+    this.records.set(id, updated);
+    await this.onChange();
+    return clone(updated);
+  }
+
+  async delete(id) {
+    const existed = this.records.delete(id);
+    if (existed) {
+      await this.onChange();
+    }
+    return existed;
+  }
+
+  load(records = {}) {
+    this.records = new Map(Object.entries(records));
+  }
+
+  toJSON() {
+    return Object.fromEntries(this.records);
+  }
+}
+
+// Process-local storage. Everything is lost on restart; meant for tests and throwaway instances.
+export const createMemoryStorage = () => {
+  const collections = new Map();
+
+  return {
+    backend: 'memory',
+    async init() {},
+    async close() {},
+    async ping() {},
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, new MemoryCollection(name));
+      }
+      return collections.get(name);
+    }
+  };
+};
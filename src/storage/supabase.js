@@ -0,0 +1,146 @@
+import { createClient } from '@supabase/supabase-js';
+import logger from '../logger.js';
+import { DuplicateRecordError } from './errors.js';
+
+const UNIQUE_VIOLATION = '23505';
+const MODIFY_ATTEMPTS = 5;
+
+const toTableName = (prefix, name) => prefix + name.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`);
+
+// Each collection is a table of (id text primary key, data jsonb, created_at, updated_at);
+// see db/supabase-schema.sql. Queries filter on top-level fields of `data`.
+class SupabaseCollection {
+  constructor(client, name, table) {
+    this.client = client;
+    this.name = name;
+    this.table = table;
+  }
+
+  applyQuery(builder, query) {
+    for (const [key, value] of Object.entries(query)) {
+      builder = value === null
+        ? builder.is(`data->>${key}`, null)
+        : builder.eq(`data->>${key}`, String(value));
+    }
+    return builder;
+  }
+
+  async get(id) {
+    const { data, error } = await this.client.from(this.table).select('data').eq('id', id).maybeSingle();
+    if (error) throw error;
+    return data ? data.data : null;
+  }
+
+  async findOne(query) {
+    const { data, error } = await this.applyQuery(this.client.from(this.table).select('data'), query).limit(1);
+    if (error) throw error;
+    return data.length ? data[0].data : null;
+  }
+
+  async find(query = {}) {
+    const { data, error } = await this.applyQuery(this.client.from(this.table).select('data'), query);
+    if (error) throw error;
+    return data.map((row) => row.data);
+  }
+
+  async insert(record) {
+    if (!record.id) {
+      throw new Error(`Records in ${this.name} require an id`);
+    }
+
+    const { error } = await this.client.from(this.table).insert({ id: record.id, data: record });
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new DuplicateRecordError(this.name, record.id);
+      }
+      throw error;
+    }
+    return record;
+  }
+
+  async update(id, patch) {
+    const existing = await this.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const updated = { ...existing, ...patch, id };
+    const { error } = await this.client
+      .from(this.table)
+      .update({ data: updated, updated_at: new Date().toISOString() })
+      .eq('id', id);
+    if (error) throw error;
+    return updated;
+  }
+
+  // Optimistic read-modify-write: the row is only written if its updated_at is still the one read,
+  // otherwise `change` runs again on the fresh record
+  async modify(id, change) {
+    for (let attempt = 0; attempt < MODIFY_ATTEMPTS; attempt += 1) {
+      const { data: row, error } = await this.client.from(this.table).select('data, updated_at').eq('id', id).maybeSingle();
+      if (error) throw error;
+      if (!row) {
+        return null;
+      }
+
+      const patch = change(structuredClone(row.data));
+      if (!patch) {
+        return null;
+      }
+
+      // Always move updated_at forward, so a write in the same millisecond still changes it
+      const updatedAt = new Date(Math.max(Date.now(), Date.parse(row.updated_at) + 1)).toISOString();
+      const updated = { ...row.data, ...patch, id };
+      const { data: written, error: updateError } = await this.client
+        .from(this.table)
+        .update({ data: updated, updated_at: updatedAt })
+        .eq('id', id)
+        .eq('updated_at', row.updated_at)
+        .select('id');
+      if (updateError) throw updateError;
+      if (written.length) {
+        return updated;
+      }
+    }
+    throw new Error(`Record ${id} in ${this.name} kept changing while being modified`);
+  }
+
+  async delete(id) {
+    const { data, error } = await this.client.from(this.table).delete().eq('id', id).select('id');
+    if (error) throw error;
+    return data.length > 0;
+  }
+}
+
+export const createSupabaseStorage = ({ url, serviceKey, tablePrefix }) => {
+  if (!url || !serviceKey) {
+    throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required for the supabase storage backend');
+  }
+
+  const client = createClient(url, serviceKey, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+  const collections = new Map();
+
+  return {
+    backend: 'supabase',
+
+    async init() {
+      logger.info('Supabase storage ready', { url });
+    },
+
+    async close() {},
+
+    async ping() {
+      const { error } = await client.from(toTableName(tablePrefix, 'accounts')).select('id', { head: true }).limit(1);
+      if (error) throw error;
+    },
+
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, new SupabaseCollection(client, name, toTableName(tablePrefix, name)));
+      }
+      return collections.get(name);
+    }
+  };
+};
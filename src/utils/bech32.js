@@ -0,0 +1,82 @@
+// Bech32 (BIP-173) encoding as used for Cosmos SDK addresses
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+const polymod = (values) => {
+  let chk = 1;
+  for (const value of values) {
+    const top = chk >> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >> i) & 1) chk ^= GENERATOR[i];
+    }
+  }
+  return chk;
+};
+
+const expandPrefix = (prefix) => [
+  ...[...prefix].map((c) => c.charCodeAt(0) >> 5),
+  0,
+  ...[...prefix].map((c) => c.charCodeAt(0) & 31)
+];
+
+const convertBits = (data, fromBits, toBits, pad) => {
+  let acc = 0;
+  let bits = 0;
+  const result = [];
+  const maxValue = (1 << toBits) - 1;
+
+  for (const value of data) {
+    acc = (acc << fromBits) | value;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      result.push((acc >> bits) & maxValue);
+    }
+  }
+
+  if (pad) {
+    if (bits > 0) result.push((acc << (toBits - bits)) & maxValue);
+  } else if (bits >= fromBits || ((acc << (toBits - bits)) & maxValue)) {
+    throw new Error('Invalid bech32 padding');
+  }
+  return result;
+};
+
+export const bech32Encode = (prefix, bytes) => {
+  const words = convertBits(bytes, 8, 5, true);
+  const checksumInput = [...expandPrefix(prefix), ...words, 0, 0, 0, 0, 0, 0];
+  const mod = polymod(checksumInput) ^ 1;
+  const checksum = Array.from({ length: 6 }, (_, i) => (mod >> (5 * (5 - i))) & 31);
+  return `${prefix}1${[...words, ...checksum].map((w) => CHARSET[w]).join('')}`;
+};
+
+// Decode a bech32 string into { prefix, bytes }; throws on any malformed input
+export const bech32Decode = (address) => {
+  if (typeof address !== 'string' || address.length > 90) {
+    throw new Error('Invalid bech32 string');
+  }
+  if (address !== address.toLowerCase() && address !== address.toUpperCase()) {
+    throw new Error('Mixed-case bech32 string');
+  }
+
+  const lower = address.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > lower.length) {
+    throw new Error('Invalid bech32 separator position');
+  }
+
+  const prefix = lower.slice(0, separator);
+  const words = [...lower.slice(separator + 1)].map((c) => {
+    const index = CHARSET.indexOf(c);
+    if (index === -1) throw new Error(`Invalid bech32 character "${c}"`);
+    return index;
+  });
+
+  if (polymod([...expandPrefix(prefix), ...words]) !== 1) {
+    throw new Error('Invalid bech32 checksum');
+  }
+
+  return { prefix, bytes: Buffer.from(convertBits(words.slice(0, -6), 5, 8, false)) };
+};
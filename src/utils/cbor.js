@@ -0,0 +1,112 @@
+// Just enough CBOR (RFC 8949) to read WebAuthn attestation objects and COSE keys.
+// Only definite-length items are supported, which is all CTAP2 canonical encoding produces.
+// Maps decode to Map so integer keys (as used by COSE) survive.
+
+const readLength = (buffer, info, offset) => {
+  if (info < 24) {
+    return { value: info, next: offset };
+  }
+
+  const size = { 24: 1, 25: 2, 26: 4, 27: 8 }[info];
+  if (!size) {
+    throw new Error(`Unsupported CBOR length encoding ${info}`);
+  }
+  if (offset + size > buffer.length) {
+    throw new Error('Truncated CBOR length');
+  }
+
+  const value = size === 8 ? buffer.readBigUInt64BE(offset) : buffer.readUIntBE(offset, size);
+  if (typeof value === 'bigint' && value > BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new Error('CBOR integer too large');
+  }
+  return { value: Number(value), next: offset + size };
+};
+
+const readFloat = (buffer, info, offset) => {
+  if (info === 25) {
+    const half = buffer.readUInt16BE(offset);
+    const exponent = (half >> 10) & 0x1f;
+    const fraction = half & 0x3ff;
+    const magnitude = exponent === 0
+      ? fraction * 2 ** -24
+      : exponent === 31 ? (fraction ? NaN : Infinity) : (1 + fraction / 1024) * 2 ** (exponent - 15);
+    return { value: half & 0x8000 ? -magnitude : magnitude, next: offset + 2 };
+  }
+  if (info === 26) {
+    return { value: buffer.readFloatBE(offset), next: offset + 4 };
+  }
+  return { value: buffer.readDoubleBE(offset), next: offset + 8 };
+};
+
+// Decode the item starting at `offset`. Returns { value, next } where `next` is the offset after it.
+export const decodeCborItem = (buffer, offset = 0) => {
+  if (offset >= buffer.length) {
+    throw new Error('Truncated CBOR item');
+  }
+
+  const initial = buffer[offset];
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  if (major === 7) {
+    const simple = { 20: false, 21: true, 22: null, 23: undefined };
+    if (info in simple) {
+      return { value: simple[info], next: offset + 1 };
+    }
+    if (info >= 25 && info <= 27) {
+      return readFloat(buffer, info, offset + 1);
+    }
+    throw new Error(`Unsupported CBOR simple value ${info}`);
+  }
+
+  const { value: length, next } = readLength(buffer, info, offset + 1);
+
+  switch (major) {
+    case 0:
+      return { value: length, next };
+    case 1:
+      return { value: -1 - length, next };
+    case 2:
+    case 3: {
+      const end = next + length;
+      if (end > buffer.length) {
+        throw new Error('Truncated CBOR string');
+      }
+      const bytes = buffer.subarray(next, end);
+      return { value: major === 2 ? Buffer.from(bytes) : bytes.toString('utf8'), next: end };
+    }
+    case 4: {
+      const items = [];
+      let position = next;
+      for (let index = 0; index < length; index += 1) {
+        const item = decodeCborItem(buffer, position);
+        items.push(item.value);
+        position = item.next;
+      }
+      return { value: items, next: position };
+    }
+    case 5: {
+      const map = new Map();
+      let position = next;
+      for (let index = 0; index < length; index += 1) {
+        const key = decodeCborItem(buffer, position);
+        const entry = decodeCborItem(buffer, key.next);
+        map.set(key.value, entry.value);
+        position = entry.next;
+      }
+      return { value: map, next: position };
+    }
+    default:
+      // Tags (major type 6) carry no meaning for WebAuthn; return the tagged item itself
+      return decodeCborItem(buffer, next);
+  }
+};
+
+// Decode a buffer holding exactly one CBOR item
+export const decodeCbor = (buffer) => {
+  const { value, next } = decodeCborItem(buffer, 0);
+  if (next !== buffer.length) {
+    throw new Error('Trailing bytes after CBOR item');
+  }
+  return value;
+};
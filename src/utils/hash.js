@@ -0,0 +1,10 @@
+import crypto from 'crypto';
+
+// SHA-256 of a secret (code, token, transaction id) whose digest is all that gets stored
+export const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+export const hashHex = (value) => hash(value).toString('hex');
+
+// Whether `value` hashes to the stored `expectedHex`, compared in constant time; false when nothing was stored
+export const sameHash = (value, expectedHex) => Boolean(expectedHex)
+  && crypto.timingSafeEqual(hash(value), Buffer.from(expectedHex, 'hex'));
@@ -0,0 +1,20 @@
+// JSON Canonicalization Scheme (RFC 8785): object keys sorted by UTF-16 code units,
+// no insignificant whitespace, ECMAScript number serialization.
+export const canonicalize = (value) => {
+  if (value === null || typeof value !== 'object') {
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      throw new Error('Cannot canonicalize non-finite numbers');
+    }
+    return JSON.stringify(value);
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  const entries = Object.keys(value)
+    .filter((key) => value[key] !== undefined)
+    .sort()
+    .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+  return `{${entries.join(',')}}`;
+};
@@ -0,0 +1,37 @@
+import crypto from 'crypto';
+
+// Minimal compact JWS for Ed25519 ("EdDSA"), which jsonwebtoken does not support
+
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+export const signCompactJws = (header, payload, privateKey) => {
+  const signingInput = `${encodeSegment({ ...header, alg: 'EdDSA' })}.${encodeSegment(payload)}`;
+  const signature = crypto.sign(null, Buffer.from(signingInput), privateKey);
+  return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+// Split and parse a compact JWS without checking the signature
+export const decodeCompactJws = (token) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed JWS: expected three segments');
+  }
+
+  const [header, payload] = parts.slice(0, 2).map((part) => JSON.parse(Buffer.from(part, 'base64url').toString('utf8')));
+  if ([header, payload].some((value) => !value || typeof value !== 'object' || Array.isArray(value))) {
+    throw new Error('Malformed JWS: header and payload must be JSON objects');
+  }
+  return {
+    header,
+    payload,
+    signingInput: `${parts[0]}.${parts[1]}`,
+    signature: Buffer.from(parts[2], 'base64url')
+  };
+};
+
+export const verifyCompactJws = (decoded, publicKey) => {
+  if (decoded.header.alg !== 'EdDSA') {
+    return false;
+  }
+  return crypto.verify(null, Buffer.from(decoded.signingInput), publicKey, decoded.signature);
+};
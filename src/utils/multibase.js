@@ -0,0 +1,58 @@
+import crypto from 'crypto';
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const ED25519_PUB_MULTICODEC = Buffer.from([0xed, 0x01]);
+
+export const base58Encode = (bytes) => {
+  let value = BigInt(`0x${Buffer.from(bytes).toString('hex') || '0'}`);
+  let encoded = '';
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    encoded = '1' + encoded;
+  }
+  return encoded;
+};
+
+export const base58Decode = (text) => {
+  let value = 0n;
+  for (const char of text) {
+    const index = BASE58_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base58 character "${char}"`);
+    }
+    value = value * 58n + BigInt(index);
+  }
+
+  let hex = value === 0n ? '' : value.toString(16);
+  if (hex.length % 2) hex = '0' + hex;
+  const leadingZeros = text.match(/^1*/)[0].length;
+  return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(hex, 'hex')]);
+};
+
+// Ed25519 public key <-> Multikey "z6Mk..." (multibase base58btc of multicodec 0xed01 + key)
+export const ed25519ToMultibase = (publicKeyBytes) => `z${base58Encode(Buffer.concat([ED25519_PUB_MULTICODEC, publicKeyBytes]))}`;
+
+export const multibaseToEd25519 = (multibase) => {
+  if (typeof multibase !== 'string' || !multibase.startsWith('z')) {
+    throw new Error('Expected a base58btc multibase string starting with "z"');
+  }
+
+  const bytes = base58Decode(multibase.slice(1));
+  if (bytes.length !== 34 || !bytes.subarray(0, 2).equals(ED25519_PUB_MULTICODEC)) {
+    throw new Error('Not an Ed25519 Multikey public key');
+  }
+  return bytes.subarray(2);
+};
+
+export const ed25519KeyObjectFromMultibase = (multibase) => crypto.createPublicKey({
+  key: { kty: 'OKP', crv: 'Ed25519', x: multibaseToEd25519(multibase).toString('base64url') },
+  format: 'jwk'
+});
+
+export const multibaseFromKeyObject = (publicKey) => ed25519ToMultibase(
+  Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url')
+);
@@ -0,0 +1,44 @@
+// Allowed browser origins (CORS). Each pattern is one of:
+//   https://app.personapass.me                   the exact origin
+//   https://*.personapass.me                     any single subdomain label in place of the *
+//   /https:\/\/persona-[\w-]+\.vercel\.app/      a regular expression that has to match the whole Origin header
+//                                                (it is anchored for you, so ^ and $ are optional)
+
+const ORIGIN = /^(https?):\/\/(\*\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)*|\[[0-9a-f:]+\])(:\d{1,5})?$/i;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Compile a pattern into a test function; throws with the reason when the pattern is not usable
+export const parseOriginPattern = (pattern) => {
+  const regex = /^\/(.+)\/([imsu]*)$/.exec(pattern);
+  if (regex) {
+    let compiled;
+    try {
+      compiled = new RegExp(`^(?:${regex[1]})$`, regex[2]);
+    } catch (error) {
+      throw new Error(`is not a valid regular expression: ${error.message}`);
+    }
+    return (origin) => compiled.test(origin);
+  }
+
+  const match = ORIGIN.exec(pattern);
+  if (!match) {
+    throw new Error('must be an origin such as https://app.example.com (no path), a wildcard such as https://*.example.com or a /regex/');
+  }
+
+  const [, scheme, wildcard, host, port = ''] = match;
+  const fixed = `${scheme}://${host}${port}`.toLowerCase();
+  if (!wildcard) {
+    return (origin) => origin.toLowerCase() === fixed;
+  }
+
+  const [fixedScheme, fixedRest] = fixed.split('://');
+  const compiled = new RegExp(`^${escapeRegExp(fixedScheme)}://[a-z0-9-]+\\.${escapeRegExp(fixedRest)}$`, 'i');
+  return (origin) => compiled.test(origin);
+};
+
+// One test for a list of patterns
+export const originMatcher = (patterns) => {
+  const tests = patterns.map(parseOriginPattern);
+  return (origin) => tests.some((test) => test(origin));
+};
@@ -0,0 +1,81 @@
+// Just enough protobuf wire format to read and write Cosmos SDK transaction envelopes.
+// Only varint (0) and length-delimited (2) fields are supported, which is all TxRaw,
+// AuthInfo, SignerInfo and the bank messages use.
+
+const readVarint = (buffer, offset) => {
+  let result = 0n;
+  let shift = 0n;
+  let position = offset;
+
+  for (;;) {
+    if (position >= buffer.length) {
+      throw new Error('Truncated varint');
+    }
+    const byte = buffer[position++];
+    result |= BigInt(byte & 0x7f) << shift;
+    if (!(byte & 0x80)) break;
+    shift += 7n;
+  }
+  return { value: result, next: position };
+};
+
+// Decode a message into [{ field, wireType, value }] where value is a BigInt (varint) or Buffer
+export const decodeFields = (buffer) => {
+  const fields = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const tag = readVarint(buffer, offset);
+    const field = Number(tag.value >> 3n);
+    const wireType = Number(tag.value & 7n);
+    offset = tag.next;
+
+    if (wireType === 0) {
+      const { value, next } = readVarint(buffer, offset);
+      fields.push({ field, wireType, value });
+      offset = next;
+    } else if (wireType === 2) {
+      const length = readVarint(buffer, offset);
+      const end = length.next + Number(length.value);
+      if (end > buffer.length) {
+        throw new Error('Truncated length-delimited field');
+      }
+      fields.push({ field, wireType, value: buffer.subarray(length.next, end) });
+      offset = end;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+
+  return fields;
+};
+
+export const getField = (fields, number) => fields.find((entry) => entry.field === number);
+export const getFields = (fields, number) => fields.filter((entry) => entry.field === number);
+
+const encodeVarint = (value) => {
+  let remaining = BigInt(value);
+  const bytes = [];
+  do {
+    let byte = Number(remaining & 0x7fn);
+    remaining >>= 7n;
+    if (remaining > 0n) byte |= 0x80;
+    bytes.push(byte);
+  } while (remaining > 0n);
+  return Buffer.from(bytes);
+};
+
+// Field writers; each returns the encoded field (tag included), or an empty buffer for default values
+export const varintField = (number, value) => (BigInt(value || 0) === 0n
+  ? Buffer.alloc(0)
+  : Buffer.concat([encodeVarint((number << 3) | 0), encodeVarint(value)]));
+
+export const bytesField = (number, value) => {
+  const bytes = Buffer.isBuffer(value) ? value : Buffer.from(value || '', 'utf8');
+  return bytes.length === 0
+    ? Buffer.alloc(0)
+    : Buffer.concat([encodeVarint((number << 3) | 2), encodeVarint(bytes.length), bytes]);
+};
+
+// Length-delimited field that must be written even when empty (e.g. an embedded message)
+export const messageField = (number, bytes) => Buffer.concat([encodeVarint((number << 3) | 2), encodeVarint(bytes.length), bytes]);
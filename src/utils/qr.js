@@ -0,0 +1,13 @@
+import qrcode from 'qrcode';
+
+// Render `text` (an otpauth:// URL, a wallet deep link, ...) as a PNG data URL for an <img> tag
+export const qrDataUrl = (text) => qrcode.toDataURL(text, {
+  errorCorrectionLevel: 'M',
+  type: 'image/png',
+  quality: 0.92,
+  margin: 1,
+  color: {
+    dark: '#000000',
+    light: '#FFFFFF'
+  }
+});
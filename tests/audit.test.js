@@ -0,0 +1,80 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import storage from '../src/storage/index.js';
+import authRoutes from '../src/routes/auth.js';
+import auditRoutes from '../src/routes/audit.js';
+import { verifyAuditChain } from '../src/audit/auditLog.js';
+import { PASSWORD, signUp } from './helpers/accounts.js';
+import { startServer } from './helpers/server.js';
+
+const ADMIN = { 'x-api-key': process.env.ADMIN_API_KEY };
+
+let server;
+
+beforeAll(async () => {
+  await storage.init();
+  server = await startServer({ '/api/auth': authRoutes, '/api/audit': auditRoutes });
+});
+
+afterAll(async () => {
+  await server.close();
+  await storage.close();
+});
+
+const events = (query, headers = ADMIN) => server.request('GET', `/api/audit/events?${new URLSearchParams(query)}`, undefined, undefined, headers);
+
+describe('audit events', () => {
+  test('are only shown to the operator', async () => {
+    const anonymous = await events({}, {});
+    const wrongKey = await events({}, { 'x-api-key': 'not-the-key' });
+
+    expect(anonymous.status).toBe(403);
+    expect(wrongKey.body.code).toBe('FORBIDDEN');
+  });
+
+  test('record logins and filter by type and subject', async () => {
+    const { account, email, backupCodes } = await signUp(server);
+    await server.request('POST', '/api/auth/login', { email, password: 'wrong password', backupCode: backupCodes[0] });
+    await server.request('POST', '/api/auth/login', { email, password: PASSWORD, backupCode: backupCodes[0] });
+
+    const failed = await events({ type: 'auth.login.failed', subjectId: account.id });
+    const all = await events({ subjectType: 'account', subjectId: account.id });
+
+    expect(failed.status).toBe(200);
+    expect(failed.body.data.events).toEqual([
+      expect.objectContaining({ type: 'auth.login.failed', data: { reason: 'invalid_credentials' } })
+    ]);
+    expect(all.body.data.events.map((event) => event.type)).toEqual(expect.arrayContaining([
+      'auth.login.failed',
+      'auth.login.succeeded'
+    ]));
+  });
+
+  test('page with the returned cursor', async () => {
+    const first = await events({ limit: 1 });
+    const second = await events({ limit: 1, after: first.body.data.nextCursor });
+
+    expect(first.body.data.events).toHaveLength(1);
+    expect(second.body.data.events[0].seq).toBeGreaterThan(first.body.data.events[0].seq);
+  });
+
+  test('refuse a limit that is not a number', async () => {
+    const response = await events({ limit: 'all' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('VALIDATION_FAILED');
+  });
+});
+
+describe('audit chain', () => {
+  test('verifies until an entry is changed', async () => {
+    await signUp(server);
+    const intact = await verifyAuditChain();
+
+    const [entry] = (await events({ limit: 1 })).body.data.events;
+    await storage.collection('auditLog').update(entry.id, { data: { ...entry.data, edited: true } });
+    const changed = await verifyAuditChain();
+
+    expect(intact.problems).toEqual([]);
+    expect(changed.problems).toEqual([expect.objectContaining({ seq: entry.seq, problem: 'changed' })]);
+  });
+});
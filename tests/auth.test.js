@@ -0,0 +1,210 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import speakeasy from 'speakeasy';
+import storage from '../src/storage/index.js';
+import authRoutes from '../src/routes/auth.js';
+import { verifyTotpCode } from '../src/auth/totp.js';
+import { redeemBackupCode } from '../src/auth/backupCodes.js';
+import { consumeChallenge, createChallenge } from '../src/identity/presentations.js';
+import { PASSWORD, signUp } from './helpers/accounts.js';
+import { startServer } from './helpers/server.js';
+
+let server;
+
+beforeAll(async () => {
+  await storage.init();
+  server = await startServer({ '/api/auth': authRoutes });
+});
+
+afterAll(async () => {
+  await server.close();
+  await storage.close();
+});
+
+describe('email addresses', () => {
+  test('are matched regardless of case', async () => {
+    const setup = await server.request('POST', '/api/auth/totp-setup', { email: 'Alice@Example.com' });
+    const created = await server.request('POST', '/api/auth/create-account', {
+      email: ' Alice@Example.com',
+      password: PASSWORD,
+      backupCode: setup.body.data.backupCodes[0]
+    });
+
+    const login = await server.request('POST', '/api/auth/login', {
+      email: 'alice@example.com',
+      password: PASSWORD,
+      totpCode: speakeasy.totp({ secret: setup.body.data.secret, encoding: 'base32' })
+    });
+
+    expect(created.body.data.email).toBe('alice@example.com');
+    expect(login.status).toBe(200);
+    expect(login.body.data.user.id).toBe(created.body.data.id);
+  });
+
+  test('cannot be enrolled again in another case', async () => {
+    const setup = await server.request('POST', '/api/auth/totp-setup', { email: 'bob@example.com' });
+    await server.request('POST', '/api/auth/create-account', {
+      email: 'bob@example.com',
+      password: PASSWORD,
+      backupCode: setup.body.data.backupCodes[0]
+    });
+
+    const again = await server.request('POST', '/api/auth/totp-setup', { email: 'BOB@example.com' });
+
+    expect(again.status).toBe(409);
+    expect(again.body.code).toBe('TOTP_ALREADY_ENROLLED');
+  });
+});
+
+describe('backup codes', () => {
+  const login = (email, backupCode) => server.request('POST', '/api/auth/login', { email, password: PASSWORD, backupCode });
+
+  test('work once in place of a TOTP code', async () => {
+    const { email, backupCodes } = await signUp(server);
+
+    const first = await login(email, backupCodes[0]);
+    const again = await login(email, backupCodes[0]);
+
+    expect(first.status).toBe(200);
+    expect(again.status).toBe(401);
+    expect(again.body.code).toBe('INVALID_SECOND_FACTOR');
+  });
+
+  test('are counted down as they are used', async () => {
+    const { email, backupCodes, token } = await signUp(server);
+    await login(email, backupCodes[0]);
+
+    const status = await server.request('GET', '/api/auth/backup-codes', undefined, token);
+
+    expect(status.body.data).toMatchObject({ total: 10, remaining: 8 });
+  });
+
+  test('are replaced as a set with a TOTP code', async () => {
+    const { email, backupCodes, totpSecret, token } = await signUp(server);
+
+    const regenerated = await server.request('POST', '/api/auth/backup-codes/regenerate', {
+      totpCode: speakeasy.totp({ secret: totpSecret, encoding: 'base32' })
+    }, token);
+
+    expect(regenerated.body.data.backupCodes).toHaveLength(10);
+    expect((await login(email, backupCodes[1])).status).toBe(401);
+    expect((await login(email, regenerated.body.data.backupCodes[0])).status).toBe(200);
+  });
+
+  test('are not replaced with a wrong TOTP code', async () => {
+    const { email, backupCodes, token } = await signUp(server);
+
+    const regenerated = await server.request('POST', '/api/auth/backup-codes/regenerate', { totpCode: '000000' }, token);
+
+    expect(regenerated.status).toBe(401);
+    expect((await login(email, backupCodes[0])).status).toBe(200);
+  });
+});
+
+describe('one-time codes checked twice at once', () => {
+  test('pass once for TOTP', async () => {
+    const { email, totpSecret } = await signUp(server);
+    const code = speakeasy.totp({ secret: totpSecret, encoding: 'base32' });
+
+    const results = await Promise.all([verifyTotpCode(email, code), verifyTotpCode(email, code)]);
+
+    expect(results.sort()).toEqual([false, true]);
+  });
+
+  test('pass once for a backup code', async () => {
+    const { email, backupCodes } = await signUp(server);
+
+    const results = await Promise.all([redeemBackupCode(email, backupCodes[0]), redeemBackupCode(email, backupCodes[0])]);
+
+    expect(results.sort()).toEqual([false, true]);
+  });
+
+  test('pass once for a presentation challenge', async () => {
+    const { challenge, domain } = await createChallenge();
+
+    const results = await Promise.all([consumeChallenge(challenge, domain), consumeChallenge(challenge, domain)]);
+
+    expect(results.map((result) => result.challenge).sort()).toEqual([false, true]);
+  });
+});
+
+describe('login', () => {
+  test('returns a working token pair for the password and a TOTP code', async () => {
+    const { email, totpSecret } = await signUp(server);
+
+    const login = await server.request('POST', '/api/auth/login', {
+      email,
+      password: PASSWORD,
+      totpCode: speakeasy.totp({ secret: totpSecret, encoding: 'base32' })
+    });
+    const status = await server.request('GET', '/api/auth/backup-codes', undefined, login.body.data.accessToken);
+
+    expect(login.status).toBe(200);
+    expect(login.body.data).toMatchObject({ tokenType: 'Bearer', user: { email } });
+    expect(status.status).toBe(200);
+  });
+
+  test('refuses a wrong password before looking at the second factor', async () => {
+    const { email, backupCodes } = await signUp(server);
+
+    const login = await server.request('POST', '/api/auth/login', { email, password: 'wrong password', backupCode: backupCodes[0] });
+
+    expect(login.status).toBe(401);
+    expect(login.body.code).toBe('INVALID_CREDENTIALS');
+    expect(await redeemBackupCode(email, backupCodes[0])).toBe(true);
+  });
+});
+
+describe('sessions', () => {
+  const logIn = async () => {
+    const { email, backupCodes } = await signUp(server);
+    const login = await server.request('POST', '/api/auth/login', { email, password: PASSWORD, backupCode: backupCodes[0] });
+    return login.body.data;
+  };
+  const refresh = (refreshToken) => server.request('POST', '/api/auth/refresh', { refreshToken });
+
+  test('rotate the refresh token on every refresh', async () => {
+    const { refreshToken } = await logIn();
+
+    const first = await refresh(refreshToken);
+    const second = await refresh(first.body.data.refreshToken);
+
+    expect(first.status).toBe(200);
+    expect(first.body.data.refreshToken).not.toBe(refreshToken);
+    expect(second.status).toBe(200);
+  });
+
+  test('are revoked when a rotated refresh token is presented again', async () => {
+    const { refreshToken } = await logIn();
+    const rotated = await refresh(refreshToken);
+
+    const reused = await refresh(refreshToken);
+    const afterReuse = await refresh(rotated.body.data.refreshToken);
+    const access = await server.request('GET', '/api/auth/backup-codes', undefined, rotated.body.data.accessToken);
+
+    expect(reused.status).toBe(401);
+    expect(reused.body.code).toBe('INVALID_REFRESH_TOKEN');
+    expect(afterReuse.status).toBe(401);
+    expect(access.status).toBe(401);
+  });
+
+  test('end on logout', async () => {
+    const { accessToken, refreshToken } = await logIn();
+
+    const logout = await server.request('POST', '/api/auth/logout', { refreshToken });
+
+    expect(logout.status).toBe(200);
+    expect((await refresh(refreshToken)).status).toBe(401);
+    expect((await server.request('GET', '/api/auth/backup-codes', undefined, accessToken)).status).toBe(401);
+  });
+
+  test('all end on revoke', async () => {
+    const { email, backupCodes, token } = await signUp(server);
+    const other = await server.request('POST', '/api/auth/login', { email, password: PASSWORD, backupCode: backupCodes[0] });
+
+    const revoked = await server.request('POST', '/api/auth/revoke', {}, token);
+
+    expect(revoked.body.data.revoked).toBe(2);
+    expect((await refresh(other.body.data.refreshToken)).status).toBe(401);
+    expect((await server.request('GET', '/api/auth/backup-codes', undefined, token)).status).toBe(401);
+  });
+});
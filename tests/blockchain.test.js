@@ -0,0 +1,168 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import { app as mockLcd, demoAddress } from '../scripts/mock-lcd.js';
+import { decodeFields, getField } from '../src/utils/protobuf.js';
+import { aminoTx, directTx, newWallet } from './helpers/cosmos.js';
+
+let lcd;
+let server;
+let prepareTransaction;
+let signUp;
+
+// The chain endpoints are read when the config module loads, so everything that loads it (the routes,
+// and the server helper through the logger) is imported once the mock LCD knows its port
+beforeAll(async () => {
+  lcd = await new Promise((resolve) => {
+    const listening = mockLcd.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  process.env.PERSONACHAIN_API_ENDPOINT = `http://127.0.0.1:${lcd.address().port}`;
+
+  const { default: blockchainRoutes } = await import('../src/routes/blockchain.js');
+  const { default: authRoutes } = await import('../src/routes/auth.js');
+  ({ prepareTransaction } = await import('../src/blockchain/transactions.js'));
+  ({ signUp } = await import('./helpers/accounts.js'));
+  const { startServer } = await import('./helpers/server.js');
+  server = await startServer({ '/api/auth': authRoutes, '/api/blockchain': blockchainRoutes });
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => lcd.close(resolve));
+  await server.close();
+});
+
+const seed = async (address, balances) => {
+  await fetch(`${process.env.PERSONACHAIN_API_ENDPOINT}/mock/balances/${address}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ balances })
+  });
+};
+
+describe('GET /api/blockchain/balance/:address', () => {
+  test('returns the bank balances with the configured denom as the primary balance', async () => {
+    const address = demoAddress('alice');
+
+    const response = await server.request('GET', `/api/blockchain/balance/${address}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      address,
+      balance: '1000000000',
+      denom: 'upersona',
+      balances: [{ denom: 'upersona', amount: '1000000000' }, { denom: 'ustake', amount: '5000000' }],
+      pagination: { nextKey: null, total: 2 },
+      cached: false
+    });
+  });
+
+  test('answers a repeated query from the cache', async () => {
+    const address = demoAddress('bob');
+    await server.request('GET', `/api/blockchain/balance/${address}`);
+
+    const response = await server.request('GET', `/api/blockchain/balance/${address}`);
+
+    expect(response.body.data).toMatchObject({ balance: '250000', cached: true });
+  });
+
+  test('pages through the balances with key and limit', async () => {
+    const address = demoAddress('whale');
+    const denoms = [];
+    let key;
+    do {
+      const query = new URLSearchParams({ limit: '10', ...(key && { key }) });
+      const response = await server.request('GET', `/api/blockchain/balance/${address}?${query}`);
+      denoms.push(...response.body.data.balances.map((coin) => coin.denom));
+      key = response.body.data.pagination.nextKey;
+    } while (key);
+
+    expect(denoms).toHaveLength(25);
+    expect(new Set(denoms).size).toBe(25);
+  });
+
+  test('queries a single denom', async () => {
+    const address = demoAddress('carol');
+    await seed(address, [{ denom: 'upersona', amount: '42' }, { denom: 'ustake', amount: '7' }]);
+
+    const response = await server.request('GET', `/api/blockchain/balance/${address}?denom=ustake`);
+
+    expect(response.body.data).toMatchObject({ balance: '7', denom: 'ustake', balances: [{ denom: 'ustake', amount: '7' }] });
+  });
+
+  test('reports zero for an address without funds', async () => {
+    const response = await server.request('GET', `/api/blockchain/balance/${demoAddress('nobody')}`);
+
+    expect(response.body.data).toMatchObject({ balance: '0', balances: [] });
+  });
+});
+
+// A funded wallet, so the mock LCD knows its account number
+const fundedWallet = async () => {
+  const wallet = newWallet();
+  await seed(wallet.address, [{ denom: 'upersona', amount: '1000000' }]);
+  const response = await fetch(`${process.env.PERSONACHAIN_API_ENDPOINT}/cosmos/auth/v1beta1/accounts/${wallet.address}`);
+  return { ...wallet, accountNumber: (await response.json()).account.account_number };
+};
+
+describe('POST /api/blockchain/transaction', () => {
+  const broadcast = async (body) => {
+    const { token } = await signUp(server);
+    return server.request('POST', '/api/blockchain/transaction', body, token);
+  };
+
+  test('refuses a TxRaw whose message is sent by another address', async () => {
+    const wallet = await fundedWallet();
+    const txBytes = directTx(wallet, { sender: demoAddress('alice'), to: demoAddress('bob'), accountNumber: wallet.accountNumber });
+
+    const response = await broadcast({ from: wallet.address, txBytes });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ code: 'INVALID_TRANSACTION', message: expect.stringContaining('message sent by') });
+  });
+
+  test('refuses an amino transaction whose message is sent by another address', async () => {
+    const wallet = await fundedWallet();
+
+    const response = await broadcast({ from: wallet.address, ...aminoTx(wallet, { sender: demoAddress('alice'), to: demoAddress('bob') }) });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ code: 'INVALID_TRANSACTION', message: expect.stringContaining('message sent by') });
+  });
+
+  test('refuses a TxRaw whose signature does not cover its sign doc', async () => {
+    const wallet = await fundedWallet();
+    const txBytes = directTx(wallet, { to: demoAddress('bob'), accountNumber: Number(wallet.accountNumber) + 1 });
+
+    const response = await broadcast({ from: wallet.address, txBytes });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Signature does not match the signed document');
+  });
+});
+
+describe('prepareTransaction', () => {
+  test('accepts a TxRaw signed by the sender with SIGN_MODE_DIRECT', async () => {
+    const wallet = await fundedWallet();
+    const txBytes = directTx(wallet, { to: demoAddress('bob'), accountNumber: wallet.accountNumber });
+
+    const prepared = await prepareTransaction({ from: wallet.address, txBytes });
+
+    expect(prepared).toMatchObject({ signer: wallet.address, hash: expect.stringMatching(/^[0-9A-F]{64}$/) });
+  });
+
+  test('keeps the fee payer, fee granter and timeout height of an amino transaction', async () => {
+    const wallet = newWallet();
+    const tx = aminoTx(wallet, {
+      to: demoAddress('bob'),
+      fee: { payer: demoAddress('alice'), granter: demoAddress('whale') },
+      timeoutHeight: '1234'
+    });
+
+    const { txBytes } = await prepareTransaction({ from: wallet.address, ...tx });
+
+    const raw = decodeFields(txBytes);
+    const body = decodeFields(getField(raw, 1).value);
+    const fee = decodeFields(getField(decodeFields(getField(raw, 2).value), 2).value);
+    expect(getField(body, 3).value).toBe(1234n);
+    expect(getField(fee, 3).value.toString()).toBe(demoAddress('alice'));
+    expect(getField(fee, 4).value.toString()).toBe(demoAddress('whale'));
+  });
+});
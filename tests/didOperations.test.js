@@ -0,0 +1,91 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import storage from '../src/storage/index.js';
+import { getDidRecord } from '../src/identity/did.js';
+import { updateDid } from '../src/identity/didOperations.js';
+import { signCompactJws } from '../src/utils/jws.js';
+import { createDid, newKey } from './helpers/dids.js';
+
+const operation = async (did, { privateKey, kid }, patch) => {
+  const record = await getDidRecord(did);
+  return signCompactJws({ kid }, {
+    did,
+    operation: 'update',
+    previousVersionId: record.didDocumentMetadata.versionId,
+    patch
+  }, privateKey);
+};
+
+beforeAll(async () => {
+  await storage.init();
+});
+
+afterAll(async () => {
+  await storage.close();
+});
+
+describe('updateDid', () => {
+  test('accepts an update signed by a capabilityInvocation key', async () => {
+    const { did, key } = await createDid();
+    const added = newKey();
+
+    const { record, signedBy } = await updateDid(did, await operation(did, { privateKey: key.privateKey, kid: `${did}#key-1` }, {
+      addVerificationMethods: [{ publicKeyMultibase: added.publicKeyMultibase }]
+    }));
+
+    expect(signedBy).toBe(`${did}#key-1`);
+    expect(record.didDocument.authentication).toEqual([`${did}#key-1`, `${did}#key-2`]);
+    expect(record.didDocument.capabilityInvocation).toEqual([`${did}#key-1`]);
+  });
+
+  test('refuses an update signed by an authentication-only key', async () => {
+    const { did, key } = await createDid();
+    const authKey = newKey();
+    await updateDid(did, await operation(did, { privateKey: key.privateKey, kid: `${did}#key-1` }, {
+      addVerificationMethods: [{ publicKeyMultibase: authKey.publicKeyMultibase, relationships: ['authentication'] }]
+    }));
+
+    const signedByAuthKey = await operation(did, { privateKey: authKey.privateKey, kid: `${did}#key-2` }, {
+      removeVerificationMethods: ['key-1']
+    });
+
+    await expect(updateDid(did, signedByAuthKey)).rejects.toMatchObject({ code: 'DID_OPERATION_UNAUTHORIZED' });
+  });
+
+  test('refuses an update of a document without capabilityInvocation keys', async () => {
+    const { did, key } = await createDid();
+    const record = await getDidRecord(did);
+    const legacy = { ...record.didDocument };
+    delete legacy.capabilityInvocation;
+    await storage.collection('dids').update(did, { didDocument: legacy });
+
+    const signed = await operation(did, { privateKey: key.privateKey, kid: `${did}#key-1` }, {
+      addServices: [{ id: 'inbox', type: 'DIDCommMessaging', serviceEndpoint: 'https://example.com/inbox' }]
+    });
+
+    await expect(updateDid(did, signed)).rejects.toMatchObject({ code: 'DID_OPERATION_UNAUTHORIZED' });
+  });
+
+  test('refuses a patch that leaves no capabilityInvocation key, even with authentication keys left', async () => {
+    const { did, key } = await createDid();
+    const authKey = newKey();
+
+    const signed = await operation(did, { privateKey: key.privateKey, kid: `${did}#key-1` }, {
+      removeVerificationMethods: ['key-1'],
+      addVerificationMethods: [{ publicKeyMultibase: authKey.publicKeyMultibase, relationships: ['authentication', 'assertionMethod'] }]
+    });
+
+    await expect(updateDid(did, signed)).rejects.toMatchObject({ code: 'INVALID_DID_OPERATION' });
+  });
+
+  test('hands control to a new key when the patch names it for capabilityInvocation', async () => {
+    const { did, key } = await createDid();
+    const next = newKey();
+
+    const { record } = await updateDid(did, await operation(did, { privateKey: key.privateKey, kid: `${did}#key-1` }, {
+      removeVerificationMethods: ['key-1'],
+      addVerificationMethods: [{ publicKeyMultibase: next.publicKeyMultibase, relationships: ['authentication', 'capabilityInvocation'] }]
+    }));
+
+    expect(record.didDocument.capabilityInvocation).toEqual([`${did}#key-2`]);
+  });
+});
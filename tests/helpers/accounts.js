@@ -0,0 +1,31 @@
+import { expect } from '@jest/globals';
+import storage from '../../src/storage/index.js';
+import { createSession } from '../../src/auth/sessions.js';
+
+export const PASSWORD = 'correct horse battery';
+
+let count = 0;
+
+// An account created through totp-setup + create-account on `server` (with a backup code, so the
+// current TOTP step is still unused), its nine unused backup codes and an access token for it
+export const signUp = async (server) => {
+  count += 1;
+  const email = `user${count}@example.com`;
+  const setup = await server.request('POST', '/api/auth/totp-setup', { email });
+  const created = await server.request('POST', '/api/auth/create-account', {
+    email,
+    password: PASSWORD,
+    backupCode: setup.body.data.backupCodes[0]
+  });
+  expect(created.status).toBe(200);
+
+  const account = await storage.collection('accounts').get(created.body.data.id);
+  const { accessToken } = await createSession(account);
+  return {
+    account,
+    email,
+    totpSecret: setup.body.data.secret,
+    backupCodes: setup.body.data.backupCodes.slice(1),
+    token: accessToken
+  };
+};
@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import { addressFromPublicKey, aminoSignBytes } from '../../src/blockchain/secp256k1.js';
+import { bytesField, messageField, varintField } from '../../src/utils/protobuf.js';
+
+export const CHAIN_ID = 'personachain-1';
+
+const sign = (privateKey, bytes) => crypto.sign('sha256', bytes, { key: privateKey, dsaEncoding: 'ieee-p1363' });
+
+const any = (typeUrl, value) => Buffer.concat([bytesField(1, typeUrl), bytesField(2, value)]);
+
+// A secp256k1 key pair and its persona1... address
+export const newWallet = () => {
+  const ecdh = crypto.createECDH('secp256k1');
+  ecdh.generateKeys();
+  const uncompressed = ecdh.getPublicKey();
+  const privateKey = crypto.createPrivateKey({
+    key: {
+      kty: 'EC',
+      crv: 'secp256k1',
+      d: ecdh.getPrivateKey().toString('base64url'),
+      x: uncompressed.subarray(1, 33).toString('base64url'),
+      y: uncompressed.subarray(33).toString('base64url')
+    },
+    format: 'jwk'
+  });
+  const publicKey = ecdh.getPublicKey(null, 'compressed');
+  return { privateKey, publicKey, address: addressFromPublicKey(publicKey, 'persona') };
+};
+
+const coin = ({ denom, amount }) => Buffer.concat([bytesField(1, denom), bytesField(2, amount)]);
+
+const msgSend = (from, to, amount) => any('/cosmos.bank.v1beta1.MsgSend', Buffer.concat([
+  bytesField(1, from),
+  bytesField(2, to),
+  messageField(3, coin(amount))
+]));
+
+// A TxRaw (base64) with one MsgSend from `sender`, signed by `wallet` with SIGN_MODE_DIRECT
+export const directTx = (wallet, { sender = wallet.address, to, accountNumber }) => {
+  const body = messageField(1, msgSend(sender, to, { denom: 'upersona', amount: '1000' }));
+  const signerInfo = Buffer.concat([
+    messageField(1, any('/cosmos.crypto.secp256k1.PubKey', bytesField(1, wallet.publicKey))),
+    messageField(2, messageField(1, varintField(1, 1)))
+  ]);
+  const authInfo = Buffer.concat([
+    messageField(1, signerInfo),
+    messageField(2, Buffer.concat([messageField(1, coin({ denom: 'upersona', amount: '500' })), varintField(2, 200000)]))
+  ]);
+  const signDoc = Buffer.concat([bytesField(1, body), bytesField(2, authInfo), bytesField(3, CHAIN_ID), varintField(4, accountNumber)]);
+
+  return Buffer.concat([messageField(1, body), messageField(2, authInfo), bytesField(3, sign(wallet.privateKey, signDoc))]).toString('base64');
+};
+
+// { signed, signature } as signAmino returns them, for one cosmos-sdk/MsgSend from `sender`.
+// `fee` is merged into the default fee (e.g. { payer, granter }).
+export const aminoTx = (wallet, { sender = wallet.address, to, fee, timeoutHeight }) => {
+  const signed = {
+    account_number: '0',
+    chain_id: CHAIN_ID,
+    fee: { amount: [{ denom: 'upersona', amount: '500' }], gas: '200000', ...fee },
+    memo: '',
+    msgs: [{ type: 'cosmos-sdk/MsgSend', value: { from_address: sender, to_address: to, amount: [{ denom: 'upersona', amount: '1000' }] } }],
+    sequence: '0',
+    ...(timeoutHeight && { timeout_height: timeoutHeight })
+  };
+  return {
+    signed,
+    signature: {
+      pub_key: { type: 'tendermint/PubKeySecp256k1', value: wallet.publicKey.toString('base64') },
+      signature: sign(wallet.privateKey, aminoSignBytes(signed)).toString('base64')
+    }
+  };
+};
+
+// The { signature, pubKey } a wallet's signArbitrary (ADR-036) returns for `message`
+export const signArbitrary = (wallet, message) => {
+  const signDoc = {
+    chain_id: '',
+    account_number: '0',
+    sequence: '0',
+    fee: { gas: '0', amount: [] },
+    msgs: [{ type: 'sign/MsgSignData', value: { signer: wallet.address, data: Buffer.from(message, 'utf8').toString('base64') } }],
+    memo: ''
+  };
+  return {
+    signature: sign(wallet.privateKey, aminoSignBytes(signDoc)).toString('base64'),
+    pubKey: wallet.publicKey.toString('base64')
+  };
+};
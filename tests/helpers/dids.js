@@ -0,0 +1,26 @@
+import crypto from 'crypto';
+import storage from '../../src/storage/index.js';
+import { buildDidDocument, generateDid, initialDocumentMetadata } from '../../src/identity/did.js';
+import { multibaseFromKeyObject } from '../../src/utils/multibase.js';
+
+export const newKey = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  return { privateKey, publicKeyMultibase: multibaseFromKeyObject(publicKey) };
+};
+
+// A did:persona DID in storage whose key-1 is its only key, in every relationship.
+// Returns { did, key } with the key's private half.
+export const createDid = async ({ ownerId = null, userData = {} } = {}) => {
+  const key = newKey();
+  const did = generateDid();
+  await storage.collection('dids').insert({
+    id: did,
+    did,
+    ownerId,
+    walletAddress: null,
+    userData,
+    didDocument: buildDidDocument(did, key.publicKeyMultibase),
+    didDocumentMetadata: initialDocumentMetadata(new Date().toISOString())
+  });
+  return { did, key };
+};
@@ -0,0 +1,15 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../../src/config.js';
+
+// Messages the outbox transports wrote, oldest first
+export const readOutbox = async () => {
+  const text = await fs.readFile(path.join(config.notifications.outboxDir, 'outbox.jsonl'), 'utf8').catch(() => '');
+  return text.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+};
+
+// The six-digit code in the latest message sent to `to`
+export const lastCodeSentTo = async (to) => {
+  const message = (await readOutbox()).filter((entry) => entry.to === to).pop();
+  return message && /\b(\d{6})\b/.exec(message.text)[1];
+};
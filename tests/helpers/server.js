@@ -0,0 +1,39 @@
+import express from 'express';
+import { requestId } from '../../src/middleware/requestId.js';
+import { errorHandler } from '../../src/middleware/errorHandler.js';
+
+// Serve `routes` ({ mountPath: router }) on an ephemeral port the way src/server.js mounts them,
+// without rate limits or the startup work. Returns request(method, path, body, token, headers), the baseUrl
+// for requests request() does not make (forms, redirects) and close().
+export const startServer = async (routes) => {
+  const app = express();
+  app.use(requestId);
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  for (const [path, router] of Object.entries(routes)) {
+    app.use(path, router);
+  }
+  app.use(errorHandler);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, body, token, headers) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'content-type': 'application/json',
+        ...(token && { authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+
+  return { request, baseUrl, close };
+};
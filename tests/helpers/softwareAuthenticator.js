@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+
+// A WebAuthn authenticator in software: Ed25519 (-8) or P-256 (-7) credentials with `none` or
+// self `packed` attestation, and assertions over the rpIdHash | flags | signCount authenticator data.
+
+export const ORIGIN = 'http://localhost:3001';
+
+const FLAG_UP = 0x01;
+const FLAG_UV = 0x04;
+const FLAG_AT = 0x40;
+
+// Just enough CBOR for attestation objects and COSE keys: integers, byte and text strings, arrays and maps
+const head = (major, length) => {
+  if (length < 24) {
+    return Buffer.from([(major << 5) | length]);
+  }
+  if (length < 256) {
+    return Buffer.from([(major << 5) | 24, length]);
+  }
+  const buffer = Buffer.alloc(3);
+  buffer[0] = (major << 5) | 25;
+  buffer.writeUInt16BE(length, 1);
+  return buffer;
+};
+
+const cbor = (value) => {
+  if (typeof value === 'number') {
+    return value >= 0 ? head(0, value) : head(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([head(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    return Buffer.concat([head(3, Buffer.byteLength(value)), Buffer.from(value)]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([head(4, value.length), ...value.map(cbor)]);
+  }
+  return Buffer.concat([head(5, value.size), ...[...value].flatMap(([key, item]) => [cbor(key), cbor(item)])]);
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+const uint32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+};
+
+const generateKey = (alg) => {
+  if (alg === -8) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    const { x } = publicKey.export({ format: 'jwk' });
+    return { privateKey, cose: new Map([[1, 1], [3, -8], [-1, 6], [-2, Buffer.from(x, 'base64url')]]) };
+  }
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const { x, y } = publicKey.export({ format: 'jwk' });
+  return {
+    privateKey,
+    cose: new Map([[1, 2], [3, -7], [-1, 1], [-2, Buffer.from(x, 'base64url')], [-3, Buffer.from(y, 'base64url')]])
+  };
+};
+
+const sign = (alg, privateKey, data) => crypto.sign(alg === -8 ? null : 'sha256', data, privateKey);
+
+const clientDataJSON = (type, challenge, origin) => Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }));
+
+// Answer PublicKeyCredentialCreationOptions. Returns the credential to send and the authenticator state
+// (`authenticator`) that later assertions sign with.
+export const createCredential = (options, { alg = -7, fmt = 'none', uv = true, origin = ORIGIN } = {}) => {
+  const { privateKey, cose } = generateKey(alg);
+  const id = crypto.randomBytes(32);
+  const flags = FLAG_UP | FLAG_AT | (uv ? FLAG_UV : 0);
+  const authData = Buffer.concat([
+    sha256(options.rp.id),
+    Buffer.from([flags]),
+    uint32(0),
+    Buffer.alloc(16),
+    Buffer.from([0, id.length]),
+    id,
+    cbor(cose)
+  ]);
+  const clientData = clientDataJSON('webauthn.create', options.challenge, origin);
+  const attStmt = fmt === 'packed'
+    ? new Map([['alg', alg], ['sig', sign(alg, privateKey, Buffer.concat([authData, sha256(clientData)]))]])
+    : new Map();
+
+  return {
+    authenticator: { id: id.toString('base64url'), alg, privateKey, counter: 0 },
+    credential: {
+      id: id.toString('base64url'),
+      rawId: id.toString('base64url'),
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientData.toString('base64url'),
+        attestationObject: cbor(new Map([['fmt', fmt], ['attStmt', attStmt], ['authData', authData]])).toString('base64url'),
+        transports: ['internal']
+      }
+    }
+  };
+};
+
+// Answer PublicKeyCredentialRequestOptions. The signature counter goes up by one unless `counter` is given.
+export const getAssertion = (options, authenticator, { uv = true, counter, origin = ORIGIN } = {}) => {
+  authenticator.counter = counter ?? authenticator.counter + 1;
+  const authData = Buffer.concat([
+    sha256(options.rpId),
+    Buffer.from([FLAG_UP | (uv ? FLAG_UV : 0)]),
+    uint32(authenticator.counter)
+  ]);
+  const clientData = clientDataJSON('webauthn.get', options.challenge, origin);
+
+  return {
+    id: authenticator.id,
+    rawId: authenticator.id,
+    type: 'public-key',
+    response: {
+      clientDataJSON: clientData.toString('base64url'),
+      authenticatorData: authData.toString('base64url'),
+      signature: sign(authenticator.alg, authenticator.privateKey, Buffer.concat([authData, sha256(clientData)])).toString('base64url')
+    }
+  };
+};
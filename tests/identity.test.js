@@ -0,0 +1,43 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import storage from '../src/storage/index.js';
+import authRoutes from '../src/routes/auth.js';
+import identityRoutes from '../src/routes/identity.js';
+import { signUp } from './helpers/accounts.js';
+import { startServer } from './helpers/server.js';
+
+let server;
+
+beforeAll(async () => {
+  await storage.init();
+  server = await startServer({ '/api/auth': authRoutes, '/api/identity': identityRoutes });
+});
+
+afterAll(async () => {
+  await server.close();
+  await storage.close();
+});
+
+describe('create-did', () => {
+  test('reports no chain registration, since nothing is broadcast', async () => {
+    const { token } = await signUp(server);
+
+    const created = await server.request('POST', '/api/identity/create-did', { firstName: 'Ada' }, token);
+
+    expect(created.status).toBe(200);
+    expect(created.body.blockchain).toBeUndefined();
+    expect(created.body.message).not.toMatch(/PersonaChain/);
+    expect((await storage.collection('dids').get(created.body.did)).blockchain).toBeUndefined();
+  });
+});
+
+describe('DID wallet addresses', () => {
+  test('are left empty while the account has no linked wallet', async () => {
+    const { token } = await signUp(server);
+
+    const created = await server.request('POST', '/api/identity/create-did', {}, token);
+    const listed = await server.request('GET', '/api/identity/dids', undefined, token);
+
+    expect(created.body.walletAddress).toBeNull();
+    expect(listed.body.data.dids[0].walletAddress).toBeNull();
+  });
+});
@@ -0,0 +1,25 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, describe, expect, jest, test } from '@jest/globals';
+import logger from '../src/logger.js';
+import { createOutboxTransport } from '../src/notifications/outbox.js';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('outbox transport', () => {
+  test('writes the message to the outbox and keeps its body out of the log', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'personapass-outbox-'));
+    const info = jest.spyOn(logger, 'info').mockImplementation(() => logger);
+
+    await createOutboxTransport({ channel: 'sms', dir }).send({ to: '+14155550123', text: 'Your code is 123456' });
+
+    const [entry] = fs.readFileSync(path.join(dir, 'outbox.jsonl'), 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    expect(entry).toMatchObject({ channel: 'sms', to: '+14155550123', text: 'Your code is 123456' });
+    const logged = JSON.stringify(info.mock.calls);
+    expect(logged).not.toContain('123456');
+    expect(logged).not.toContain('+14155550123');
+  });
+});
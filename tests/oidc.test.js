@@ -0,0 +1,194 @@
+import crypto from 'crypto';
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import storage from '../src/storage/index.js';
+import config from '../src/config.js';
+import authRoutes from '../src/routes/auth.js';
+import identityRoutes from '../src/routes/identity.js';
+import oidcRoutes from '../src/routes/oidc.js';
+import { initOidcKeys } from '../src/oidc/keys.js';
+import { signUp } from './helpers/accounts.js';
+import { startServer } from './helpers/server.js';
+
+const REDIRECT_URI = 'https://rp.example/callback';
+
+let server;
+let client;
+
+beforeAll(async () => {
+  await storage.init();
+  await initOidcKeys();
+  server = await startServer({ '/api/auth': authRoutes, '/api/identity': identityRoutes, '/oidc': oidcRoutes });
+
+  const registered = await server.request('POST', '/oidc/register', {
+    client_name: 'Relying party',
+    redirect_uris: [REDIRECT_URI],
+    token_endpoint_auth_method: 'none'
+  }, undefined, { 'x-api-key': process.env.ADMIN_API_KEY });
+  client = registered.body;
+});
+
+afterAll(async () => {
+  await server.close();
+  await storage.close();
+});
+
+const pkce = () => {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  return { verifier, challenge: crypto.createHash('sha256').update(verifier).digest('base64url') };
+};
+
+// GET /oidc/authorize without following the redirect
+const authorize = async (params) => {
+  const response = await fetch(`${server.baseUrl}/oidc/authorize?${new URLSearchParams(params)}`, { redirect: 'manual' });
+  const location = response.headers.get('location');
+  return {
+    status: response.status,
+    location: location && new URL(location),
+    body: location ? null : await response.json()
+  };
+};
+
+const token = async (form) => {
+  const response = await fetch(`${server.baseUrl}/oidc/token`, { method: 'POST', body: new URLSearchParams(form) });
+  return { status: response.status, body: await response.json() };
+};
+
+const userInfo = async (accessToken) => {
+  const response = await fetch(`${server.baseUrl}/oidc/userinfo`, { headers: { authorization: `Bearer ${accessToken}` } });
+  return { status: response.status, body: await response.json() };
+};
+
+// A signed-in user with a DID who approves a sign-in request; returns the code and what it was asked with
+const approvedCode = async () => {
+  const { email, token: accessToken } = await signUp(server);
+  const { body: did } = await server.request('POST', '/api/identity/create-did', {}, accessToken);
+  const { verifier, challenge } = pkce();
+
+  const started = await authorize({
+    response_type: 'code',
+    client_id: client.client_id,
+    redirect_uri: REDIRECT_URI,
+    scope: 'openid email',
+    state: 'state-1',
+    nonce: 'nonce-1',
+    code_challenge: challenge,
+    code_challenge_method: 'S256'
+  });
+  const requestId = started.location.searchParams.get('request_id');
+  const consent = await server.request('POST', `/oidc/requests/${requestId}/consent`, { approve: true }, accessToken);
+  const redirect = new URL(consent.body.data.redirectTo);
+
+  return { email, did: did.did, verifier, redirect, code: redirect.searchParams.get('code') };
+};
+
+const exchange = (code, verifier, redirectUri = REDIRECT_URI) => token({
+  grant_type: 'authorization_code',
+  code,
+  redirect_uri: redirectUri,
+  client_id: client.client_id,
+  code_verifier: verifier
+});
+
+describe('OpenID Connect authorization code flow', () => {
+  test('sends the browser to the consent page and back with a code', async () => {
+    const { redirect, code } = await approvedCode();
+
+    expect(`${redirect.origin}${redirect.pathname}`).toBe(REDIRECT_URI);
+    expect(redirect.searchParams.get('state')).toBe('state-1');
+    expect(code).toBeTruthy();
+  });
+
+  test('points authorize at the configured login page', async () => {
+    const { challenge } = pkce();
+
+    const started = await authorize({
+      response_type: 'code',
+      client_id: client.client_id,
+      redirect_uri: REDIRECT_URI,
+      scope: 'openid',
+      code_challenge: challenge,
+      code_challenge_method: 'S256'
+    });
+
+    expect(started.status).toBe(302);
+    expect(`${started.location.origin}${started.location.pathname}`).toBe(config.oidc.loginUrl);
+  });
+
+  test('exchanges the code for an ID token and an access token to userinfo', async () => {
+    const { email, did, verifier, code } = await approvedCode();
+
+    const tokens = await exchange(code, verifier);
+    const idToken = JSON.parse(Buffer.from(tokens.body.id_token.split('.')[1], 'base64url').toString('utf8'));
+    const claims = await userInfo(tokens.body.access_token);
+
+    expect(tokens.status).toBe(200);
+    expect(idToken).toMatchObject({ sub: did, aud: client.client_id, nonce: 'nonce-1', email });
+    expect(claims.body).toEqual({ sub: did, email, email_verified: false });
+  });
+
+  test('refuses a code a second time and revokes the tokens issued for it', async () => {
+    const { verifier, code } = await approvedCode();
+    const first = await exchange(code, verifier);
+
+    const again = await exchange(code, verifier);
+
+    expect(again.body.error).toBe('invalid_grant');
+    expect((await userInfo(first.body.access_token)).status).toBe(401);
+  });
+
+  test('refuses userinfo without a valid access token', async () => {
+    const claims = await userInfo('not-a-token');
+
+    expect(claims.status).toBe(401);
+    expect(claims.body.error).toBe('invalid_token');
+  });
+});
+
+describe('PKCE', () => {
+  test('is required at the authorization endpoint', async () => {
+    const started = await authorize({
+      response_type: 'code',
+      client_id: client.client_id,
+      redirect_uri: REDIRECT_URI,
+      scope: 'openid',
+      state: 'state-2'
+    });
+
+    expect(started.location.searchParams.get('error')).toBe('invalid_request');
+    expect(started.location.searchParams.get('state')).toBe('state-2');
+  });
+
+  test('refuses a code_verifier that does not match the challenge', async () => {
+    const { code } = await approvedCode();
+
+    const tokens = await exchange(code, pkce().verifier);
+
+    expect(tokens.status).toBe(400);
+    expect(tokens.body.error).toBe('invalid_grant');
+  });
+});
+
+describe('redirect_uri', () => {
+  test('that is not registered is reported to the browser, not redirected to', async () => {
+    const started = await authorize({
+      response_type: 'code',
+      client_id: client.client_id,
+      redirect_uri: 'https://attacker.example/callback',
+      scope: 'openid',
+      code_challenge: pkce().challenge,
+      code_challenge_method: 'S256'
+    });
+
+    expect(started.status).toBe(400);
+    expect(started.location).toBeNull();
+    expect(started.body.error).toBe('invalid_request');
+  });
+
+  test('must match the authorization request at the token endpoint', async () => {
+    const { verifier, code } = await approvedCode();
+
+    const tokens = await exchange(code, verifier, 'https://rp.example/other');
+
+    expect(tokens.body.error).toBe('invalid_grant');
+  });
+});
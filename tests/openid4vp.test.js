@@ -0,0 +1,77 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import storage from '../src/storage/index.js';
+import { initIssuer } from '../src/identity/issuer.js';
+import { issueCredential } from '../src/identity/credentials.js';
+import { createChallenge } from '../src/identity/presentations.js';
+import { createPresentationRequest, receiveAuthorizationResponse } from '../src/openid4vc/presentation.js';
+import { signCompactJws } from '../src/utils/jws.js';
+import { createDid } from './helpers/dids.js';
+
+const CREDENTIAL_TYPE = 'EmailVerificationCredential';
+
+let holder;
+
+// A holder DID with a credential issued to it
+const createHolder = async () => {
+  const { did, key } = await createDid();
+  const { jwt } = await issueCredential({ subjectDid: did, type: CREDENTIAL_TYPE, claims: { email: 'holder@example.com' } });
+  return { did, privateKey: key.privateKey, credentialJwt: jwt };
+};
+
+const vpJwt = ({ nonce, aud }) => signCompactJws({ typ: 'vp+jwt', kid: `${holder.did}#key-1` }, {
+  '@context': ['https://www.w3.org/ns/credentials/v2'],
+  type: ['VerifiablePresentation'],
+  holder: holder.did,
+  verifiableCredential: [holder.credentialJwt],
+  nonce,
+  aud
+}, holder.privateKey);
+
+// Post a vp_token to a new presentation request; returns the stored request afterwards
+const answer = async (presentation) => {
+  const { id } = await createPresentationRequest({ credentialType: CREDENTIAL_TYPE });
+  const request = await storage.collection('presentationRequests').get(id);
+  await receiveAuthorizationResponse(id, {
+    state: id,
+    vp_token: JSON.stringify({ credential: [await presentation(request)] })
+  });
+  return storage.collection('presentationRequests').get(id);
+};
+
+beforeAll(async () => {
+  await storage.init();
+  await initIssuer();
+  holder = await createHolder();
+});
+
+afterAll(async () => {
+  await storage.close();
+});
+
+describe('OpenID4VP authorization response', () => {
+  test('accepts a presentation bound to the request nonce and client_id', async () => {
+    const request = await answer(({ nonce, clientId }) => vpJwt({ nonce, aud: clientId }));
+
+    expect(request.status).toBe('received');
+    expect(request.result).toMatchObject({ verified: true, checks: { challenge: true, domain: true } });
+  });
+
+  test('rejects a presentation bound to another challenge for the same verifier', async () => {
+    let other;
+    const request = await answer(async ({ clientId }) => {
+      other = await createChallenge(clientId);
+      return vpJwt({ nonce: other.challenge, aud: clientId });
+    });
+
+    expect(request.result.verified).toBe(false);
+    expect(request.result.errors).toContain('Challenge does not match the request');
+    expect((await storage.collection('presentationChallenges').get(other.challenge)).usedAt).toBeNull();
+  });
+
+  test('rejects a presentation for another audience', async () => {
+    const request = await answer(({ nonce }) => vpJwt({ nonce, aud: 'https://rp.example' }));
+
+    expect(request.result.verified).toBe(false);
+    expect(request.result.errors).toContain('Domain does not match the request');
+  });
+});
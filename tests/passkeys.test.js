@@ -0,0 +1,220 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import speakeasy from 'speakeasy';
+import storage from '../src/storage/index.js';
+import authRoutes from '../src/routes/auth.js';
+import passkeyRoutes from '../src/routes/passkeys.js';
+import {
+  createAuthenticationOptions,
+  createRegistrationOptions,
+  listPasskeys,
+  removeAllPasskeys,
+  verifyAuthentication,
+  verifyRegistration
+} from '../src/auth/webauthn.js';
+import { createCredential, getAssertion } from './helpers/softwareAuthenticator.js';
+import { PASSWORD, signUp } from './helpers/accounts.js';
+import { startServer } from './helpers/server.js';
+
+let server;
+
+const registerPasskey = async (account, options) => {
+  const { credential, authenticator } = createCredential(await createRegistrationOptions(account), options);
+  const result = await verifyRegistration(account, credential, 'Test key');
+  expect(result).toMatchObject({ valid: true });
+  return authenticator;
+};
+
+beforeAll(async () => {
+  await storage.init();
+  server = await startServer({ '/api/auth': authRoutes, '/api/auth/passkeys': passkeyRoutes });
+});
+
+afterAll(async () => {
+  await server.close();
+  await storage.close();
+});
+
+describe('registration', () => {
+  test.each([
+    ['none', -7],
+    ['none', -8],
+    ['packed', -7],
+    ['packed', -8]
+  ])('accepts %s attestation with algorithm %i', async (fmt, alg) => {
+    const { account } = await signUp(server);
+    const { credential } = createCredential(await createRegistrationOptions(account), { fmt, alg });
+
+    const result = await verifyRegistration(account, credential, 'Laptop');
+
+    expect(result).toMatchObject({ valid: true, passkey: { id: credential.id, name: 'Laptop' } });
+    expect(await storage.collection('passkeys').get(credential.id)).toMatchObject({ userId: account.id, attestationFormat: fmt });
+  });
+
+  test('refuses a replayed challenge', async () => {
+    const { account } = await signUp(server);
+    const { credential } = createCredential(await createRegistrationOptions(account));
+    await verifyRegistration(account, credential);
+
+    const replay = await verifyRegistration(account, credential);
+
+    expect(replay).toMatchObject({ valid: false, code: 'WEBAUTHN_CHALLENGE_INVALID' });
+  });
+
+  test('refuses a response from another origin', async () => {
+    const { account } = await signUp(server);
+    const { credential } = createCredential(await createRegistrationOptions(account), { origin: 'https://evil.example' });
+
+    expect(await verifyRegistration(account, credential)).toMatchObject({ valid: false });
+  });
+
+  test('keeps several credentials per account and excludes them from new registrations', async () => {
+    const { account } = await signUp(server);
+    const first = await registerPasskey(account);
+    const second = await registerPasskey(account, { alg: -8 });
+
+    const options = await createRegistrationOptions(account);
+
+    expect((await listPasskeys(account.id)).map((passkey) => passkey.id).sort()).toEqual([first.id, second.id].sort());
+    expect(options.excludeCredentials.map((credential) => credential.id).sort()).toEqual([first.id, second.id].sort());
+  });
+});
+
+describe('assertion', () => {
+  test('verifies a signature from each registered credential', async () => {
+    const { account } = await signUp(server);
+    const keys = [await registerPasskey(account), await registerPasskey(account, { alg: -8 })];
+
+    for (const key of keys) {
+      const options = await createAuthenticationOptions({ account, passwordless: false });
+      const result = await verifyAuthentication(getAssertion(options, key));
+      expect(result).toMatchObject({ valid: true, userId: account.id, passkey: { id: key.id } });
+    }
+  });
+
+  test('refuses a signature counter that did not increase', async () => {
+    const { account } = await signUp(server);
+    const key = await registerPasskey(account);
+    await verifyAuthentication(getAssertion(await createAuthenticationOptions({ account }), key, { counter: 5 }));
+
+    const result = await verifyAuthentication(getAssertion(await createAuthenticationOptions({ account }), key, { counter: 5 }));
+
+    expect(result).toMatchObject({ valid: false, code: 'WEBAUTHN_VERIFICATION_FAILED', counterRegressed: true });
+  });
+
+  test('refuses a credential of another account', async () => {
+    const { account } = await signUp(server);
+    const other = await signUp(server);
+    const key = await registerPasskey(other.account);
+
+    const options = await createAuthenticationOptions({ account, passwordless: false });
+
+    expect(await verifyAuthentication(getAssertion(options, key))).toMatchObject({ valid: false, code: 'WEBAUTHN_VERIFICATION_FAILED' });
+  });
+
+  test('removeAllPasskeys deletes every credential of the account', async () => {
+    const { account } = await signUp(server);
+    await registerPasskey(account);
+    await registerPasskey(account);
+
+    expect(await removeAllPasskeys(account.id)).toBe(2);
+    expect(await listPasskeys(account.id)).toEqual([]);
+  });
+});
+
+describe('POST /api/auth/passkeys/register', () => {
+  const register = async ({ token }, stepUp) => {
+    const options = await server.request('POST', '/api/auth/passkeys/register/options', undefined, token);
+    const { credential } = createCredential(options.body.data);
+    return server.request('POST', '/api/auth/passkeys/register', { credential, name: 'Phone', ...stepUp }, token);
+  };
+
+  test('registers with the account password', async () => {
+    const user = await signUp(server);
+
+    const response = await register(user, { password: PASSWORD });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({ name: 'Phone' });
+  });
+
+  test('registers with a TOTP code', async () => {
+    const user = await signUp(server);
+    const totpCode = speakeasy.totp({ secret: user.totpSecret, encoding: 'base32' });
+
+    expect((await register(user, { totpCode })).status).toBe(201);
+  });
+
+  test('refuses an access token without a step-up', async () => {
+    const user = await signUp(server);
+
+    const response = await register(user, {});
+
+    expect(response.status).toBe(400);
+    expect(await listPasskeys(user.account.id)).toEqual([]);
+  });
+
+  test('refuses a wrong password', async () => {
+    const user = await signUp(server);
+
+    const response = await register(user, { password: 'not the password' });
+
+    expect(response.body.code).toBe('INVALID_CREDENTIALS');
+    expect(await listPasskeys(user.account.id)).toEqual([]);
+  });
+});
+
+describe('second factor login', () => {
+  test('signs in with the password and a passkey', async () => {
+    const { account, email } = await signUp(server);
+    const key = await registerPasskey(account);
+    const options = await server.request('POST', '/api/auth/passkeys/authenticate/options', { email });
+
+    const response = await server.request('POST', '/api/auth/login', {
+      email,
+      password: PASSWORD,
+      passkey: getAssertion(options.body.data, key, { uv: false })
+    });
+
+    expect(options.body.data.allowCredentials.map((credential) => credential.id)).toEqual([key.id]);
+    expect(response.status).toBe(200);
+    expect(response.body.data.user.id).toBe(account.id);
+  });
+
+  test('refuses a passkey with the wrong password', async () => {
+    const { account, email } = await signUp(server);
+    const key = await registerPasskey(account);
+    const options = await server.request('POST', '/api/auth/passkeys/authenticate/options', { email });
+
+    const response = await server.request('POST', '/api/auth/login', {
+      email,
+      password: 'not the password',
+      passkey: getAssertion(options.body.data, key)
+    });
+
+    expect(response.body.code).toBe('INVALID_CREDENTIALS');
+  });
+});
+
+describe('passwordless login', () => {
+  test('signs in with a user-verified passkey alone', async () => {
+    const { account } = await signUp(server);
+    const key = await registerPasskey(account, { alg: -8 });
+    const options = await server.request('POST', '/api/auth/passkeys/authenticate/options', {});
+
+    const response = await server.request('POST', '/api/auth/passkeys/login', { credential: getAssertion(options.body.data, key) });
+
+    expect(options.body.data.userVerification).toBe('required');
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ user: { id: account.id }, accessToken: expect.any(String) });
+  });
+
+  test('refuses an assertion without user verification', async () => {
+    const { account } = await signUp(server);
+    const key = await registerPasskey(account);
+    const options = await server.request('POST', '/api/auth/passkeys/authenticate/options', {});
+
+    const response = await server.request('POST', '/api/auth/passkeys/login', { credential: getAssertion(options.body.data, key, { uv: false }) });
+
+    expect(response.body.code).toBe('WEBAUTHN_RESPONSE_INVALID');
+  });
+});
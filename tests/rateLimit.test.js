@@ -0,0 +1,152 @@
+import express from 'express';
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+
+let storage;
+let limits;
+let createSession;
+let trusted;
+let untrusted;
+
+// The app server.js builds, reduced to the proxy setting and the limiter in front of a route that always answers
+const startApp = async (trustProxy) => {
+  const { requestId } = await import('../src/middleware/requestId.js');
+  const { errorHandler } = await import('../src/middleware/errorHandler.js');
+
+  const app = express();
+  app.set('trust proxy', trustProxy);
+  app.use(requestId);
+  app.use(express.json());
+  app.use(limits.rateLimit);
+  app.use((req, res) => res.json({ success: true }));
+  app.use(errorHandler);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (path, { body = {}, forwardedFor, token } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        ...(forwardedFor && { 'x-forwarded-for': forwardedFor }),
+        ...(token && { authorization: `Bearer ${token}` })
+      },
+      body: JSON.stringify(body)
+    });
+    return response.status;
+  };
+
+  return { request, close: () => new Promise((resolve) => server.close(resolve)) };
+};
+
+// Budgets and the proxy setting are read when the config module loads, so everything is imported after setting them
+beforeAll(async () => {
+  process.env.RATE_LIMIT_TOTP = '2/60';
+  process.env.RATE_LIMIT_AUTH = '2/60';
+  process.env.TRUST_PROXY = 'loopback';
+
+  const { default: config, loadConfig } = await import('../src/config.js');
+  ({ default: storage } = await import('../src/storage/index.js'));
+  ({ createSession } = await import('../src/auth/sessions.js'));
+  limits = await import('../src/middleware/rateLimit.js');
+
+  await storage.init();
+  await limits.initRateLimits();
+  trusted = await startApp(config.trustProxy);
+  untrusted = await startApp(loadConfig({}).trustProxy);
+});
+
+afterAll(async () => {
+  await trusted.close();
+  await untrusted.close();
+  await limits.closeRateLimits();
+  await storage.close();
+});
+
+// Statuses of `count` requests made one after another
+const repeat = async (count, send) => {
+  const statuses = [];
+  for (let index = 0; index < count; index += 1) {
+    statuses.push(await send(index));
+  }
+  return statuses;
+};
+
+describe('trust proxy', () => {
+  test('keys each forwarded client address separately behind a trusted proxy', async () => {
+    const statuses = await repeat(3, (index) => trusted.request('/api/auth/login', { forwardedFor: `198.51.100.${index + 1}` }));
+
+    expect(statuses).toEqual([200, 200, 200]);
+  });
+
+  test('ignores X-Forwarded-For when no proxy is trusted', async () => {
+    const statuses = await repeat(3, (index) => untrusted.request('/api/auth/login', { forwardedFor: `198.51.100.${index + 11}` }));
+
+    expect(statuses).toEqual([200, 200, 429]);
+  });
+});
+
+describe('rate limit keys', () => {
+  test('charge the client address', async () => {
+    const statuses = await repeat(3, () => trusted.request('/api/auth/login', { forwardedFor: '203.0.113.1' }));
+
+    expect(statuses).toEqual([200, 200, 429]);
+  });
+
+  test('charge the account of an access token, whatever the address', async () => {
+    const { accessToken } = await createSession({ id: 'rate-limited-account', email: 'limited@example.com' });
+
+    const statuses = await repeat(3, (index) => trusted.request('/api/auth/login', {
+      forwardedFor: `203.0.113.${index + 11}`,
+      token: accessToken
+    }));
+
+    expect(statuses).toEqual([200, 200, 429]);
+  });
+
+  test('charge the email of sign-in requests, whatever the address', async () => {
+    const statuses = await repeat(3, (index) => trusted.request('/api/auth/wallet/challenge', {
+      forwardedFor: `203.0.113.${index + 21}`,
+      body: { email: 'Target@example.com' }
+    }));
+
+    expect(statuses).toEqual([200, 200, 429]);
+  });
+
+  test('leave the email out of the code-checking budget, so nobody can lock a user out', async () => {
+    const statuses = await repeat(3, (index) => trusted.request('/api/auth/login', {
+      forwardedFor: `203.0.113.${index + 31}`,
+      body: { email: 'victim@example.com' }
+    }));
+
+    expect(statuses).toEqual([200, 200, 200]);
+  });
+});
+
+describe('rate limit policies', () => {
+  test('count passkey registration against the code-checking budget', async () => {
+    const token = (await createSession({ id: 'passkey-account', email: 'passkey@example.com' })).accessToken;
+    await trusted.request('/api/auth/login', { forwardedFor: '203.0.113.41', token });
+
+    const statuses = await repeat(2, (index) => trusted.request('/api/auth/passkeys/register', {
+      forwardedFor: `203.0.113.${index + 42}`,
+      token
+    }));
+
+    expect(statuses).toEqual([200, 429]);
+  });
+
+  test('keep registration options on the sign-in budget', async () => {
+    const token = (await createSession({ id: 'options-account', email: 'options@example.com' })).accessToken;
+    await trusted.request('/api/auth/login', { forwardedFor: '203.0.113.51', token });
+
+    const statuses = await repeat(2, (index) => trusted.request('/api/auth/passkeys/register/options', {
+      forwardedFor: `203.0.113.${index + 52}`,
+      token
+    }));
+
+    expect(statuses).toEqual([200, 200]);
+  });
+});
@@ -0,0 +1,99 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import speakeasy from 'speakeasy';
+import storage from '../src/storage/index.js';
+import authRoutes from '../src/routes/auth.js';
+import recoveryRoutes from '../src/routes/recovery.js';
+import { PASSWORD, signUp } from './helpers/accounts.js';
+import { lastCodeSentTo } from './helpers/outbox.js';
+import { startServer } from './helpers/server.js';
+
+let server;
+
+beforeAll(async () => {
+  await storage.init();
+  server = await startServer({ '/api/auth': authRoutes, '/api/auth/recovery': recoveryRoutes });
+});
+
+afterAll(async () => {
+  await server.close();
+  await storage.close();
+});
+
+// Start a recovery for `email` and prove control of it, with a backup code if one is given
+const openRecovery = async (email, backupCode) => {
+  await server.request('POST', '/api/auth/recovery/start', { email });
+  const code = await lastCodeSentTo(email);
+  return server.request('POST', '/api/auth/recovery/verify', { email, code, ...(backupCode && { backupCode }) });
+};
+
+const enroll = (recoveryToken) => server.request('POST', '/api/auth/recovery/enroll', { recoveryToken });
+
+describe('account recovery', () => {
+  test('with a backup code replaces the authenticator and signs out everywhere', async () => {
+    const { email, backupCodes, totpSecret, token } = await signUp(server);
+
+    const opened = await openRecovery(email, backupCodes[0]);
+    const { recoveryToken } = opened.body.data;
+    const enrolled = await enroll(recoveryToken);
+    const confirmed = await server.request('POST', '/api/auth/recovery/confirm', {
+      recoveryToken,
+      totpCode: speakeasy.totp({ secret: enrolled.body.data.secret, encoding: 'base32' })
+    });
+
+    expect(opened.body.data.method).toBe('backup_code');
+    expect(confirmed.status).toBe(200);
+    expect(confirmed.body.data.sessionsRevoked).toBe(1);
+    expect((await server.request('GET', '/api/auth/backup-codes', undefined, token)).status).toBe(401);
+    expect((await server.request('POST', '/api/auth/login', {
+      email,
+      password: PASSWORD,
+      totpCode: speakeasy.totp({ secret: totpSecret, encoding: 'base32' })
+    })).status).toBe(401);
+    expect((await server.request('POST', '/api/auth/login', {
+      email,
+      password: PASSWORD,
+      backupCode: confirmed.body.data.backupCodes[0]
+    })).status).toBe(200);
+  });
+
+  test('without a backup code waits out the cooling-off period', async () => {
+    const { email } = await signUp(server);
+
+    const opened = await openRecovery(email);
+    const early = await enroll(opened.body.data.recoveryToken);
+
+    expect(opened.body.data.method).toBe('cooling_off');
+    expect(Date.parse(opened.body.data.readyAt) - Date.now()).toBeGreaterThan(71 * 60 * 60 * 1000);
+    expect(early.status).toBe(409);
+    expect(early.body.code).toBe('RECOVERY_NOT_READY');
+    expect(early.body.data.retryAfter).toBeGreaterThan(0);
+
+    const [id] = opened.body.data.recoveryToken.split('.');
+    await storage.collection('accountRecoveries').update(id, { readyAt: new Date(Date.now() - 1000).toISOString() });
+
+    expect((await enroll(opened.body.data.recoveryToken)).status).toBe(200);
+  });
+
+  test('can be cancelled by the signed-in owner during the cooling-off period', async () => {
+    const { email, token } = await signUp(server);
+    const opened = await openRecovery(email);
+
+    const cancelled = await server.request('POST', '/api/auth/recovery/cancel', {}, token);
+    const [id] = opened.body.data.recoveryToken.split('.');
+    await storage.collection('accountRecoveries').update(id, { readyAt: new Date(Date.now() - 1000).toISOString() });
+
+    expect(cancelled.body.data.cancelled).toBe(1);
+    expect((await enroll(opened.body.data.recoveryToken)).body.code).toBe('INVALID_RECOVERY_TOKEN');
+  });
+
+  test('refuses a wrong code from the new authenticator', async () => {
+    const { email, backupCodes } = await signUp(server);
+    const { recoveryToken } = (await openRecovery(email, backupCodes[0])).body.data;
+    await enroll(recoveryToken);
+
+    const confirmed = await server.request('POST', '/api/auth/recovery/confirm', { recoveryToken, totpCode: '000000' });
+
+    expect(confirmed.status).toBe(401);
+    expect(confirmed.body.code).toBe('INVALID_SECOND_FACTOR');
+  });
+});
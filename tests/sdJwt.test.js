@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import storage from '../src/storage/index.js';
+import authRoutes from '../src/routes/auth.js';
+import identityRoutes from '../src/routes/identity.js';
+import verificationRoutes from '../src/routes/verification.js';
+import { initIssuer } from '../src/identity/issuer.js';
+import { createChallenge } from '../src/identity/presentations.js';
+import { verifySdJwtVc } from '../src/identity/sdJwt.js';
+import { signCompactJws } from '../src/utils/jws.js';
+import { signUp } from './helpers/accounts.js';
+import { createDid } from './helpers/dids.js';
+import { startServer } from './helpers/server.js';
+
+const ADMIN = { 'x-api-key': process.env.ADMIN_API_KEY };
+
+const ATTRIBUTES = { givenName: 'Ada', familyName: 'Lovelace', birthDate: '1990-04-01' };
+
+let server;
+
+const reviewKyc = (accountId, body) => server.request('POST', `/api/persona/accounts/${accountId}/kyc`, body, undefined, ADMIN);
+
+// A signed-in account with a primary DID (whose self-entered profile differs from the KYC attributes),
+// KYC-verified by the operator unless `verified` is false
+const holder = async ({ verified = true } = {}) => {
+  const { account, token } = await signUp(server);
+  const { did, key } = await createDid({ ownerId: account.id, userData: { firstName: 'Typed', birthDate: '2015-01-01' } });
+  await storage.collection('accounts').update(account.id, { did });
+  if (verified) {
+    await reviewKyc(account.id, { status: 'verified', provider: 'test-provider', attributes: ATTRIBUTES });
+  }
+  return { account, did, key, token };
+};
+
+const issue = (token, body = {}) => server.request('POST', '/api/identity/credentials/sd-jwt', body, token);
+
+// Present the credential with the disclosures at `paths` and a key binding JWT for a fresh challenge
+const present = async (issued, privateKey, paths, { aud } = {}) => {
+  const { challenge, domain } = await createChallenge('verifier.example');
+  const chosen = issued.disclosures.filter((entry) => paths.includes(entry.path)).map((entry) => entry.disclosure);
+  const presented = `${issued.sdJwt.split('~')[0]}~${chosen.map((disclosure) => `${disclosure}~`).join('')}`;
+  const kbJwt = signCompactJws({ typ: 'kb+jwt' }, {
+    nonce: challenge,
+    aud: aud || domain,
+    iat: Math.floor(Date.now() / 1000),
+    sd_hash: crypto.createHash('sha256').update(presented, 'ascii').digest('base64url')
+  }, privateKey);
+  return `${presented}${kbJwt}`;
+};
+
+beforeAll(async () => {
+  await storage.init();
+  await initIssuer();
+  server = await startServer({ '/api/auth': authRoutes, '/api/identity': identityRoutes, '/api/persona': verificationRoutes });
+});
+
+afterAll(async () => {
+  await server.close();
+  await storage.close();
+});
+
+describe('POST /api/identity/credentials/sd-jwt', () => {
+  test('issues the reviewed attributes of a KYC-verified account', async () => {
+    const { token } = await holder();
+
+    const response = await issue(token);
+    const values = Object.fromEntries(response.body.data.disclosures.map((entry) => [entry.path, entry.value]));
+
+    expect(response.status).toBe(201);
+    expect(values).toMatchObject({
+      given_name: 'Ada',
+      family_name: 'Lovelace',
+      birthdate: '1990-04-01',
+      'age_equal_or_over.18': true,
+      kyc_status: 'verified'
+    });
+  });
+
+  test('leaves out an email address the account has not verified', async () => {
+    const { token } = await holder();
+
+    const response = await issue(token);
+
+    expect(response.body.data.disclosures.map((entry) => entry.path)).not.toContain('email');
+  });
+
+  test('refuses an account whose KYC is not verified', async () => {
+    const { token } = await holder({ verified: false });
+
+    const response = await issue(token);
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('KYC_NOT_VERIFIED');
+  });
+
+  test('refuses an account whose KYC review was rejected', async () => {
+    const { account, token } = await holder();
+    await reviewKyc(account.id, { status: 'rejected', provider: 'test-provider' });
+
+    const response = await issue(token);
+
+    expect(response.body.code).toBe('KYC_NOT_VERIFIED');
+  });
+
+  test('refuses a validUntil in the past', async () => {
+    const { token } = await holder();
+
+    const response = await issue(token, { validUntil: new Date(Date.now() - 60000).toISOString() });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('VALIDATION_FAILED');
+  });
+
+  test('refuses a DID without an authentication key', async () => {
+    const { did, token } = await holder();
+    const record = await storage.collection('dids').get(did);
+    const didDocument = { ...record.didDocument };
+    delete didDocument.authentication;
+    await storage.collection('dids').update(did, { didDocument });
+
+    const response = await issue(token);
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('DID_NO_AUTHENTICATION_KEY');
+  });
+});
+
+describe('POST /api/persona/accounts/:accountId/kyc', () => {
+  test('is for the operator only', async () => {
+    const { account, token } = await holder({ verified: false });
+
+    const response = await server.request('POST', `/api/persona/accounts/${account.id}/kyc`, {
+      status: 'verified',
+      provider: 'self',
+      attributes: ATTRIBUTES
+    }, token);
+
+    expect(response.status).toBe(403);
+    expect((await storage.collection('accounts').get(account.id)).kycStatus).toBe('pending');
+  });
+
+  test('requires the reviewed attributes for a verified result', async () => {
+    const { account } = await holder({ verified: false });
+
+    const response = await reviewKyc(account.id, { status: 'verified', provider: 'test-provider' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('VALIDATION_FAILED');
+  });
+});
+
+describe('verifySdJwtVc', () => {
+  test('returns only the disclosed claims of a valid presentation', async () => {
+    const { key, token } = await holder();
+    const issued = (await issue(token)).body.data;
+
+    const result = await verifySdJwtVc(await present(issued, key.privateKey, ['age_equal_or_over', 'age_equal_or_over.18']));
+
+    expect(result.verified).toBe(true);
+    expect(result.claims).toEqual({ age_equal_or_over: { 18: true } });
+    expect(result.disclosed).toEqual(['age_equal_or_over', 'age_equal_or_over.18']);
+  });
+
+  test('returns no claims when the presentation does not verify', async () => {
+    const { key, token } = await holder();
+    const issued = (await issue(token)).body.data;
+
+    const result = await verifySdJwtVc(await present(issued, key.privateKey, ['email'], { aud: 'other.example' }));
+
+    expect(result.verified).toBe(false);
+    expect(result.claims).toEqual({});
+    expect(result.disclosed).toEqual([]);
+  });
+
+  test('refuses a credential that was not issued by this service', async () => {
+    const { did, key } = await holder({ verified: false });
+    const disclosure = Buffer.from(JSON.stringify([crypto.randomBytes(16).toString('base64url'), 'kyc_status', 'verified'])).toString('base64url');
+    const { x } = crypto.createPublicKey(key.privateKey).export({ format: 'jwk' });
+    const selfIssued = signCompactJws({ typ: 'dc+sd-jwt', kid: `${did}#key-1` }, {
+      iss: did,
+      iat: Math.floor(Date.now() / 1000),
+      vct: 'urn:personapass:vct:kyc-attributes:1',
+      cnf: { jwk: { kty: 'OKP', crv: 'Ed25519', x } },
+      _sd_alg: 'sha-256',
+      _sd: [crypto.createHash('sha256').update(disclosure, 'ascii').digest('base64url')]
+    }, key.privateKey);
+
+    const result = await verifySdJwtVc(await present({
+      sdJwt: `${selfIssued}~${disclosure}~`,
+      disclosures: [{ path: 'kyc_status', disclosure }]
+    }, key.privateKey, ['kyc_status']));
+
+    expect(result.verified).toBe(false);
+    expect(result.checks.signature).toBe(true);
+    expect(result.checks.issuer).toBe(false);
+    expect(result.claims).toEqual({});
+  });
+});
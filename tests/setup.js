@@ -0,0 +1,13 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Runs before each test file: an in-memory, quiet service with fixed secrets and an outbox of its own
+process.env.NODE_ENV = 'test';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.PUBLIC_BASE_URL = 'http://localhost:3001';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+process.env.BCRYPT_ROUNDS = '4';
+process.env.OUTBOX_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'personapass-outbox-'));
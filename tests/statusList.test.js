@@ -0,0 +1,39 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import storage from '../src/storage/index.js';
+import { initIssuer } from '../src/identity/issuer.js';
+import { issueCredential, revokeCredential, verifyCredential } from '../src/identity/credentials.js';
+import { createDid } from './helpers/dids.js';
+
+const issueSeveral = async (count) => {
+  const { did } = await createDid();
+  return Promise.all(Array.from({ length: count }, () => issueCredential({ subjectDid: did, type: 'KycCredential' })));
+};
+
+beforeAll(async () => {
+  await storage.init();
+  await initIssuer();
+});
+
+afterAll(async () => {
+  await storage.close();
+});
+
+describe('status entries', () => {
+  test('are never shared by credentials issued at the same time', async () => {
+    const records = await issueSeveral(5);
+
+    for (const purpose of ['revocation', 'suspension']) {
+      const entries = records.map((record) => `${record.status[purpose].listId}#${record.status[purpose].index}`);
+      expect(new Set(entries).size).toBe(5);
+    }
+  });
+
+  test('keep every one of several revocations made at the same time', async () => {
+    const [first, second, untouched] = await issueSeveral(3);
+
+    await Promise.all([revokeCredential(first), revokeCredential(second)]);
+
+    const results = await Promise.all([first, second, untouched].map((record) => verifyCredential(record.jwt)));
+    expect(results.map((result) => result.checks.status)).toEqual([false, false, true]);
+  });
+});
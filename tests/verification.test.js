@@ -0,0 +1,68 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import storage from '../src/storage/index.js';
+import authRoutes from '../src/routes/auth.js';
+import verificationRoutes from '../src/routes/verification.js';
+import { signUp } from './helpers/accounts.js';
+import { lastCodeSentTo } from './helpers/outbox.js';
+import { startServer } from './helpers/server.js';
+
+let server;
+
+beforeAll(async () => {
+  await storage.init();
+  server = await startServer({ '/api/auth': authRoutes, '/api/persona': verificationRoutes });
+});
+
+afterAll(async () => {
+  await server.close();
+  await storage.close();
+});
+
+describe('email verification', () => {
+  test('verifies the address with the emailed code', async () => {
+    const { account, email, token } = await signUp(server);
+
+    const started = await server.request('POST', '/api/persona/email/verify-start', {}, token);
+    const completed = await server.request('POST', '/api/persona/email/verify-complete', { code: await lastCodeSentTo(email) }, token);
+
+    expect(started.status).toBe(200);
+    expect(completed.body.data.emailVerified).toBe(true);
+    expect((await storage.collection('accounts').get(account.id)).emailVerified).toBe(true);
+  });
+
+  test('refuses a wrong code', async () => {
+    const { email, token } = await signUp(server);
+    await server.request('POST', '/api/persona/email/verify-start', {}, token);
+    const code = await lastCodeSentTo(email);
+
+    const response = await server.request('POST', '/api/persona/email/verify-complete', {
+      code: String((Number(code) + 1) % 1000000).padStart(6, '0')
+    }, token);
+
+    expect(response.body.code).toBe('VERIFICATION_CODE_INVALID');
+  });
+});
+
+describe('phone verification', () => {
+  test('verifies the number with the texted code and masks it in the start response', async () => {
+    const { account, token } = await signUp(server);
+    const phoneNumber = '+14155550123';
+
+    const started = await server.request('POST', '/api/persona/phone/verify-start', { phoneNumber }, token);
+    const completed = await server.request('POST', '/api/persona/phone/verify-complete', { code: await lastCodeSentTo(phoneNumber) }, token);
+
+    expect(started.body.data.phoneNumber).toBe('***23');
+    expect(completed.body.data).toMatchObject({ phoneNumber, phoneVerified: true });
+    expect((await storage.collection('accounts').get(account.id)).phoneNumber).toBe(phoneNumber);
+  });
+
+  test('refuses a second code within the resend cooldown', async () => {
+    const { token } = await signUp(server);
+    await server.request('POST', '/api/persona/phone/verify-start', { phoneNumber: '+14155550199' }, token);
+
+    const response = await server.request('POST', '/api/persona/phone/verify-start', { phoneNumber: '+14155550199' }, token);
+
+    expect(response.status).toBe(429);
+    expect(response.body.code).toBe('RESEND_TOO_SOON');
+  });
+});
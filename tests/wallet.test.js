@@ -0,0 +1,93 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import storage from '../src/storage/index.js';
+import authRoutes from '../src/routes/auth.js';
+import identityRoutes from '../src/routes/identity.js';
+import walletRoutes from '../src/routes/wallet.js';
+import { signUp } from './helpers/accounts.js';
+import { newWallet, signArbitrary } from './helpers/cosmos.js';
+import { startServer } from './helpers/server.js';
+
+let server;
+
+beforeAll(async () => {
+  await storage.init();
+  server = await startServer({ '/api/auth': authRoutes, '/api/auth/wallet': walletRoutes, '/api/identity': identityRoutes });
+});
+
+afterAll(async () => {
+  await server.close();
+  await storage.close();
+});
+
+// Answer a fresh `purpose` challenge for `wallet` at /wallet/<path>
+const signChallenge = async (wallet, purpose, path, token) => {
+  const challenge = await server.request('POST', '/api/auth/wallet/challenge', { address: wallet.address, purpose });
+  const { nonce, message } = challenge.body.data;
+  return server.request('POST', `/api/auth/wallet/${path}`, { nonce, ...signArbitrary(wallet, message) }, token);
+};
+
+const link = (wallet, token) => signChallenge(wallet, 'link', 'link', token);
+const signIn = (wallet) => signChallenge(wallet, 'sign_in', 'verify');
+
+describe('wallet sign-in', () => {
+  test('works once the wallet is linked', async () => {
+    const { account, token } = await signUp(server);
+    const wallet = newWallet();
+
+    const before = await signIn(wallet);
+    const linked = await link(wallet, token);
+    const after = await signIn(wallet);
+
+    expect(before.body.code).toBe('WALLET_NOT_LINKED');
+    expect(linked.status).toBe(200);
+    expect(after.status).toBe(200);
+    expect(after.body.data.user.id).toBe(account.id);
+  });
+
+  test('stops for a wallet that was replaced, even with DIDs made for it', async () => {
+    const { token } = await signUp(server);
+    const first = newWallet();
+    const second = newWallet();
+    await link(first, token);
+    await server.request('POST', '/api/identity/create-did', {}, token);
+    await link(second, token);
+
+    expect((await signIn(first)).body.code).toBe('WALLET_NOT_LINKED');
+    expect((await signIn(second)).status).toBe(200);
+  });
+});
+
+describe('wallet links', () => {
+  test('belong to one account at a time', async () => {
+    const owner = await signUp(server);
+    const other = await signUp(server);
+    const wallet = newWallet();
+    await link(wallet, owner.token);
+
+    const taken = await link(wallet, other.token);
+
+    expect(taken.status).toBe(409);
+    expect(taken.body.code).toBe('WALLET_ALREADY_LINKED');
+  });
+
+  test('are refused while another account holds the claim', async () => {
+    const owner = await signUp(server);
+    const other = await signUp(server);
+    const wallet = newWallet();
+    await storage.collection('accountWallets').insert({ id: wallet.address, accountId: owner.account.id, linkedAt: new Date().toISOString() });
+
+    const taken = await link(wallet, other.token);
+
+    expect(taken.body.code).toBe('WALLET_ALREADY_LINKED');
+  });
+
+  test('free a replaced wallet for another account', async () => {
+    const owner = await signUp(server);
+    const other = await signUp(server);
+    const wallet = newWallet();
+    await link(wallet, owner.token);
+    await link(newWallet(), owner.token);
+
+    expect((await link(wallet, other.token)).status).toBe(200);
+  });
+});